@@ -12,6 +12,7 @@ define(
     // lazy-loaded.
     'activesync/codepages/FolderHierarchy',
     './folder',
+    './pinger',
     '../util',
     '../db/folder_info_rep',
     'module',
@@ -24,6 +25,7 @@ define(
     $searchfilter,
     $FolderHierarchy,
     $asfolder,
+    ActiveSyncPinger,
     $util,
     $folder_info,
     $module,
@@ -60,8 +62,6 @@ function ActiveSyncAccount(universe, accountDef, foldersTOC, dbConn,
   this.problems = [];
   this._alive = true;
 
-  this.identities = accountDef.identities;
-
   this.foldersTOC = foldersTOC;
   // this is owned by the TOC.  Do not mutate!
   this.folders = this.foldersTOC.items;
@@ -70,10 +70,16 @@ function ActiveSyncAccount(universe, accountDef, foldersTOC, dbConn,
   this._syncsInProgress = 0;
   this._lastSyncKey = null;
   this._lastSyncResponseWasEmpty = false;
+
+  this._pinger = new ActiveSyncPinger({ account: this, universe });
 }
 ActiveSyncAccount.prototype = {
   type: 'activesync',
   supportsServerFolders: true,
+  // identity_add/identity_remove replace the array on the accountDef.
+  get identities() {
+    return this.accountDef.identities;
+  },
   toString: function asa_toString() {
     return '[ActiveSyncAccount: ' + this.id + ']';
   },
@@ -277,7 +283,37 @@ ActiveSyncAccount.prototype = {
     });
   },
 
+  /**
+   * The server settings changed; drop our connection so the next request
+   * makes a new one using the new settings.
+   */
+  resetConnections: function({ receive }) {
+    if (!receive || !this.conn) {
+      return;
+    }
+    if (this.conn.connected) {
+      this.conn.disconnect();
+    }
+    this.conn = null;
+  },
+
+  /**
+   * Start or stop pushing new mail to us via Ping.  The AccountManager calls
+   * this as the universe goes online/offline and becomes interactive.
+   */
+  setPushEnabled: function(enabled) {
+    this._pinger.setEnabled(enabled);
+  },
+
+  /**
+   * The set of our folders with open views changed.  The pinger picks the
+   * folders each time it issues a Ping, so there's nothing to do.
+   */
+  viewedFoldersChanged: function() {
+  },
+
   shutdown: function(callback) {
+    this._pinger.shutdown();
     if (callback) {
       callback();
     }
@@ -58,8 +58,8 @@ AccountSyncStateHelper.prototype = {
       this._accountId + '.' + a64.encodeInt(this.rawSyncState.nextFolderNum++));
   },
 
-  addedFolder: function(serverId, folderInfo) {
-    this.serverIdToFolderId.set(serverId, folderInfo);
+  addedFolder: function(folderInfo) {
+    this.serverIdToFolderId.set(folderInfo.serverId, folderInfo.id);
   },
 
   removedFolder: function(serverId) {
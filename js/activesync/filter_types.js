@@ -0,0 +1,69 @@
+define(function(require) {
+'use strict';
+
+const { NOW, DAY_MILLIS } = require('../date');
+
+const $AirSync = require('activesync/codepages/AirSync');
+
+const Type = $AirSync.Enums.FilterType;
+
+/**
+ * The FilterTypes we use for email, narrowest first.  (Like
+ * SYNC_RANGE_TO_FILTER_TYPE in folder.js, we skip the three and six month
+ * ones.)  sync_grow walks along this one step at a time.
+ */
+const FILTER_TYPE_ORDER = [
+  Type.OneDayBack,
+  Type.ThreeDaysBack,
+  Type.OneWeekBack,
+  Type.TwoWeeksBack,
+  Type.OneMonthBack,
+  Type.NoFilter
+];
+
+/**
+ * How many days back each FilterType synchronizes.  NoFilter is absent because
+ * it synchronizes everything.
+ */
+const FILTER_TYPE_DAYS = new Map([
+  [Type.OneDayBack, 1],
+  [Type.ThreeDaysBack, 3],
+  [Type.OneWeekBack, 7],
+  [Type.TwoWeeksBack, 14],
+  [Type.OneMonthBack, 30]
+]);
+
+return {
+  /**
+   * Return the FilterType one step wider than the given one, or null if
+   * there's nothing wider.  An unknown (or null) FilterType gets the
+   * narrowest one.
+   */
+  widerFilterType: function(filterType) {
+    let idx = FILTER_TYPE_ORDER.indexOf(filterType);
+    if (idx === FILTER_TYPE_ORDER.length - 1) {
+      return null;
+    }
+    return FILTER_TYPE_ORDER[idx + 1];
+  },
+
+  /**
+   * Is the whole folder synchronized with this FilterType?
+   */
+  isFullFilterType: function(filterType) {
+    return filterType === Type.NoFilter;
+  },
+
+  /**
+   * Return the oldest date the FilterType synchronizes from right now, or null
+   * if it synchronizes everything or we don't know the FilterType.
+   */
+  filterTypeWindowStart: function(filterType) {
+    let days = FILTER_TYPE_DAYS.get(filterType);
+    if (!days) {
+      return null;
+    }
+    return NOW() - days * DAY_MILLIS;
+  }
+};
+});
@@ -8,6 +8,16 @@ let { shallowClone } = require('../util');
 
 let a64 = require('../a64');
 
+/**
+ * Search results don't come with a serverId or any other stable identifier, so
+ * we identify them by what we can see.
+ */
+function searchResultKey(message) {
+  return JSON.stringify(
+    [message.date, message.subject,
+     message.author && message.author.address]);
+}
+
 /**
  * ActiveSync helper logic for folder sync state manipulation.
  *
@@ -24,6 +34,10 @@ let a64 = require('../a64');
  *   some other state.  *This is currently stored as the string value like you'd
  *   find in ItemEstimate.Enums.Status.*
  * - serverIdInfo: A map from message serverId to umid.
+ * - searchResultInfo: A map from the `searchResultKey` of messages we added
+ *   from server search results to their umid.  Search results don't have
+ *   serverIds, so these messages are only known locally and this is how we
+ *   avoid adding them again.  (Lazily created; older sync states lack it.)
  */
 function FolderSyncStateHelper(ctx, rawSyncState, accountId, folderId) {
   if (!rawSyncState) {
@@ -42,6 +56,10 @@ function FolderSyncStateHelper(ctx, rawSyncState, accountId, folderId) {
   this.rawSyncState = rawSyncState;
 
   this._serverIdInfo = this.rawSyncState.serverIdInfo;
+  if (!this.rawSyncState.searchResultInfo) {
+    this.rawSyncState.searchResultInfo = new Map();
+  }
+  this._searchResultInfo = this.rawSyncState.searchResultInfo;
 
   // The set of umids that have been deleted.
   this.umidDeletions = new Set();
@@ -82,6 +100,28 @@ FolderSyncStateHelper.prototype = {
     return this._serverIdInfo.get(serverId);
   },
 
+  isKnownServerId: function(serverId) {
+    return this._serverIdInfo.has(serverId);
+  },
+
+  /**
+   * We moved (or deleted) this message out of the folder ourselves.  Stop
+   * tracking it without generating any deletion side-effects.
+   */
+  forgetMovedMessage: function(serverId) {
+    this._serverIdInfo.delete(serverId);
+  },
+
+  /**
+   * We moved or copied a message we already have a umid for into this folder
+   * and the server gave it the provided serverId.  Track it so that when the server tells us
+   * about it in our next sync we don't treat it as a new message.
+   */
+  adoptMovedMessage: function(serverId, umid) {
+    this.umidLocationWrites.set(umid, [this._folderId, serverId]);
+    this._serverIdInfo.set(serverId, umid);
+  },
+
   /**
    * Track the new, fully populated message, in our serverId mappings.  Most of
    * the legwork has to have already been done by the caller.  (All the message
@@ -94,6 +134,43 @@ FolderSyncStateHelper.prototype = {
     this._serverIdInfo.set(serverId, umid);
   },
 
+  isKnownSearchResult: function(message) {
+    return this._searchResultInfo.has(searchResultKey(message));
+  },
+
+  /**
+   * Track a new message from the server's search results.  It has no serverId,
+   * so its umidLocation has a null one, which tells the tasks that manipulate
+   * messages on the server that they can't.
+   */
+  newSearchResultMessage: function(message) {
+    let umid = message.umid;
+    this.umidNameWrites.set(umid, message.id);
+    this.umidLocationWrites.set(umid, [this._folderId, null]);
+    this._searchResultInfo.set(searchResultKey(message), umid);
+  },
+
+  /**
+   * Sync told us about a new message under the given serverId.  If it's one we
+   * already added from the server's search results, give our existing message
+   * the serverId and return true so the caller doesn't add it again.  Our
+   * message gets the server's current flags via a sync_conv, which also stops
+   * it being `readOnly`.
+   */
+  adoptSearchResultMessage: function(serverId, message) {
+    let key = searchResultKey(message);
+    let umid = this._searchResultInfo.get(key);
+    if (!umid) {
+      return false;
+    }
+    this._searchResultInfo.delete(key);
+    this.adoptMovedMessage(serverId, umid);
+    this.umidFlagChanges.set(
+      umid, { add: message.flags.concat(), remove: null });
+    this.umidNameReads.set(umid, null);
+    return true;
+  },
+
   /**
    * Process changes by tracking the flag changes by umid and noting the umid
    * for a name-read so that we can cluster sync_conv requests later on.
@@ -111,7 +188,9 @@ FolderSyncStateHelper.prototype = {
   messageDeleted: function(serverId) {
     let umid = this._serverIdInfo.get(serverId);
     if (!umid) {
-      logic.fail('heard about a deletion for an unknown message');
+      // This is expected after we move a message out of the folder ourselves;
+      // the server still tells us about the deletion.
+      logic(this._ctx, 'deletionOfUnknownMessage', { serverId });
       return;
     }
     this._serverIdInfo.delete(serverId);
@@ -174,7 +253,7 @@ FolderSyncStateHelper.prototype = {
 
   _ensureConvTask: function(convId) {
     if (this._tasksByConvId.has(convId)) {
-      return this._tasksByConvId(convId);
+      return this._tasksByConvId.get(convId);
     }
 
     let task = {
@@ -0,0 +1,320 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const errbackoff = require('../errbackoff');
+const errorutils = require('../errorutils');
+
+const ping = require('./smotocol/ping');
+
+const {
+  ACTIVESYNC_PING_HEARTBEAT_INITIAL_SECS,
+  ACTIVESYNC_PING_HEARTBEAT_MIN_SECS,
+  ACTIVESYNC_PING_HEARTBEAT_MAX_SECS,
+  ACTIVESYNC_PING_HEARTBEAT_STEP_SECS
+} = require('../syncbase');
+
+/**
+ * Errors from the Ping request itself are HttpErrors if the server answered
+ * us and plain Errors if the XHR failed or timed out.  Failures to connect in
+ * the first place have already been normalized to our error strings.
+ */
+function isNetworkError(err) {
+  return (err instanceof Error) && !err.status;
+}
+
+/**
+ * Keeps a Ping request hanging against the server for an ActiveSync account so
+ * that we hear about new mail as it arrives instead of waiting for cronsync or
+ * the user to trigger a sync_refresh.  When the server tells us folders
+ * changed, we schedule sync_refresh tasks for them and then issue a new Ping.
+ *
+ * We Ping the inbox plus any of the account's folders that currently have
+ * their conversations displayed.  The set of folders is re-evaluated each time
+ * we issue a Ping, so a newly displayed folder starts getting pushed once the
+ * outstanding Ping completes.  (Which is fine since displaying a folder
+ * refreshes it anyways.)
+ *
+ * The heartbeat is tuned as we go: every Ping that expires normally grows it a
+ * step, and every Ping that dies on the network halves it, since the usual
+ * culprit is something between us and the server killing idle connections.
+ * We remember the heartbeat for as long as the account is alive.
+ *
+ * Failures go through an errbackoff endpoint.  Once it tells us to give up, we
+ * stay idle until we're re-enabled, which happens when we come back online or
+ * the app becomes interactive again.
+ *
+ * Our owning account enables/disables us via the AccountManager, which only
+ * enables push when the universe is both online and interactive.  Disabling
+ * can't abort a Ping that's already in flight, so we use a generation counter
+ * to ignore any responses for Pings issued before the most recent state
+ * change.
+ */
+function ActiveSyncPinger({ account, universe }) {
+  logic.defineScope(this, 'ActiveSyncPinger', { accountId: account.id });
+
+  this._account = account;
+  this._universe = universe;
+  this._backoffEndpoint =
+    errbackoff.createEndpoint('activesync-ping:' + account.id, null);
+
+  this.enabled = false;
+  this.heartbeatSecs = ACTIVESYNC_PING_HEARTBEAT_INITIAL_SECS;
+  /**
+   * The maximum number of folders the server will let us Ping, if it has told
+   * us.
+   */
+  this._maxFolders = null;
+  /**
+   * Was the last Ping answered with FolderSyncRequired?  If the folder sync
+   * doesn't make the server happy, we don't want to spin.
+   */
+  this._folderSyncRequired = false;
+  this._generation = 0;
+  /**
+   * The foldersTOC listener installed by `_resumeWhenFoldersChange`, if any.
+   */
+  this._foldersChangeListener = null;
+}
+ActiveSyncPinger.prototype = {
+  setEnabled: function(enabled) {
+    if (enabled === this.enabled) {
+      return;
+    }
+    this.enabled = enabled;
+    let generation = ++this._generation;
+    logic(this, enabled ? 'enabled' : 'disabled');
+    this._stopWaitingForFolders();
+    if (enabled) {
+      this._pingLoop(generation);
+    }
+  },
+
+  shutdown: function() {
+    this.setEnabled(false);
+    this._backoffEndpoint.shutdown();
+  },
+
+  _isCurrent: function(generation) {
+    return this.enabled && generation === this._generation;
+  },
+
+  /**
+   * Pick the serverIds of the folders to Ping, inbox first so that it survives
+   * being trimmed to the server's MaxFolders.
+   */
+  _pickFolderServerIds: function() {
+    let account = this._account;
+    let folderInfos = [account.getFirstFolderWithType('inbox')];
+    for (let folderId of this._universe.getViewedFolderIds(account.id)) {
+      folderInfos.push(account.getFolderById(folderId));
+    }
+
+    let serverIds = new Set();
+    for (let folderInfo of folderInfos) {
+      // Local-only folders have no serverId.
+      if (folderInfo && folderInfo.serverId) {
+        serverIds.add(folderInfo.serverId);
+      }
+    }
+    let folderServerIds = Array.from(serverIds);
+    if (this._maxFolders) {
+      folderServerIds = folderServerIds.slice(0, this._maxFolders);
+    }
+    return folderServerIds;
+  },
+
+  /**
+   * Resume Pinging once the account's folders change.  Used when we have no
+   * folders we can Ping yet.
+   */
+  _resumeWhenFoldersChange: function(generation) {
+    this._stopWaitingForFolders();
+    let foldersTOC = this._account.foldersTOC;
+    let resume = () => {
+      this._stopWaitingForFolders();
+      if (this._isCurrent(generation)) {
+        this._pingLoop(generation);
+      }
+    };
+    foldersTOC.on('add', resume);
+    foldersTOC.on('change', resume);
+    foldersTOC.on('remove', resume);
+    this._foldersChangeListener = resume;
+  },
+
+  _stopWaitingForFolders: function() {
+    let resume = this._foldersChangeListener;
+    if (!resume) {
+      return;
+    }
+    let foldersTOC = this._account.foldersTOC;
+    foldersTOC.removeListener('add', resume);
+    foldersTOC.removeListener('change', resume);
+    foldersTOC.removeListener('remove', resume);
+    this._foldersChangeListener = null;
+  },
+
+  /**
+   * Issue Pings until we're disabled or something goes wrong.  Errors are
+   * handled by `_handleError`; nothing escapes.
+   */
+  _pingLoop: co.wrap(function*(generation) {
+    try {
+      while (this._isCurrent(generation)) {
+        let folderServerIds = this._pickFolderServerIds();
+        if (!folderServerIds.length) {
+          logic(this, 'noFoldersToPing');
+          this._resumeWhenFoldersChange(generation);
+          return;
+        }
+
+        let conn = yield this._account.ensureConnection();
+        if (!this._isCurrent(generation)) {
+          return;
+        }
+        let heartbeatSecs = this.heartbeatSecs;
+        logic(this, 'pinging',
+              { folderCount: folderServerIds.length, heartbeatSecs });
+        let result = yield* ping(conn, { folderServerIds, heartbeatSecs });
+        if (!this._isCurrent(generation)) {
+          return;
+        }
+
+        if (!(yield* this._handleResult(generation, result))) {
+          return;
+        }
+        this._backoffEndpoint.noteConnectSuccess();
+      }
+    } catch (err) {
+      this._handleError(generation, err);
+    }
+  }),
+
+  /**
+   * Process a Ping response, returning true if we should immediately issue
+   * another Ping.
+   */
+  _handleResult: function*(generation, result) {
+    let folderSyncWasRequired = this._folderSyncRequired;
+    this._folderSyncRequired =
+      result.status === ping.Status.FolderSyncRequired;
+    switch (result.status) {
+      case ping.Status.Expired:
+        this.heartbeatSecs = Math.min(
+          this.heartbeatSecs + ACTIVESYNC_PING_HEARTBEAT_STEP_SECS,
+          ACTIVESYNC_PING_HEARTBEAT_MAX_SECS);
+        return true;
+
+      case ping.Status.Changes: {
+        // Wait for the sync_refresh tasks to complete so that the server
+        // doesn't just report the same changes to our next Ping.
+        let refreshes = [];
+        for (let serverId of result.changedFolderServerIds) {
+          let folderInfo = this._account.getFolderByServerId(serverId);
+          if (folderInfo) {
+            refreshes.push(
+              this._universe.syncRefreshFolder(folderInfo.id, 'ping'));
+          }
+        }
+        logic(this, 'changes', { refreshCount: refreshes.length });
+        try {
+          yield Promise.all(refreshes);
+        } catch (ex) {
+          // The sync tasks take care of reporting their own problems.
+          logic(this, 'refreshFailed', { ex });
+        }
+        return true;
+      }
+
+      // (If the server doesn't tell us what it wants, trying again would just
+      // get us the same response, so we treat that as a bad status.)
+      case ping.Status.HeartbeatOutOfBounds:
+        if (result.heartbeatSecs) {
+          this.heartbeatSecs = result.heartbeatSecs;
+          return true;
+        }
+        break;
+
+      case ping.Status.TooManyFolders:
+        if (result.maxFolders) {
+          this._maxFolders = result.maxFolders;
+          return true;
+        }
+        break;
+
+      // The server won't take our Ping until we've resynchronized the folder
+      // hierarchy.  That may not change any folders, so we wait for the sync
+      // itself rather than for foldersTOC to tell us about changes.  If the
+      // server still isn't happy after a sync, something's wrong that syncing
+      // won't fix, so we treat it like any other failure and back off.
+      case ping.Status.FolderSyncRequired:
+        if (folderSyncWasRequired) {
+          logic(this, 'folderSyncStillRequired');
+          this._retryAfterFailure(generation, true);
+          return false;
+        }
+        yield this._universe.syncFolderList(this._account.id, 'ping');
+        return true;
+
+      default:
+        break;
+    }
+
+    logic(this, 'badStatus', { status: result.status });
+    // The server is talking to us but doesn't like what we're saying; there's
+    // no point trying again.
+    this._backoffEndpoint.noteConnectFailureMaybeRetry(true);
+    return false;
+  },
+
+  _handleError: function(generation, err) {
+    if (!this._isCurrent(generation)) {
+      return;
+    }
+    logic(this, 'pingError', { err });
+
+    // Don't keep trying bad credentials.  (ensureConnection already reported
+    // the problem if it was the one to find out about it.)
+    if (err === 'bad-user-or-pass' ||
+        this._account._isBadUserOrPassError(err)) {
+      this._account._reportErrorIfNecessary(err);
+      this._backoffEndpoint.noteBrokenConnection();
+      return;
+    }
+
+    let reachable;
+    if (typeof err === 'string') {
+      reachable = errorutils.wasErrorFromReachableState(err);
+    } else if (isNetworkError(err)) {
+      reachable = false;
+      this.heartbeatSecs = Math.max(
+        Math.floor(this.heartbeatSecs / 2),
+        ACTIVESYNC_PING_HEARTBEAT_MIN_SECS);
+    } else {
+      reachable = true;
+    }
+    this._retryAfterFailure(generation, reachable);
+  },
+
+  /**
+   * Tell our backoff endpoint about a failure and resume the ping loop when
+   * it says to, if it doesn't tell us to give up.
+   */
+  _retryAfterFailure: function(generation, reachable) {
+    if (this._backoffEndpoint.noteConnectFailureMaybeRetry(reachable)) {
+      this._backoffEndpoint.scheduleConnectAttempt(() => {
+        if (this._isCurrent(generation)) {
+          this._pingLoop(generation);
+        }
+      });
+    } else {
+      logic(this, 'givingUp');
+    }
+  }
+};
+
+return ActiveSyncPinger;
+});
@@ -0,0 +1,97 @@
+define(function(require) {
+'use strict';
+
+const $wbxml = require('wbxml');
+const $AirSync = require('activesync/codepages/AirSync');
+const as = $AirSync.Tags;
+const { Tags: asb, Enums: asbEnum } =
+  require('activesync/codepages/AirSyncBase');
+
+/**
+ * Add a message to a folder by uploading its MIME representation with a Sync
+ * Add command.  ActiveSync has no notion of copying a message, so this plus
+ * fetching the MIME of the source message is how we copy.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {String} args.folderServerId
+ * @param {String} args.folderSyncKey
+ * @param {String} args.clientId
+ *   A client-allocated identifier that the server echoes back so the response
+ *   can be correlated with the request.  Only needs to be unique within the
+ *   request.
+ * @param {String} args.mimeContent
+ *
+ * @return {{ syncKey, serverId }}
+ */
+function* addMessage(
+  conn, { folderServerId, folderSyncKey, clientId, mimeContent }) {
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(as.Sync)
+     .stag(as.Collections)
+       .stag(as.Collection);
+
+  if (conn.currentVersion.lt('12.1')) {
+        w.tag(as.Class, 'Email');
+  }
+
+        w.tag(as.SyncKey, folderSyncKey)
+         .tag(as.CollectionId, folderServerId)
+         .tag(as.GetChanges, '0')
+         .stag(as.Commands)
+           .stag(as.Add)
+             .tag(as.ClientId, clientId)
+             .stag(as.ApplicationData)
+               .stag(asb.Body)
+                 .tag(asb.Type, asbEnum.Type.MIME)
+                 .tag(asb.Data, mimeContent)
+               .etag(asb.Body)
+             .etag(as.ApplicationData)
+           .etag(as.Add)
+         .etag(as.Commands)
+       .etag(as.Collection)
+     .etag(as.Collections)
+   .etag(as.Sync);
+
+  let response = yield conn.postCommand(w);
+
+  let e = new $wbxml.EventParser();
+  let newSyncKey, status, addStatus, serverId;
+
+  let base = [as.Sync, as.Collections, as.Collection];
+  e.addEventListener(base.concat(as.SyncKey), function(node) {
+    newSyncKey = node.children[0].textContent;
+  });
+  e.addEventListener(base.concat(as.Status), function(node) {
+    status = node.children[0].textContent;
+  });
+  let addBase = base.concat(as.Responses, as.Add);
+  e.addEventListener(addBase.concat(as.ServerId), function(node) {
+    serverId = node.children[0].textContent;
+  });
+  e.addEventListener(addBase.concat(as.Status), function(node) {
+    addStatus = node.children[0].textContent;
+  });
+
+  try {
+    e.run(response);
+  }
+  catch (ex) {
+    console.error('Error parsing Sync add response:', ex, '\n',
+                  ex.stack);
+    throw 'unknown';
+  }
+
+  if (status === $AirSync.Enums.Status.Success &&
+      addStatus === $AirSync.Enums.Status.Success && serverId) {
+    return { syncKey: newSyncKey, serverId };
+  }
+  else {
+    console.error('Sync add failed with status ' + status + ' and add ' +
+                  'status ' + addStatus);
+    throw 'unknown';
+  }
+}
+
+return addMessage;
+});
@@ -4,49 +4,6 @@ define(function(require) {
 const $wbxml = require('wbxml');
 const ASCP = require('activesync/codepages');
 
-/**
- * ORPHANED COMMENT FROM ActiveSyncAccount.  Repurpose when hooking this up.
- *
- * Create a folder that is the child/descendant of the given parent folder.
- * If no parent folder id is provided, we attempt to create a root folder.
- *
- * NOTE: This function is currently unused.  It might have been used for
- * testing at some point.  It will be used again someday but should not be
- * assumed to actually work when that day comes.
- *
- * @args[
- *   @param[parentFolderId String]
- *   @param[folderName]
- *   @param[containOnlyOtherFolders Boolean]{
- *     Should this folder only contain other folders (and no messages)?
- *     On some servers/backends, mail-bearing folders may not be able to
- *     create sub-folders, in which case one would have to pass this.
- *   }
- *   @param[callback @func[
- *     @args[
- *       @param[error @oneof[
- *         @case[null]{
- *           No error, the folder got created and everything is awesome.
- *         }
- *         @case['offline']{
- *           We are offline and can't create the folder.
- *         }
- *         @case['already-exists']{
- *           The folder appears to already exist.
- *         }
- *         @case['unknown']{
- *           It didn't work and we don't have a better reason.
- *         }
- *       ]]
- *       @param[folderMeta ImapFolderMeta]{
- *         The meta-information for the folder.
- *       }
- *     ]
- *   ]]{
- *   }
- * ]
- */
-
 /**
  * Create a folder
  *
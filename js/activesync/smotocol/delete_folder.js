@@ -52,6 +52,9 @@ function* deleteFolder(conn, args) {
   if (status === fhStatus.Success) {
     return { serverId, folderSyncKey: newFolderSyncKey };
   }
+  else if (status === fhStatus.FolderNotFound) {
+    throw 'no-such-folder';
+  }
   else {
     throw 'unknown';
   }
@@ -0,0 +1,204 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { ReadableStream } = require('streams');
+
+const $wbxml = require('wbxml');
+const ASCP = require('activesync/codepages');
+const { Tags: io, Enums: ioEnum } =
+  require('activesync/codepages/ItemOperations');
+const { Tags: asb } = require('activesync/codepages/AirSyncBase');
+
+const { MultipartStream } = require('../activesync-streams');
+const BlobTransformStream = require('../../streamy/blob_transform_stream');
+const readAllChunks = require('../../streamy/read_all_chunks');
+const { concatBuffers } = require('../../util');
+
+/**
+ * Download attachments (and related parts) by their FileReference using a
+ * single ItemOperations Fetch request for 12.0 and higher servers.  We ask for
+ * a multipart response (see `MultipartStream`) so that the attachments arrive
+ * as binary rather than base64 in the WBXML, and we process them as the
+ * response streams in.
+ *
+ * The first multipart part is the WBXML response which tells us which of the
+ * other parts is which attachment, and each of those parts is the attachment's
+ * raw bytes.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {AttachmentInfo[]} args.parts
+ *   The parts to download.  Their `part` is their FileReference.
+ * @param {Number} args.saveChunkSize
+ *   How many bytes to accumulate before handing them over as a Blob.
+ *
+ * @return {ReadableStream}
+ *   A stream of { relId, blobCount, blob, done } as described by
+ *   mix_download.js.  If the server couldn't give us some of the parts, the
+ *   stream errors after we've provided the ones it could.
+ */
+function downloadAttachments(conn, { parts, saveChunkSize }) {
+  let partsByFileReference = new Map();
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(io.ItemOperations);
+  for (let part of parts) {
+    partsByFileReference.set(part.part, part);
+    w.stag(io.Fetch)
+       .tag(io.Store, 'Mailbox')
+       .tag(asb.FileReference, part.part)
+     .etag();
+  }
+  w.etag();
+
+  // The controller of the stream we return, and how we error it.  (Only once;
+  // both the request failing and our parsing can want to.)
+  let out = null;
+  let failed = false;
+  let fail = (err) => {
+    if (!failed) {
+      failed = true;
+      out.error(err);
+    }
+  };
+
+  // We get the response in chunks as it arrives (via XHR's
+  // moz-chunked-arraybuffer) and feed them to the MultipartStream.
+  let multipartStream = new MultipartStream();
+  conn.postCommand(
+    w,
+    {
+      extraHeaders: { 'MS-ASAcceptMultiPart': 'T' },
+      downloadProgress: (bytesLoaded, bytesTotal, data) => {
+        multipartStream.writable.write(new Uint8Array(data));
+      }
+    })
+  .then(
+    () => {
+      multipartStream.writable.close();
+    },
+    (err) => {
+      logic(conn, 'downloadAttachmentsError', { err });
+      multipartStream.onerror('unknown');
+      // Erroring the writable side never ends the readable side we're reading
+      // from, so error our stream ourselves and stop reading.
+      fail('unknown');
+      multipartReader.cancel();
+    });
+
+  let multipartReader = multipartStream.readable.getReader();
+
+  return new ReadableStream({
+    start(controller) {
+      out = controller;
+      co(function*() {
+        // -- Parse the WBXML response to map multipart parts to attachments
+        let { value: responsePart, done } = yield multipartReader.read();
+        if (done) {
+          throw 'unknown';
+        }
+        let responseBytes =
+          concatBuffers(...(yield readAllChunks(responsePart.partStream)));
+
+        let status;
+        let failedFileReferences = [];
+        let partsByPartIndex = new Map();
+
+        let e = new $wbxml.EventParser();
+        e.addEventListener([io.ItemOperations, io.Status], function(node) {
+          status = node.children[0].textContent;
+        });
+        e.addEventListener([io.ItemOperations, io.Response, io.Fetch],
+                           function(node) {
+          let fetchStatus, fileReference, partIndex = null;
+          for (let child of node.children) {
+            switch (child.tag) {
+              case io.Status:
+                fetchStatus = child.children[0].textContent;
+                break;
+              case asb.FileReference:
+                fileReference = child.children[0].textContent;
+                break;
+              case io.Properties:
+                for (let grandchild of child.children) {
+                  if (grandchild.tag === io.Part) {
+                    partIndex =
+                      parseInt(grandchild.children[0].textContent, 10);
+                  }
+                }
+                break;
+              default:
+                break;
+            }
+          }
+
+          if (fetchStatus !== ioEnum.Status.Success || partIndex === null) {
+            failedFileReferences.push(fileReference);
+          } else {
+            partsByPartIndex.set(
+              partIndex, partsByFileReference.get(fileReference));
+          }
+        });
+
+        try {
+          e.run(new $wbxml.Reader(responseBytes, ASCP));
+        }
+        catch (ex) {
+          console.error('Error parsing ItemOperations response:', ex, '\n',
+                        ex.stack);
+          throw 'unknown';
+        }
+
+        if (status !== ioEnum.Status.Success) {
+          logic(conn, 'downloadAttachmentsFailed', { status });
+          throw 'unknown';
+        }
+
+        // -- Stream out the attachments as their parts arrive
+        for (;;) {
+          let { value, done: allPartsDone } = yield multipartReader.read();
+          if (allPartsDone || failed) {
+            break;
+          }
+          let { partIndex, partStream } = value;
+          let part = partsByPartIndex.get(partIndex);
+          if (!part) {
+            logic(conn, 'unexpectedMultipartPart', { partIndex });
+            yield readAllChunks(partStream);
+            continue;
+          }
+
+          let blobReader = partStream.pipeThrough(
+            new BlobTransformStream({ saveChunkSize, mimeType: part.type })
+          ).getReader();
+          let blobCount = 0;
+          for (;;) {
+            let { value: blob, done: partDone } = yield blobReader.read();
+            if (partDone) {
+              break;
+            }
+            out.enqueue({ relId: part.relId, blobCount: blobCount++, blob,
+                          done: false });
+          }
+          out.enqueue({ relId: part.relId, blobCount, blob: null,
+                        done: true });
+        }
+
+        if (failed) {
+          return;
+        }
+        if (failedFileReferences.length) {
+          logic(conn, 'someAttachmentsFailed',
+                { count: failedFileReferences.length });
+          throw 'unknown';
+        }
+        out.close();
+      }).catch(fail);
+    }
+  });
+}
+
+return downloadAttachments;
+});
@@ -0,0 +1,63 @@
+define(function(require) {
+'use strict';
+
+const $wbxml = require('wbxml');
+const { Tags: mo, Enums: moEnum } = require('activesync/codepages/Move');
+
+/**
+ * Move a message from one folder to another.  Unlike the Sync command, this
+ * does not involve the folder sync keys.  The server assigns the message a new
+ * serverId in the target folder, which we return.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {String} args.messageServerId
+ * @param {String} args.sourceFolderServerId
+ * @param {String} args.targetFolderServerId
+ *
+ * @return {{ serverId }}
+ */
+function* moveItems(
+  conn, { messageServerId, sourceFolderServerId, targetFolderServerId }) {
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(mo.MoveItems)
+     .stag(mo.Move)
+       .tag(mo.SrcMsgId, messageServerId)
+       .tag(mo.SrcFldId, sourceFolderServerId)
+       .tag(mo.DstFldId, targetFolderServerId)
+     .etag(mo.Move)
+   .etag(mo.MoveItems);
+
+  let response = yield conn.postCommand(w);
+
+  let e = new $wbxml.EventParser();
+  let status, serverId;
+
+  let base = [mo.MoveItems, mo.Response];
+  e.addEventListener(base.concat(mo.Status), function(node) {
+    status = node.children[0].textContent;
+  });
+  e.addEventListener(base.concat(mo.DstMsgId), function(node) {
+    serverId = node.children[0].textContent;
+  });
+
+  try {
+    e.run(response);
+  }
+  catch (ex) {
+    console.error('Error parsing MoveItems response:', ex, '\n',
+                  ex.stack);
+    throw 'unknown';
+  }
+
+  if (status === moEnum.Status.Success) {
+    return { serverId };
+  }
+  else {
+    console.error('MoveItems failed with status: ' + status);
+    throw 'unknown';
+  }
+}
+
+return moveItems;
+});
@@ -0,0 +1,104 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+
+const $wbxml = require('wbxml');
+const { Tags: pi } = require('activesync/codepages/Ping');
+
+/**
+ * Ping's Status values.  (The codepage doesn't define enums for them.)
+ */
+const Status = {
+  // The heartbeat expired without any changes.
+  Expired: '1',
+  // Some of the folders changed; they're listed in the response.
+  Changes: '2',
+  MissingParameters: '3',
+  SyntaxError: '4',
+  // The response's HeartbeatInterval is the closest value the server allows.
+  HeartbeatOutOfBounds: '5',
+  // The response's MaxFolders is how many folders the server allows.
+  TooManyFolders: '6',
+  FolderSyncRequired: '7',
+  ServerError: '8'
+};
+
+/**
+ * Issue a Ping request that the server holds onto until one of the folders
+ * changes or the heartbeat interval passes, whichever comes first.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {String[]} args.folderServerIds
+ * @param {Number} args.heartbeatSecs
+ *
+ * @return {{ status, changedFolderServerIds, heartbeatSecs, maxFolders }}
+ *   `changedFolderServerIds` is only populated for `Status.Changes`.
+ *   `heartbeatSecs` and `maxFolders` are only non-null if the server told us
+ *   its limits.
+ */
+function* ping(conn, { folderServerIds, heartbeatSecs }) {
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(pi.Ping)
+     .tag(pi.HeartbeatInterval, heartbeatSecs)
+     .stag(pi.Folders);
+
+  for (let folderServerId of folderServerIds) {
+       w.stag(pi.Folder)
+          .tag(pi.Id, folderServerId)
+          .tag(pi.Class, 'Email')
+        .etag();
+  }
+
+     w.etag(pi.Folders)
+   .etag(pi.Ping);
+
+  // The server holds onto the request for up to the heartbeat, so our usual
+  // request timeout won't do.
+  let response = yield conn.postCommand(
+    w,
+    {
+      timeout: (heartbeatSecs + 30) * 1000
+    });
+
+  let e = new $wbxml.EventParser();
+  let status;
+  let changedFolderServerIds = [];
+  let serverHeartbeatSecs = null;
+  let maxFolders = null;
+
+  e.addEventListener([pi.Ping, pi.Status], function(node) {
+    status = node.children[0].textContent;
+  });
+  e.addEventListener([pi.Ping, pi.Folders, pi.Folder], function(node) {
+    changedFolderServerIds.push(node.children[0].textContent);
+  });
+  e.addEventListener([pi.Ping, pi.HeartbeatInterval], function(node) {
+    serverHeartbeatSecs = parseInt(node.children[0].textContent, 10);
+  });
+  e.addEventListener([pi.Ping, pi.MaxFolders], function(node) {
+    maxFolders = parseInt(node.children[0].textContent, 10);
+  });
+
+  try {
+    e.run(response);
+  }
+  catch (ex) {
+    console.error('Error parsing Ping response:', ex, '\n', ex.stack);
+    throw 'unknown';
+  }
+
+  logic(conn, 'ping', { status, changedCount: changedFolderServerIds.length });
+  return {
+    status,
+    changedFolderServerIds,
+    heartbeatSecs: serverHeartbeatSecs,
+    maxFolders
+  };
+}
+
+ping.Status = Status;
+
+return ping;
+});
@@ -0,0 +1,133 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+
+const $wbxml = require('wbxml');
+const { Tags: se, Enums: seEnum } = require('activesync/codepages/Search');
+const { Tags: as } = require('activesync/codepages/AirSync');
+const { Tags: asb, Enums: asbEnum } =
+  require('activesync/codepages/AirSyncBase');
+const { Tags: em } = require('activesync/codepages/Email');
+
+const parseFullMessage = require('./parse_full_message');
+
+/**
+ * Search the messages of a folder using the Search command's "Mailbox" store,
+ * which requires a 12.0+ server.  We ask for the bodies too (as HTML, which the
+ * server will convert to if needed) because the results are identified by
+ * LongIds that are only good until our next Search request, so we can't come
+ * back for them later.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {String} args.folderServerId
+ * @param {String} args.freeText
+ *   The words to search for.
+ * @param {DateMS} [args.before]
+ *   Only find messages received before this date.
+ * @param {Number} args.maxResults
+ * @param {Function} args.issueIds
+ *   See `enumerateFolderChanges`.
+ *
+ * @return {{ total, results: Array<{ message, bodyContent, truncated }> }}
+ *   The `total` is the number of messages the server found, of which we got
+ *   the first (newest) `maxResults`.  The `bodyContent` is null if the server
+ *   didn't send one.
+ */
+function* searchMailbox(
+  conn, { folderServerId, freeText, before, maxResults, issueIds }) {
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(se.Search)
+     .stag(se.Store)
+       .tag(se.Name, 'Mailbox')
+       .stag(se.Query)
+         .stag(se.And)
+           .tag(as.Class, 'Email')
+           .tag(as.CollectionId, folderServerId)
+           .tag(se.FreeText, freeText);
+
+  if (before) {
+          w.stag(se.LessThan)
+             .tag(em.DateReceived)
+             .tag(se.Value, new Date(before).toISOString())
+           .etag();
+  }
+
+        w.etag(se.And)
+       .etag(se.Query)
+       .stag(se.Options)
+         .tag(se.RebuildResults)
+         .tag(se.Range, '0-' + (maxResults - 1))
+         .stag(asb.BodyPreference)
+           .tag(asb.Type, asbEnum.Type.HTML)
+         .etag()
+       .etag(se.Options)
+     .etag(se.Store)
+   .etag(se.Search);
+
+  let response = yield conn.postCommand(w);
+
+  let e = new $wbxml.EventParser();
+  let base = [se.Search, se.Response, se.Store];
+
+  let status, storeStatus;
+  let total = 0;
+  let results = [];
+
+  e.addEventListener([se.Search, se.Status], function(node) {
+    status = node.children[0].textContent;
+  });
+  e.addEventListener(base.concat(se.Status), function(node) {
+    storeStatus = node.children[0].textContent;
+  });
+  e.addEventListener(base.concat(se.Total), function(node) {
+    total = parseInt(node.children[0].textContent, 10);
+  });
+  // (A search with no hits still has a single, empty Result.)
+  e.addEventListener(base.concat(se.Result, se.Properties), function(node) {
+    let bodyContent = null;
+    let truncated = false;
+    for (let child of node.children) {
+      if (child.tag !== asb.Body) {
+        continue;
+      }
+      for (let grandchild of child.children) {
+        if (grandchild.tag === asb.Data && grandchild.children.length) {
+          bodyContent = grandchild.children[0].textContent;
+        } else if (grandchild.tag === asb.Truncated) {
+          truncated = grandchild.children.length > 0 &&
+                      grandchild.children[0].textContent === '1';
+        }
+      }
+    }
+
+    try {
+      let message = parseFullMessage(node, issueIds());
+      results.push({ message, bodyContent, truncated });
+    }
+    catch (ex) {
+      // If we get an error, just log it and skip this message.
+      console.error('Failed to parse a search result:', ex, '\n', ex.stack);
+    }
+  });
+
+  try {
+    e.run(response);
+  }
+  catch (ex) {
+    console.error('Error parsing Search response:', ex, '\n', ex.stack);
+    throw 'unknown';
+  }
+
+  if (status !== seEnum.Status.Success ||
+      (storeStatus && storeStatus !== seEnum.Status.Success)) {
+    logic(conn, 'searchFailed', { status, storeStatus });
+    throw 'unknown';
+  }
+
+  return { total, results };
+}
+
+return searchMailbox;
+});
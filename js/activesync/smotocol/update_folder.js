@@ -0,0 +1,71 @@
+define(function(require) {
+'use strict';
+
+const $wbxml = require('wbxml');
+const ASCP = require('activesync/codepages');
+
+/**
+ * Rename and/or move a folder.  FolderUpdate always specifies both the name and
+ * the parent, so this handles both cases.
+ *
+ * @param {ActiveSyncConnection} conn
+ * @param {Object} args
+ * @param {FolderSyncKey} args.folderSyncKey
+ *   The sync key we use for FolderSync purposes on this account.  Note that
+ *   this value should be replaced with the returned updated folderSyncKey.
+ * @param {ActivesyncFolderServerId} args.serverId
+ * @param {ActivesyncFolderServerId} args.parentFolderServerId
+ *   The serverId of the (new) parent folder or '0' for the top-level.
+ * @param {String} args.folderName
+ *
+ * @return {{ folderSyncKey }}
+ */
+function* updateFolder(conn, args) {
+  const fh = ASCP.FolderHierarchy.Tags;
+  const fhStatus = ASCP.FolderHierarchy.Enums.Status;
+
+  let w = new $wbxml.Writer('1.3', 1, 'UTF-8');
+  w.stag(fh.FolderUpdate)
+     .tag(fh.SyncKey, args.folderSyncKey)
+     .tag(fh.ServerId, args.serverId)
+     .tag(fh.ParentId, args.parentFolderServerId)
+     .tag(fh.DisplayName, args.folderName)
+   .etag();
+
+  let response = yield conn.postCommand(w);
+
+  let e = new $wbxml.EventParser();
+  let status, newFolderSyncKey;
+
+  e.addEventListener([fh.FolderUpdate, fh.Status], function(node) {
+    status = node.children[0].textContent;
+  });
+  e.addEventListener([fh.FolderUpdate, fh.SyncKey], function(node) {
+    newFolderSyncKey = node.children[0].textContent;
+  });
+
+  try {
+    e.run(response);
+  }
+  catch (ex) {
+    console.error('Error parsing FolderUpdate response:', ex, '\n',
+                  ex.stack);
+    throw 'unknown';
+  }
+
+  if (status === fhStatus.Success) {
+    return { folderSyncKey: newFolderSyncKey };
+  }
+  else if (status === fhStatus.FolderExists) {
+    throw 'already-exists';
+  }
+  else if (status === fhStatus.FolderNotFound) {
+    throw 'no-such-folder';
+  }
+  else {
+    throw 'unknown';
+  }
+}
+
+return updateFolder;
+});
@@ -0,0 +1,120 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../folder_sync_state_helper');
+
+const { Enums: asbEnum } = require('activesync/codepages/AirSyncBase');
+
+const downloadBody = require('../smotocol/download_body');
+const addMessage = require('../smotocol/add_message');
+
+const { convIdFromMessageId } = require('../../id_conversions');
+
+/**
+ * ActiveSync copy.  There's no copy command, so we fetch the MIME
+ * representation of the source message and upload it to the target folder.
+ * Fetching MIME via ItemOperations requires a 12.0+ server and a serverId; on
+ * older servers we drop our local copy.  (Messages from server search results
+ * have no serverId, but planning refuses to copy them since they're
+ * `readOnly`.)
+ *
+ * @see MixCopyMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_copy'),
+  {
+    name: 'copy',
+
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { umidCopies } = persistentState;
+      let { umid } = marker;
+      let { sourceUmid, targetFolderId } = umidCopies.get(umid);
+
+      let account = yield ctx.universe.acquireAccount(ctx, marker.accountId);
+
+      // -- Does the copy still exist locally?  (It may have been undone.)
+      let copyMessageId = yield ctx.readSingle('umidNames', umid);
+      let location = yield ctx.readSingle('umidLocations', sourceUmid);
+      // (The target folder may have been deleted since we planned the copy.)
+      let targetFolderInfo = account.getFolderById(targetFolderId);
+
+      let conn;
+      if (copyMessageId && location && location[1] && targetFolderInfo) {
+        conn = yield account.ensureConnection();
+      }
+
+      if (!conn || conn.currentVersion.lt('12.0')) {
+        let newTasks = null;
+        if (copyMessageId) {
+          logic(ctx, 'copyImpossible', { umid, hadLocation: !!location });
+          newTasks = [{
+            type: 'sync_conv',
+            accountId: marker.accountId,
+            convId: convIdFromMessageId(copyMessageId),
+            modifiedUmids: null,
+            removedUmids: new Set([umid])
+          }];
+        } else {
+          logic(ctx, 'copyMoot', { umid });
+        }
+        umidCopies.delete(umid);
+        yield ctx.finishTask({
+          newData: {
+            tasks: newTasks
+          },
+          complexTaskState: persistentState
+        });
+        return;
+      }
+
+      let [sourceFolderId, messageServerId] = location;
+      let sourceFolderInfo = account.getFolderById(sourceFolderId);
+
+      // -- Fetch the MIME
+      let { bodyContent: mimeContent } = yield* downloadBody(
+        conn,
+        {
+          folderServerId: sourceFolderInfo.serverId,
+          messageServerId,
+          bodyType: asbEnum.Type.MIME
+        });
+
+      // -- Exclusive access to the target sync state needed for the syncKey
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[targetFolderId, null]])
+      });
+      let syncState = new FolderSyncStateHelper(
+        ctx, fromDb.syncStates.get(targetFolderId), marker.accountId,
+        targetFolderId);
+
+      // -- Upload it
+      let { syncKey, serverId } = yield* addMessage(
+        conn,
+        {
+          folderServerId: targetFolderInfo.serverId,
+          folderSyncKey: syncState.syncKey,
+          clientId: umid,
+          mimeContent
+        });
+      syncState.syncKey = syncKey;
+      syncState.adoptMovedMessage(serverId, umid);
+
+      // - Success, clean up state.
+      umidCopies.delete(umid);
+
+      yield ctx.finishTask({
+        mutations: {
+          syncStates: new Map([[targetFolderId, syncState.rawSyncState]]),
+          umidLocations: syncState.umidLocationWrites
+        },
+        complexTaskState: persistentState
+      });
+    })
+  }
+]);
+});
@@ -0,0 +1,40 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const downloadAttachments = require('../smotocol/download_attachments');
+
+const { BYTES_PER_BLOB_CHUNK } = require('../../syncbase');
+
+/**
+ * Attachments are downloaded by their FileReference, so unlike IMAP we don't
+ * need to know where the message lives.  (Which is good, since messages from
+ * server search results don't have a serverId.)
+ *
+ * ItemOperations requires a 12.0+ server.  2.5 servers have GetAttachment,
+ * which we don't speak.
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_download'),
+  {
+    downloadParts: co.wrap(function*(ctx, account, messageInfo, parts) {
+      let conn = yield account.ensureConnection();
+      if (conn.currentVersion.lt('12.0')) {
+        logic(ctx, 'downloadUnsupported', { version: conn.currentVersion });
+        throw 'unknown';
+      }
+
+      return downloadAttachments(
+        conn,
+        {
+          parts,
+          saveChunkSize: BYTES_PER_BLOB_CHUNK
+        });
+    }),
+  }
+]);
+});
@@ -0,0 +1,48 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const { Enums: asbEnum } = require('activesync/codepages/AirSyncBase');
+
+const downloadBody = require('../smotocol/download_body');
+
+/**
+ * ActiveSync gets the raw message by asking ItemOperations for the MIME body
+ * type, just like copy does.  That requires a 12.0+ server, so older servers
+ * can't forward as an attachment, and a serverId, so neither can messages that
+ * came from server search results.
+ */
+return TaskDefiner.defineSimpleTask([
+  require('../../task_mixins/mix_draft_attach_original'),
+  {
+    fetchRawMessage: co.wrap(function*(ctx, account, messageInfo) {
+      // The message may have been deleted since the forward started.
+      let location = yield ctx.readSingle('umidLocations', messageInfo.umid);
+      if (!location) {
+        return null;
+      }
+      let [folderId, messageServerId] = location;
+      let folderInfo = account.getFolderById(folderId);
+      if (!messageServerId || !folderInfo) {
+        return null;
+      }
+      let conn = yield account.ensureConnection();
+      if (conn.currentVersion.lt('12.0')) {
+        return null;
+      }
+
+      let { bodyContent: mimeContent } = yield* downloadBody(
+        conn,
+        {
+          folderServerId: folderInfo.serverId,
+          messageServerId,
+          bodyType: asbEnum.Type.MIME
+        });
+      return new Blob([mimeContent], { type: 'message/rfc822' });
+    })
+  }
+]);
+});
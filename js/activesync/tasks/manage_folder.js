@@ -0,0 +1,118 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const AccountSyncStateHelper = require('../account_sync_state_helper');
+
+const createFolder = require('../smotocol/create_folder');
+const updateFolder = require('../smotocol/update_folder');
+const deleteFolder = require('../smotocol/delete_folder');
+
+/**
+ * ActiveSync folder creation/rename/move/delete via FolderCreate, FolderUpdate
+ * and FolderDelete.  All of these consume and update the FolderSync key which
+ * lives in the account sync state, so we hold that for the duration.
+ *
+ * Unlike IMAP we can't tell whether a folder's name or parent differ from what
+ * the server has, but FolderUpdate is idempotent so we just always issue it
+ * for pending folders that already exist on the server.
+ *
+ * @see MixManageFolderMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_manage_folder'),
+  {
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { pendingFolders } = persistentState;
+      let { folderId, accountId } = marker;
+      let pending = pendingFolders.get(folderId);
+
+      let account = yield ctx.universe.acquireAccount(ctx, accountId);
+      let foldersTOC = account.foldersTOC;
+      let conn = yield account.ensureConnection();
+
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[accountId, null]])
+      });
+      let syncState = new AccountSyncStateHelper(
+        ctx, fromDb.syncStates.get(accountId), accountId);
+
+      let modifiedFolders = new Map();
+
+      if (pending.deleted) {
+        try {
+          syncState.hierarchySyncKey = (yield* deleteFolder(
+            conn,
+            {
+              folderSyncKey: syncState.hierarchySyncKey,
+              serverId: pending.serverId
+            })).folderSyncKey;
+        } catch (ex) {
+          // Someone else already deleted it?  That's what we wanted.
+          if (ex !== 'no-such-folder') {
+            throw ex;
+          }
+          logic(ctx, 'deleteMoot', { folderId });
+        }
+        syncState.removedFolder(pending.serverId);
+      } else if (!foldersTOC.foldersById.has(folderId)) {
+        // The server deleted it out from under us and folder list sync noticed.
+        logic(ctx, 'folderGone', { folderId });
+      } else {
+        let folderInfo = foldersTOC.foldersById.get(folderId);
+        let parentInfo = folderInfo.parentId ?
+          foldersTOC.foldersById.get(folderInfo.parentId) : null;
+
+        // - Create the parent chain and/or the folder if they're local-only.
+        let toCreate = this._findFoldersToCreate(foldersTOC, parentInfo);
+        let needsUpdate = !!folderInfo.serverId;
+        if (!folderInfo.serverId) {
+          toCreate.push(folderInfo);
+        }
+        for (let createInfo of toCreate) {
+          let createParentInfo = createInfo.parentId ?
+            foldersTOC.foldersById.get(createInfo.parentId) : null;
+          let { serverId, folderSyncKey } = yield* createFolder(
+            conn,
+            {
+              folderSyncKey: syncState.hierarchySyncKey,
+              parentFolderServerId:
+                createParentInfo ? createParentInfo.serverId : '0',
+              folderName: createInfo.name
+            });
+          syncState.hierarchySyncKey = folderSyncKey;
+          createInfo.serverId = serverId;
+          syncState.addedFolder(createInfo);
+          modifiedFolders.set(createInfo.id, createInfo);
+        }
+
+        // - Rename/move it if it already existed.
+        if (needsUpdate) {
+          syncState.hierarchySyncKey = (yield* updateFolder(
+            conn,
+            {
+              folderSyncKey: syncState.hierarchySyncKey,
+              serverId: folderInfo.serverId,
+              parentFolderServerId: parentInfo ? parentInfo.serverId : '0',
+              folderName: folderInfo.name
+            })).folderSyncKey;
+        }
+      }
+
+      pendingFolders.delete(folderId);
+
+      yield ctx.finishTask({
+        mutations: {
+          folders: modifiedFolders,
+          syncStates: new Map([[accountId, syncState.rawSyncState]])
+        },
+        complexTaskState: persistentState
+      });
+    })
+  }
+]);
+});
@@ -0,0 +1,133 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../folder_sync_state_helper');
+
+const moveItems = require('../smotocol/move_items');
+const modifyFolderMessages = require('../smotocol/modify_folder_messages');
+
+/**
+ * ActiveSync move/trash.  Moves use MoveItems, which gives the message a new
+ * serverId in the target folder.  Deletion of messages already in the trash is
+ * a (non-DeletesAsMoves) Sync Delete.
+ *
+ * @see MixMoveMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_move'),
+  {
+    name: 'move',
+
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { umidMoves } = persistentState;
+      let { umid } = marker;
+      let { targetFolderId } = umidMoves.get(umid);
+
+      let account = yield ctx.universe.acquireAccount(ctx, marker.accountId);
+
+      // -- Where does the message currently live on the server?
+      let location = yield ctx.readSingle('umidLocations', umid);
+      if (!location || location[0] === targetFolderId) {
+        logic(ctx, 'moveMoot', { umid, hadLocation: !!location });
+        umidMoves.delete(umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+      let [sourceFolderId, messageServerId] = location;
+      // Messages from server search results have no serverId.  Planning
+      // refuses to move them (they're `readOnly`), so this shouldn't happen,
+      // but there'd be nothing we could do.
+      if (!messageServerId) {
+        logic(ctx, 'noServerId', { umid });
+        umidMoves.delete(umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+      let sourceFolderInfo = account.getFolderById(sourceFolderId);
+      let targetFolderInfo =
+        targetFolderId ? account.getFolderById(targetFolderId) : null;
+      // The target folder may have been deleted since we planned the move.
+      if (targetFolderId && !targetFolderInfo) {
+        logic(ctx, 'noTargetFolder', { umid, targetFolderId });
+        umidMoves.delete(umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+
+      let conn = yield account.ensureConnection();
+
+      let syncStateWrites = new Map();
+      let umidLocationWrites;
+      if (targetFolderId) {
+        let { serverId: targetServerId } = yield* moveItems(
+          conn,
+          {
+            messageServerId,
+            sourceFolderServerId: sourceFolderInfo.serverId,
+            targetFolderServerId: targetFolderInfo.serverId
+          });
+
+        let fromDb = yield ctx.beginMutate({
+          syncStates: new Map([[sourceFolderId, null], [targetFolderId, null]])
+        });
+        let sourceSyncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(sourceFolderId), marker.accountId,
+          sourceFolderId);
+        let targetSyncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(targetFolderId), marker.accountId,
+          targetFolderId);
+
+        sourceSyncState.forgetMovedMessage(messageServerId);
+        targetSyncState.adoptMovedMessage(targetServerId, umid);
+
+        syncStateWrites.set(sourceFolderId, sourceSyncState.rawSyncState);
+        syncStateWrites.set(targetFolderId, targetSyncState.rawSyncState);
+        umidLocationWrites = targetSyncState.umidLocationWrites;
+      } else {
+        // -- Exclusive access to the sync state needed for the folder syncKey
+        let fromDb = yield ctx.beginMutate({
+          syncStates: new Map([[sourceFolderId, null]])
+        });
+        let syncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(sourceFolderId), marker.accountId,
+          sourceFolderId);
+
+        syncState.syncKey = (yield* modifyFolderMessages(
+          conn,
+          {
+            folderServerId: sourceFolderInfo.serverId,
+            folderSyncKey: syncState.syncKey,
+            delete: new Set([messageServerId]),
+            permanentDeletion: true
+          })).syncKey;
+        syncState.forgetMovedMessage(messageServerId);
+
+        syncStateWrites.set(sourceFolderId, syncState.rawSyncState);
+        umidLocationWrites = new Map([[umid, null]]);
+      }
+
+      // - Success, clean up state.
+      umidMoves.delete(umid);
+
+      yield ctx.finishTask({
+        mutations: {
+          syncStates: syncStateWrites,
+          umidLocations: umidLocationWrites
+        },
+        complexTaskState: persistentState
+      });
+    })
+  }
+]);
+});
@@ -21,6 +21,9 @@ return TaskDefiner.defineComplexTask([
       return true;
     },
 
+    // The MIME message goes over HTTP, not SMTP.
+    sendsViaSmtp: false,
+
     sendMessage: co.wrap(function*(ctx, account, composer) {
       let conn;
       // Unlike other tasks, we handle errors explicitly in-band, so convert
@@ -2,6 +2,7 @@ define(function(require) {
 'use strict';
 
 let co = require('co');
+let logic = require('logic');
 
 let TaskDefiner = require('../../task_infra/task_definer');
 
@@ -32,6 +33,18 @@ return TaskDefiner.defineComplexTask([
 
       let [folderId, messageServerId] = fromDb.umidLocations.get(marker.umid);
 
+      // Messages from server search results have no serverId.  Planning
+      // refuses to touch their flags (they're `readOnly`), so this shouldn't
+      // happen, but there'd be nothing we could do.
+      if (!messageServerId) {
+        logic(ctx, 'noServerId', { umid: marker.umid });
+        umidChanges.delete(marker.umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+
       // -- Exclusive access to the sync state needed for the folder syncKey
       fromDb = yield ctx.beginMutate({
         syncStates: new Map([[folderId, null]])
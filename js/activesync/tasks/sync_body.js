@@ -105,6 +105,11 @@ return TaskDefiner.defineComplexTask([
       // -- For each message...
       for (let message of loadedMessages) {
         let [folderId, messageServerId] = umidLocations.get(message.umid);
+        // Messages from server search results got what body they have as part
+        // of the search and have no serverId to get more with.
+        if (!messageServerId) {
+          continue;
+        }
         let folderInfo = account.getFolderById(folderId);
         let folderServerId = folderInfo.serverId;
         let syncState = syncStates.get(folderId);
@@ -16,6 +16,9 @@ return TaskDefiner.defineSimpleTask([
 
     applyChanges: function(message, flagChanges) {
       applyChanges(message.flags, flagChanges);
+      // Sync only tells us about messages it knows by serverId, so if this was
+      // a server search result, it's been adopted and is fair game now.
+      message.readOnly = false;
     },
   }
 ]);
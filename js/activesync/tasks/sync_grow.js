@@ -0,0 +1,279 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const evt = require('evt');
+const logic = require('logic');
+
+const { shallowClone } = require('../../util');
+const { NOW } = require('../../date');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../folder_sync_state_helper');
+const { widerFilterType, isFullFilterType, filterTypeWindowStart } =
+  require('../filter_types');
+
+const getFolderSyncKey = require('../smotocol/get_folder_sync_key');
+const enumerateFolderChanges = require('../smotocol/enum_folder_changes');
+
+const { convIdFromMessageId, messageIdComponentFromUmid } =
+  require('../../id_conversions');
+
+const churnConversation = require('../../churn_drivers/conv_churn_driver');
+const { threadBySubjectTaskHelper } =
+  require('../../task_mixins/conv_resolver');
+
+const { syncNormalOverlay } =
+  require('../../task_helpers/sync_overlay_helpers');
+
+/**
+ * Synchronize older messages by widening the folder's FilterType one step (see
+ * `filter_types.js`).  The server only lets a syncKey have one FilterType, so
+ * we need to get a new syncKey for the wider FilterType, at which point the
+ * server tells us about every message in the new window all over again.  We
+ * skip the ones we already know by their serverId.
+ *
+ * Because changes the server had queued up for our old syncKey would be lost
+ * when we switch, we first drain them just like sync_refresh does.
+ *
+ * We only process the first batch of messages for the new FilterType here; if
+ * the server has more for us, we leave them to a sync_refresh, which also
+ * knows to skip messages it already has.  Folders we haven't synchronized yet
+ * also just get a sync_refresh since it picks the initial FilterType.
+ */
+return TaskDefiner.defineAtMostOnceTask([
+  {
+    name: 'sync_grow',
+    binByArg: 'folderId',
+
+    helped_overlay_folders: syncNormalOverlay,
+
+    helped_invalidate_overlays: function(folderId, dataOverlayManager) {
+      dataOverlayManager.announceUpdatedOverlayData('folders', folderId);
+    },
+
+    helped_already_planned: function(ctx, rawTask) {
+      // The group should already exist; opt into its membership to get a
+      // Promise
+      return Promise.resolve({
+        result: ctx.trackMeInTaskGroup('sync_grow:' + rawTask.folderId)
+      });
+    },
+
+    /**
+     * Like sync_refresh, we discard requests to grow local-only folders.
+     */
+    helped_plan: co.wrap(function*(ctx, rawTask) {
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, ctx.accountId);
+      let folderInfo = foldersTOC.foldersById.get(rawTask.folderId);
+
+      let plannedTask;
+      if (!folderInfo.serverId) {
+        plannedTask = null;
+      } else {
+        plannedTask = shallowClone(rawTask);
+        plannedTask.resources = [
+          'online',
+          `credentials!${rawTask.accountId}`,
+          `happy!${rawTask.accountId}`
+        ];
+        plannedTask.priorityTags = [
+          `view:folder:${rawTask.folderId}`
+        ];
+      }
+
+      // Create a task group that follows this task and all its offspring.  This
+      // will define the lifetime of our overlay as well.
+      let groupPromise =
+        ctx.trackMeInTaskGroup('sync_grow:' + rawTask.folderId);
+      return {
+        taskState: plannedTask,
+        remainInProgressUntil: groupPromise,
+        result: groupPromise
+      };
+    }),
+
+    helped_execute: co.wrap(function*(ctx, req) {
+      // -- Exclusively acquire the sync state for the folder
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[req.folderId, null]])
+      });
+
+      let rawSyncState = fromDb.syncStates.get(req.folderId);
+      let syncState = new FolderSyncStateHelper(
+        ctx, rawSyncState, req.accountId, req.folderId);
+
+      // -- Bail if there's nothing to grow (yet)
+      if (!syncState.filterType) {
+        logic(ctx, 'neverSynced');
+        return {
+          newData: {
+            tasks: [{
+              type: 'sync_refresh',
+              accountId: req.accountId,
+              folderId: req.folderId
+            }]
+          }
+        };
+      }
+
+      let newFilterType = widerFilterType(syncState.filterType);
+      if (!newFilterType) {
+        logic(ctx, 'alreadyFullySynced');
+        return {
+          atomicClobbers: {
+            folders: new Map([[req.folderId, { fullySynced: true }]])
+          }
+        };
+      }
+
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let conn = yield account.ensureConnection();
+
+      let folderInfo = account.getFolderById(req.folderId);
+
+      // -- Construct an emitter with our processing logic
+      // This is sync_refresh's, except that we also recognize the messages we
+      // added from server search results, which are likely to show up now.
+      let emitter = new evt.Emitter();
+      let newConversations = [];
+      let newMessages = [];
+
+      let issueIds = () => {
+        let umid = syncState.issueUniqueMessageId();
+        let convId = req.accountId + '.' + messageIdComponentFromUmid(umid);
+        let messageId = convId + '.' + messageIdComponentFromUmid(umid);
+        return { messageId, umid, folderId: req.folderId };
+      };
+      emitter.on('add', (serverMessageId, message) => {
+        if (syncState.isKnownServerId(serverMessageId) ||
+            syncState.adoptSearchResultMessage(serverMessageId, message)) {
+          return;
+        }
+        syncState.newMessage(serverMessageId, message);
+
+        let convId = convIdFromMessageId(message.id);
+        newMessages.push(message);
+        let convInfo = churnConversation(convId, null, [message]);
+        newConversations.push(convInfo);
+      });
+
+      emitter.on('change', (serverMessageId, changes) => {
+        syncState.messageChanged(serverMessageId, changes);
+      });
+
+      emitter.on('remove', (serverMessageId) => {
+        syncState.messageDeleted(serverMessageId);
+      });
+
+      // -- Drain the changes for our current syncKey
+      // If the syncKey is no good, there's nothing to drain.  (sync_refresh
+      // doesn't treat that as deleting everything either.)
+      let moreAvailable = true;
+      while (moreAvailable && syncState.syncKey !== '0') {
+        let results = yield* enumerateFolderChanges(
+          conn,
+          {
+            folderSyncKey: syncState.syncKey,
+            folderServerId: folderInfo.serverId,
+            filterType: syncState.filterType,
+            issueIds,
+            emitter
+          });
+        if (results.invalidSyncKey) {
+          logic(ctx, 'invalidSyncKeyWhileDraining');
+          break;
+        }
+        syncState.syncKey = results.syncKey;
+        moreAvailable = results.moreAvailable;
+      }
+
+      // -- Switch to the wider FilterType
+      logic(ctx, 'widening',
+            { oldFilterType: syncState.filterType, newFilterType });
+      syncState.filterType = newFilterType;
+      syncState.syncKey = (yield* getFolderSyncKey(
+        conn,
+        {
+          folderServerId: folderInfo.serverId,
+          filterType: newFilterType
+        })).syncKey;
+
+      let syncDate = NOW();
+      let results = yield* enumerateFolderChanges(
+        conn,
+        {
+          folderSyncKey: syncState.syncKey,
+          folderServerId: folderInfo.serverId,
+          filterType: newFilterType,
+          issueIds,
+          emitter
+        });
+      if (results.invalidSyncKey) {
+        // We just got this syncKey, so something is very wrong.  Leave it to
+        // sync_refresh to try again from scratch.
+        logic(ctx, 'invalidNewSyncKey');
+        syncState.syncKey = '0';
+      } else {
+        syncState.syncKey = results.syncKey;
+      }
+      if (results.invalidSyncKey || results.moreAvailable) {
+        syncState.tasksToSchedule.push({
+          type: 'sync_refresh',
+          accountId: req.accountId,
+          folderId: req.folderId
+        });
+      }
+
+      // -- Issue name reads if needed.
+      if (syncState.umidNameReads.size) {
+        yield ctx.read({
+          umidNames: syncState.umidNameReads // mutated as a side-effect.
+        });
+        syncState.generateSyncConvTasks();
+      }
+
+      // -- Subject threading
+      // Same deal as sync_refresh.
+      let headerIdWrites = null;
+      if (account.accountDef.threadBySubject && newMessages.length) {
+        let threaded =
+          yield* threadBySubjectTaskHelper(ctx, req.accountId, newMessages);
+        headerIdWrites = threaded.headerIdWrites;
+        for (let mergeTask of threaded.mergeTasks) {
+          syncState.tasksToSchedule.push(mergeTask);
+        }
+      }
+
+      return {
+        mutations: {
+          syncStates: new Map([[req.folderId, syncState.rawSyncState]]),
+          umidNames: syncState.umidNameWrites,
+          umidLocations: syncState.umidLocationWrites,
+          headerIdMaps: headerIdWrites
+        },
+        newData: {
+          conversations: newConversations,
+          messages: newMessages,
+          tasks: syncState.tasksToSchedule
+        },
+        atomicClobbers: {
+          folders: new Map([
+            [
+              req.folderId,
+              {
+                fullySynced: isFullFilterType(newFilterType),
+                syncedThrough: filterTypeWindowStart(newFilterType),
+                lastSuccessfulSyncAt: syncDate,
+                lastAttemptedSyncAt: syncDate,
+                failedSyncsSinceLastSuccessfulSync: 0
+              }
+            ]])
+        }
+      };
+    })
+  }
+]);
+});
@@ -11,6 +11,8 @@ const { NOW } = require('../../date');
 const TaskDefiner = require('../../task_infra/task_definer');
 
 const FolderSyncStateHelper = require('../folder_sync_state_helper');
+const { isFullFilterType, filterTypeWindowStart } =
+  require('../filter_types');
 
 const getFolderSyncKey = require('../smotocol/get_folder_sync_key');
 const inferFilterType = require('../smotocol/infer_filter_type');
@@ -20,6 +22,8 @@ const { convIdFromMessageId, messageIdComponentFromUmid } =
   require('../../id_conversions');
 
 const churnConversation = require('../../churn_drivers/conv_churn_driver');
+const { threadBySubjectTaskHelper } =
+  require('../../task_mixins/conv_resolver');
 
 const { SYNC_WHOLE_FOLDER_AT_N_MESSAGES } = require('../../syncbase');
 
@@ -125,6 +129,14 @@ return TaskDefiner.defineAtMostOnceTask([
         return { messageId, umid, folderId: req.folderId };
       };
       emitter.on('add', (serverMessageId, message) => {
+        // Messages we moved into this folder ourselves are already known, as
+        // are the ones sync_grow already told us about.  Widening the
+        // FilterType can also bring in messages we added from server search
+        // results.
+        if (syncState.isKnownServerId(serverMessageId) ||
+            syncState.adoptSearchResultMessage(serverMessageId, message)) {
+          return;
+        }
         syncState.newMessage(serverMessageId, message);
 
         let convId = convIdFromMessageId(message.id);
@@ -177,7 +189,7 @@ return TaskDefiner.defineAtMostOnceTask([
 
         // - Try and sync
         syncDate = NOW();
-        let { invalidSyncKey, syncKey, moreToSync } =
+        let { invalidSyncKey, syncKey, moreAvailable } =
           yield* enumerateFolderChanges(
             conn,
             {
@@ -194,7 +206,7 @@ return TaskDefiner.defineAtMostOnceTask([
           continue;
         }
         syncState.syncKey = syncKey;
-        if (moreToSync) {
+        if (moreAvailable) {
           syncState.scheduleAnotherRefreshLikeThisOne(req);
         }
       }
@@ -207,11 +219,26 @@ return TaskDefiner.defineAtMostOnceTask([
         syncState.generateSyncConvTasks();
       }
 
+      // -- Subject threading
+      // We don't get message-id headers from the server, so every new message
+      // got its own conversation above.  If the user opted in, merge replies
+      // into recent conversations with the same subject.
+      let headerIdWrites = null;
+      if (account.accountDef.threadBySubject && newMessages.length) {
+        let threaded =
+          yield* threadBySubjectTaskHelper(ctx, req.accountId, newMessages);
+        headerIdWrites = threaded.headerIdWrites;
+        for (let mergeTask of threaded.mergeTasks) {
+          syncState.tasksToSchedule.push(mergeTask);
+        }
+      }
+
       return {
         mutations: {
           syncStates: new Map([[req.folderId, syncState.rawSyncState]]),
           umidNames: syncState.umidNameWrites,
-          umidLocations: syncState.umidLocationWrites
+          umidLocations: syncState.umidLocationWrites,
+          headerIdMaps: headerIdWrites
         },
         newData: {
           conversations: newConversations,
@@ -223,6 +250,8 @@ return TaskDefiner.defineAtMostOnceTask([
             [
               req.folderId,
               {
+                fullySynced: isFullFilterType(syncState.filterType),
+                syncedThrough: filterTypeWindowStart(syncState.filterType),
                 lastSuccessfulSyncAt: syncDate,
                 lastAttemptedSyncAt: syncDate,
                 failedSyncsSinceLastSuccessfulSync: 0
@@ -0,0 +1,199 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { shallowClone } = require('../../util');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../folder_sync_state_helper');
+const { filterTypeWindowStart } = require('../filter_types');
+
+const searchMailbox = require('../smotocol/search_mailbox');
+
+const { convIdFromMessageId, messageIdComponentFromUmid } =
+  require('../../id_conversions');
+
+const churnConversation = require('../../churn_drivers/conv_churn_driver');
+const { threadBySubjectTaskHelper } =
+  require('../../task_mixins/conv_resolver');
+
+const { processMessageContent } = require('../../bodies/mailchew');
+
+const { freeTextQuery } = require('../../search/server_search_query');
+
+const { SERVER_SEARCH_MAX_RESULTS } = require('../../syncbase');
+
+const { syncNormalOverlay } =
+  require('../../task_helpers/sync_overlay_helpers');
+
+/**
+ * Ask the server to search the folder using the Search command, adding the hits
+ * we don't have as new messages.
+ *
+ * ActiveSync's search results are a poor fit for us: they're identified by
+ * LongIds that are only good until the next Search rather than serverIds, and
+ * a later Sync will never tell us about the message under its serverId unless
+ * it falls within the folder's FilterType window.  So we only search for
+ * messages older than the window (if the window is everything, there's nothing
+ * to find) and add them as `readOnly` messages that only exist locally.  We
+ * get their bodies as part of the search, but we can't change their flags,
+ * move them or copy them on the server, so those tasks leave them alone.  If a
+ * later Sync does tell us about one (because sync_grow widened the window), it
+ * adopts our message and it stops being read-only.
+ *
+ * See the vanilla IMAP sync_search for the one-search-per-folder caveat.
+ */
+return TaskDefiner.defineAtMostOnceTask([
+  {
+    name: 'sync_search',
+    binByArg: 'folderId',
+
+    helped_overlay_folders: syncNormalOverlay,
+
+    helped_invalidate_overlays: function(folderId, dataOverlayManager) {
+      dataOverlayManager.announceUpdatedOverlayData('folders', folderId);
+    },
+
+    helped_already_planned: function(ctx, rawTask) {
+      return Promise.resolve({
+        result: ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId)
+      });
+    },
+
+    helped_plan: function(ctx, rawTask) {
+      let plannedTask = shallowClone(rawTask);
+      plannedTask.resources = [
+        'online',
+        `credentials!${rawTask.accountId}`,
+        `happy!${rawTask.accountId}`
+      ];
+      plannedTask.priorityTags = [
+        `view:folder:${rawTask.folderId}`
+      ];
+
+      let groupPromise =
+        ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId);
+      return Promise.resolve({
+        taskState: plannedTask,
+        remainInProgressUntil: groupPromise,
+        result: groupPromise
+      });
+    },
+
+    helped_execute: co.wrap(function*(ctx, req) {
+      let freeText = freeTextQuery(req.filter);
+      if (!freeText) {
+        logic(ctx, 'searchNotExpressible', { filter: req.filter });
+        return {};
+      }
+
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let conn = yield account.ensureConnection();
+      if (conn.currentVersion.lt('12.0')) {
+        logic(ctx, 'searchUnsupported', { version: conn.currentVersion });
+        return {};
+      }
+
+      // -- Exclusively acquire the sync state for the folder
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[req.folderId, null]])
+      });
+
+      let syncState = new FolderSyncStateHelper(
+        ctx, fromDb.syncStates.get(req.folderId), req.accountId,
+        req.folderId);
+
+      // -- Figure out where the folder's sync window starts
+      let windowStart = filterTypeWindowStart(syncState.filterType);
+      if (!windowStart) {
+        // Either we sync everything in the folder or we haven't synced it yet
+        // and any results would end up duplicated by the first sync.
+        logic(ctx, 'nothingToSearch', { filterType: syncState.filterType });
+        return {};
+      }
+
+      let folderInfo = account.getFolderById(req.folderId);
+      let issueIds = () => {
+        let umid = syncState.issueUniqueMessageId();
+        let convId = req.accountId + '.' + messageIdComponentFromUmid(umid);
+        let messageId = convId + '.' + messageIdComponentFromUmid(umid);
+        return { messageId, umid, folderId: req.folderId };
+      };
+
+      logic(ctx, 'searching', { freeText, windowStart });
+      let { total, results } = yield* searchMailbox(
+        conn,
+        {
+          folderServerId: folderInfo.serverId,
+          freeText,
+          before: windowStart,
+          maxResults: SERVER_SEARCH_MAX_RESULTS,
+          issueIds
+        });
+
+      // -- Add the messages we don't already have
+      let newConversations = [];
+      let newMessages = [];
+      for (let { message, bodyContent, truncated } of results) {
+        if (syncState.isKnownSearchResult(message) ||
+            message.date >= windowStart) {
+          continue;
+        }
+
+        if (bodyContent !== null) {
+          let bodyRep = message.bodyReps[0];
+          // We neither need to store or want to deal with \r.
+          let { contentBlob, snippet } = processMessageContent(
+            bodyContent.replace(/\r/g, ''),
+            bodyRep.type,
+            !truncated, // isDownloaded
+            true // generateSnippet
+          );
+          message.snippet = snippet;
+          if (!truncated) {
+            bodyRep.contentBlob = contentBlob;
+            bodyRep.isDownloaded = true;
+          }
+        }
+
+        message.readOnly = true;
+        syncState.newSearchResultMessage(message);
+        newMessages.push(message);
+        newConversations.push(
+          churnConversation(convIdFromMessageId(message.id), null, [message]));
+      }
+      logic(ctx, 'searchResults',
+            { hitCount: total, newCount: newMessages.length });
+
+      // -- Subject threading
+      // Same deal as sync_refresh.
+      let headerIdWrites = null;
+      if (account.accountDef.threadBySubject && newMessages.length) {
+        let threaded =
+          yield* threadBySubjectTaskHelper(ctx, req.accountId, newMessages);
+        headerIdWrites = threaded.headerIdWrites;
+        for (let mergeTask of threaded.mergeTasks) {
+          syncState.tasksToSchedule.push(mergeTask);
+        }
+      }
+
+      return {
+        mutations: {
+          syncStates: new Map([[req.folderId, syncState.rawSyncState]]),
+          umidNames: syncState.umidNameWrites,
+          umidLocations: syncState.umidLocationWrites,
+          headerIdMaps: headerIdWrites
+        },
+        newData: {
+          conversations: newConversations,
+          messages: newMessages,
+          tasks: syncState.tasksToSchedule
+        }
+      };
+    })
+  }
+]);
+});
@@ -480,6 +480,38 @@ var BLEACH_SETTINGS = {
   callback: stashLinks
 };
 
+/**
+ * HTML we're going to send rather than display (signatures) gets real links.
+ */
+var COMPOSED_ATTR_MAP = Object.assign({}, LEGAL_ATTR_MAP, {
+  'a': ['href', 'hreflang'],
+  'area': ['href', 'hreflang']
+});
+
+/**
+ * The stashLinks equivalent for HTML we're going to send.  Links keep their
+ * href (as long as it's http(s) or mailto:) so that they work for the
+ * recipient.  Images get stashed just like for display since we don't want to
+ * load remote images in our UI any more than we do for received messages.
+ */
+function checkComposedLinks(lowerTag, attrs) {
+  if (RE_IMG_TAG.test(lowerTag)) {
+    return stashLinks(lowerTag, attrs);
+  }
+  var linkAttr = getAttributeFromList(attrs, 'href');
+  if (linkAttr &&
+      !RE_HTTP_URL.test(linkAttr.escaped) &&
+      !RE_MAILTO_URL.test(linkAttr.escaped)) {
+    attrs.splice(attrs.indexOf(linkAttr), 1);
+  }
+  return attrs;
+}
+
+var BLEACH_COMPOSED_SETTINGS = Object.assign({}, BLEACH_SETTINGS, {
+  attributes: COMPOSED_ATTR_MAP,
+  callback: checkComposedLinks
+});
+
 var BLEACH_SNIPPET_SETTINGS = {
   tags: [],
   strip: true,
@@ -517,6 +549,15 @@ exports.sanitizeAndNormalizeHtml = function sanitizeAndNormalize(htmlString) {
   return $bleach.clean(htmlString, BLEACH_SETTINGS);
 };
 
+/**
+ * Sanitize HTML the user wrote that we're going to include in messages we
+ * send, like signatures.  Unlike `sanitizeAndNormalizeHtml`, links are left
+ * working.  Sanitizing already sanitized HTML is harmless.
+ */
+exports.sanitizeComposedHtml = function sanitizeComposedHtml(htmlString) {
+  return $bleach.clean(htmlString, BLEACH_COMPOSED_SETTINGS);
+};
+
 /**
  * Derive snippet text from the an HTML string. It will also sanitize it.
  * Note that it unescapes HTML enttities, so best to only use this output
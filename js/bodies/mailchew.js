@@ -31,22 +31,185 @@ const asyncFetchBlob = require('../async_blob_fetcher');
 const scope = logic.scope('MailChew');
 
 /**
- * Generate the default compose body for a new e-mail
- * @param  {MailSenderIdentity} identity The current composer identity
- * @return {String} The text to be inserted into the body
+ * The id we give the signature of an identity that predates multiple
+ * signatures and so only has the `signature` and `signatureEnabled` fields.
  */
-exports.generateBaseComposeParts = function generateBaseComposeBody(identity) {
-  let textMsg;
-  if (identity.signatureEnabled &&
-      identity.signature &&
-      identity.signature.length > 0) {
+const LEGACY_SIGNATURE_ID = 'legacy';
+exports.LEGACY_SIGNATURE_ID = LEGACY_SIGNATURE_ID;
 
-    textMsg = '\n\n--\n' + identity.signature;
+/**
+ * Get the list of `SignatureInfo`s for an identity, synthesizing one from the
+ * legacy single-signature fields if the identity hasn't been modified since
+ * we grew support for multiple signatures.
+ */
+function getIdentitySignatures(identity) {
+  if (identity.signatures) {
+    return identity.signatures;
+  }
+  if (identity.signature) {
+    return [{
+      id: LEGACY_SIGNATURE_ID,
+      name: '',
+      text: identity.signature,
+      html: null
+    }];
+  }
+  return [];
+}
+exports.getIdentitySignatures = getIdentitySignatures;
+
+/**
+ * Find the identity's signature with the given id, returning null if there is
+ * no such signature (or if the id is null).
+ */
+function findSignature(identity, signatureId) {
+  if (!signatureId) {
+    return null;
+  }
+  return getIdentitySignatures(identity).find(sig => sig.id === signatureId) ||
+         null;
+}
+exports.findSignature = findSignature;
+
+/**
+ * Pick the signature a new draft of the given `draftType` should start out
+ * with.  New messages use the identity's `newMessageSignatureId`; replies and
+ * forwards use its `replySignatureId`.
+ */
+exports.pickSignature = function(identity, draftType) {
+  if (!identity.signatures) {
+    return identity.signatureEnabled ?
+      findSignature(identity, LEGACY_SIGNATURE_ID) : null;
+  }
+  return findSignature(
+    identity,
+    draftType === 'blank' ? identity.newMessageSignatureId :
+                            identity.replySignatureId);
+};
+
+/**
+ * The (un-localized) dashes that bracket the "Original Message" line of an
+ * inline forward.  The signature goes before this.
+ */
+const FORWARD_SEPARATOR = '-------- ';
+
+/**
+ * Add a signature to the given draft body text and HTML, returning the new
+ * `{ textMsg, htmlMsg, draftSignature }` where `draftSignature` is the
+ * `DraftSignatureInfo` that `removeSignature` needs to take it back out again.
+ *
+ * The signature goes at the end of the message, which means it goes in the
+ * HTML if there is HTML or if it's an HTML signature.  The exception is inline
+ * forwards, where (like Thunderbird) we put the signature after the user's
+ * text but before the forwarded message, which means that it has to go in the
+ * text and we use the text version of HTML signatures.
+ *
+ * @param {Object} opts
+ * @param {String} opts.textMsg
+ * @param {String} [opts.htmlMsg]
+ * @param {SignatureInfo} [opts.signature]
+ *   The signature to add; if null, nothing is added.
+ * @param {Boolean} [opts.inlineForward=false]
+ * @param {Number} [opts.textIndex]
+ *   Where to put a text signature, if known because we're replacing a previous
+ *   signature.
+ */
+function addSignature({ textMsg, htmlMsg, signature, inlineForward,
+                        textIndex }) {
+  htmlMsg = htmlMsg || null;
+  if (!signature) {
+    return { textMsg, htmlMsg, draftSignature: null };
+  }
+
+  if (!inlineForward && (htmlMsg || signature.html)) {
+    let html;
+    if (signature.html) {
+      // The HTML was sanitized by identity_modify.
+      html = '<div class="moz-signature">' + signature.html + '</div>';
+    } else {
+      // Thunderbird wraps its signature in a:
+      // <pre class="moz-signature" cols="72"> construct and so we do too.
+      html = $htmlchew.wrapTextIntoSafeHTMLString(
+               signature.text, 'pre', false,
+               ['class', 'moz-signature', 'cols', '72']);
+    }
+    return {
+      textMsg,
+      htmlMsg: (htmlMsg || '') + html,
+      draftSignature: { id: signature.id, text: null, html }
+    };
+  }
+
+  let text;
+  if (inlineForward) {
+    text = '-- \n' + signature.text + '\n\n';
+    if (textIndex === undefined || textIndex === -1) {
+      textIndex = textMsg.indexOf(FORWARD_SEPARATOR);
+    }
   } else {
-    textMsg = '';
+    text = '\n\n-- \n' + signature.text;
+  }
+  if (textIndex === undefined || textIndex === -1) {
+    textIndex = textMsg.length;
+  }
+  return {
+    textMsg: textMsg.slice(0, textIndex) + text + textMsg.slice(textIndex),
+    htmlMsg,
+    draftSignature: { id: signature.id, text, html: null }
+  };
+}
+exports.addSignature = addSignature;
+
+/**
+ * Remove the signature described by `draftSignature` from the given draft
+ * body text and HTML, returning the new `{ textMsg, htmlMsg, textIndex }`
+ * where `textIndex` is where the text signature used to be (or -1), so that
+ * `addSignature` can put a replacement signature in the same place.  If the
+ * user has edited the signature in the text, we can't find it and leave the
+ * text alone.
+ */
+exports.removeSignature = function({ textMsg, htmlMsg, draftSignature,
+                                     inlineForward }) {
+  htmlMsg = htmlMsg || null;
+  let textIndex = -1;
+  if (!draftSignature) {
+    return { textMsg, htmlMsg, textIndex };
+  }
+
+  if (draftSignature.text) {
+    // The signature follows the user's text and any quoted text for replies,
+    // but precedes the (possibly self-authored) forwarded message for
+    // forwards.
+    textIndex = inlineForward ? textMsg.indexOf(draftSignature.text) :
+                                textMsg.lastIndexOf(draftSignature.text);
+    if (textIndex !== -1) {
+      textMsg = textMsg.slice(0, textIndex) +
+                textMsg.slice(textIndex + draftSignature.text.length);
+    }
+  }
+  if (draftSignature.html && htmlMsg &&
+      htmlMsg.endsWith(draftSignature.html)) {
+    htmlMsg = htmlMsg.slice(0, -draftSignature.html.length) || null;
   }
+  return { textMsg, htmlMsg, textIndex };
+};
 
-  return makeBodyPartsFromTextAndHTML(textMsg, null);
+/**
+ * Generate the default compose body for a new e-mail, which is just the
+ * signature, if any.
+ *
+ * @param {SignatureInfo} [signature]
+ * @return {{ bodyReps, draftSignature }}
+ */
+exports.generateBaseComposeParts = function generateBaseComposeBody(
+    signature) {
+  let { textMsg, htmlMsg, draftSignature } =
+    addSignature({ textMsg: '', htmlMsg: null, signature });
+
+  return {
+    bodyReps: makeBodyPartsFromTextAndHTML(textMsg, htmlMsg),
+    draftSignature
+  };
 };
 
 
@@ -166,6 +329,10 @@ $mailchewStrings.events.on('strings', function(strings) {
   exports.setLocalizedStrings(strings);
 });
 
+/**
+ * Wrap the given text (and optional HTML) body content into body reps for a
+ * draft.
+ */
 function makeBodyPartsFromTextAndHTML(textMsg, htmlMsg) {
   let bodyReps = [];
 
@@ -196,6 +363,7 @@ function makeBodyPartsFromTextAndHTML(textMsg, htmlMsg) {
 
   return bodyReps;
 }
+exports.makeBodyPartsFromTextAndHTML = makeBodyPartsFromTextAndHTML;
 
 /**
  * Generate the reply body representation given info about the message we are
@@ -209,8 +377,11 @@ function makeBodyPartsFromTextAndHTML(textMsg, htmlMsg) {
  *
  * This does not include potentially required work such as propagating embedded
  * attachments or de-sanitizing links/embedded images/external images.
+ *
+ * Like `generateBaseComposeParts`, this produces
+ * `{ bodyReps, draftSignature }`.
  */
-exports.generateReplyParts = function*(reps, authorPair, msgDate, identity,
+exports.generateReplyParts = function*(reps, authorPair, msgDate, signature,
                                        refGuid) {
   var useName = authorPair.name ? authorPair.name.trim() : authorPair.address;
 
@@ -262,34 +433,27 @@ exports.generateReplyParts = function*(reps, authorPair, msgDate, identity,
 
   // Thunderbird's default is to put the signature after the quote, so us too.
   // (It also has complete control over all of this, but not us too.)
-  if (identity.signature && identity.signatureEnabled) {
-    // Thunderbird wraps its signature in a:
-    // <pre class="moz-signature" cols="72"> construct and so we do too.
-    if (htmlMsg) {
-      htmlMsg += $htmlchew.wrapTextIntoSafeHTMLString(
-                   identity.signature, 'pre', false,
-                   ['class', 'moz-signature', 'cols', '72']);
-    } else {
-      textMsg += '\n\n-- \n' + identity.signature;
-    }
-  }
-
-  return makeBodyPartsFromTextAndHTML(textMsg, htmlMsg);
+  let draftSignature;
+  ({ textMsg, htmlMsg, draftSignature } =
+     addSignature({ textMsg, htmlMsg, signature }));
+
+  return {
+    bodyReps: makeBodyPartsFromTextAndHTML(textMsg, htmlMsg),
+    draftSignature
+  };
 };
 
 /**
- * Generate the body parts of an inline forward message.
+ * Generate the body parts of an inline forward message.  Like
+ * `generateBaseComposeParts`, the result is `{ bodyReps, draftSignature }`.
  *
  * XXX the l10n string building here screws up when RTL enters the picture.
  * See https://bugzilla.mozilla.org/show_bug.cgi?id=1177350
  */
-exports.generateForwardParts = function*(sourceMessage, identity) {
+exports.generateForwardParts = function*(sourceMessage, signature) {
   var textMsg = '\n\n', htmlMsg = null;
 
-  if (identity.signature && identity.signatureEnabled) {
-    textMsg += '-- \n' + identity.signature + '\n\n';
-  }
-  textMsg += '-------- ' + l10n_originalMessageString + ' --------\n';
+  textMsg += FORWARD_SEPARATOR + l10n_originalMessageString + ' --------\n';
   // XXX l10n! l10n! l10n!
 
   // Add the headers in the same order libmime adds them in
@@ -368,7 +532,14 @@ exports.generateForwardParts = function*(sourceMessage, identity) {
     }
   }
 
-  return makeBodyPartsFromTextAndHTML(textMsg, htmlMsg);
+  let draftSignature;
+  ({ textMsg, htmlMsg, draftSignature } =
+     addSignature({ textMsg, htmlMsg, signature, inlineForward: true }));
+
+  return {
+    bodyReps: makeBodyPartsFromTextAndHTML(textMsg, htmlMsg),
+    draftSignature
+  };
 };
 
 var HTML_WRAP_TOP =
@@ -17,6 +17,9 @@ let MailConversation = require('./mail_conversation');
  * - lastAttemptedSyncAt {DateMS}
  * - syncStatus {String}
  * - syncBlocked
+ * - serverSearchStatus {String}, serverSearchBlocked {String}: Only for
+ *   `searchFolderConversations` views with `serverSearch`.  These are like
+ *   syncStatus and syncBlocked but for the server search.
  *
  * ## Events ###
  * - syncComplete: A sync of the folder/whatever has completed.  Primarily
@@ -34,6 +37,8 @@ let MailConversation = require('./mail_conversation');
  *     that had new messages added to them.
  *   - thisViewTriggered: Did this ConversationsListView initiate the sync (or
  *     otherwise join up with some active sync)?
+ * - serverSearchComplete: The server search requested with `serverSearch` has
+ *   completed and the messages it found have been synchronized.
  */
 function ConversationsListView(api, handle) {
   WindowedListView.call(this, api, MailConversation, handle);
@@ -26,6 +26,10 @@ function MailAccount(api, wireRep, overlays, matchInfo, acctsSlice) {
   this.syncInterval = wireRep.syncInterval;
   this.notifyOnNew = wireRep.notifyOnNew;
   this.playSoundOnSend = wireRep.playSoundOnSend;
+  this.threadBySubject = wireRep.threadBySubject;
+  this.downloadCacheQuota = wireRep.downloadCacheQuota;
+  this.maxConnections = wireRep.maxConnections;
+  this.undoSendDelay = wireRep.undoSendDelay;
 
   /**
    * Is the account currently enabled, as in will we talk to the server?
@@ -59,6 +63,10 @@ function MailAccount(api, wireRep, overlays, matchInfo, acctsSlice) {
    */
   this.problems = wireRep.problems;
 
+  /**
+   * The account's sender identities.  The first identity is the default
+   * identity; use `modifyAccount` with `defaultIdentityId` to change it.
+   */
   this.identities = [];
   for (var iIdent = 0; iIdent < wireRep.identities.length; iIdent++) {
     this.identities.push(new MailSenderIdentity(this._api,
@@ -97,19 +105,32 @@ MailAccount.prototype = evt.mix({
     this.syncInterval = wireRep.syncInterval;
     this.notifyOnNew = wireRep.notifyOnNew;
     this.playSoundOnSend = wireRep.playSoundOnSend;
+    this.threadBySubject = wireRep.threadBySubject;
+    this.downloadCacheQuota = wireRep.downloadCacheQuota;
+    this.maxConnections = wireRep.maxConnections;
+    this.undoSendDelay = wireRep.undoSendDelay;
 
-    for (var i = 0; i < wireRep.identities.length; i++) {
-      if (this.identities[i]) {
-        this.identities[i].__update(wireRep.identities[i]);
-      } else {
-        this.identities.push(new MailSenderIdentity(this._api,
-                                        wireRep.identities[i]));
+    // Identities can be added, removed, and reordered, so reuse the existing
+    // MailSenderIdentity instances by id.
+    let oldIdentities = this.identities;
+    this.identities = wireRep.identities.map((identityWireRep) => {
+      let identity =
+        oldIdentities.find(ident => ident.id === identityWireRep.id);
+      if (identity) {
+        identity.__update(identityWireRep);
+        return identity;
       }
-    }
+      return new MailSenderIdentity(this._api, identityWireRep);
+    });
   },
 
   __updateOverlays: function(overlays) {
     this.syncStatus = overlays.sync_refresh ? overlays.sync_refresh : null;
+    /**
+     * The disk usage of cached downloads of the form { usedBytes,
+     * reservedBytes, quotaBytes, entryCount }.
+     */
+    this.downloadCacheUsage = overlays.cache_control || null;
   },
 
   release: function() {
@@ -159,15 +180,79 @@ MailAccount.prototype = evt.mix({
    * @param {String} [mods.incomingUsername]
    * @param {String} [mods.outgoingUsername]
    * @param {Boolean} [mods.setAsDefault]
+   * @param {Boolean} [mods.threadBySubject]
+   *   Thread replies by normalized subject when their headers don't identify a
+   *   conversation.  Only affects messages synchronized after the change.
+   * @param {Number} [mods.downloadCacheQuota]
+   *   The number of bytes of attachments and embedded images downloaded to the
+   *   cache that we keep around.  Lowering this evicts the least recently used
+   *   downloads immediately.
+   * @param {Number} [mods.maxConnections]
+   *   IMAP-only: The maximum number of connections to open to the server at
+   *   once.  Some servers enforce low per-account limits, so lower this if the
+   *   server complains about too many connections.
+   * @param {Number} [mods.undoSendDelay]
+   *   How many milliseconds to hold sent messages in the outbox so the user can
+   *   undo the send with `MailAPI.cancelSend`.  0 sends right away.
+   * @param {String} [mods.defaultIdentityId]
+   *   The id of the identity to make the default identity.  It becomes the
+   *   first of our `identities`.
+   * @param {Object} [mods.receiveConnInfo]
+   *   IMAP/POP3 accounts: New incoming server settings, any of `hostname`,
+   *   `port`, `crypto` and, for POP3, `preferredAuthMethod`.  Fields you leave
+   *   out keep their current values.
+   * @param {Object} [mods.sendConnInfo]
+   *   IMAP/POP3 accounts: New SMTP server settings, any of `hostname`, `port`
+   *   and `crypto`.
+   * @param {Object} [mods.connInfo]
+   *   ActiveSync accounts: `{ server }`, the new server URL.
+   *
+   *   Server settings are checked by connecting to the server(s) with them,
+   *   just like when the account was created.  If that fails, none of the
+   *   mods are applied.  If it works, the connections using the old settings
+   *   are closed.
    *
    * @return {Promise}
    *   A promise that is resolved when the back-end has applied the changes to
-   *   the account and propagated them.
+   *   the account and propagated them.  It's resolved with null, or with
+   *   `{ error, errorDetails }` if new server settings were rejected.  The
+   *   `error` is one of the `tryToCreateAccount` errors, 'offline', or
+   *   'server-type-changed' if the new server needs a different sync engine
+   *   (ex: you pointed a vanilla IMAP account at gmail).
    */
   modifyAccount: function(mods) {
     return this._api._modifyAccount(this, mods);
   },
 
+  /**
+   * Add a sender identity to the account, such as an alias the user can also
+   * send from.  The identity is added at the end of `identities`; it does not
+   * become the default.  Use `MailSenderIdentity.modifyIdentity` to give it
+   * signatures.
+   *
+   * @param {Object} fields
+   * @param {String} fields.address
+   * @param {String} [fields.name]
+   * @param {String} [fields.replyTo]
+   * @return {Promise<String>}
+   *   Resolved with the id of the new identity.
+   */
+  addIdentity: function(fields) {
+    return this._api._addIdentity(this, fields);
+  },
+
+  /**
+   * Remove one of the account's sender identities.  The account's last
+   * identity can't be removed.
+   *
+   * @param {MailSenderIdentity} identity
+   * @return {Promise<Boolean>}
+   *   Resolved with whether the identity was removed.
+   */
+  removeIdentity: function(identity) {
+    return this._api._removeIdentity(identity);
+  },
+
   /**
    * Delete the account and then immediate re-create it as if we had performed
    * a lazy config migration.  This is intended mainly for debugging and
@@ -187,6 +272,27 @@ MailAccount.prototype = evt.mix({
     this._api._deleteAccount(this);
   },
 
+  /**
+   * Create a new folder in this account.  The folder is created locally right
+   * away and will show up in the folders list; it gets created on the server
+   * the next time we're online.
+   *
+   * @param {String} name
+   *   The human-readable name for the folder.
+   * @param {MailFolder} [parentFolder]
+   *   The folder to create the new folder under.  If omitted, the folder is
+   *   created at the top-level of the account.
+   *
+   * @return {Promise<{ folderId, error }>}
+   *   Resolved once the folder has been created locally.  If the folder could
+   *   not be created, `folderId` will be null and `error` will be one of:
+   *   'no-such-folder', 'bad-target' (the parent can't contain folders),
+   *   'bad-name', or 'already-exists'.
+   */
+  createFolder: function(name, parentFolder) {
+    return this._api._createFolder(this, name, parentFolder);
+  },
+
   syncFolderList: function() {
     this._api.__bridgeSend({
       type: 'syncFolderList',
@@ -170,6 +170,8 @@ MailAttachment.prototype = evt.mix({
       return Promise.reject();
     }
     if (this._downloadState === 'cached') {
+      // Let the back-end know so this is the last thing it evicts.
+      this._message._api._touchCachedParts(this._message.id, [this.relId]);
       return Promise.resolve(this._file);
     }
     return new Promise((resolve, reject) => {
@@ -127,6 +127,22 @@ MailConversation.prototype = evt.mix({
     return this.removeLabels([inboxFolder]);
   },
 
+  /**
+   * Move all the messages in the conversation to the trash folder.  Messages
+   * already in the trash folder are permanently deleted.
+   */
+  trash: function() {
+    return this._api.trash([this]);
+  },
+
+  /**
+   * Move all the messages in the conversation to the given folder.  For gmail
+   * accounts, you probably want the labels methods instead.
+   */
+  move: function(targetFolder) {
+    return this._api.move([this], targetFolder);
+  },
+
   /**
    * Add the label(s) identified by the given folder(s) to this conversation.
    *
@@ -163,6 +163,45 @@ MailFolder.prototype = evt.mix({
     this.syncBlocked = syncOverlay.blocked || null;
   },
 
+  /**
+   * Rename this folder.  Like all of the folder manipulation methods, the
+   * change happens locally right away and is replayed to the server when we're
+   * online.
+   *
+   * @return {Promise<{ error }>}
+   *   `error` will be null on success or one of 'no-such-folder',
+   *   'protected-folder' (the inbox and outbox can't be changed), 'bad-name',
+   *   or 'already-exists'.
+   */
+  rename: function(name) {
+    return this._api._renameFolder(this, name);
+  },
+
+  /**
+   * Move this folder and its sub-folders to be a child of `parentFolder` which
+   * must belong to the same account.  Pass null to move the folder to the
+   * top-level of the account.
+   *
+   * @return {Promise<{ error }>}
+   *   In addition to the `rename` errors, `error` may be 'bad-target' if the
+   *   parent is local-only or is this folder or one of its descendants.  A
+   *   parent from a different account results in 'no-such-folder'.
+   */
+  moveTo: function(parentFolder) {
+    return this._api._moveFolder(this, parentFolder);
+  },
+
+  /**
+   * Delete this folder, its sub-folders, and all of the messages in them.
+   *
+   * @return {Promise<{ error }>}
+   *   `error` will be null on success or one of 'no-such-folder' or
+   *   'protected-folder'.
+   */
+  delete: function() {
+    return this._api._deleteFolder(this);
+  },
+
   release: function() {
     // currently nothing to clean up
   }
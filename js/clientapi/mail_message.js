@@ -102,6 +102,12 @@ function MailMessage(api, wireRep, overlays, matchInfo, slice) {
   this.cc = ContactCache.resolvePeeps(wireRep.cc);
   this.bcc = ContactCache.resolvePeeps(wireRep.bcc);
   this.replyTo = wireRep.replyTo;
+  /**
+   * Mailing list info derived from the List-Id and List-* headers, or null if
+   * this message didn't come from a mailing list (or we can't tell, as is the
+   * case for ActiveSync).  See `ListInfo` in mail_rep.js for the details.
+   */
+  this.list = wireRep.list || null;
 
   this._relatedParts = wireRep.relatedParts;
   this.bodyReps = wireRep.bodyReps;
@@ -145,6 +151,9 @@ MailMessage.prototype = evt.mix({
     // NB:
     this.isDraft = wireRep.draftInfo !== null;
     this.isServerDraft = wireRep.flags.indexOf('\\Draft') !== -1;
+    // Server search results we can only display.  Marking them read, starring,
+    // moving or copying them does nothing, so don't offer to.
+    this.isReadOnly = !!wireRep.readOnly;
     // TODO: this really wants a first-class mapping along the lines of how
     // labels works.
     this.tags = filterOutBuiltinFlags(wireRep.flags);
@@ -158,6 +167,10 @@ MailMessage.prototype = evt.mix({
     // }
     this.sendProblems =
       (wireRep.draftInfo && wireRep.draftInfo.sendProblems) || {};
+    // When a message waiting in the outbox will be sent (because it was
+    // scheduled or is in its undo-send window), otherwise null.
+    this.sendAt = (wireRep.draftInfo && wireRep.draftInfo.sendAt) ?
+      new Date(wireRep.draftInfo.sendAt) : null;
 
     // Related parts and bodyReps have no state we need to maintain.  Just
     // replace them with the new copies for simplicity.
@@ -231,14 +244,12 @@ MailMessage.prototype = evt.mix({
     return this._api.trash([this]);
   },
 
-  /*
+  /**
    * Copy this message to another folder.
    */
-  /*
   copyMessage: function(targetFolder) {
-    return this._slice._api.copyMessages([this], targetFolder);
+    return this._api.copyMessages([this], targetFolder);
   },
-  */
 
   /**
    * Move this message to another folder.  This should *not* be used on gmail,
@@ -318,10 +329,13 @@ MailMessage.prototype = evt.mix({
   /**
    * Start composing a reply to this message.
    *
-   * @param {'sender'|'all'}
+   * @param {'sender'|'all'|'list'}
    *   - sender: Reply to just the sender/author of the message.
    *   - all: Reply to all; everyone on the to/cc and the author will end up
    *     either on the "to" or "cc" lines.
+   *   - list: Reply to the mailing list's List-Post address.  Check that
+   *     `list` and `list.post` are non-null before offering this; otherwise
+   *     this degrades to a reply to the sender.
    * @param {Boolean} [options.noComposer=false]
    *   Pass true if you don't want us to instantiate a MessageComposition
    *   for you automatically.  In this case the Promise contains a MessageNamer
@@ -338,12 +352,30 @@ MailMessage.prototype = evt.mix({
       });
   },
 
+  /**
+   * Unsubscribe from the mailing list this message came from, using RFC 8058
+   * one-click unsubscription if the list supports it or by sending an e-mail
+   * to the List-Unsubscribe mailto: address otherwise.  Only offer this if
+   * `list` is non-null and `list.unsubscribe` is not empty.
+   *
+   * @return {Promise<'post'|'mailto'|null>}
+   *   How we're unsubscribing, or null if there was no usable method or
+   *   something went wrong.  In that case `list.unsubscribe` may still have web
+   *   URLs you can show the user.
+   */
+  unsubscribeFromList: function() {
+    return this._api._unsubscribeFromList(this.id, this.date.valueOf());
+  },
+
   /**
    * Start composing a forward of this message.
    *
-   * @param {'inline'} forwardMode
-   *   We only support inline right now, so this pretty much doesn't matter, but
-   *   you want to pass 'inline' for now.
+   * @param {'inline'|'attachment'} forwardMode
+   *   - inline: Quote the body of this message into the new message.
+   *   - attachment: Attach this message intact (headers and all) as a
+   *     message/rfc822 attachment.  The attachment shows up on the draft once
+   *     the back-end has retrieved the original message from the server.  If
+   *     that fails, the composition's `attachOriginalError` gets set instead.
    * @param {Object} [options]
    * @param {Boolean} [options.noComposer=false]
    *   Pass true if you don't want us to instantiate a MessageComposition
@@ -431,8 +463,7 @@ MailMessage.prototype = evt.mix({
     return this._api._downloadAttachments({
       messageId: this.id,
       messageDate: this.date.valueOf(),
-      relatedPartRelIds,
-      attachmentRelIds: null
+      parts: new Map(relatedPartRelIds.map(relId => [relId, 'cache']))
     });
   },
 
@@ -443,15 +474,20 @@ MailMessage.prototype = evt.mix({
    * image is known since Gecko still doesn't have seamless iframes.
    */
   showEmbeddedImages: function(htmlNode, loadCallback) {
-    var i, cidToBlob = {};
+    var i, cidToBlob = {}, usedRelIds = [];
     // - Generate object URLs for the attachments
     for (i = 0; i < this._relatedParts.length; i++) {
       var relPart = this._relatedParts[i];
       // Related parts should all be stored as Blobs-in-IndexedDB
       if (relPart.file && !Array.isArray(relPart.file)) {
         cidToBlob[relPart.contentId] = relPart.file;
+        usedRelIds.push(relPart.relId);
       }
     }
+    // Let the back-end know so these are the last things it evicts.
+    if (usedRelIds.length) {
+      this._api._touchCachedParts(this.id, usedRelIds);
+    }
 
     // - Transform the links
     var nodes = htmlNode.querySelectorAll('.moz-embedded-image');
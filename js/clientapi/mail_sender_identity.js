@@ -9,7 +9,7 @@ define(function() {
  * - user's display name
  * - e-mail address,
  * - reply-to address
- * - signature
+ * - signatures
  */
 function MailSenderIdentity(api, wireRep) {
   // We store the API so that we can create identities for the composer without
@@ -20,8 +20,22 @@ function MailSenderIdentity(api, wireRep) {
   this.name = wireRep.name;
   this.address = wireRep.address;
   this.replyTo = wireRep.replyTo;
+  /**
+   * The legacy single plain-text signature.  This is kept in sync with the
+   * `signatures` entry with the id "legacy" by the back-end.
+   */
   this.signature = wireRep.signature;
   this.signatureEnabled = wireRep.signatureEnabled;
+  /**
+   * The identity's signatures.  Each has an `id`, a user-facing `name`, the
+   * `text` version of the signature, and the sanitized `html` version of the
+   * signature if it is an HTML signature (or null).
+   */
+  this.signatures = wireRep.signatures || [];
+  /** The id of the signature new messages start with, or null for none. */
+  this.newMessageSignatureId = wireRep.newMessageSignatureId || null;
+  /** The id of the signature replies and forwards start with. */
+  this.replySignatureId = wireRep.replySignatureId || null;
 }
 MailSenderIdentity.prototype = {
   toString: function() {
@@ -38,11 +52,22 @@ MailSenderIdentity.prototype = {
     this.replyTo = wireRep.replyTo;
     this.signature = wireRep.signature;
     this.signatureEnabled = wireRep.signatureEnabled;
+    this.signatures = wireRep.signatures || [];
+    this.newMessageSignatureId = wireRep.newMessageSignatureId || null;
+    this.replySignatureId = wireRep.replySignatureId || null;
   },
   /**
    * Modifies the identity. Applies all of the changes in mods and leaves all
    * other values the same.
    *
+   * Signatures are edited by passing the complete new list as `signatures`.
+   * Pass back the objects from our `signatures` for signatures you want to
+   * keep, and objects without an `id` for new signatures; ids get assigned by
+   * the back-end.  Provide `html` for an HTML signature; it will be sanitized,
+   * and if you don't also provide `text` a text version is derived from it.
+   * `newMessageSignatureId` and `replySignatureId` pick the defaults.  The
+   * legacy `signature` and `signatureEnabled` mods still work too.
+   *
    * @param  {Object}   mods     The changes to be applied
    *
    * @return {Promise}
@@ -59,6 +84,12 @@ MailSenderIdentity.prototype = {
     if (typeof mods.signatureEnabled !== 'undefined') {
       this.signatureEnabled = mods.signatureEnabled;
     }
+    if (typeof mods.newMessageSignatureId !== 'undefined') {
+      this.newMessageSignatureId = mods.newMessageSignatureId;
+    }
+    if (typeof mods.replySignatureId !== 'undefined') {
+      this.replySignatureId = mods.replySignatureId;
+    }
     return this._api._modifyIdentity(this, mods);
   },
 
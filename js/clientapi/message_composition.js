@@ -6,6 +6,7 @@ const evt = require('evt');
 const asyncFetchBlob = require('../async_blob_fetcher');
 
 const { encodeInt: encodeA64 } = require('../a64');
+const { accountIdFromMessageId } = require('../id_conversions');
 
 /**
  * We want to allocate a concise attachment id that does not conflict with any
@@ -89,6 +90,10 @@ function MessageComposition(api) {
   this.api = api;
   this._message = null;
 
+  /**
+   * The `MailSenderIdentity` the message is from.  Use `setSenderIdentity` to
+   * change it.
+   */
   this.senderIdentity = null;
 
   this.to = null;
@@ -100,6 +105,19 @@ function MessageComposition(api) {
   this.textBody = null;
   this.htmlBlob = null;
 
+  /**
+   * The id of the sender identity's signature that is currently in the body,
+   * or null if there is no signature.  Use `setSignature` to change it.
+   */
+  this.signatureId = null;
+
+  /**
+   * For forwards in 'attachment' mode, null unless we failed to attach the
+   * original message, in which case it's 'source-gone' (the original was
+   * deleted) or 'unavailable' (the server couldn't give it to us).
+   */
+  this.attachOriginalError = null;
+
   this.serial = 0;
 
   this._references = null;
@@ -137,7 +155,14 @@ MessageComposition.prototype = evt.mix({
     this.serial++;
 
     this.id = wireRep.id;
-    // TODO: use draftInfo to grab the MailSenderIdentity off the accounts, etc.
+    let account =
+      this.api.accounts.getAccountById(accountIdFromMessageId(wireRep.id));
+    if (account) {
+      let identityId = wireRep.draftInfo.identityId;
+      this.senderIdentity =
+        account.identities.find(ident => ident.id === identityId) ||
+        account.identities[0];
+    }
     this.subject = wireRep.subject;
     this.to = wireRep.to;
     this.cc = wireRep.cc;
@@ -145,6 +170,9 @@ MessageComposition.prototype = evt.mix({
     this.attachments = wireRep.attachments;
     // For displaying "Send failed".
     this.sendProblems = wireRep.draftInfo.sendProblems;
+    this.attachOriginalError = wireRep.draftInfo.attachOriginalError;
+    this.signatureId = wireRep.draftInfo.signature ?
+                         wireRep.draftInfo.signature.id : null;
 
     // HTML is optional, but if present, should satisfy our guard
     if (wireRep.bodyReps.length === 2 &&
@@ -175,6 +203,8 @@ MessageComposition.prototype = evt.mix({
    *
    * We do, however, care about the following right now:
    * - sendStatus: We want to reflect send errors.
+   * - attachOriginalError: Attaching the original message of a forward happens
+   *   after the draft is created, so we may only find out it failed later.
    * And will care about in the future:
    * - attachments: When we start encoding these on demand as part of the send
    *   process and retain the Blob as a usable binary, we will want to just be
@@ -185,6 +215,7 @@ MessageComposition.prototype = evt.mix({
   _onMessageChange: function() {
     let wireRep = this._message._wireRep;
     this.sendStatus = wireRep.draftInfo.sendStatus;
+    this.attachOriginalError = wireRep.draftInfo.attachOriginalError;
     this.emit('change');
   },
 
@@ -313,6 +344,58 @@ MessageComposition.prototype = evt.mix({
     this._mutated();
   },
 
+  /**
+   * Change which of the account's identities the message is from.  The
+   * signature is swapped for the new identity's default signature; see
+   * `setSignature` for how that works, including the caveat about changes to
+   * `textBody` made before the returned Promise resolves.
+   *
+   * @param {MailSenderIdentity} identity
+   *   One of the `identities` of the draft's `MailAccount`.
+   * @return {Promise}
+   */
+  setSenderIdentity: function(identity) {
+    return this.api._composeSetIdentity(
+      this.id, identity.id, this.textBody
+    ).then((result) => {
+      // The draft or the identity may have been deleted out from under us.
+      if (result) {
+        this.senderIdentity = identity;
+        this.textBody = result.textBody;
+        this.htmlBlob = result.htmlBlob;
+        this.signatureId = result.signatureId;
+        this._mutated();
+      }
+    });
+  },
+
+  /**
+   * Replace the signature in the body with a different one of the sender
+   * identity's signatures (see `MailSenderIdentity.signatures`), or remove it
+   * by passing null.  What the user wrote is left alone, but the back-end has
+   * to do the work because HTML signatures live in the read-only HTML part, so
+   * this is asynchronous.  `textBody` and `htmlBlob` are updated and a
+   * 'change' event fired once this is done.  Any changes made to `textBody`
+   * in the meantime will be lost, so you probably want to disable editing
+   * until the returned Promise resolves.
+   *
+   * @param {String} [signatureId]
+   * @return {Promise}
+   */
+  setSignature: function(signatureId) {
+    return this.api._composeSetSignature(
+      this.id, signatureId || null, this.textBody
+    ).then((result) => {
+      // The draft may have been deleted out from under us.
+      if (result) {
+        this.textBody = result.textBody;
+        this.htmlBlob = result.htmlBlob;
+        this.signatureId = signatureId || null;
+        this._mutated();
+      }
+    });
+  },
+
   /**
    * Populate our state to send over the wire to the back-end.
    */
@@ -342,9 +425,21 @@ MessageComposition.prototype = evt.mix({
    *   send the message.
    * - 'outbox-paused': The outbox is paused by the UI for UX reasons.  When the
    *   outbox is unpaused, we fully expect to send the message.
+   * - 'scheduled': The message will wait in the outbox until `sendAt` or until
+   *   the undo-send delay has elapsed.  Until then, `MailAPI.cancelSend` can
+   *   return it to the drafts folder.
+   *
+   * @param {Object} [opts]
+   * @param {DateMS} [opts.sendAt]
+   *   Send the message at this time rather than right away.
+   * @param {Number} [opts.undoSendDelay]
+   *   How many milliseconds to wait before sending the message so the user has
+   *   a chance to undo the send.  Defaults to the account's `undoSendDelay`.
+   *   This is ignored if `sendAt` is in the future.
    */
-  finishCompositionSendMessage: function() {
-    return this.api._composeDone(this.id, 'send', this._buildWireRep());
+  finishCompositionSendMessage: function(opts) {
+    return this.api._composeDone(
+      this.id, 'send', this._buildWireRep(), opts);
   },
 
   /**
@@ -59,8 +59,6 @@ function CompositeAccount(universe, accountDef, foldersTOC, dbConn,
     accountDef.credentials.oauth2._transientLastRenew = 0;
   }
 
-  this.identities = accountDef.identities;
-
   if (!PIECE_ACCOUNT_TYPE_TO_CLASS.hasOwnProperty(accountDef.receiveType)) {
     logic(this, 'badAccountType', { type: accountDef.receiveType });
   }
@@ -95,6 +93,10 @@ CompositeAccount.prototype = {
   get supportsServerFolders() {
     return this._receivePiece.supportsServerFolders;
   },
+  // identity_add/identity_remove replace the array on the accountDef.
+  get identities() {
+    return this.accountDef.identities;
+  },
   toBridgeFolder: function() {
     return {
       id: this.accountDef.id,
@@ -170,6 +172,20 @@ CompositeAccount.prototype = {
     });
   },
 
+  /**
+   * Close the connections made with out-of-date server settings.
+   *
+   * @param {Object} which
+   * @param {Boolean} which.receive
+   *   The receiveConnInfo changed.
+   * @param {Boolean} which.send
+   *   The sendConnInfo changed.
+   */
+  resetConnections: function(which) {
+    this._receivePiece.resetConnections(which);
+    this._sendPiece.resetConnections(which);
+  },
+
   /**
    * Shutdown the account; see `MailUniverse.shutdown` for semantics.
    */
@@ -183,6 +199,22 @@ CompositeAccount.prototype = {
     this._receivePiece.accountDeleted();
   },
 
+  /**
+   * Push is entirely a receive-side thing, and only IMAP can do it.  See
+   * `AccountManager.setPushEnabled`.
+   */
+  setPushEnabled: function(enabled) {
+    if (this._receivePiece.setPushEnabled) {
+      this._receivePiece.setPushEnabled(enabled);
+    }
+  },
+
+  viewedFoldersChanged: function() {
+    if (this._receivePiece.viewedFoldersChanged) {
+      this._receivePiece.viewedFoldersChanged();
+    }
+  },
+
   deleteFolder: function(folderId, callback) {
     return this._receivePiece.deleteFolder(folderId, callback);
   },
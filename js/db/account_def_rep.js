@@ -16,7 +16,7 @@ const { NOW } = require('../date');
  *   - name
  *   - defaultPriority: A timestamp allowing us to reorder the account to be the
  *     default account by setting the value to be the current timestamp.
- *   - identities
+ *   - identities: The sender identities; the first is the default identity.
  * - Standardized fields we enforce existing across all accounts but where the
  *   data inside can and will vary.
  *   - engineData
@@ -27,6 +27,14 @@ const { NOW } = require('../date');
  *   - playSoundOnSend
  * - Per-account settings (exposed conditionally in UI)
  *   - syncRange (Activesync-only)
+ *   - threadBySubject: Should replies lacking usable message-id headers be
+ *     threaded into recent conversations with the same normalized subject?
+ *   - downloadCacheQuota: The number of bytes of downloaded attachments and
+ *     embedded images to keep cached before evicting the least recently used.
+ *   - maxConnections (IMAP-only): The maximum number of simultaneous
+ *     connections ParallelIMAP may open to the server.
+ *   - undoSendDelay: How many milliseconds sent messages wait in the outbox
+ *     so the user can still undo the send.
  * - Per-account connection detail settings that potentially differ:
  *   - activesync: connInfo
  *   - composite:
@@ -98,6 +106,30 @@ function makeAccountDef({ infra, credentials, prefFields, typeFields,
   return def;
 }
 
+/**
+ * An identity's signature.  Identities can have any number of these, and pick
+ * which ones to use by default via `newMessageSignatureId` and
+ * `replySignatureId`.
+ *
+ * @typedef {Object} SignatureInfo
+ * @prop {String} id
+ *   Identifier that is unique among the identity's signatures.
+ * @prop {String} name
+ *   User-facing label for the signature, like "Work".
+ * @prop {String} text
+ *   The plain-text version of the signature.  If only HTML was provided, this
+ *   is derived from it.
+ * @prop {String} [html]
+ *   The sanitized HTML version of the signature, or null for text-only
+ *   signatures.
+ */
+
+/**
+ * Create an identity.  The legacy `signature` and `signatureEnabled` fields
+ * predate `signatures` and are kept in sync with the signature whose id is
+ * mailchew's `LEGACY_SIGNATURE_ID` by identity_modify.  Identities stored
+ * before `signatures` existed lack it entirely; see `getIdentitySignatures`.
+ */
 function makeIdentity(raw) {
   return {
     id: raw.id,
@@ -105,7 +137,10 @@ function makeIdentity(raw) {
     address: raw.address,
     replyTo: raw.replyTo,
     signature: raw.signature,
-    signatureEnabled: raw.signatureEnabled
+    signatureEnabled: raw.signatureEnabled,
+    signatures: raw.signatures || [],
+    newMessageSignatureId: raw.newMessageSignatureId || null,
+    replySignatureId: raw.replySignatureId || null
   };
 }
 
@@ -118,6 +118,10 @@ AccountsTOC.prototype = evt.mix({
         syncInterval: accountDef.syncInterval,
         notifyOnNew: accountDef.notifyOnNew,
         playSoundOnSend: accountDef.playSoundOnSend,
+        threadBySubject: accountDef.threadBySubject,
+        downloadCacheQuota: accountDef.downloadCacheQuota,
+        maxConnections: accountDef.maxConnections,
+        undoSendDelay: accountDef.undoSendDelay,
 
         identities: accountDef.identities,
 
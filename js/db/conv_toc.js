@@ -134,16 +134,31 @@ ConversationTOC.prototype = BaseTOC.mix({
   /**
    * Listener for changes on the conversation to detect when it's deleted so we
    * can clean ourselves out.  No TOC events are generated in this case.
+   *
+   * If the conversation was deleted because it was merged into another
+   * conversation, we re-target our query at that conversation and reload so
+   * that our consumers keep seeing the (now bigger) thread.
    */
-  onConvChange: function(convId, convInfo) {
+  onConvChange: function(convId, convInfo, mergedIntoConvId) {
     if (convInfo === null) {
       // Our conversation was deleted and no longer exists.  Clean everything
       // out.
       this.idsWithDates.splice(0, this.idsWithDates.length);
       this.emit('change', null);
+
+      if (mergedIntoConvId) {
+        this._followMerge(mergedIntoConvId);
+      }
     }
   },
 
+  _followMerge: co.wrap(function*(mergedIntoConvId) {
+    logic(this, 'followingMerge', { convId: mergedIntoConvId });
+    this.query.retarget(mergedIntoConvId);
+    yield this.__activateTOC();
+    this.emit('change', null);
+  }),
+
   /**
    * Return an array of the conversation id's occupying the given indices.
    */
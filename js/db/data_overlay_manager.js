@@ -98,6 +98,26 @@ DataOverlayManager.prototype = evt.mix({
     funcs.push(func);
   },
 
+  /**
+   * Remove a provider function previously passed to `registerProvider`.  Used
+   * when the account owning a complex task instance is deleted.
+   */
+  unregisterProvider: function(namespace, name, func) {
+    let providersForNamespace =
+      this.registeredProvidersByNamespace.get(namespace);
+    let funcs = providersForNamespace && providersForNamespace.get(name);
+    if (!funcs) {
+      return;
+    }
+    let idx = funcs.indexOf(func);
+    if (idx !== -1) {
+      funcs.splice(idx, 1);
+    }
+    if (!funcs.length) {
+      providersForNamespace.delete(name);
+    }
+  },
+
   /**
    * Announce that there is new overlay data available for the given id in the
    * given namespace.  If anyone/anything cares, the data will be pulled out.
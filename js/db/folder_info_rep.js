@@ -25,9 +25,9 @@ define(function() {
  *   This should be considered private/personal data like the folder name.
  * @property {String} [serverPath=null]
  *   The current path of the folder on the server, if the folder exists on the
- *   server.  This will be null if the folder is local-only.  When we eventually
- *   support folder renames, this may potentially be different from the `path`
- *   until we replay the move against the server.
+ *   server.  This will be null if the folder is local-only.  When a folder has
+ *   been renamed or moved (see the `manage_folder` task), this will differ
+ *   from the `path` until we replay the change against the server.
  * @property {String} [delim]
  *   The delimiter to be used when constructing paths for child folders.
  * @property {number} depth
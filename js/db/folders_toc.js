@@ -93,15 +93,20 @@ function FoldersTOC({ db, accountDef, folders, dataOverlayManager }) {
   // See `issueFolderId` for the sordid details.
   this._nextFolderNum = nextFolderNum;
 
-  // TODO: on account deletion we should be removing these listeners, but this
-  // is a relatively harmless leak given that account creation and deletion is
-  // a relatively rare operation.
-  db.on(`acct!${accountDef.id}!change`, this._onAccountChange.bind(this));
-  db.on(
-    `acct!${accountDef.id}!folders!tocChange`, this._onTOCChange.bind(this));
+  // We keep the bound listeners around so `__accountRemoved` can remove them.
+  this._db = db;
+  this._boundDbListeners = new Map([
+    [`acct!${accountDef.id}!change`, this._onAccountChange.bind(this)],
+    [`acct!${accountDef.id}!folders!tocChange`, this._onTOCChange.bind(this)]
+  ]);
+  for (let [eventName, listener] of this._boundDbListeners) {
+    db.on(eventName, listener);
+  }
 
+  this._boundOnAccountOverlayCascade =
+    this._onAccountOverlayCascade.bind(this);
   dataOverlayManager.on(
-    'accountCascadeToFolders', this._onAccountOverlayCascade.bind(this));
+    'accountCascadeToFolders', this._boundOnAccountOverlayCascade);
 }
 FoldersTOC.prototype = evt.mix({
   type: 'FoldersTOC',
@@ -117,6 +122,20 @@ FoldersTOC.prototype = evt.mix({
     // nothing to do
   },
 
+  /**
+   * Our owning account has been deleted; stop listening for changes so that we
+   * can be garbage collected.  Invoked by the AccountManager.
+   */
+  __accountRemoved: function() {
+    logic(this, 'accountRemoved', { accountId: this.accountId });
+    for (let [eventName, listener] of this._boundDbListeners) {
+      this._db.removeListener(eventName, listener);
+    }
+    this._boundDbListeners.clear();
+    this._dataOverlayManager.removeListener(
+      'accountCascadeToFolders', this._boundOnAccountOverlayCascade);
+  },
+
   /**
    * Someone needs to allocate folder id's (that are namespaced by the account
    * id), and we are it.  Using `_deriveNextFolderId`, we determine the high
@@ -239,10 +258,17 @@ FoldersTOC.prototype = evt.mix({
     } else if (folderInfo) {
       // - change
       // object identity ensures folderInfo is already present.
-      this.emit(
-        'change',
-        this.folderInfoToWireRep(folderInfo),
-        this.items.indexOf(folderInfo));
+      let idx = this.items.indexOf(folderInfo);
+      // A rename or move may change where the folder sorts, in which case we
+      // remove and re-add it.  Descendants get their own change notifications
+      // since their paths change too.
+      if (this._makeFolderSortString(folderInfo) !==
+            this.folderSortStrings[idx]) {
+        this._removeFolderById(folderId);
+        this._addFolder(folderInfo);
+      } else {
+        this.emit('change', this.folderInfoToWireRep(folderInfo), idx);
+      }
     } else {
       // - remove
       this._removeFolderById(folderId);
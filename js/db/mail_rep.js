@@ -83,6 +83,9 @@ define(function() {
  *   '>' removed) message-id's.  If there was no header, this is null.  The
  *   references go from oldest to newest.  That is, the 0th reference should be
  *   the root message and the last reference should be the parent.
+ * @property {ListInfo} [list=null]
+ *   Mailing list meta-data if the message came to us via a mailing list.  (Not
+ *   available for ActiveSync.)
  * @property {BodyPartInfo[]} bodyReps
  *   Information on the message body that is only for full message display.
  *   The to/cc/bcc information may get moved up to the header in the future,
@@ -91,6 +94,11 @@ define(function() {
  *   If this is a draft, the metadata about the draft.  Note that with our
  *   current continued localdrafts requirement, this also serves as our magic
  *   `isDraft` indicator.
+ * @property {Boolean} [readOnly=false]
+ *   True for messages we got from server search results but can't manipulate
+ *   on the server (ActiveSync hits have no serverId).  Flag changes, moves
+ *   and copies refuse to touch them rather than change only our copy.  Cleared
+ *   if sync later tells us about the message properly.
  */
 function makeMessageInfo(raw) {
   // All messages absolutely need the following; the caller needs to make up
@@ -131,11 +139,36 @@ function makeMessageInfo(raw) {
     attachments: raw.attachments,
     relatedParts: raw.relatedParts || null,
     references: raw.references || null,
+    list: raw.list || null,
     bodyReps: raw.bodyReps,
-    draftInfo: raw.draftInfo || null
+    draftInfo: raw.draftInfo || null,
+    readOnly: raw.readOnly || false
   };
 }
 
+/**
+ * Mailing list meta-data derived from the List-Id and List-* headers.  See
+ * `extractListInfo` in mime_header_info.js.
+ *
+ * @typedef {Object} ListInfo
+ * @prop {String} id
+ *   The lower-cased list identifier from the List-Id header without the arrows,
+ *   ex: "dev-gaia.lists.mozilla.org".  Null if there was no List-Id header.
+ * @prop {String} name
+ *   The human readable phrase from the List-Id header, if any.
+ * @prop {String} post
+ *   The e-mail address to post to the list, taken from the first mailto: URL in
+ *   the List-Post header.  Null if there is none or posting is not allowed.
+ * @prop {String[]} unsubscribe
+ *   The List-Unsubscribe URLs in the order the list gave them to us, which is
+ *   their order of preference.
+ * @prop {Boolean} oneClickUnsubscribe
+ *   Does the list support RFC 8058 one-click unsubscription via a POST to an
+ *   https unsubscribe URL?
+ * @prop {String} archive
+ *   The first List-Archive URL, if any.
+ */
+
 /**
  * Create local-only meta-data to be stored on a MessageInfo that represents a
  * draft.  This is information about a draft that cannot be directly
@@ -151,10 +184,8 @@ function makeMessageInfo(raw) {
  * - FUTURE: Allowing a draft to change from reply-to-sender to reply-all.
  * - FUTURE: Allowing a draft to change from a reply to a forward (which
  *   requires regenerating the quoted/forwarded body).
- * - FUTURE: Allowin specific identities of an account (or different accounts
- *   with different identities) to be switched between, which potentially means
- *   different signatures and different signature configurations, probably
- *   requiring regeneration of the quoted/forwarded body.
+ * - Allowing the identities of an account to be switched between, which
+ *   means swapping the signature too.  (FUTURE: Switching between accounts.)
  *
  * Error reporting feedback this allows:
  * - Send failures that seem to be specific to the message (rather than being
@@ -164,9 +195,10 @@ function makeMessageInfo(raw) {
  * @prop {'blank'|'reply'|'forward'} draftType
  *   The type of message this (currently is).  This cannot change for a draft
  *   at the current time.
- * @prop {'sender'|'all'} [mode=null]
- *   If this is a reply, the type of reply it currently is.  This may also have
- *   meaning in the future when dealing with forwards.
+ * @prop {'sender'|'all'|'list'|'inline'|'attachment'} [mode=null]
+ *   If this is a reply, the type of reply it currently is ('sender', 'all', or
+ *   'list').  If this is a forward, whether the source message was quoted
+ *   ('inline') or attached ('attachment').
  * @prop {MessageId} [refMessageId=null]
  *   Our local identifier for the message we are replying to/forwarding.
  * @prop {DateMS} [refMessageDate=null]
@@ -175,6 +207,34 @@ function makeMessageInfo(raw) {
  * @prop {Object} [sendProblems=null]
  *   Problems experienced sending the message.  This replaces the v1.x sendInfo
  *   structure which captured both send state and sending problems.
+ * @prop {DateMS} [sendAt=null]
+ *   If the message is in the outbox waiting for a scheduled send time or for
+ *   its undo-send delay to elapse, when it will be sent.
+ * @prop {DraftSignatureInfo} [signature=null]
+ *   The identity signature we put in the draft's body, if any.
+ * @prop {IdentityId} [identityId=null]
+ *   The identity the draft is from.  If null or the identity no longer exists,
+ *   the account's default identity is used.
+ * @prop {'source-gone'|'unavailable'} [attachOriginalError=null]
+ *   If this is a forward in 'attachment' mode and we couldn't attach the
+ *   original message, why: it was deleted before we got to it, or the server
+ *   couldn't give it to us.
+ */
+
+/**
+ * Where we put a signature in a draft's body so that it can be swapped for a
+ * different signature later without disturbing what the user wrote.  See
+ * `addSignature` and `removeSignature` in mailchew.js.
+ *
+ * @typedef {Object} DraftSignatureInfo
+ * @prop {String} id
+ *   The id of the identity's `SignatureInfo`.
+ * @prop {String} [text]
+ *   The exact string we inserted into the text/plain body part, or null if the
+ *   signature is in the HTML part.
+ * @prop {String} [html]
+ *   The exact string we appended to the end of the HTML body part, or null if
+ *   the signature is in the text/plain part.
  */
 function makeDraftInfo(raw) {
   return {
@@ -182,7 +242,11 @@ function makeDraftInfo(raw) {
     mode: raw.mode || null,
     refMessageId: raw.refMessageId || null,
     refMessageDate: raw.refMessageDate || null,
-    sendProblems: raw.sendProblems || null
+    sendProblems: raw.sendProblems || null,
+    sendAt: raw.sendAt || null,
+    signature: raw.signature || null,
+    identityId: raw.identityId || null,
+    attachOriginalError: raw.attachOriginalError || null
   };
 }
 
@@ -0,0 +1,65 @@
+define(function() {
+'use strict';
+
+/**
+ * Listens to the sync_search task lifecycle of a folder for search TOCs that
+ * asked for a server search.  Like `SyncLifecycle`, we get our info from the
+ * folder overlays and describe things for consumers on
+ * `ConversationsListView`.
+ *
+ * ## Events ##
+ * - serverSearchComplete: Fired on the falling edge of serverSearchStatus, at
+ *   which point everything the server search found has been synchronized.
+ *
+ * ## tocMeta fields ##
+ * - serverSearchStatus {String}: null, 'pending' or 'active' just like
+ *   MailFolder.syncStatus.
+ * - serverSearchBlocked {String}: Like MailFolder.syncBlocked.
+ */
+function ServerSearchLifecycle({ folderId, dataOverlayManager }) {
+  this.folderId = folderId;
+  this.toc = null;
+  this.searchActive = false;
+
+  this.dataOverlayManager = dataOverlayManager;
+  this.resolveFolderOverlay = dataOverlayManager.makeBoundResolver('folders');
+
+  this._bound_onOverlayChange = this.onOverlayChange.bind(this);
+}
+ServerSearchLifecycle.prototype = {
+  constructor: ServerSearchLifecycle,
+  activate: function(toc) {
+    this.toc = toc;
+    this.dataOverlayManager.on('folders', this._bound_onOverlayChange);
+    this.searchActive = false;
+    this.onOverlayChange(this.folderId);
+  },
+
+  deactivate: function() {
+    this.dataOverlayManager.removeListener(
+      'folders', this._bound_onOverlayChange);
+  },
+
+  onOverlayChange: function(changedFolderId) {
+    if (changedFolderId !== this.folderId) {
+      return;
+    }
+
+    let overlays = this.resolveFolderOverlay(changedFolderId);
+    let searchOverlay = (overlays && overlays.sync_search) || {};
+
+    this.toc.applyTOCMetaChanges({
+      serverSearchStatus: searchOverlay.status || null,
+      serverSearchBlocked: searchOverlay.blocked || null
+    });
+
+    let newSearchActive = !!searchOverlay.status;
+    if (this.searchActive && !newSearchActive) {
+      this.toc.broadcastEvent('serverSearchComplete', {});
+    }
+    this.searchActive = newSearchActive;
+  }
+};
+
+return ServerSearchLifecycle;
+});
@@ -133,11 +133,25 @@ TriggerManager.prototype = {
   /**
    * Register a single function as a trigger handler; intended to be used by
    * the TaskRegistry to allow task instances to do trigger-like things.
+   *
+   * @return {Function}
+   *   The bound handler actually registered with the MailDB, to be passed to
+   *   `unregisterTriggerFunc` when the task instance goes away.
    */
   registerTriggerFunc: function(eventName, triggerName, handlerFunc) {
     let triggerContext = new TriggerContext(this, triggerName);
     let boundHandler = handlerFunc.bind(null, triggerContext);
     this.db.on(eventName, boundHandler);
+    return boundHandler;
+  },
+
+  /**
+   * Undo a `registerTriggerFunc` call, like when the account the task instance
+   * belongs to is deleted.
+   */
+  unregisterTriggerFunc: function(eventName, triggerName, boundHandler) {
+    logic(this, 'unregisterTriggerFunc', { eventName, triggerName });
+    this.db.removeListener(eventName, boundHandler);
   }
 };
 return TriggerManager;
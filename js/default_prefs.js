@@ -4,6 +4,12 @@ return {
   syncRange: 'auto',
   syncInterval: 0,
   notifyOnNew: true,
-  playSoundOnSend: true
+  playSoundOnSend: true,
+  threadBySubject: false,
+  // 32 MiB
+  downloadCacheQuota: 32 * 1024 * 1024,
+  maxConnections: 3,
+  // milliseconds; 0 sends immediately
+  undoSendDelay: 0
 };
 });
@@ -73,6 +73,38 @@ function replyToFromIdentity(identity) {
   return { address: identity.replyTo };
 }
 
+/**
+ * Find the identity with the given id, falling back to the first (default)
+ * identity if there is no such identity (any more).
+ */
+function findIdentityOrDefault(identities, identityId) {
+  return identities.find(identity => identity.id === identityId) ||
+         identities[0];
+}
+
+/**
+ * Pick the identity to reply to (or otherwise respond to) the given message
+ * with: the identity whose address the message was sent to, checking `to`,
+ * then `cc`, then `bcc` (which is only populated for messages we sent).  If
+ * none match, the message likely came via a mailing list or forwarding
+ * address and we use the default identity.  Unlike elsewhere in this file,
+ * we compare addresses case-insensitively since this is only a heuristic.
+ */
+function pickIdentityForMessage(identities, message) {
+  for (let list of [message.to, message.cc, message.bcc]) {
+    for (let addressPair of (list || [])) {
+      let address = (addressPair.address || '').toLowerCase();
+      let identity = identities.find((ident) => {
+        return (ident.address || '').toLowerCase() === address;
+      });
+      if (identity) {
+        return identity;
+      }
+    }
+  }
+  return identities[0];
+}
+
 return {
   checkIfAddressListContainsAddress,
   addressMatches,
@@ -80,6 +112,8 @@ return {
   effectiveAuthorGivenReplyTo,
   filterOutIdentity,
   addressPairFromIdentity,
-  replyToFromIdentity
+  replyToFromIdentity,
+  findIdentityOrDefault,
+  pickIdentityForMessage
 };
 });
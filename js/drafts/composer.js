@@ -38,6 +38,33 @@ function normalizeNewlines(body) {
   return body.replace(/\r?\n|\r/g, '\r\n');
 }
 
+const CHAR_LF = 0x0a;
+const CHAR_PERIOD = 0x2e;
+
+/**
+ * SMTP dot-stuffing for a Blob that we insert as-is (rather than base64
+ * encoded) like a forwarded message/rfc822 attachment.  Returns a new Blob made
+ * up of slices of the original with an extra "." inserted before every line
+ * that starts with one.  The Blob is assumed to start at the beginning of a
+ * line.
+ */
+const dotStuffBlob = co.wrap(function*(blob) {
+  let u8 = new Uint8Array(yield asyncFetchBlob(blob, 'arraybuffer'));
+  let pieces = [];
+  let sliceStart = 0;
+  for (let i = 0; i < u8.length; i++) {
+    if (u8[i] === CHAR_PERIOD && (i === 0 || u8[i - 1] === CHAR_LF)) {
+      pieces.push(blob.slice(sliceStart, i), '.');
+      sliceStart = i;
+    }
+  }
+  if (!pieces.length) {
+    return blob;
+  }
+  pieces.push(blob.slice(sliceStart));
+  return new Blob(pieces, { type: blob.type });
+});
+
 /**
  * Abstraction around the mailbuild helper library and our efforts to avoid
  * filling up the device's memory and crashing when we send large messages.  We
@@ -192,7 +219,7 @@ Composer.prototype = {
     this._blobReplacements = [];
     this._uniqueBlobBoundary = '{{blob!' + Math.random() + Date.now() + '}}';
 
-    messageInfo.attachments.forEach((attachment) => {
+    for (let attachment of messageInfo.attachments) {
       try {
         var attachmentNode = new MimeNode(
           attachment.type,
@@ -202,17 +229,31 @@ Composer.prototype = {
           });
         // Explicitly indicate that the attachment is base64 encoded.  mailbuild
         // only picks base64 for non-text/* MIME parts, but our attachment logic
-        // encodes *all* attachments in base64, so base64 is the only correct
-        // answer.  (Also, failure to base64 encode our _uniqueBlobBoundary breaks
-        // the replace logic in withMessageBlob.  So base64 all the things!)
-        attachmentNode.setHeader('Content-Transfer-Encoding', 'base64');
+        // encodes attachments in base64, so base64 is the only correct answer.
+        // (Also, failure to base64 encode our _uniqueBlobBoundary breaks the
+        // replace logic in withMessageBlob.  So base64 all the things!)
+        //
+        // The exception is forwarded messages which are stored raw with an
+        // explicit 8bit encoding because RFC 2046 forbids base64 encoding
+        // message/rfc822 parts.  mailbuild leaves such content alone, so we
+        // normalize its placeholder to the base64 one after building.
+        let encoding = attachment.encoding || 'base64';
+        attachmentNode.setHeader('Content-Transfer-Encoding', encoding);
         attachmentNode.setContent(this._uniqueBlobBoundary);
         root.appendChild(attachmentNode);
-        this._blobReplacements.push(new Blob(attachment.file));
+        let blob = new Blob(attachment.file);
+        if (encoding !== 'base64') {
+          if (opts.smtp) {
+            blob = yield dotStuffBlob(blob);
+          }
+          // The content must be followed by a newline before the boundary.
+          blob = new Blob([blob, '\r\n']);
+        }
+        this._blobReplacements.push(blob);
       } catch (ex) {
         console.error('Problem attaching attachment:', ex, '\n', ex.stack);
       }
-    });
+    }
 
     // Another horrible workaround: Mailbuild _never_ includes the
     // 'Bcc' header in the generated output, and there isn't a simple
@@ -253,8 +294,11 @@ Composer.prototype = {
     // Split the message into an array, delimited by our unique blob
     // boundary, interleaving the attachment blobs. Note that we must
     // search for the base64-encoded blob boundary, as at this point
-    // it has been encoded for transport.
-    var splits = str.split(btoa(this._uniqueBlobBoundary) + '\r\n');
+    // it has been encoded for transport.  (Raw attachments' boundaries are
+    // converted to the base64 form first.)
+    var encodedBoundary = btoa(this._uniqueBlobBoundary) + '\r\n';
+    str = str.split(this._uniqueBlobBoundary + '\r\n').join(encodedBoundary);
+    var splits = str.split(encodedBoundary);
     this._blobReplacements.forEach(function(blob, i) {
       // blob 0 => index 1
       // blob 1 => index 3
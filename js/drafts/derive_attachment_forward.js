@@ -0,0 +1,61 @@
+define(function(require) {
+'use strict';
+
+const { addressPairFromIdentity, replyToFromIdentity } =
+  require('./address_helpers');
+
+const { generateBaseComposeParts, generateForwardSubject, pickSignature } =
+  require('../bodies/mailchew');
+
+const { makeMessageInfo, makeDraftInfo } = require('../db/mail_rep');
+
+/**
+ * Given a MessageInfo, derive a new MessageInfo that will forward that message
+ * as a message/rfc822 attachment.  The body is just like that of a blank draft;
+ * the attachment itself is added by the per-account `draft_attach_original`
+ * task once it has the raw MIME of the source message in hand.
+ */
+return function deriveAttachmentForward({ sourceMessage, identity, messageId,
+                                          umid, guid, date, folderIds }) {
+  // -- Subject
+  let subject = generateForwardSubject(sourceMessage.subject);
+
+  // -- Build the body
+  let { bodyReps, draftSignature } =
+    generateBaseComposeParts(pickSignature(identity, 'forward'));
+
+  let draftInfo = makeDraftInfo({
+    draftType: 'forward',
+    mode: 'attachment',
+    refMessageId: sourceMessage.id,
+    refMessageDate: sourceMessage.date,
+    signature: draftSignature,
+    identityId: identity.id
+  });
+
+  return makeMessageInfo({
+    id: messageId,
+    umid,
+    guid,
+    date,
+    author: addressPairFromIdentity(identity),
+    // Forwarded messages have no automatic recipients
+    to: [],
+    cc: [],
+    bcc: [],
+    replyTo: replyToFromIdentity(identity),
+    flags: [],
+    folderIds,
+    hasAttachments: false,
+    subject,
+    // There is no user-authored content at this point, so the snippet is empty
+    // by definition.  draft_save will update this.
+    snippet: '',
+    attachments: [],
+    relatedParts: [],
+    references: [],
+    bodyReps,
+    draftInfo
+  });
+};
+});
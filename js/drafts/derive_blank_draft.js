@@ -4,7 +4,7 @@ define(function(require) {
 const { addressPairFromIdentity, replyToFromIdentity } =
   require('./address_helpers');
 
-const { generateBaseComposeParts } =
+const { generateBaseComposeParts, pickSignature } =
   require('../bodies/mailchew');
 
 const { makeMessageInfo, makeDraftInfo } = require('../db/mail_rep');
@@ -16,13 +16,16 @@ const { makeMessageInfo, makeDraftInfo } = require('../db/mail_rep');
 return function deriveBlankDraft({ identity, messageId, umid, guid, date,
                                    folderIds }) {
   // -- Build the body
-  let bodyReps = generateBaseComposeParts(identity);
+  let { bodyReps, draftSignature } =
+    generateBaseComposeParts(pickSignature(identity, 'blank'));
 
   let draftInfo = makeDraftInfo({
     draftType: 'blank',
     mode: null,
     refMessageId: null,
-    refMessageDate: null
+    refMessageDate: null,
+    signature: draftSignature,
+    identityId: identity.id
   });
 
   return makeMessageInfo({
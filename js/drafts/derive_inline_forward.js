@@ -4,7 +4,7 @@ define(function(require) {
 const { addressPairFromIdentity, replyToFromIdentity } =
   require('./address_helpers');
 
-const { generateForwardSubject, generateForwardParts } =
+const { generateForwardSubject, generateForwardParts, pickSignature } =
   require('../bodies/mailchew');
 
 const { makeMessageInfo, makeDraftInfo } = require('../db/mail_rep');
@@ -21,13 +21,16 @@ return function* deriveInlineForward({ sourceMessage, identity, messageId, umid,
   let subject = generateForwardSubject(sourceMessage.subject);
 
   // -- Build the body
-  let bodyReps = yield* generateForwardParts( sourceMessage, identity);
+  let { bodyReps, draftSignature } = yield* generateForwardParts(
+    sourceMessage, pickSignature(identity, 'forward'));
 
   let draftInfo = makeDraftInfo({
     draftType: 'forward',
     mode: null,
     refMessageId: sourceMessage.id,
-    refMessageDate: sourceMessage.date
+    refMessageDate: sourceMessage.date,
+    signature: draftSignature,
+    identityId: identity.id
   });
 
   return makeMessageInfo({
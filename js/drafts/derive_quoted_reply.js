@@ -4,10 +4,11 @@ define(function(require) {
 const { effectiveAuthorGivenReplyTo, addressPairFromIdentity,
         replyToFromIdentity } = require('./address_helpers');
 
-const { generateReplySubject, generateReplyParts } =
+const { generateReplySubject, generateReplyParts, pickSignature } =
   require('../bodies/mailchew');
 
 const replyAllRecipients = require('./reply_all_recipients');
+const replyToListRecipients = require('./reply_to_list_recipients');
 const replyToSenderRecipients = require('./reply_to_sender_recipients');
 
 const { makeMessageInfo, makeDraftInfo } = require('../db/mail_rep');
@@ -41,6 +42,11 @@ return function* deriveQuotedReply({ sourceMessage, replyMode, identity,
       recipients = replyAllRecipients(
         sourceRecipients, sourceEffectiveAuthor, replyEffectiveAuthor);
       break;
+    case 'list':
+      recipients = replyToListRecipients(
+        sourceRecipients, sourceMessage.list, sourceEffectiveAuthor,
+        replyEffectiveAuthor);
+      break;
     default:
       throw new Error('bad reply mode: ' + replyMode);
   }
@@ -57,14 +63,14 @@ return function* deriveQuotedReply({ sourceMessage, replyMode, identity,
   let subject = generateReplySubject(sourceMessage.subject);
 
   // -- Build the body
-  let bodyReps = yield* generateReplyParts(
+  let { bodyReps, draftSignature } = yield* generateReplyParts(
     sourceMessage.bodyReps,
     // Used for the "{author} wrote" bit, which favors display name, so
     // allowing the non-SPF-verified reply-to versus the maybe-SPF-verified
     // true sender doesn't matter because the display name is utterly spoofable.
     sourceEffectiveAuthor,
     date,
-    identity,
+    pickSignature(identity, 'reply'),
     sourceMessage.guid
   );
 
@@ -72,7 +78,9 @@ return function* deriveQuotedReply({ sourceMessage, replyMode, identity,
     draftType: 'reply',
     mode: replyMode,
     refMessageId: sourceMessage.id,
-    refMessageDate: sourceMessage.date
+    refMessageDate: sourceMessage.date,
+    signature: draftSignature,
+    identityId: identity.id
   });
 
   return makeMessageInfo({
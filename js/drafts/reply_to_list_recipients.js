@@ -0,0 +1,28 @@
+define(function(require) {
+'use strict';
+
+const replyToSenderRecipients = require('./reply_to_sender_recipients');
+
+/**
+ * Given the original recipients of a message, its mailing list meta-data, and
+ * the authors involved, figure out the new set of recipients for a "reply to
+ * list".  This is just the List-Post address; the author of the message is
+ * presumably subscribed to the list and so will get the reply anyways.
+ *
+ * If the list does not accept posts (or this isn't a mailing list message at
+ * all), we degrade to a normal reply to the sender rather than producing a
+ * draft with no one to send it to.
+ */
+return function replyToListRecipients(sourceRecipients, sourceList,
+                                      sourceAuthor, replyAuthor) {
+  if (!sourceList || !sourceList.post) {
+    return replyToSenderRecipients(
+      sourceRecipients, sourceAuthor, replyAuthor);
+  }
+  return {
+    to: [{ address: sourceList.post }],
+    cc: [],
+    bcc: []
+  };
+};
+});
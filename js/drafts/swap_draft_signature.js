@@ -0,0 +1,69 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+
+const asyncFetchBlob = require('../async_blob_fetcher');
+
+const { DESIRED_SNIPPET_LENGTH } = require('../syncbase');
+
+const { quoteProcessTextBody, generateSnippet } =
+  require('../bodies/quotechew');
+const { addSignature, removeSignature, makeBodyPartsFromTextAndHTML } =
+  require('../bodies/mailchew');
+
+/**
+ * Replace the signature in a draft MessageInfo with the given signature (or no
+ * signature at all), mutating the MessageInfo's body reps, snippet and
+ * `draftInfo.signature` in place.  This is an asynchronous process because we
+ * need to load the HTML; you need to yield* to this generator.
+ *
+ * We are handed the composition's current text so that we don't clobber any
+ * unsaved edits, remove the signature we previously put in the body (which
+ * `DraftSignatureInfo` tells us how to find), and add the new one in its
+ * place.  If the signature was in the HTML part, it's always at the end, so
+ * this can't disturb anything the user wrote.  If the user edited a text
+ * signature, we can no longer find it, and so leave it there rather than
+ * risk eating their words.
+ *
+ * @return {{ textBody, htmlBlob }}
+ *   The new body, for the benefit of the `MessageComposition`.
+ */
+return function* swapDraftSignature(messageInfo, textBody, signature) {
+  let draftInfo = messageInfo.draftInfo;
+  let inlineForward = draftInfo.draftType === 'forward' &&
+                      draftInfo.mode !== 'attachment';
+  let htmlRep = messageInfo.bodyReps.find(rep => rep.type === 'html');
+  let htmlMsg = htmlRep ?
+    (yield asyncFetchBlob(htmlRep.contentBlob, 'text')) : null;
+
+  let textMsg, textIndex;
+  ({ textMsg, htmlMsg, textIndex } = removeSignature({
+    textMsg: textBody,
+    htmlMsg,
+    draftSignature: draftInfo.signature,
+    inlineForward
+  }));
+  let draftSignature;
+  ({ textMsg, htmlMsg, draftSignature } = addSignature({
+    textMsg, htmlMsg, signature, inlineForward, textIndex
+  }));
+  draftInfo.signature = draftSignature;
+  messageInfo.bodyReps = makeBodyPartsFromTextAndHTML(textMsg, htmlMsg);
+
+  // (Just like draft_save does.)
+  try {
+    let parsedContent = quoteProcessTextBody(textMsg);
+    messageInfo.snippet =
+      generateSnippet(parsedContent, DESIRED_SNIPPET_LENGTH);
+  } catch (ex) {
+    logic.fail(ex);
+  }
+
+  let newHtmlRep = messageInfo.bodyReps[1];
+  return {
+    textBody: textMsg,
+    htmlBlob: newHtmlRep ? newHtmlRep.contentBlob : null
+  };
+};
+});
@@ -152,25 +152,38 @@ return {
     [
       'gmailImap',
       {
-        syncGranularity: 'account'
+        syncGranularity: 'account',
+        supportsServerSearch: true,
+        // Via IDLE.
+        supportsPush: true
       }
     ],
     [
       'vanillaImap',
       {
-        syncGranularity: 'folder'
+        syncGranularity: 'folder',
+        supportsServerSearch: true,
+        // Via IDLE.
+        supportsPush: true
       }
     ],
     [
       'activesync',
       {
-        syncGranularity: 'folder'
+        syncGranularity: 'folder',
+        supportsServerSearch: true,
+        // Via Ping.  See the AccountManager's setPushEnabled.
+        supportsPush: true
       }
     ],
     [
       'pop3',
       {
-        syncGranularity: 'folder'
+        syncGranularity: 'folder',
+        // POP3 has no way to search on the server.
+        supportsServerSearch: false,
+        // Nor any way to be told about new messages.
+        supportsPush: false
       }
     ]
   ]),
@@ -16,6 +16,9 @@ return [
   // (All other drafts tasks are per-account even though they use the same
   // global implementations.)
 
+  // - Mailing lists
+  require('./tasks/list_unsubscribe'),
+
   // - Aggregate state stuff
   require('./tasks/new_flush')
 ];
@@ -9,6 +9,15 @@ return {
     return identityId.split(/\./g, 1)[0];
   },
 
+  /**
+   * Return the JS Number that the identity-specific portion of the identity id
+   * represents.  Like folder ids, these are "<account portion>.<a64 number>".
+   */
+  decodeSpecificIdentityIdFromIdentityId(identityId) {
+    let idxFirst = identityId.indexOf('.');
+    return decodeA64Int(identityId.substring(idxFirst + 1));
+  },
+
   // From Folder Id's
   accountIdFromFolderId: function(folderId) {
     return folderId.split(/\./g, 1)[0];
@@ -8,10 +8,12 @@ define(
     '../db/folder_info_rep',
     '../searchfilter',
     '../syncbase',
+    '../default_prefs',
     '../util',
     '../composite/incoming',
     './client',
     './protocol/parallel_imap',
+    './idler',
     '../errorutils',
     '../disaster-recovery',
     'module',
@@ -27,10 +29,12 @@ define(
     folderInfoRep,
     $searchfilter,
     $syncbase,
+    defaultPrefs,
     $util,
     incoming,
     $imapclient,
     ParallelImap,
+    ImapIdler,
     errorutils,
     DisasterRecovery,
     $module,
@@ -56,26 +60,6 @@ function ImapAccount(universe, compositeAccount, accountId, credentials,
                     { accountId, accountType: 'imap' });
   CompositeIncomingAccount.apply(this, arguments);
 
-  /**
-   * The maximum number of connections we are allowed to have alive at once.  We
-   * want to limit this both because we generally aren't sophisticated enough
-   * to need to use many connections at once (unless we have bugs), and because
-   * servers may enforce a per-account connection limit which can affect both
-   * us and other clients on other devices.
-   *
-   * Thunderbird's default for this is 5.
-   *
-   * gmail currently claims to have a limit of 15 connections per account:
-   * http://support.google.com/mail/bin/answer.py?hl=en&answer=97150
-   *
-   * I am picking 3 right now because it should cover the "I just sent a
-   * messages from the folder I was in and then switched to another folder",
-   * where we could have stuff to do in the old folder, new folder, and sent
-   * mail folder.  I have also seem claims of connection limits of 3 for some
-   * accounts out there, so this avoids us needing logic to infer a need to
-   * lower our connection limit.
-   */
-  this._maxConnsAllowed = 3;
   /**
    * The `ImapConnection` we are attempting to open, if any.  We only try to
    * open one connection at a time.
@@ -94,6 +78,7 @@ function ImapAccount(universe, compositeAccount, accountId, credentials,
   this._backoffEndpoint = $errbackoff.createEndpoint('imap:' + this.id, this);
 
   this.pimap = new ParallelImap(this);
+  this._idler = new ImapIdler({ account: this, universe });
 
   if (existingProtoConn) {
     this._reuseConnection(existingProtoConn);
@@ -162,6 +147,57 @@ var properties = {
     return this._ownedConns.length;
   },
 
+  /**
+   * The maximum number of connections we are allowed to have alive at once.  We
+   * want to limit this both because we generally aren't sophisticated enough
+   * to need to use many connections at once (unless we have bugs), and because
+   * servers may enforce a per-account connection limit which can affect both
+   * us and other clients on other devices.
+   *
+   * Thunderbird's default for this is 5.
+   *
+   * gmail currently claims to have a limit of 15 connections per account:
+   * http://support.google.com/mail/bin/answer.py?hl=en&answer=97150
+   *
+   * We default to 3 (see default_prefs) because it should cover the "I just
+   * sent a messages from the folder I was in and then switched to another
+   * folder", where we could have stuff to do in the old folder, new folder,
+   * and sent mail folder.  I have also seem claims of connection limits of 3
+   * for some accounts out there, so this avoids us needing logic to infer a
+   * need to lower our connection limit.  Users with servers that are stingier
+   * (or more generous) can change the `maxConnections` account setting.
+   */
+  get maxConnections() {
+    var val = this.accountDef.maxConnections;
+    if (typeof(val) !== 'number' || val < 1) {
+      val = defaultPrefs.maxConnections;
+    }
+    return val;
+  },
+
+  /**
+   * The maximum number of connections ParallelIMAP may use, which is whatever
+   * our IDLE connections leave over.  (The idler always leaves at least one.)
+   */
+  get maxParallelConnections() {
+    return Math.max(1, this.maxConnections - this._idler.numConnections);
+  },
+
+  /**
+   * Start or stop IDLE-ing.  The AccountManager calls this as the universe goes
+   * online/offline and becomes interactive.
+   */
+  setPushEnabled: function(enabled) {
+    this._idler.setEnabled(enabled);
+  },
+
+  /**
+   * The set of our folders with open views changed.
+   */
+  viewedFoldersChanged: function() {
+    this._idler.viewedFoldersChanged();
+  },
+
   /**
    * Mechanism for an `ImapFolderConn` to request an IMAP protocol connection.
    * This is to potentially support some type of (bounded) connection pooling
@@ -326,8 +362,25 @@ var properties = {
     }
   },
 
+  /**
+   * The server settings changed; close the unused connections now and the
+   * in-use ones once their users are done with them.  New connections will be
+   * made using the new settings.
+   */
+  resetConnections: function({ receive }) {
+    if (!receive) {
+      return;
+    }
+    this.closeUnusedConnections();
+    for (var i = 0; i < this._ownedConns.length; i++) {
+      this._ownedConns[i].stale = true;
+    }
+    // The idler holds onto its connections, so it needs to be told.
+    this._idler.resetConnections();
+  },
+
   _makeConnectionIfPossible: function() {
-    if (this._ownedConns.length >= this._maxConnsAllowed) {
+    if (this._ownedConns.length >= this.maxConnections) {
       logic(this, 'maximumConnsNoNew');
       return;
     }
@@ -456,6 +509,11 @@ var properties = {
           }
           connInfo.inUseBy = null;
           this._ownedConns.splice(i, 1);
+          // Someone may have been waiting for us to drop below our connection
+          // limit.
+          if (this._demandedConns.length) {
+            this._makeConnectionIfPossible();
+          }
           return;
         }
       }
@@ -485,6 +543,20 @@ var properties = {
         });
         connInfo.inUseBy = null;
 
+        // The connection uses out-of-date server settings; it has to go.
+        if (connInfo.stale) {
+          this._ownedConns.splice(i, 1);
+          conn.client.close();
+          logic(this, 'deadConnection', { reason: 'stale' });
+          return;
+        }
+
+        // Someone may have been waiting for a connection to free up, like the
+        // idler when ParallelIMAP hands one back.
+        if (this._allocateExistingConnection()) {
+          return;
+        }
+
          // We just freed up a connection, it may be appropriate to close it.
         this.maybeCloseUnusedConnections();
         return;
@@ -495,6 +567,7 @@ var properties = {
 
   shutdown: function(callback) {
     this._backoffEndpoint.shutdown();
+    this._idler.shutdown();
 
     // - close all connections
     var liveConns = this._ownedConns.length;
@@ -524,6 +597,14 @@ var properties = {
     }
   },
 
+  /**
+   * Destroy the account when the account has been deleted.
+   */
+  accountDeleted: function() {
+    this._alive = false;
+    this.shutdown();
+  },
+
   checkAccount: function(listener) {
     logic(this, 'checkAccount_begin');
     this._makeConnection(function(err) {
@@ -28,6 +28,74 @@ define(function(require, exports) {
 
   var scope = logic.scope('ImapClient');
 
+  /**
+   * If the server supports QRESYNC (RFC 7162) or just CONDSTORE, ENABLE it so
+   * that SELECT reports HIGHESTMODSEQ and we can use CHANGEDSINCE (and
+   * VANISHED) for cheap incremental sync.  ENABLE is only valid prior to
+   * selecting a mailbox, so this has to happen as part of connection setup.
+   * The extensions the server claims to have enabled are stashed on the
+   * connection as `enabledExtensions`.  Failure is not fatal; we just end up
+   * using the non-MODSEQ sync logic.
+   *
+   * With QRESYNC enabled the server reports expunged messages with VANISHED
+   * instead of EXPUNGE.  Our own UID FETCH asks for those in its response, but
+   * BrowserBox doesn't know about the unsolicited ones (ex: during IDLE), so we
+   * report them via `onupdate` as an 'expunge' of the given UID set.
+   */
+  function enableModseqExtensions(conn) {
+    conn.enabledExtensions = [];
+    if (!conn.hasCapability('ENABLE')) {
+      return Promise.resolve();
+    }
+    var wanted;
+    if (conn.hasCapability('QRESYNC')) {
+      wanted = 'QRESYNC';
+    } else if (conn.hasCapability('CONDSTORE')) {
+      wanted = 'CONDSTORE';
+    } else {
+      return Promise.resolve();
+    }
+
+    return new Promise(function(resolve) {
+      conn.exec(
+        { command: 'ENABLE', attributes: [{ type: 'atom', value: wanted }] },
+        'ENABLED',
+        function(err, response, next) {
+          if (err) {
+            logic(scope, 'enable-error', { extension: wanted });
+          } else {
+            var enabled = [];
+            [].concat(response.payload && response.payload.ENABLED || [])
+            .forEach(function(enabledResponse) {
+              [].concat(enabledResponse.attributes || [])
+              .forEach(function(attr) {
+                enabled.push((attr && attr.value || '').toUpperCase());
+              });
+            });
+            // QRESYNC implies CONDSTORE.
+            if (enabled.indexOf('QRESYNC') !== -1) {
+              enabled.push('CONDSTORE');
+            }
+            conn.enabledExtensions = enabled;
+            logic(scope, 'enabled', { extensions: enabled });
+            if (enabled.indexOf('QRESYNC') !== -1) {
+              conn.client.setHandler('vanished', function(vanished, done) {
+                var attrs = [].concat(vanished.attributes || []);
+                var uidSetAttr = attrs[attrs.length - 1];
+                if (uidSetAttr && uidSetAttr.value) {
+                  conn.onupdate('expunge', uidSetAttr.value);
+                }
+                done();
+              });
+            }
+          }
+          resolve();
+          next();
+        });
+    });
+  }
+  exports.enableModseqExtensions = enableModseqExtensions;
+
    /**
    * Open a connection to an IMAP server.
    *
@@ -86,7 +154,9 @@ define(function(require, exports) {
           clearTimeout(connectTimeout);
           logic(scope, 'connected', { connInfo: connInfo });
           conn.onauth = conn.onerror = noop;
-          resolve(conn);
+          enableModseqExtensions(conn).then(function() {
+            resolve(conn);
+          });
         };
         conn.onerror = function(err) {
           clearTimeout(connectTimeout);
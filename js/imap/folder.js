@@ -102,6 +102,8 @@ var MAX_FETCH_BYTES = (Math.pow(2, 32) - 1);
  *
  * == IDLE
  *
+ * (The task-based sync engine IDLEs via `idler.js` instead.)
+ *
  * We plan to IDLE in folders that we have active slices in.  We are assuming
  * the most basic IDLE implementation where it will tell us when the number
  * of messages increases (EXISTS), or decreases (EXPUNGE and EXISTS), with no
@@ -61,7 +61,7 @@ GmailLabelMapper.prototype = {
           label = '\\Junk';
           break;
         default:
-          label = folderInfo.path;
+          label = folderInfo.serverPath || folderInfo.path;
           break;
       }
 
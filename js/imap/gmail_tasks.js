@@ -6,26 +6,38 @@ define(function(require) {
  */
 return [
   require('./vanilla_tasks/sync_folder_list'),
+  require('./gmail_tasks/manage_folder'),
 
   require('./gmail_tasks/sync_grow'),
   require('./gmail_tasks/sync_refresh'),
+  require('./gmail_tasks/sync_search'),
   require('./gmail_tasks/sync_conv'),
   require('./gmail_tasks/sync_body'),
 
   require('./gmail_tasks/store_flags'),
   require('./gmail_tasks/store_labels'),
+  require('./gmail_tasks/move'),
+  require('./gmail_tasks/copy'),
 
   require('./gmail_tasks/download'),
 
   require('../tasks/draft_save'),
   require('../tasks/draft_attach'),
   require('../tasks/draft_detach'),
+  require('../tasks/draft_set_signature'),
+  require('../tasks/draft_set_identity'),
   require('../tasks/draft_delete'),
+  require('./gmail_tasks/draft_attach_original'),
   require('./gmail_tasks/outbox_send'),
 
   require('../tasks/account_modify'),
+  require('../tasks/account_modify_servers'),
+  require('../tasks/identity_add'),
   require('../tasks/identity_modify'),
+  require('../tasks/identity_remove'),
 
   require('../tasks/new_tracking'),
+  require('../tasks/cache_control'),
+  require('../tasks/search_index'),
 ];
 });
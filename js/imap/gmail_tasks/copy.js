@@ -0,0 +1,70 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const GmailLabelMapper = require('../gmail/gmail_label_mapper');
+
+const GmailStoreTaskMixin = require('./mix_store');
+
+/**
+ * Copying a message to a folder in gmail is just adding the folder's label, so
+ * like our sibling move task, this is store_labels with a planning wrapper.
+ * The store-style undo removes the label again, which is gmail's version of
+ * deleting the copy.
+ *
+ * @see GmailStoreTaskMixin
+ */
+return TaskDefiner.defineComplexTask([
+  GmailStoreTaskMixin,
+  {
+    name: 'copy',
+    attrName: 'folderIds',
+    imapDataName: 'X-GM-LABELS',
+
+    prepNormalizationLogic: co.wrap(function*(ctx, accountId) {
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, accountId);
+      return new GmailLabelMapper(ctx, foldersTOC);
+    }),
+
+    normalizeLocalToServer: function(labelMapper, folderIds) {
+      if (!folderIds) {
+        return folderIds;
+      }
+      return labelMapper.folderIdsToLabels(folderIds);
+    },
+
+    plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+      // Undo tasks are already phrased in terms of labels.
+      if (req.add || req.remove) {
+        return GmailStoreTaskMixin.plan.call(
+          this, ctx, persistentState, memoryState, req);
+      }
+
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+      if (!foldersTOC.foldersById.has(req.targetFolderId)) {
+        logic(ctx, 'badTargetFolder', { targetFolderId: req.targetFolderId });
+        yield ctx.finishTask({});
+        return null;
+      }
+
+      return GmailStoreTaskMixin.plan.call(
+        this, ctx, persistentState, memoryState,
+        {
+          type: req.type,
+          accountId: req.accountId,
+          convId: req.convId,
+          onlyMessages: req.onlyMessages,
+          messageSelector: req.messageSelector,
+          add: [req.targetFolderId],
+          remove: null
+        });
+    })
+  }
+]);
+});
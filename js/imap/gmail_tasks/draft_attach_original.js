@@ -0,0 +1,20 @@
+define(function(require) {
+'use strict';
+
+const { numericUidFromMessageId } = require('../../id_conversions');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+return TaskDefiner.defineSimpleTask([
+  require('../../task_mixins/mix_draft_attach_original'),
+  require('../task_mixins/imap_mix_draft_attach_original'),
+  {
+    getFolderAndUidForMesssage: function(ctx, account, message) {
+      return Promise.resolve({
+        folderInfo: account.getFirstFolderWithType('all'),
+        uid: numericUidFromMessageId(message.id)
+      });
+    },
+  }
+]);
+});
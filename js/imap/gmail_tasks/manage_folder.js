@@ -0,0 +1,18 @@
+define(function(require) {
+'use strict';
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+/**
+ * Gmail folders are labels, so deleting one just takes the label off of its
+ * messages; they all still live in "All Mail".  So unlike vanilla IMAP, we
+ * don't delete the messages that were only in the deleted folders.
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_manage_folder'),
+  require('../task_mixins/imap_mix_manage_folder'),
+  {
+    deleteMessagesWithFolder: false
+  }
+]);
+});
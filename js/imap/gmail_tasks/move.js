@@ -0,0 +1,117 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const GmailLabelMapper = require('../gmail/gmail_label_mapper');
+
+const GmailStoreTaskMixin = require('./mix_store');
+
+/**
+ * The folder types whose labels we consider to be where a message "lives" for
+ * trash purposes.  Trashing a message removes all of these labels and adds
+ * the trash label so that it leaves all of its folders right away rather than
+ * when sync notices it left "All Mail".  Labels like \Sent, \Drafts,
+ * \Important and \Flagged are metadata, not locations, and are left alone.
+ */
+const LOCATION_FOLDER_TYPES = new Set(['inbox', 'normal', 'junk', 'trash']);
+
+/**
+ * Gmail moves are just label manipulations, so we're the store_labels task
+ * with a planning wrapper that translates the move request into labels to add
+ * and remove.  A move removes the label of the folder the user is moving the
+ * messages out of (the inbox if we weren't told) and adds the target's, so
+ * any other labels the messages have stay put.  We are our own task rather
+ * than scheduling store_labels so that our undo tasks come back to us and so
+ * the task types line up with the other engines.  Undo tasks are of the
+ * store-style add/remove form, which our planning wrapper passes through
+ * untouched.
+ *
+ * Trashing a message already in the trash is a no-op because gmail sync only
+ * covers "All Mail" and trashed messages are not part of it, so we don't
+ * expect to see such messages.  (mix_store also knows nothing about UIDs in
+ * the trash folder.)
+ *
+ * @see GmailStoreTaskMixin
+ */
+return TaskDefiner.defineComplexTask([
+  GmailStoreTaskMixin,
+  {
+    name: 'move',
+    attrName: 'folderIds',
+    imapDataName: 'X-GM-LABELS',
+
+    prepNormalizationLogic: co.wrap(function*(ctx, accountId) {
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, accountId);
+      return new GmailLabelMapper(ctx, foldersTOC);
+    }),
+
+    normalizeLocalToServer: function(labelMapper, folderIds) {
+      if (!folderIds) {
+        return folderIds;
+      }
+      return labelMapper.folderIdsToLabels(folderIds);
+    },
+
+    plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+      // Undo tasks are already phrased in terms of labels.
+      if (req.add || req.remove) {
+        return GmailStoreTaskMixin.plan.call(
+          this, ctx, persistentState, memoryState, req);
+      }
+
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+      let targetFolder;
+      if (req.moveToTrash) {
+        targetFolder = foldersTOC.getCanonicalFolderByType('trash');
+      } else {
+        targetFolder = foldersTOC.foldersById.get(req.targetFolderId);
+      }
+      if (!targetFolder) {
+        logic(ctx, 'noTargetFolder', { moveToTrash: !!req.moveToTrash });
+        yield ctx.finishTask({});
+        return null;
+      }
+
+      let remove = [];
+      if (req.moveToTrash) {
+        // The conversation's folderIds are the union of its messages' labels,
+        // so it's safe to ask to remove all of them; mix_store only applies the
+        // removals that actually apply to each message.
+        let convInfo = yield ctx.readSingle('conversations', req.convId);
+        for (let folderId of (convInfo ? convInfo.folderIds : [])) {
+          let folderInfo = foldersTOC.foldersById.get(folderId);
+          if (folderId !== targetFolder.id && folderInfo &&
+              LOCATION_FOLDER_TYPES.has(folderInfo.type)) {
+            remove.push(folderId);
+          }
+        }
+      } else {
+        let sourceFolder = req.sourceFolderId ?
+          foldersTOC.foldersById.get(req.sourceFolderId) :
+          foldersTOC.getCanonicalFolderByType('inbox');
+        if (sourceFolder && sourceFolder.id !== targetFolder.id) {
+          remove.push(sourceFolder.id);
+        }
+      }
+
+      return GmailStoreTaskMixin.plan.call(
+        this, ctx, persistentState, memoryState,
+        {
+          type: req.type,
+          accountId: req.accountId,
+          convId: req.convId,
+          onlyMessages: req.onlyMessages,
+          messageSelector: req.messageSelector,
+          add: [targetFolder.id],
+          remove: remove.length ? remove : null
+        });
+    })
+  }
+]);
+});
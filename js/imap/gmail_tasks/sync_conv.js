@@ -42,7 +42,8 @@ let INITIAL_FETCH_PARAMS = [
   'flags',
   'x-gm-labels',
   'BODY.PEEK[' +
-    'HEADER.FIELDS (FROM TO CC BCC SUBJECT REPLY-TO MESSAGE-ID REFERENCES)]'
+    'HEADER.FIELDS (FROM TO CC BCC SUBJECT REPLY-TO MESSAGE-ID REFERENCES ' +
+    'LIST-ID LIST-POST LIST-UNSUBSCRIBE LIST-UNSUBSCRIBE-POST LIST-ARCHIVE)]'
 ];
 
 /**
@@ -185,6 +186,13 @@ return TaskDefiner.defineSimpleTask([
           ctx.synchronouslyConsultOtherTask(
             { name: 'store_labels', accountId: account.id },
             { uid: msg.uid, value: rawGmailLabels });
+          // (moves and copies are label manipulations too)
+          ctx.synchronouslyConsultOtherTask(
+            { name: 'move', accountId: account.id },
+            { uid: msg.uid, value: rawGmailLabels });
+          ctx.synchronouslyConsultOtherTask(
+            { name: 'copy', accountId: account.id },
+            { uid: msg.uid, value: rawGmailLabels });
           // same with store_flags
           ctx.synchronouslyConsultOtherTask(
             { name: 'store_flags', accountId: account.id },
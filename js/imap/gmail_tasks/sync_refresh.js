@@ -211,6 +211,13 @@ return TaskDefiner.defineAtMostOnceTask([
         ctx.synchronouslyConsultOtherTask(
           { name: 'store_labels', accountId: req.accountId },
           { uid: uid, value: rawLabels });
+        // (moves and copies are label manipulations too)
+        ctx.synchronouslyConsultOtherTask(
+          { name: 'move', accountId: req.accountId },
+          { uid: uid, value: rawLabels });
+        ctx.synchronouslyConsultOtherTask(
+          { name: 'copy', accountId: req.accountId },
+          { uid: uid, value: rawLabels });
         // same with store_flags
         ctx.synchronouslyConsultOtherTask(
           { name: 'store_flags', accountId: req.accountId },
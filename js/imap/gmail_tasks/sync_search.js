@@ -0,0 +1,158 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { shallowClone } = require('../../util');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const imapchew = require('../imapchew');
+const parseImapDateTime = imapchew.parseImapDateTime;
+
+const a64 = require('../../a64');
+const parseGmailConvId = a64.parseUI64;
+
+const GmailLabelMapper = require('../gmail/gmail_label_mapper');
+const SyncStateHelper = require('../gmail/sync_state_helper');
+
+const { gmailRawQuery } = require('../../search/server_search_query');
+
+const { SERVER_SEARCH_MAX_RESULTS } = require('../../syncbase');
+
+const { syncNormalOverlay } =
+  require('../../task_helpers/sync_overlay_helpers');
+
+/**
+ * Ask Gmail to search the folder/label using its own search syntax via
+ * X-GM-RAW and make the newest hits we don't already care about "yay"
+ * messages, which gets sync_conv tasks to synchronize their conversations.
+ * Like sync_grow, we search All Mail constrained by X-GM-LABELS.
+ *
+ * Unlike sync_grow we don't move the label's sync date range, so the hits are
+ * outside of it.  The conversations stick around until sync_refresh notices a
+ * change to their messages, at which point they get re-evaluated against the
+ * date range like any other message and may be purged.
+ *
+ * See the vanilla IMAP sync_search for the one-search-per-folder caveat.
+ */
+return TaskDefiner.defineAtMostOnceTask([
+  {
+    name: 'sync_search',
+    binByArg: 'folderId',
+
+    helped_overlay_folders: syncNormalOverlay,
+
+    helped_invalidate_overlays: function(folderId, dataOverlayManager) {
+      dataOverlayManager.announceUpdatedOverlayData('folders', folderId);
+    },
+
+    helped_already_planned: function(ctx, rawTask) {
+      return Promise.resolve({
+        result: ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId)
+      });
+    },
+
+    helped_plan: function(ctx, rawTask) {
+      let plannedTask = shallowClone(rawTask);
+      plannedTask.resources = [
+        'online',
+        `credentials!${rawTask.accountId}`,
+        `happy!${rawTask.accountId}`
+      ];
+      plannedTask.priorityTags = [
+        `view:folder:${rawTask.folderId}`
+      ];
+
+      let groupPromise =
+        ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId);
+      return Promise.resolve({
+        taskState: plannedTask,
+        remainInProgressUntil: groupPromise,
+        result: groupPromise
+      });
+    },
+
+    helped_execute: co.wrap(function*(ctx, req) {
+      let rawQuery = gmailRawQuery(req.filter);
+      if (!rawQuery) {
+        logic(ctx, 'searchNotExpressible', { filter: req.filter });
+        return {};
+      }
+
+      // -- Exclusively acquire the sync state for the account
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[req.accountId, null]])
+      });
+
+      // We're in 'grow' mode for the same reason sync_grow is: we only ever
+      // add yay messages, and conversations we already know about are already
+      // fully synchronized.
+      let syncState = new SyncStateHelper(
+        ctx, fromDb.syncStates.get(req.accountId), req.accountId, 'grow');
+
+      let foldersTOC =
+        yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+      let labelMapper = new GmailLabelMapper(ctx, foldersTOC);
+
+      let searchSpec = {
+        not: { deleted: true },
+        'X-GM-LABELS': labelMapper.folderIdToLabel(req.folderId),
+        'X-GM-RAW': rawQuery
+      };
+
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let allMailFolderInfo = account.getFirstFolderWithType('all');
+
+      logic(ctx, 'searching', { searchSpec });
+      let { result: uids } = yield account.pimap.search(
+        ctx, allMailFolderInfo, searchSpec, { byUid: true });
+
+      // -- Fetch the dates and conversations of the newest new hits
+      let newUids = uids.filter(uid => !syncState.yayUids.has(uid));
+      newUids.sort((a, b) => b - a);
+      newUids = newUids.slice(0, SERVER_SEARCH_MAX_RESULTS);
+      logic(ctx, 'searchResults',
+            { hitCount: uids.length, newCount: newUids.length });
+
+      if (newUids.length) {
+        let { result: messages } = yield account.pimap.listMessages(
+          ctx,
+          allMailFolderInfo,
+          newUids,
+          [
+            'UID',
+            'INTERNALDATE',
+            'X-GM-THRID',
+          ],
+          { byUid: true }
+        );
+
+        for (let msg of messages) {
+          let uid = msg.uid;
+          let dateTS = parseImapDateTime(msg.internaldate);
+          let rawConvId = parseGmailConvId(msg['x-gm-thrid']);
+
+          if (syncState.mehUids.has(uid)) {
+            syncState.existingMehMessageIsNowYay(uid, rawConvId, dateTS);
+          } else {
+            syncState.existingIgnoredMessageIsNowYay(uid, rawConvId, dateTS);
+          }
+        }
+      }
+
+      syncState.finalizePendingRemovals();
+
+      return {
+        mutations: {
+          syncStates: new Map([[req.accountId, syncState.rawSyncState]]),
+        },
+        newData: {
+          tasks: syncState.tasksToSchedule
+        }
+      };
+    })
+  }
+]);
+});
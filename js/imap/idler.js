@@ -0,0 +1,311 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+
+const errbackoff = require('../errbackoff');
+
+const { IMAP_IDLE_RENEW_MS } = require('../syncbase');
+
+/**
+ * How long after an IDLE ends (because we renewed it) before we IDLE again.
+ * This is BrowserBox's default; the ImapAccount cranks it up on its
+ * connections for its stale connection logic, which we don't want.
+ */
+const REENTER_IDLE_MS = 1000;
+
+/**
+ * Keeps IMAP connections IDLE-ing in the inbox and any of the account's
+ * folders that currently have their conversations displayed so that we hear
+ * about new mail as it arrives.  Any EXISTS or EXPUNGE notification the server
+ * sends us for a folder gets turned into a sync_refresh of that folder.  (Which
+ * for gmail is a sync_refresh of the whole account, but the task doesn't care
+ * who asks.)  On QRESYNC connections the server reports expunges with VANISHED
+ * instead, which `enableModseqExtensions` in client.js passes on to us as an
+ * 'expunge'.  We don't try and interpret the notifications ourselves; the sync
+ * logic already knows how to figure out what changed.  We ignore FETCH
+ * notifications since our own flag changes via ParallelIMAP cause them too, and
+ * refreshing the folder for every star would be silly.  Flag changes made by
+ * other clients get picked up by the next refresh.
+ *
+ * IDLE ties up a connection per folder, so we get our connections from the
+ * ImapAccount like anybody else, but we hold onto them for as long as we are
+ * IDLE-ing.  To coexist with ParallelIMAP, we only ever take connections that
+ * leave it at least one, and it only demands the connections we leave it (see
+ * `ImapAccount.maxParallelConnections`).  ParallelIMAP holds onto its
+ * connections, so when we demand one we also ask it to shed any it is no longer
+ * allowed; otherwise we'd wait for one of them to go stale, which never
+ * happens while sync keeps them busy.  If we can't IDLE on all the folders we
+ * want to, the inbox wins.  Accounts limited to a single connection don't get
+ * push.
+ *
+ * BrowserBox does the actual IDLE-ing for us: `enterIdle` issues the IDLE and
+ * sends DONE after `TIMEOUT_IDLE`, at which point the connection goes idle and
+ * we IDLE again.  So setting TIMEOUT_IDLE is how we re-IDLE before the
+ * server's 29 minute limit.  (And if the connection died without us noticing,
+ * the DONE is what notices.)
+ *
+ * We stop when we're disabled, which happens when we go offline or aren't
+ * interactive.  Connections that die while we're enabled are re-established
+ * per our errbackoff endpoint, with failures to connect in the first place
+ * being handled by the account's endpoint.  Once we run out of retries we give
+ * up on the folder until we are re-enabled or the folders we care about
+ * change.
+ */
+function ImapIdler({ account, universe }) {
+  logic.defineScope(this, 'ImapIdler', { accountId: account.id });
+
+  this._account = account;
+  this._universe = universe;
+  this._backoffEndpoint =
+    errbackoff.createEndpoint('imap-idle:' + account.id, null);
+
+  this.enabled = false;
+  /**
+   * @type {Map<FolderId, IdleInfo>}
+   * The folders we are IDLE-ing in or trying to.  The IdleInfo is
+   * { folderInfo, conn, stopped, refreshing, refreshAgain }.
+   */
+  this._idlesByFolderId = new Map();
+  /**
+   * Folders we gave up on.  We don't try them again until `_reconcile` is
+   * triggered by something other than a connection dying.
+   */
+  this._givenUpFolderIds = new Set();
+}
+ImapIdler.prototype = {
+  /**
+   * The number of connections we have or are waiting for.
+   */
+  get numConnections() {
+    return this._idlesByFolderId.size;
+  },
+
+  setEnabled: function(enabled) {
+    if (enabled === this.enabled) {
+      return;
+    }
+    this.enabled = enabled;
+    logic(this, enabled ? 'enabled' : 'disabled');
+    this._givenUpFolderIds.clear();
+    this._reconcile();
+  },
+
+  /**
+   * The set of folders with open views changed; maybe IDLE in different
+   * folders.
+   */
+  viewedFoldersChanged: function() {
+    this._givenUpFolderIds.clear();
+    this._reconcile();
+  },
+
+  /**
+   * The server settings changed; re-establish all our connections with the new
+   * ones.
+   */
+  resetConnections: function() {
+    for (let idleInfo of Array.from(this._idlesByFolderId.values())) {
+      this._stopIdle(idleInfo);
+    }
+    this._reconcile();
+  },
+
+  /**
+   * The account is shutting down and will close all of its connections,
+   * including ours.  We just need to not react to that.
+   */
+  shutdown: function() {
+    this.enabled = false;
+    for (let idleInfo of this._idlesByFolderId.values()) {
+      idleInfo.stopped = true;
+    }
+    this._idlesByFolderId.clear();
+    this._backoffEndpoint.shutdown();
+  },
+
+  /**
+   * Pick the folders we should be IDLE-ing in, inbox first.
+   */
+  _pickFolders: function() {
+    let account = this._account;
+    if (!this.enabled) {
+      return [];
+    }
+    if (account.capability.indexOf('IDLE') === -1) {
+      logic(this, 'idleNotSupported');
+      return [];
+    }
+
+    let folderInfos = [account.getFirstFolderWithType('inbox')];
+    for (let folderId of this._universe.getViewedFolderIds(account.id)) {
+      folderInfos.push(account.foldersTOC.foldersById.get(folderId));
+    }
+
+    let picked = new Map();
+    for (let folderInfo of folderInfos) {
+      // Local-only folders have no serverPath, and \Noselect folders can't be
+      // IDLE-d in any more than they can be selected.
+      if (folderInfo && folderInfo.serverPath &&
+          folderInfo.type !== 'nomail' &&
+          !this._givenUpFolderIds.has(folderInfo.id)) {
+        picked.set(folderInfo.id, folderInfo);
+      }
+    }
+    return Array.from(picked.values())
+      .slice(0, Math.max(0, account.maxConnections - 1));
+  },
+
+  /**
+   * Start/stop IDLE-ing so that we're IDLE-ing in the folders we should be.
+   */
+  _reconcile: function() {
+    let folderInfos = this._pickFolders();
+    let wantedFolderIds = new Set(folderInfos.map(x => x.id));
+    for (let idleInfo of Array.from(this._idlesByFolderId.values())) {
+      if (!wantedFolderIds.has(idleInfo.folderInfo.id)) {
+        this._stopIdle(idleInfo);
+      }
+    }
+    for (let folderInfo of folderInfos) {
+      if (!this._idlesByFolderId.has(folderInfo.id)) {
+        this._startIdle(folderInfo);
+      }
+    }
+  },
+
+  _startIdle: function(folderInfo) {
+    let idleInfo = {
+      folderInfo,
+      conn: null,
+      stopped: false,
+      refreshing: false,
+      refreshAgain: false
+    };
+    this._idlesByFolderId.set(folderInfo.id, idleInfo);
+    logic(this, 'startIdle', { folderId: folderInfo.id });
+
+    this._account.__folderDemandsConnection(
+      folderInfo.id,
+      'idle',
+      (conn) => {
+        idleInfo.conn = conn;
+        if (idleInfo.stopped) {
+          // We hadn't touched it yet, so it can go back in the pool.
+          idleInfo.conn = null;
+          this._account.__folderDoneWithConnection(conn, false, false);
+          return;
+        }
+        this._idleOnConnection(idleInfo);
+      },
+      () => {
+        this._idleDied(idleInfo);
+      },
+      true);
+    this._account.pimap.shedExcessConnections();
+  },
+
+  _idleOnConnection: function(idleInfo) {
+    let { conn, folderInfo } = idleInfo;
+    // This connection is ours until it dies or we close it, so we can do what
+    // we want with its idle handling.
+    conn.client.TIMEOUT_ENTER_IDLE = REENTER_IDLE_MS;
+    conn.client.onidle = () => {
+      if (!idleInfo.stopped) {
+        conn.enterIdle();
+      }
+    };
+    conn.TIMEOUT_IDLE = IMAP_IDLE_RENEW_MS;
+
+    conn.selectMailbox(folderInfo.serverPath).then(
+      () => {
+        if (idleInfo.stopped) {
+          return;
+        }
+        logic(this, 'idling', { folderId: folderInfo.id });
+        this._backoffEndpoint.noteConnectSuccess();
+        // (We only listen once we're in the folder so the SELECT doesn't look
+        // like a change.)
+        conn.onupdate = (type) => {
+          logic(this, 'update', { folderId: folderInfo.id, type });
+          if (type === 'exists' || type === 'expunge') {
+            this._refreshFolder(idleInfo);
+          }
+        };
+        conn.enterIdle();
+      },
+      (err) => {
+        // The folder may not exist anymore; we'll find out when the folder
+        // list is synchronized.
+        logic(this, 'selectFailed', { folderId: folderInfo.id, err });
+        this._givenUpFolderIds.add(folderInfo.id);
+        this._stopIdle(idleInfo);
+      });
+  },
+
+  /**
+   * Stop IDLE-ing.  Since we've messed with the connection's idle handling,
+   * we close it rather than giving it back to the account.  (A new connection
+   * is cheaper than getting the handling right for everyone.)
+   */
+  _stopIdle: function(idleInfo) {
+    logic(this, 'stopIdle', { folderId: idleInfo.folderInfo.id });
+    idleInfo.stopped = true;
+    this._idlesByFolderId.delete(idleInfo.folderInfo.id);
+    if (idleInfo.conn) {
+      idleInfo.conn.client.close();
+    }
+  },
+
+  /**
+   * Our connection died or we couldn't get one.
+   */
+  _idleDied: function(idleInfo) {
+    if (idleInfo.stopped) {
+      return;
+    }
+    let folderId = idleInfo.folderInfo.id;
+    logic(this, 'idleDied', { folderId });
+    idleInfo.stopped = true;
+    this._idlesByFolderId.delete(folderId);
+
+    // If we never got a connection the account's backoff logic already tried
+    // its best.
+    if (idleInfo.conn &&
+        this._backoffEndpoint.noteConnectFailureMaybeRetry(false)) {
+      this._backoffEndpoint.scheduleConnectAttempt(() => {
+        this._reconcile();
+      });
+    } else {
+      logic(this, 'givingUp', { folderId });
+      this._givenUpFolderIds.add(folderId);
+    }
+  },
+
+  /**
+   * Refresh the folder, refreshing it again once that's done if we hear about
+   * more changes in the meantime.  (An in-progress sync_refresh may not see
+   * the changes and the at-most-once logic wouldn't schedule another.)
+   */
+  _refreshFolder: function(idleInfo) {
+    if (idleInfo.refreshing) {
+      idleInfo.refreshAgain = true;
+      return;
+    }
+    idleInfo.refreshing = true;
+    let folderId = idleInfo.folderInfo.id;
+    this._universe.syncRefreshFolder(folderId, 'idle').catch((err) => {
+      // The sync task takes care of reporting its own problems.
+      logic(this, 'refreshFailed', { folderId, err });
+    }).then(() => {
+      idleInfo.refreshing = false;
+      if (idleInfo.refreshAgain && !idleInfo.stopped) {
+        idleInfo.refreshAgain = false;
+        this._refreshFolder(idleInfo);
+      }
+    });
+  }
+};
+
+return ImapIdler;
+});
@@ -264,6 +264,7 @@ exports.chewMessageStructure = function(msg, headers, folderIds, flags, convId,
     attachments,
     relatedParts,
     references: headers.references,
+    list: headers.listInfo,
     bodyReps
   });
 };
@@ -1,24 +1,22 @@
 define(function(require) {
 'use strict';
 
-const co = require('co');
 const logic = require('logic');
 const mimefuncs = require('mimefuncs');
 
 /**
- * Helper that just ensures we have a connection and then calls the underlying
- * connection method.
+ * How many times will we re-issue an idempotent command whose connection died
+ * out from under it before giving up?
  */
-function simpleWithConn(methodName) {
+const MAX_IDEMPOTENT_RETRIES = 2;
+
+/**
+ * Helper for commands that don't care what folder the connection is in.
+ */
+function simpleWithConn(methodName, idempotent) {
   return function(taskCtx, ...bbArgs) {
-    return this._gimmeConnection().then((conn) => {
-      logic(this, methodName + ':begin', { ctxId: taskCtx.id });
-      return conn[methodName].apply(conn, bbArgs).then((value) => {
-        logic(this, methodName + ':end', { ctxId: taskCtx.id, _result: value });
-        // NB: if we were going to return the connection, this is where we would
-        // do it.
-        return value;
-      });
+    return this._runOp(taskCtx, methodName, null, idempotent, (conn) => {
+      return conn[methodName].apply(conn, bbArgs);
     });
   };
 }
@@ -32,36 +30,24 @@ function simpleWithConn(methodName) {
  * to executing the command.  Right now we won't re-SELECT if we're already in
  * the folder.  (And/or perform a NOOP.)
  */
-function inFolderWithConn(methodName, optsArgIndexPerCaller) {
+function inFolderWithConn(methodName, optsArgIndexPerCaller, idempotent) {
   return function(taskCtx, folderInfo, ...bbArgs) {
-    return this._gimmeConnection().then((conn) => {
-      let opts = bbArgs[optsArgIndexPerCaller];
-      if (!opts) {
-        throw new Error('provide the options dictionary so we can mutate it.');
-      }
-      opts.precheck = function(ctx, next) {
-        // Only select the folder if we're not already inside it.
-        if (folderInfo.path !== conn.selectedMailboxPath) {
-          conn.selectMailbox(folderInfo.path, { ctx: ctx }, next);
-        } else {
-          next();
+    return this._runOp(
+      taskCtx, methodName, folderInfo, idempotent,
+      (conn, precheck) => {
+        let opts = bbArgs[optsArgIndexPerCaller];
+        if (!opts) {
+          throw new Error(
+            'provide the options dictionary so we can mutate it.');
         }
-      };
-      logic(
-        this, methodName + ':begin',
-        { ctxId: taskCtx.id, folderId: folderInfo.id });
-      return conn[methodName].apply(conn, bbArgs).then((value) => {
-        logic(
-          this, methodName + ':end',
-          { ctxId: taskCtx.id, _result: value });
-        // NB: if we were going to return the connection, this is where we would
-        // do it.
-        return {
-          mailboxInfo: conn.selectedMailboxInfo,
-          result: value
-        };
+        opts.precheck = precheck;
+        return conn[methodName].apply(conn, bbArgs).then((value) => {
+          return {
+            mailboxInfo: conn.selectedMailboxInfo,
+            result: value
+          };
+        });
       });
-    });
   };
 }
 
@@ -72,32 +58,152 @@ function inFolderWithConn(methodName, optsArgIndexPerCaller) {
  * to the browserbox function so it can ensure the correct folder is currently
  * used.
  */
-function customFuncInFolderWithConn(implFunc) {
+function customFuncInFolderWithConn(implFunc, idempotent) {
   return function(taskCtx, folderInfo, ...bbArgs) {
-    let methodName = implFunc.name;
-    return this._gimmeConnection().then((conn) => {
-      let precheck = function(ctx, next) {
-        // Only select the folder if we're not already inside it.
-        if (folderInfo.path !== conn.selectedMailboxPath) {
-          conn.selectMailbox(folderInfo.path, { ctx: ctx }, next);
-        } else {
-          next();
+    return this._runOp(
+      taskCtx, implFunc.name, folderInfo, idempotent,
+      (conn, precheck) => {
+        return implFunc.apply(
+          this,
+          [conn, precheck].concat(bbArgs)
+        ).then((value) => {
+          return {
+            mailboxInfo: conn.selectedMailboxInfo,
+            result: value
+          };
+        });
+      });
+  };
+}
+
+/**
+ * Expand a UID sequence-set like "304,319:320" into an ascending array of
+ * numeric UIDs.  This is only used for UIDPLUS response codes and VANISHED
+ * responses where the server is not allowed to use "*", so we don't worry
+ * about that.  Ranges may be
+ * expressed in either order.
+ */
+function expandUidSet(uidSet) {
+  let uids = [];
+  for (let range of uidSet.split(',')) {
+    let [low, high] = range.split(':').map(x => parseInt(x, 10));
+    if (high === undefined) {
+      uids.push(low);
+      continue;
+    }
+    if (low > high) {
+      [low, high] = [high, low];
+    }
+    for (let uid = low; uid <= high; uid++) {
+      uids.push(uid);
+    }
+  }
+  return uids.sort((a, b) => a - b);
+}
+
+/**
+ * Find the COPYUID (RFC 4315) response code in a COPY or MOVE response and
+ * convert it into a Map from source UID to destination UID.  COPY puts it in
+ * the tagged OK, MOVE (RFC 6851) puts it in an untagged OK.  The Map will be
+ * empty if the server doesn't support UIDPLUS.
+ */
+function extractCopyUidMapping(response) {
+  let mapping = new Map();
+  let candidates = [response];
+  if (response.payload && response.payload.OK) {
+    candidates = candidates.concat(response.payload.OK);
+  }
+  for (let candidate of candidates) {
+    let copyuid = candidate.copyuid;
+    if (!copyuid || copyuid.length < 3) {
+      continue;
+    }
+    let sourceUids = expandUidSet(copyuid[1]);
+    let targetUids = expandUidSet(copyuid[2]);
+    for (let i = 0; i < sourceUids.length; i++) {
+      mapping.set(sourceUids[i], targetUids[i]);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Promise-wrap BrowserBox's exec for the cases where we need the raw response
+ * (like for the UIDPLUS response codes that the BrowserBox helpers discard).
+ */
+function execPromised(conn, request, acceptUntagged, precheck) {
+  return new Promise((resolve, reject) => {
+    conn.exec(request, acceptUntagged, { precheck }, (err, response, next) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(response);
+      }
+      next();
+    });
+  });
+}
+
+/**
+ * UID COPY the given sequence-set to the folder with the given path, returning
+ * the COPYUID mapping.
+ */
+function copyByUid(conn, precheck, sequence, targetPath) {
+  return execPromised(
+    conn,
+    {
+      command: 'UID COPY',
+      attributes: [
+        { type: 'sequence', value: sequence },
+        { type: 'string', value: targetPath }
+      ]
+    },
+    ['OK'], precheck)
+  .then(extractCopyUidMapping);
+}
+
+/**
+ * Extract the UIDs from any untagged VANISHED (RFC 7162) responses in the
+ * given response payload.  These look like "* VANISHED (EARLIER) 41,43:116";
+ * the UID set is always the last attribute.
+ */
+function extractVanishedUids(response) {
+  let uids = [];
+  let vanishedResponses = (response.payload && response.payload.VANISHED) || [];
+  for (let vanished of vanishedResponses) {
+    let attrs = [].concat(vanished.attributes || []);
+    let uidSetAttr = attrs[attrs.length - 1];
+    if (uidSetAttr && uidSetAttr.value) {
+      uids = uids.concat(expandUidSet(uidSetAttr.value));
+    }
+  }
+  return uids;
+}
+
+
+/**
+ * Helper for the mailbox-manipulating commands (CREATE, RENAME, DELETE) that
+ * take already-encoded mailbox paths as their arguments.  If the server fails
+ * the command with the response code `tolerableCode`, the desired state of
+ * affairs already exists and we treat that as success.  (Which also means the
+ * command is safe to retry.)
+ */
+function mailboxCommandWithConn(command, tolerableCode) {
+  return function(taskCtx, ...paths) {
+    return this._runOp(taskCtx, command, null, !!tolerableCode, (conn) => {
+      return execPromised(
+        conn,
+        {
+          command,
+          attributes: paths.map(path => ({ type: 'string', value: path }))
+        },
+        null)
+      .catch((err) => {
+        if (err && err.code === tolerableCode) {
+          logic(this, command + ':tolerated', { ctxId: taskCtx.id });
+          return;
         }
-      };
-      logic(
-        this, methodName + ':begin',
-        { ctxId: taskCtx.id, folderId: folderInfo.id });
-      return implFunc.apply(
-        this,
-        [conn, precheck].concat(bbArgs)
-      ).then((value) => {
-        logic(
-          this, methodName + ':end',
-          { ctxId: taskCtx.id, _result: value });
-        return {
-          mailboxInfo: conn.selectedMailboxInfo,
-          result: value
-        };
+        throw err;
       });
     });
   };
@@ -113,21 +219,44 @@ function customFuncInFolderWithConn(implFunc) {
  * return values are always defined to disambiguate as well as the caller could
  * given the same information (and without establishing new connections.)
  *
- * XXX TODO: Implement retrying of commands that were the result of a connection
- * loss with some suspicion level so that commands that cause us to lose the
- * connection eventually do fail.  Right now our various abstractions result in
- * failures always turning into connection loss and we're developing on highly
- * reliable desktop connections, so it's advisable to skimp to avoid
- * accidentally creating DoS's since most failures are likely to be because of
- * our code simply doing something incorrect and triggering an error.
+ * ## Connection Pool ##
+ *
+ * We maintain up to `ImapAccount.maxParallelConnections` connections, acquired
+ * from the ImapAccount and held until they die.  (Idle connections are killed
+ * by the account's stale connection logic.)  That's the account's
+ * `maxConnections` minus any connections its ImapIdler is using to IDLE.  When
+ * the idler takes a connection our limit goes down, and the idler calls
+ * `shedExcessConnections` so that we retire the connections we're no longer
+ * allowed.  A retired connection gets no new ops and is handed back to the
+ * account (and from there to the idler) as soon as its ops complete.  Each
+ * request ("op") is assigned to a connection as follows:
  *
- * TODO: Actually support doing things in parallel.  For now, we just use one
- * connection.
+ * - Folder affinity: If a connection is already in (or has ops queued that
+ *   will put it in) the op's folder, we queue the op on that connection, even
+ *   if it's busy.  BrowserBox pipelines its queue and this avoids bouncing
+ *   folders between connections with gratuitous SELECTs.  It also means that
+ *   all the requests for a single folder are processed in order.
+ * - An idle connection, if there is one.
+ * - A new connection, if we're under our limit.  The op waits until the
+ *   connection is established.
+ * - The least busy connection.
  *
- * TODO: Ideally take ownership of the connection creation/management logic in
- * ImapAccount and then clean things up a bit as it relates to life-cycle
- * management.  (But we do 100% want to keep the back-off logic and the concept
- * of different failure modes.  Don't rip that out.)
+ * Because a connection may be used for a different folder between the time an
+ * op is queued and the time it is run, every in-folder op uses a browserbox
+ * precheck that re-SELECTs the folder if the connection is no longer in it.
+ *
+ * ## Retries ##
+ *
+ * If a connection dies, BrowserBox silently discards its queue of commands.
+ * We track the ops assigned to each connection and when the connection dies we
+ * re-issue the idempotent ones (reads, flag STOREs, etc.) on another
+ * connection up to MAX_IDEMPOTENT_RETRIES times.  The non-idempotent ones
+ * (APPEND, COPY, MOVE, RENAME, EXPUNGE) are failed with 'unresponsive-server'
+ * since we can't know whether the server processed them.  The task
+ * infrastructure is responsible for figuring out what to do then.  Likewise,
+ * if the account gives up on establishing a connection we're waiting for and
+ * we have no others, the waiting ops are failed with 'offline' or
+ * 'unresponsive-server'.
  *
  * KEEP IN MIND: BrowserBox has a straight-forward API and internal queue
  * mechanism.  Although there is some minor stateful stuff as it relates to
@@ -138,115 +267,480 @@ function ParallelIMAP(imapAccount) {
   logic.defineScope(this, 'ParallelIMAP', { accountId: imapAccount.id });
   this._imapAccount = imapAccount;
 
-  this._conn = null;
-  this._connPromise = null;
+  /**
+   * @type {Array<{ conn, folderPath, activeOps: Set, retiring }>}
+   * Our live connections.  `folderPath` is the serverPath of the folder of the
+   * most recent op assigned to the connection, which is where the connection
+   * will be once its queue drains.  `retiring` connections are handed back to
+   * the account once they have no active ops.
+   */
+  this._conns = [];
+  /**
+   * The number of connections we have demanded from the account that haven't
+   * shown up yet.
+   */
+  this._pendingConnCount = 0;
+  /**
+   * Ops waiting for a connection to be established, in FIFO order.
+   */
+  this._waitingOps = [];
 }
 ParallelIMAP.prototype = {
-  // XXX the interaction of this and simpleWithConn are pretty ugly.
-  _gimmeConnection: function() {
-    if (this._conn) {
-      // (keeping the promise around forever can make devtools sad and result in
-      // effective memory leaks, at least allegedly per co.  makes sense, tho.)
-      return Promise.resolve(this._conn);
-    }
-    if (this._connPromise) {
-      return this._connPromise;
-    }
-
-    logic(this, 'demandConnection');
-    this._connPromise = new Promise((resolve, reject) => {
-      this._imapAccount.__folderDemandsConnection(
-        null,
-        'pimap',
-        (conn) => {
-          logic(this, 'gotConnection');
-          this._conn = conn;
-          this._connPromise = null;
-          resolve(conn);
-        },
-        () => {
-          logic(this, 'deadConnection');
-          this._conn = null;
-          this._connPromise = null;
-          reject();
-        });
+  get numConnections() {
+    return this._conns.length;
+  },
+
+  /**
+   * Issue an op, returning a Promise that will be resolved with its result.
+   *
+   * @param {TaskContext} taskCtx
+   * @param {String} methodName
+   *   For logging purposes.
+   * @param {FolderInfo} [folderInfo]
+   *   The folder the connection needs to be in for the op, or null if it
+   *   doesn't matter.
+   * @param {Boolean} idempotent
+   *   Is it safe to re-issue the op if the connection dies before we hear
+   *   back?
+   * @param {Function(conn, precheck)} impl
+   *   The function that actually does the work on the given connection,
+   *   returning a Promise.  `precheck` should be passed to BrowserBox.
+   */
+  _runOp: function(taskCtx, methodName, folderInfo, idempotent, impl) {
+    return new Promise((resolve, reject) => {
+      this._scheduleOp({
+        taskCtx,
+        methodName,
+        folderInfo,
+        idempotent,
+        impl,
+        resolve,
+        reject,
+        retriesLeft: MAX_IDEMPOTENT_RETRIES
+      });
     });
-    return this._connPromise;
   },
 
-  listMailboxes: simpleWithConn('listMailboxes'),
-  listMessages: inFolderWithConn('listMessages', 2),
-  listNamespaces: simpleWithConn('listNamespaces'),
-  search: inFolderWithConn('search', 1),
+  _scheduleOp: function(op) {
+    let connInfo = this._pickConnection(op.folderInfo);
+    if (connInfo) {
+      this._runOpOnConnection(connInfo, op);
+      return;
+    }
+    this._waitingOps.push(op);
+    this._maybeDemandConnection();
+  },
 
-  // Select the mailbox returning the mailboxInfo directly (not nested in an
-  // object).  If the mailbox is already selected, just return it.
-  selectMailbox: function(taskCtx, folderInfo) {
-    return this._gimmeConnection().then((conn) => {
-      if (folderInfo.path === conn.selectedMailboxPath) {
-        return Promise.resolve(conn.selectedMailboxInfo);
+  /**
+   * Pick the connection to use for an op in the given folder (which may be
+   * null), returning null if the op should wait for a new connection.
+   */
+  _pickConnection: function(folderInfo) {
+    let conns = this._conns.filter(connInfo => !connInfo.retiring);
+    if (folderInfo) {
+      for (let connInfo of conns) {
+        if (connInfo.folderPath === folderInfo.serverPath) {
+          return connInfo;
+        }
       }
-      return conn.selectMailbox(folderInfo.path).then(() => {
-        return conn.selectedMailboxInfo;
-      });
-    });
+    }
+    for (let connInfo of conns) {
+      if (!connInfo.activeOps.size) {
+        return connInfo;
+      }
+    }
+    if (!conns.length ||
+        this._conns.length + this._pendingConnCount <
+          this._imapAccount.maxParallelConnections) {
+      return null;
+    }
+    return this._leastBusyConnection(conns);
   },
 
-  store: inFolderWithConn('store', 3),
+  _leastBusyConnection: function(conns) {
+    let leastBusy = conns[0];
+    for (let connInfo of conns) {
+      if (connInfo.activeOps.size < leastBusy.activeOps.size) {
+        leastBusy = connInfo;
+      }
+    }
+    return leastBusy;
+  },
 
-  // APPEND does not require being in a folder, it just wants the path, so the
-  // caller does need to manually specify it.
-  upload: simpleWithConn('upload'),
+  /**
+   * Demand another connection from the account if we have more waiting ops
+   * than pending connections and we're allowed to have more connections.
+   */
+  _maybeDemandConnection: function() {
+    if (this._waitingOps.length <= this._pendingConnCount ||
+        this._conns.length + this._pendingConnCount >=
+          this._imapAccount.maxParallelConnections) {
+      return;
+    }
+
+    logic(this, 'demandConnection',
+          { numConns: this._conns.length,
+            numPending: this._pendingConnCount });
+    this._pendingConnCount++;
+    let connInfo = null;
+    this._imapAccount.__folderDemandsConnection(
+      null,
+      'pimap',
+      (conn) => {
+        logic(this, 'gotConnection');
+        this._pendingConnCount--;
+        connInfo = {
+          conn,
+          folderPath: conn.selectedMailboxPath || null,
+          activeOps: new Set(),
+          retiring: false
+        };
+        this._conns.push(connInfo);
+        this._processWaitingOps();
+        // The idler may have lowered our limit while we were waiting.
+        this.shedExcessConnections();
+      },
+      () => {
+        if (!connInfo) {
+          logic(this, 'connectFailed');
+          this._pendingConnCount--;
+          this._connectFailed();
+          return;
+        }
+        logic(this, 'deadConnection');
+        this._connectionDied(connInfo);
+      },
+      // Tell us if the account gives up on connecting so the waiting ops
+      // don't wait forever.
+      true);
+  },
 
   /**
-   * Fetch the full or partial contents of a message part, returning a
-   * Uint8Array with the contents.
-   *
-   * In the future, with changes to browserbox, we may be able to return a
-   * stream instead of delivering the data all at once.
+   * The account couldn't establish a connection we demanded because we're
+   * offline or it ran out of retries.  Once no other connections are on the
+   * way, the waiting ops go on the connections we have, or fail if we have
+   * none so that their tasks can fail and retry per their usual backoff.
+   */
+  _connectFailed: function() {
+    if (this._pendingConnCount) {
+      return;
+    }
+    let conns = this._conns.filter(connInfo => !connInfo.retiring);
+    let err =
+      this._imapAccount.universe.online ? 'unresponsive-server' : 'offline';
+    let waitingOps = this._waitingOps;
+    this._waitingOps = [];
+    for (let op of waitingOps) {
+      if (conns.length) {
+        this._runOpOnConnection(this._leastBusyConnection(conns), op);
+      } else {
+        logic(this, 'failingOp',
+              { ctxId: op.taskCtx.id, methodName: op.methodName, err });
+        op.reject(err);
+      }
+    }
+  },
+
+  /**
+   * Retire connections until we hold no more than `maxParallelConnections`,
+   * preferring the least busy ones.  Idle connections go back to the account
+   * immediately.
    */
-  fetchBody: co.wrap(function*(taskCtx, folderInfo, request) {
-    let conn = yield this._gimmeConnection();
+  shedExcessConnections: function() {
+    let keep = this._conns.filter(connInfo => !connInfo.retiring);
+    let excess = this._conns.length - this._imapAccount.maxParallelConnections;
+    excess -= this._conns.length - keep.length;
+    if (excess <= 0) {
+      return;
+    }
+    keep.sort((a, b) => a.activeOps.size - b.activeOps.size);
+    for (let connInfo of keep.slice(0, excess)) {
+      logic(this, 'retireConnection', { activeOps: connInfo.activeOps.size });
+      connInfo.retiring = true;
+      this._maybeReleaseConnection(connInfo);
+    }
+  },
+
+  /**
+   * Hand a retiring connection back to the account if it has no ops left.
+   */
+  _maybeReleaseConnection: function(connInfo) {
+    if (!connInfo.retiring || connInfo.activeOps.size) {
+      return;
+    }
+    let idx = this._conns.indexOf(connInfo);
+    if (idx === -1) {
+      return;
+    }
+    this._conns.splice(idx, 1);
+    logic(this, 'releaseConnection');
+    this._imapAccount.__folderDoneWithConnection(connInfo.conn, false, false);
+    // Ops that arrived while all our connections were retiring are waiting
+    // for a new one, which we may be allowed now.
+    this._maybeDemandConnection();
+  },
+
+  _processWaitingOps: function() {
+    let waitingOps = this._waitingOps;
+    this._waitingOps = [];
+    for (let op of waitingOps) {
+      this._scheduleOp(op);
+    }
+  },
+
+  _runOpOnConnection: function(connInfo, op) {
+    let { conn } = connInfo;
+    let { taskCtx, methodName, folderInfo } = op;
+    connInfo.activeOps.add(op);
+    if (folderInfo) {
+      connInfo.folderPath = folderInfo.serverPath;
+    }
 
     let precheck = function(ctx, next) {
       // Only select the folder if we're not already inside it.
-      if (folderInfo.path !== conn.selectedMailboxPath) {
-        conn.selectMailbox(folderInfo.path, { ctx: ctx }, next);
+      if (folderInfo && folderInfo.serverPath !== conn.selectedMailboxPath) {
+        conn.selectMailbox(folderInfo.serverPath, { ctx: ctx }, next);
       } else {
         next();
       }
     };
 
-    logic(this, 'fetchBody:begin', { ctxId: taskCtx.id });
-    let messages = yield conn.listMessages(
-      request.uid,
-       [
-        'BODY.PEEK[' + (request.part || '1') + ']' +
-          (request.byteRange ?
-           ('<' + request.byteRange.offset + '.' +
-            request.byteRange.bytesToFetch + '>') :
-           '')
-      ],
-      { byUid: true, precheck }
-    );
-    let msg = messages[0];
-    let body;
-    for (let key in msg) {
-      if (/^body/i.test(key)) {
-        body = msg[key];
-        break;
-      }
+    logic(
+      this, methodName + ':begin',
+      { ctxId: taskCtx.id, folderId: folderInfo && folderInfo.id });
+    // (The Promise wrapping converts synchronous throws into rejections.)
+    new Promise((resolve) => {
+      resolve(op.impl(conn, precheck));
+    }).then(
+      (value) => {
+        // If the op is no longer active, the connection died and the op was
+        // already retried or failed.
+        if (!connInfo.activeOps.delete(op)) {
+          return;
+        }
+        logic(
+          this, methodName + ':end',
+          { ctxId: taskCtx.id, _result: value });
+        op.resolve(value);
+        this._maybeReleaseConnection(connInfo);
+      },
+      (err) => {
+        if (!connInfo.activeOps.delete(op)) {
+          return;
+        }
+        logic(this, methodName + ':error', { ctxId: taskCtx.id, err });
+        op.reject(err);
+        this._maybeReleaseConnection(connInfo);
+      });
+  },
+
+  /**
+   * A connection died.  Retry or fail the ops that were assigned to it.
+   */
+  _connectionDied: function(connInfo) {
+    let idx = this._conns.indexOf(connInfo);
+    if (idx !== -1) {
+      this._conns.splice(idx, 1);
     }
-    if (!body) {
-      throw new Error('no body returned!');
+    let orphanedOps = Array.from(connInfo.activeOps);
+    connInfo.activeOps.clear();
+    for (let op of orphanedOps) {
+      if (op.idempotent && op.retriesLeft > 0) {
+        op.retriesLeft--;
+        logic(this, 'retryingOp',
+              { ctxId: op.taskCtx.id, methodName: op.methodName,
+                retriesLeft: op.retriesLeft });
+        this._scheduleOp(op);
+      } else {
+        logic(this, 'failingOp',
+              { ctxId: op.taskCtx.id, methodName: op.methodName });
+        op.reject('unresponsive-server');
+      }
     }
-    logic(
-      this, 'fetchBody:end',
-      { ctxId: taskCtx.id, bodyLength: body.length });
-    // browserbox traffics in 'binary' strings; convert this back to a
-    // TypedArray.
-    return mimefuncs.toTypedArray(body);
-  })
+  },
+
+  listMailboxes: simpleWithConn('listMailboxes', true),
+  listMessages: inFolderWithConn('listMessages', 2, true),
+  listNamespaces: simpleWithConn('listNamespaces', true),
+  search: inFolderWithConn('search', 1, true),
+
+  /**
+   * Has the given extension (ex: 'CONDSTORE', 'QRESYNC') been ENABLEd on our
+   * connections?  See `enableModseqExtensions` in client.js.  (All of our
+   * connections are to the same server, so it doesn't matter which we ask.)
+   */
+  hasEnabledExtension: function(taskCtx, extension) {
+    return this._runOp(
+      taskCtx, 'hasEnabledExtension', null, true,
+      (conn) => {
+        return (conn.enabledExtensions || []).indexOf(extension) !== -1;
+      });
+  },
+
+  /**
+   * QRESYNC-only: UID FETCH the given items for the given sequence with
+   * `(CHANGEDSINCE modseq VANISHED)` so that in a single round-trip we hear
+   * about all messages whose MODSEQ is greater than `modseq` (which includes
+   * new messages) and the UIDs of all messages that have been expunged since
+   * then.  Returns { messages, vanishedUids }, nested like all our other
+   * in-folder results.
+   */
+  listChangesSince: customFuncInFolderWithConn(
+    function listChangesSince(conn, precheck, sequence, items, modseq) {
+      let request = conn._buildFETCHCommand(
+        sequence, items, { byUid: true, changedSince: modseq });
+      // CHANGEDSINCE is the last attribute and a list; VANISHED goes in there.
+      let modifiers = request.attributes[request.attributes.length - 1];
+      modifiers.push({ type: 'atom', value: 'VANISHED' });
+      return execPromised(conn, request, ['FETCH', 'VANISHED'], precheck)
+      .then((response) => {
+        return {
+          messages: conn._parseFETCH(response),
+          vanishedUids: extractVanishedUids(response)
+        };
+      });
+    },
+    true),
+
+  // Select the mailbox returning the mailboxInfo directly (not nested in an
+  // object).  If the mailbox is already selected, just return it.  Thanks to
+  // folder affinity, subsequent ops for the folder will use the same
+  // connection.
+  selectMailbox: function(taskCtx, folderInfo) {
+    return this._runOp(
+      taskCtx, 'selectMailbox', folderInfo, true,
+      (conn) => {
+        if (folderInfo.serverPath === conn.selectedMailboxPath) {
+          return conn.selectedMailboxInfo;
+        }
+        return conn.selectMailbox(folderInfo.serverPath).then(() => {
+          return conn.selectedMailboxInfo;
+        });
+      });
+  },
+
+  // Our flag manipulations are all +FLAGS/-FLAGS, so re-issuing is harmless.
+  store: inFolderWithConn('store', 3, true),
+
+  /**
+   * Mark the given messages \Deleted and expunge them.  BrowserBox uses
+   * UID EXPUNGE when UIDPLUS is available, otherwise this will also expunge
+   * anything else that was marked deleted.
+   */
+  deleteMessages: inFolderWithConn('deleteMessages', 1, false),
+
+  /**
+   * Move the given UIDs from the folder to the folder with the given path,
+   * returning a Map from source UID to the UID of the message in the target
+   * folder.  We use MOVE (RFC 6851) if available, otherwise we COPY, mark the
+   * originals \Deleted, and expunge them.  The Map will be empty if the server
+   * does not support UIDPLUS, in which case the caller needs to go find the
+   * messages itself.
+   */
+  moveMessages: customFuncInFolderWithConn(
+    function moveMessages(conn, precheck, uids, targetPath) {
+      let sequence = uids.join(',');
+
+      if (conn.hasCapability('MOVE')) {
+        return execPromised(
+          conn,
+          {
+            command: 'UID MOVE',
+            attributes: [
+              { type: 'sequence', value: sequence },
+              { type: 'string', value: targetPath }
+            ]
+          },
+          ['OK'], precheck)
+        .then(extractCopyUidMapping);
+      }
+
+      let mapping;
+      return copyByUid(conn, precheck, sequence, targetPath)
+      .then((copyMapping) => {
+        mapping = copyMapping;
+        return conn.store(
+          sequence, '+FLAGS.SILENT', ['\\Deleted'], { byUid: true, precheck });
+      })
+      .then(() => {
+        // Only fall back to a naked EXPUNGE if we have to since it also
+        // expunges messages other clients marked deleted.
+        let expungeRequest = 'EXPUNGE';
+        if (conn.hasCapability('UIDPLUS')) {
+          expungeRequest = {
+            command: 'UID EXPUNGE',
+            attributes: [{ type: 'sequence', value: sequence }]
+          };
+        }
+        return execPromised(conn, expungeRequest, ['OK'], precheck);
+      })
+      .then(() => {
+        return mapping;
+      });
+    },
+    false),
+
+  /**
+   * Copy the given UIDs from the folder to the folder with the given path,
+   * returning a Map from source UID to the UID of the copy.  As with
+   * moveMessages, the Map will be empty if the server lacks UIDPLUS.
+   */
+  copyMessages: customFuncInFolderWithConn(
+    function copyMessages(conn, precheck, uids, targetPath) {
+      return copyByUid(conn, precheck, uids.join(','), targetPath);
+    },
+    false),
+
+  // APPEND does not require being in a folder, it just wants the path, so the
+  // caller does need to manually specify it.
+  upload: simpleWithConn('upload', false),
+
+  // The mailbox commands take (modified UTF-7) encoded paths, like our
+  // FolderInfo paths.  (BrowserBox's createMailbox wants unencoded paths.)
+  createMailbox: mailboxCommandWithConn('CREATE', 'ALREADYEXISTS'),
+  renameMailbox: mailboxCommandWithConn('RENAME', null),
+  deleteMailbox: mailboxCommandWithConn('DELETE', 'NONEXISTENT'),
+
+  /**
+   * Fetch the full or partial contents of a message part, returning a
+   * Uint8Array with the contents.  The part defaults to '1'; pass a part of ''
+   * to get the entire raw message, headers and all.
+   *
+   * In the future, with changes to browserbox, we may be able to return a
+   * stream instead of delivering the data all at once.
+   */
+  fetchBody: function(taskCtx, folderInfo, request) {
+    return this._runOp(
+      taskCtx, 'fetchBody', folderInfo, true,
+      (conn, precheck) => {
+        return conn.listMessages(
+          request.uid,
+          [
+            'BODY.PEEK[' + (request.part != null ? request.part : '1') + ']' +
+              (request.byteRange ?
+               ('<' + request.byteRange.offset + '.' +
+                request.byteRange.bytesToFetch + '>') :
+               '')
+          ],
+          { byUid: true, precheck }
+        ).then((messages) => {
+          let msg = messages[0];
+          let body;
+          for (let key in msg) {
+            if (/^body/i.test(key)) {
+              body = msg[key];
+              break;
+            }
+          }
+          if (!body) {
+            throw new Error('no body returned!');
+          }
+          // browserbox traffics in 'binary' strings; convert this back to a
+          // TypedArray.
+          return mimefuncs.toTypedArray(body);
+        });
+      });
+  }
 };
 
 return ParallelIMAP;
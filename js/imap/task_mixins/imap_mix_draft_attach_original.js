@@ -0,0 +1,26 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+
+/**
+ * IMAP fetches the raw message with a single BODY.PEEK[] request.  Mixees
+ * provide `getFolderAndUidForMesssage` just like for downloads, since vanilla
+ * IMAP and gmail locate messages differently.
+ */
+return {
+  fetchRawMessage: co.wrap(function*(ctx, account, messageInfo) {
+    let { folderInfo, uid } =
+      yield this.getFolderAndUidForMesssage(ctx, account, messageInfo);
+
+    let rawU8 = yield account.pimap.fetchBody(
+      ctx,
+      folderInfo,
+      {
+        uid,
+        part: ''
+      });
+    return new Blob([rawU8], { type: 'message/rfc822' });
+  })
+};
+});
@@ -0,0 +1,135 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+const utf7 = require('utf7');
+
+/**
+ * IMAP folder creation/rename/move/delete via CREATE, RENAME and DELETE.  This
+ * is shared by vanilla IMAP and gmail, where folders are labels but the
+ * mailbox commands work the same.
+ *
+ * We compute the server paths we want from the `serverPath` of the parent
+ * rather than using the folder's `path` so that we do the right thing when the
+ * parent also has a rename pending.  (The parent's RENAME will carry us along
+ * with it.)
+ *
+ * @see MixManageFolderMixin
+ */
+return {
+  encodeFolderName: function(name) {
+    return utf7.imap.encode(name);
+  },
+
+  _desiredServerPath: function(folderInfo, parentInfo) {
+    let encodedName = this.encodeFolderName(folderInfo.name);
+    if (!parentInfo) {
+      return encodedName;
+    }
+    return parentInfo.serverPath + folderInfo.delim + encodedName;
+  },
+
+  /**
+   * Delete the folder with the given server path and all of its sub-folders,
+   * deepest first, since servers are allowed to refuse to delete folders
+   * that have children (or leave them around as \Noselect.)
+   */
+  _deleteSubtree: function*(ctx, pimap, { serverPath, delim }) {
+    let boxesRoot = yield pimap.listMailboxes(ctx);
+    let doomedPaths = [];
+    let prefix = serverPath + delim;
+    let walkBoxes = (boxLevel) => {
+      for (let box of boxLevel) {
+        let path = box.path;
+        let boxDelim = box.delimiter || '/';
+        // (sync_folder_list does the same normalization)
+        if (path.indexOf(boxDelim) === 0) {
+          path = path.slice(boxDelim.length);
+        }
+        if (path.indexOf(prefix) === 0) {
+          doomedPaths.push(path);
+        }
+        if (box.children) {
+          walkBoxes(box.children);
+        }
+      }
+    };
+    walkBoxes(boxesRoot.children);
+    doomedPaths.sort((a, b) => b.length - a.length);
+    doomedPaths.push(serverPath);
+
+    for (let path of doomedPaths) {
+      yield pimap.deleteMailbox(ctx, path);
+    }
+  },
+
+  execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+    let { pendingFolders } = persistentState;
+    let { folderId } = marker;
+    let pending = pendingFolders.get(folderId);
+
+    let account = yield ctx.universe.acquireAccount(ctx, marker.accountId);
+    let { foldersTOC, pimap } = account;
+
+    let modifiedFolders = new Map();
+
+    if (pending.deleted) {
+      yield* this._deleteSubtree(ctx, pimap, pending);
+    } else if (!foldersTOC.foldersById.has(folderId)) {
+      // The server deleted it out from under us and folder list sync noticed.
+      logic(ctx, 'folderGone', { folderId });
+    } else {
+      let folderInfo = foldersTOC.foldersById.get(folderId);
+      let parentInfo = folderInfo.parentId ?
+        foldersTOC.foldersById.get(folderInfo.parentId) : null;
+
+      // - Create the parent chain and/or the folder if they're local-only.
+      let toCreate = this._findFoldersToCreate(foldersTOC, parentInfo);
+      let existed = !!folderInfo.serverPath;
+      if (!existed) {
+        toCreate.push(folderInfo);
+      }
+      for (let createInfo of toCreate) {
+        let createParentInfo = createInfo.parentId ?
+          foldersTOC.foldersById.get(createInfo.parentId) : null;
+        let serverPath =
+          this._desiredServerPath(createInfo, createParentInfo);
+        yield pimap.createMailbox(ctx, serverPath);
+        createInfo.serverPath = serverPath;
+        modifiedFolders.set(createInfo.id, createInfo);
+      }
+
+      // - Rename/move it if it already existed and isn't where it should be.
+      let oldServerPath = folderInfo.serverPath;
+      let newServerPath = this._desiredServerPath(folderInfo, parentInfo);
+      if (existed && oldServerPath !== newServerPath) {
+        yield pimap.renameMailbox(ctx, oldServerPath, newServerPath);
+        // The sub-folders came along for the ride.
+        let oldPrefix = oldServerPath + folderInfo.delim;
+        for (let otherInfo of foldersTOC.getAllItems()) {
+          if (otherInfo.serverPath === oldServerPath) {
+            otherInfo.serverPath = newServerPath;
+          } else if (otherInfo.serverPath &&
+                     otherInfo.serverPath.indexOf(oldPrefix) === 0) {
+            otherInfo.serverPath = newServerPath + folderInfo.delim +
+              otherInfo.serverPath.slice(oldPrefix.length);
+          } else {
+            continue;
+          }
+          modifiedFolders.set(otherInfo.id, otherInfo);
+        }
+      }
+    }
+
+    pendingFolders.delete(folderId);
+
+    yield ctx.finishTask({
+      mutations: {
+        folders: modifiedFolders
+      },
+      complexTaskState: persistentState
+    });
+  })
+};
+});
@@ -20,6 +20,115 @@ const { MAX_SNIPPET_BYTES } = require('../../syncbase');
 const MAX_FETCH_BYTES = (Math.pow(2, 32) - 1);
 
 return {
+  /**
+   * Fetch the body parts of a single message according to our byte budget,
+   * updating the message in-place and adding it to `modifiedMessagesMap` if
+   * we fetched anything.
+   */
+  _syncMessageBodies: function*(
+      ctx, account, prepared, req, message, maxBytesPerMessage,
+      modifiedMessagesMap) {
+    let remainingByteBudget = maxBytesPerMessage;
+    // If this message isn't explicitly opted-in and we have no snippety
+    // budget, then skip this message.
+    if (!remainingByteBudget &&
+        (!req.fullBodyMessageIds ||
+         !req.fullBodyMessageIds.has(message.id))) {
+      return;
+    }
+    let bodyRepIndex = imapchew.selectSnippetBodyRep(message);
+
+    // -- For each body part...
+    for (let iBodyRep=0; iBodyRep < message.bodyReps.length; iBodyRep++) {
+      let rep = message.bodyReps[iBodyRep];
+      // - Figure out what work, if any, to do.
+      if (rep.isDownloaded) {
+        continue;
+      }
+
+      // default to the entire remaining email. We use the estimate *
+      // largish multiplier so even if the size estimate is wrong we should
+      // fetch more then the requested number of bytes which if truncated
+      // indicates the end of the bodies content.
+      let bytesToFetch = Math.min(rep.sizeEstimate * 5, MAX_FETCH_BYTES);
+
+      let bodyParser;
+      let partDef = rep._partInfo;
+      if (maxBytesPerMessage) {
+        // issued enough downloads
+        if (remainingByteBudget <= 0) {
+          break;
+        }
+
+        // if our estimate is greater then expected number of bytes
+        // request the maximum allowed.
+        if (rep.sizeEstimate > remainingByteBudget) {
+          bytesToFetch = remainingByteBudget;
+        }
+        // subtract the estimated byte size
+        remainingByteBudget -= rep.sizeEstimate;
+
+        bodyParser = new SnippetParser(partDef);
+      } else {
+        bodyParser = new TextParser(partDef);
+      }
+
+      // For a byte-serve request, we need to request at least 1 byte, so
+      // request some bytes.  This is a logic simplification that should not
+      // need to be used because imapchew.js should declare 0-byte files
+      // fully downloaded when their parts are created, but better a
+      // wasteful network request than breaking here.
+      if (bytesToFetch <= 0) {
+        bytesToFetch = 64;
+      }
+
+      let byteRange;
+      if (maxBytesPerMessage || rep.amountDownloaded) {
+        byteRange = {
+          offset: rep.amountDownloaded,
+          bytesToFetch
+        };
+      }
+
+      // If we had already downloaded part of the body, be sure to parse it.
+      // It is stored out-of-line as a Blob, so must be (asynchronously)
+      // fetched.
+      if (partDef.pendingBuffer) {
+        let loadedBuffer = new Uint8Array(
+          yield asyncFetchBlob(partDef.pendingBuffer, 'arraybuffer'));
+        bodyParser.parse(loadedBuffer);
+      }
+
+      // - Issue the fetch
+      let { folderInfo, uid } = this.getFolderAndUidForMesssage(
+        prepared, account, message);
+      let rawBody = yield account.pimap.fetchBody(
+        ctx,
+        folderInfo,
+        {
+          uid,
+          part: rep.part,
+          byteRange
+        });
+
+      bodyParser.parse(rawBody);
+      let bodyResult = bodyParser.complete();
+
+      // - Update the message
+      imapchew.updateMessageWithFetch(
+        message,
+        {
+          bodyRepIndex: iBodyRep,
+          createSnippet: iBodyRep === bodyRepIndex,
+          byteRange
+        },
+        bodyResult
+      );
+
+      modifiedMessagesMap.set(message.id, message);
+    }
+  },
+
   execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
     let req = memoryState.get(marker.convId);
 
@@ -47,106 +156,36 @@ return {
     }
 
     // -- For each message...
-    for (let message of loadedMessages) {
-      let remainingByteBudget = maxBytesPerMessage;
-      // If this message isn't explicitly opted-in and we have no snippety
-      // budget, then skip this message.
-      if (!remainingByteBudget &&
-          (!req.fullBodyMessageIds ||
-           !req.fullBodyMessageIds.has(message.id))) {
-        continue;
-      }
-      let bodyRepIndex = imapchew.selectSnippetBodyRep(message);
-
-      // -- For each body part...
-      for (let iBodyRep=0; iBodyRep < message.bodyReps.length; iBodyRep++) {
-        let rep = message.bodyReps[iBodyRep];
-        // - Figure out what work, if any, to do.
-        if (rep.isDownloaded) {
-          continue;
-        }
-
-        // default to the entire remaining email. We use the estimate *
-        // largish multiplier so even if the size estimate is wrong we should
-        // fetch more then the requested number of bytes which if truncated
-        // indicates the end of the bodies content.
-        let bytesToFetch = Math.min(rep.sizeEstimate * 5, MAX_FETCH_BYTES);
-
-        let bodyParser;
-        let partDef = rep._partInfo;
-        if (maxBytesPerMessage) {
-          // issued enough downloads
-          if (remainingByteBudget <= 0) {
-            break;
-          }
-
-          // if our estimate is greater then expected number of bytes
-          // request the maximum allowed.
-          if (rep.sizeEstimate > remainingByteBudget) {
-            bytesToFetch = remainingByteBudget;
-          }
-          // subtract the estimated byte size
-          remainingByteBudget -= rep.sizeEstimate;
-
-          bodyParser = new SnippetParser(partDef);
-        } else {
-          bodyParser = new TextParser(partDef);
+    // The messages may live in different folders, in which case ParallelIMAP
+    // can fetch them using different connections, so process them
+    // concurrently, but with no more workers than there are connections to
+    // go around.  If a fetch fails, we stop starting new ones but let the
+    // others finish before we fail so nothing is still using the messages.
+    let pendingMessages = loadedMessages.slice();
+    let firstError = null;
+    let fetchWorker = function*() {
+      while (pendingMessages.length && !firstError) {
+        let message = pendingMessages.shift();
+        try {
+          yield* this._syncMessageBodies(
+            ctx, account, prepared, req, message, maxBytesPerMessage,
+            modifiedMessagesMap);
+        } catch (ex) {
+          firstError = firstError || ex;
         }
-
-        // For a byte-serve request, we need to request at least 1 byte, so
-        // request some bytes.  This is a logic simplification that should not
-        // need to be used because imapchew.js should declare 0-byte files
-        // fully downloaded when their parts are created, but better a
-        // wasteful network request than breaking here.
-        if (bytesToFetch <= 0) {
-          bytesToFetch = 64;
-        }
-
-        let byteRange;
-        if (maxBytesPerMessage || rep.amountDownloaded) {
-          byteRange = {
-            offset: rep.amountDownloaded,
-            bytesToFetch
-          };
-        }
-
-        // If we had already downloaded part of the body, be sure to parse it.
-        // It is stored out-of-line as a Blob, so must be (asynchronously)
-        // fetched.
-        if (partDef.pendingBuffer) {
-          let loadedBuffer = new Uint8Array(
-            yield asyncFetchBlob(partDef.pendingBuffer, 'arraybuffer'));
-          bodyParser.parse(loadedBuffer);
-        }
-
-        // - Issue the fetch
-        let { folderInfo, uid } = this.getFolderAndUidForMesssage(
-          prepared, account, message);
-        let rawBody = yield account.pimap.fetchBody(
-          ctx,
-          folderInfo,
-          {
-            uid,
-            part: rep.part,
-            byteRange
-          });
-
-        bodyParser.parse(rawBody);
-        let bodyResult = bodyParser.complete();
-
-        // - Update the message
-        imapchew.updateMessageWithFetch(
-          message,
-          {
-            bodyRepIndex: iBodyRep,
-            createSnippet: iBodyRep === bodyRepIndex,
-            byteRange
-          },
-          bodyResult
-        );
-
-        modifiedMessagesMap.set(message.id, message);
       }
+    }.bind(this);
+    let workerCount = Math.min(
+      account.maxParallelConnections, loadedMessages.length);
+    let workers = [];
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(co(fetchWorker()));
+    }
+    // (co treats a yielded array as Promise.all, and our workers never
+    // reject.)
+    yield workers;
+    if (firstError) {
+      throw firstError;
     }
 
     // -- Update the conversation
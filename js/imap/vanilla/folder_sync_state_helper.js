@@ -28,6 +28,13 @@ let a64 = require('../../a64');
  * - flagSetCounts: A parallel list to flagSets where each value is the count of
  *   messages using that flag-set.
  * - uidInfo: A map from message UID to the { umid, flagSlot }.
+ * - uidValidity: The UIDVALIDITY of the folder when we first synced it.  If it
+ *   changes, every UID we know about is meaningless.  Null for sync states
+ *   that predate our tracking of it.
+ * - modseq: The HIGHESTMODSEQ (as a decimal string; it's 64-bit) as of our
+ *   last sync if the server supports CONDSTORE, otherwise ''.  sync_refresh
+ *   uses this with CHANGEDSINCE (and VANISHED for QRESYNC servers) to only
+ *   hear about what's changed.
  */
 function FolderSyncStateHelper(ctx, rawSyncState, accountId, folderId, mode) {
   if (!rawSyncState) {
@@ -38,7 +45,9 @@ function FolderSyncStateHelper(ctx, rawSyncState, accountId, folderId, mode) {
       lastHighUid: 0,
       flagSets: [],
       flagSetCounts: [],
-      uidInfo: new Map()
+      uidInfo: new Map(),
+      uidValidity: null,
+      modseq: ''
     };
   }
 
@@ -81,6 +90,22 @@ FolderSyncStateHelper.prototype = {
     this.rawSyncState.sinceDate = val;
   },
 
+  get uidValidity() {
+    return this.rawSyncState.uidValidity || null;
+  },
+
+  set uidValidity(val) {
+    this.rawSyncState.uidValidity = val;
+  },
+
+  get modseq() {
+    return this.rawSyncState.modseq || '';
+  },
+
+  set modseq(val) {
+    this.rawSyncState.modseq = val;
+  },
+
   get knownMessageCount() {
     return this._uidInfo.size;
   },
@@ -180,20 +205,52 @@ FolderSyncStateHelper.prototype = {
       uidsNotFound.delete(uid);
     }
 
-    let { _uidInfo: uidInfo, umidDeletions, umidNameReads,
-          umidLocationWrites } = this;
     for (let uid of uidsNotFound) {
-      let { umid } = uidInfo.get(uid);
-      uidInfo.delete(uid);
-      umidDeletions.add(umid);
-      umidNameReads.set(umid, null);
-
-      // Nuke the umid location record.  The sync_conv job will take care of the
-      // umidName for consistency reasons.
-      umidLocationWrites.set(umid, null);
+      this._deleteKnownUid(uid);
+    }
+  },
+
+  /**
+   * The server explicitly told us these UIDs were expunged via QRESYNC
+   * VANISHED.  The server may tell us about UIDs we never knew about, so we
+   * ignore those.
+   */
+  applyVanishedUids: function(vanishedUids) {
+    for (let uid of vanishedUids) {
+      if (this._uidInfo.has(uid)) {
+        this._deleteKnownUid(uid);
+      }
     }
   },
 
+  /**
+   * The folder's UIDVALIDITY changed, so all of our UIDs are garbage.  Treat
+   * every message we know about as deleted and reset our state so that the
+   * next sync is a first-time sync_grow.  (The messages will be re-discovered
+   * as new messages.)
+   */
+  uidValidityChanged: function(newUidValidity) {
+    for (let uid of Array.from(this._uidInfo.keys())) {
+      this._deleteKnownUid(uid);
+    }
+    this.rawSyncState.sinceDate = 0;
+    this.rawSyncState.lastHighUid = 0;
+    this.rawSyncState.modseq = '';
+    this.rawSyncState.uidValidity = newUidValidity;
+  },
+
+  _deleteKnownUid: function(uid) {
+    let { umid, flagSlot } = this._uidInfo.get(uid);
+    this._decrFlagSlot(flagSlot);
+    this._uidInfo.delete(uid);
+    this.umidDeletions.add(umid);
+    this.umidNameReads.set(umid, null);
+
+    // Nuke the umid location record.  The sync_conv job will take care of the
+    // umidName for consistency reasons.
+    this.umidLocationWrites.set(umid, null);
+  },
+
   /**
    * A search by date revealed this UID and we've already run filterOutKnownUids
    * before deciding to fetch the flags, so it's a sure thing that we want to
@@ -209,6 +266,47 @@ FolderSyncStateHelper.prototype = {
     this._uidInfo.set(uid, { umid, flagSlot });
   },
 
+  /**
+   * We moved (or deleted) this message out of the folder ourselves.  Stop
+   * tracking it without generating any deletion side-effects and return its
+   * last known flags so that the target folder can adopt it.  Returns null if
+   * we weren't tracking the UID.
+   */
+  forgetMovedUid: function(uid) {
+    let info = this._uidInfo.get(uid);
+    if (!info) {
+      return null;
+    }
+    let flags = this.getFlagsForUid(uid);
+    this._decrFlagSlot(info.flagSlot);
+    this._uidInfo.delete(uid);
+    return flags;
+  },
+
+  /**
+   * Return the last known flags for the given UID, or null if we aren't
+   * tracking it.
+   */
+  getFlagsForUid: function(uid) {
+    let info = this._uidInfo.get(uid);
+    if (!info) {
+      return null;
+    }
+    return JSON.parse(this._flagSets[info.flagSlot]);
+  },
+
+  /**
+   * We moved or copied a message into this folder that we already have a umid
+   * and MessageInfo for, and it now has the given UID.  Track it without
+   * generating a sync_message task for it.
+   */
+  adoptMovedMessage: function(uid, umid, flags) {
+    let flagSlot = this._findFlagSlot(flags);
+    this._incrFlagSlot(flagSlot);
+    this._uidInfo.set(uid, { umid, flagSlot });
+    this.umidLocationWrites.set(umid, [this._folderId, uid]);
+  },
+
   /**
    * Check if the flags for a message have changed.  If so, update our record of
    * the flags and make a note of the umid so we can later resolve it to its
@@ -6,29 +6,41 @@ define(function(require) {
  */
 return [
   require('./vanilla_tasks/sync_folder_list'),
+  require('./vanilla_tasks/manage_folder'),
 
   require('./vanilla_tasks/sync_grow'),
   require('./vanilla_tasks/sync_refresh'),
+  require('./vanilla_tasks/sync_search'),
   require('./vanilla_tasks/sync_message'),
   require('./vanilla_tasks/sync_conv'),
   require('./vanilla_tasks/sync_body'),
-  //require('./vanilla_tasks/merge_conversations'),
+  require('../tasks/merge_conversations'),
 
   require('./vanilla_tasks/download'),
 
   require('./vanilla_tasks/store_flags'),
+  require('./vanilla_tasks/move'),
+  require('./vanilla_tasks/copy'),
 
   require('../tasks/draft_save'),
   require('../tasks/draft_attach'),
   require('../tasks/draft_detach'),
+  require('../tasks/draft_set_signature'),
+  require('../tasks/draft_set_identity'),
   require('../tasks/draft_delete'),
+  require('./vanilla_tasks/draft_attach_original'),
   require('./vanilla_tasks/outbox_send'),
 
   require('./vanilla_tasks/append_message'),
 
   require('../tasks/account_modify'),
+  require('../tasks/account_modify_servers'),
+  require('../tasks/identity_add'),
   require('../tasks/identity_modify'),
+  require('../tasks/identity_remove'),
 
   require('../tasks/new_tracking'),
+  require('../tasks/cache_control'),
+  require('../tasks/search_index'),
 ];
 });
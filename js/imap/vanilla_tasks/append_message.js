@@ -67,7 +67,7 @@ return TaskDefiner.defineSimpleTask([
       // we can do the same monkeypatch/hack that SMTP uses to get this.
       yield account.pimap.upload(
         ctx,
-        folderInfo.path,
+        folderInfo.serverPath,
         composedString,
         { flags: ['\\Seen'] }
       );
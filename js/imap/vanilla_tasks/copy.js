@@ -0,0 +1,107 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../vanilla/folder_sync_state_helper');
+
+const { convIdFromMessageId } = require('../../id_conversions');
+
+/**
+ * Vanilla IMAP copy.  We UID COPY the source message and then have the target
+ * folder's sync state adopt the copy's UID under the umid we allocated for the
+ * copy at planning time.  Finding the UID works just like it does for moves.
+ *
+ * @see MixCopyMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_copy'),
+  {
+    name: 'copy',
+
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { umidCopies } = persistentState;
+      let { umid } = marker;
+      let { sourceUmid, targetFolderId, guid } = umidCopies.get(umid);
+
+      let account = yield ctx.universe.acquireAccount(ctx, marker.accountId);
+
+      // -- Does the copy still exist locally?  (It may have been undone.)
+      let copyMessageId = yield ctx.readSingle('umidNames', umid);
+      let location = yield ctx.readSingle('umidLocations', sourceUmid);
+      // (The target folder may have been deleted since we planned the copy.)
+      let targetFolderInfo = account.getFolderById(targetFolderId);
+
+      let targetUid = null;
+      if (copyMessageId && location && targetFolderInfo) {
+        let [sourceFolderId, sourceUid] = location;
+        let sourceFolderInfo = account.getFolderById(sourceFolderId);
+
+        let { result: uidMapping } = yield account.pimap.copyMessages(
+          ctx, sourceFolderInfo, [sourceUid], targetFolderInfo.serverPath);
+        targetUid = uidMapping.get(sourceUid) || null;
+        if (!targetUid && guid) {
+          let { result: candidateUids } = yield account.pimap.search(
+            ctx, targetFolderInfo, { header: ['Message-ID', guid] },
+            { byUid: true });
+          if (candidateUids.length) {
+            targetUid = Math.max(...candidateUids);
+          }
+        }
+      }
+
+      let syncStateWrites = null;
+      let umidLocationWrites = null;
+      let newTasks = null;
+      if (targetUid) {
+        let sourceFolderId = location[0];
+        let fromDb = yield ctx.beginMutate({
+          syncStates: new Map([[sourceFolderId, null], [targetFolderId, null]])
+        });
+        let sourceSyncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(sourceFolderId), marker.accountId,
+          sourceFolderId, 'copy');
+        let targetSyncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(targetFolderId), marker.accountId,
+          targetFolderId, 'copy');
+        targetSyncState.adoptMovedMessage(
+          targetUid, umid, sourceSyncState.getFlagsForUid(location[1]) || []);
+        syncStateWrites =
+          new Map([[targetFolderId, targetSyncState.rawSyncState]]);
+        umidLocationWrites = targetSyncState.umidLocationWrites;
+      } else if (copyMessageId) {
+        // Either the source message is gone or we lost track of the copy.
+        // Either way, our local copy has nothing to correspond to, so remove
+        // it.  If the copy does exist, sync of the target will find it.
+        logic(ctx, 'copyLostTargetUid', { umid, hadLocation: !!location });
+        newTasks = [{
+          type: 'sync_conv',
+          accountId: marker.accountId,
+          convId: convIdFromMessageId(copyMessageId),
+          modifiedUmids: null,
+          removedUmids: new Set([umid])
+        }];
+      } else {
+        logic(ctx, 'copyMoot', { umid });
+      }
+
+      // - Success, clean up state.
+      umidCopies.delete(umid);
+
+      yield ctx.finishTask({
+        mutations: {
+          syncStates: syncStateWrites,
+          umidLocations: umidLocationWrites
+        },
+        newData: {
+          tasks: newTasks
+        },
+        complexTaskState: persistentState
+      });
+    })
+  }
+]);
+});
@@ -0,0 +1,22 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+return TaskDefiner.defineSimpleTask([
+  require('../../task_mixins/mix_draft_attach_original'),
+  require('../task_mixins/imap_mix_draft_attach_original'),
+  {
+    getFolderAndUidForMesssage: co.wrap(function*(ctx, account, message) {
+      let [folderId, uid] = yield ctx.readSingle('umidLocations', message.umid);
+
+      return {
+        folderInfo: account.getFolderById(folderId),
+        uid
+      };
+    }),
+  }
+]);
+});
@@ -0,0 +1,10 @@
+define(function(require) {
+'use strict';
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_manage_folder'),
+  require('../task_mixins/imap_mix_manage_folder')
+]);
+});
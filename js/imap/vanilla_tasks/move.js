@@ -0,0 +1,137 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const FolderSyncStateHelper = require('../vanilla/folder_sync_state_helper');
+
+const { convIdFromMessageId } = require('../../id_conversions');
+
+/**
+ * Vanilla IMAP move/trash.  See the "Moves" section of `sync.md`.
+ *
+ * @see MixMoveMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_move'),
+  {
+    name: 'move',
+
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { umidMoves } = persistentState;
+      let { umid } = marker;
+      let { targetFolderId, guid } = umidMoves.get(umid);
+
+      let account = yield ctx.universe.acquireAccount(ctx, marker.accountId);
+
+      // -- Where does the message currently live on the server?
+      let location = yield ctx.readSingle('umidLocations', umid);
+      // If sync has already inferred the deletion of the message or we already
+      // moved it to where it wants to be, there's nothing to do.
+      if (!location || location[0] === targetFolderId) {
+        logic(ctx, 'moveMoot', { umid, hadLocation: !!location });
+        umidMoves.delete(umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+      let [sourceFolderId, sourceUid] = location;
+      let sourceFolderInfo = account.getFolderById(sourceFolderId);
+      let targetFolderInfo =
+        targetFolderId ? account.getFolderById(targetFolderId) : null;
+      // The target folder may have been deleted since we planned the move.
+      // Sync will put the message back where it really is.
+      if (targetFolderId && !targetFolderInfo) {
+        logic(ctx, 'noTargetFolder', { umid, targetFolderId });
+        umidMoves.delete(umid);
+        yield ctx.finishTask({
+          complexTaskState: persistentState
+        });
+        return;
+      }
+
+      // -- Issue the manipulation to the server
+      let targetUid = null;
+      if (targetFolderId) {
+        let { result: uidMapping } = yield account.pimap.moveMessages(
+          ctx, sourceFolderInfo, [sourceUid], targetFolderInfo.serverPath);
+        targetUid = uidMapping.get(sourceUid) || null;
+        // No UIDPLUS?  The moved message will be the most recent message in
+        // the target folder with its message-id.
+        if (!targetUid && guid) {
+          let { result: candidateUids } = yield account.pimap.search(
+            ctx, targetFolderInfo, { header: ['Message-ID', guid] },
+            { byUid: true });
+          if (candidateUids.length) {
+            targetUid = Math.max(...candidateUids);
+          }
+        }
+      } else {
+        yield account.pimap.deleteMessages(
+          ctx, sourceFolderInfo, String(sourceUid), { byUid: true });
+      }
+
+      // -- Update the sync states so sync doesn't infer deletion/addition
+      let syncStateReqs = new Map([[sourceFolderId, null]]);
+      if (targetUid) {
+        syncStateReqs.set(targetFolderId, null);
+      }
+      let fromDb = yield ctx.beginMutate({
+        syncStates: syncStateReqs,
+        umidNames: new Map([[umid, null]])
+      });
+
+      let sourceSyncState = new FolderSyncStateHelper(
+        ctx, fromDb.syncStates.get(sourceFolderId), marker.accountId,
+        sourceFolderId, 'move');
+      let flags = sourceSyncState.forgetMovedUid(sourceUid);
+      let syncStateWrites =
+        new Map([[sourceFolderId, sourceSyncState.rawSyncState]]);
+      let umidLocationWrites = new Map([[umid, null]]);
+      let newTasks = null;
+
+      if (targetUid) {
+        let targetSyncState = new FolderSyncStateHelper(
+          ctx, fromDb.syncStates.get(targetFolderId), marker.accountId,
+          targetFolderId, 'move');
+        targetSyncState.adoptMovedMessage(targetUid, umid, flags || []);
+        syncStateWrites.set(targetFolderId, targetSyncState.rawSyncState);
+        umidLocationWrites = targetSyncState.umidLocationWrites;
+      } else if (targetFolderId) {
+        // We lost track of the message.  Remove our local copy so that the
+        // sync of the target folder can find it anew rather than leave a
+        // duplicate around.
+        logic(ctx, 'moveLostTargetUid', { umid });
+        let messageId = fromDb.umidNames.get(umid);
+        if (messageId) {
+          newTasks = [{
+            type: 'sync_conv',
+            accountId: marker.accountId,
+            convId: convIdFromMessageId(messageId),
+            modifiedUmids: null,
+            removedUmids: new Set([umid])
+          }];
+        }
+      }
+
+      // - Success, clean up state.
+      umidMoves.delete(umid);
+
+      yield ctx.finishTask({
+        mutations: {
+          syncStates: syncStateWrites,
+          umidLocations: umidLocationWrites
+        },
+        newData: {
+          tasks: newTasks
+        },
+        complexTaskState: persistentState
+      });
+    })
+  }
+]);
+});
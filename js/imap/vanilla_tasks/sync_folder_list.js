@@ -32,9 +32,14 @@ return TaskDefiner.defineSimpleTask([
       let modifiedFolders = new Map();
 
       // - build a map of known existing folders
+      // Folders that have been renamed locally but not yet on the server are
+      // keyed by where they live on the server.  Local-only folders are keyed
+      // by their desired path so that we can adopt them if someone else
+      // creates them on the server before our manage_folder task gets to it.
       let folderInfoRepsByPath = new Map();
       for (let folderInfoRep of foldersTOC.folders) {
-        folderInfoRepsByPath.set(folderInfoRep.path, folderInfoRep);
+        folderInfoRepsByPath.set(
+          folderInfoRep.serverPath || folderInfoRep.path, folderInfoRep);
       }
 
       // - walk the boxes
@@ -64,8 +69,14 @@ return TaskDefiner.defineSimpleTask([
             // and delimiter may be incorrect and need to be updated.
             folderInfoRep = folderInfoRepsByPath.get(path);
 
-            if (folderInfoRep.name !== box.name ||
-                folderInfoRep.delim !== delim) {
+            if (!folderInfoRep.serverPath) {
+              folderInfoRep.serverPath = path;
+              modifiedFolders.set(folderInfoRep.id, folderInfoRep);
+            }
+            // Don't clobber the name of a folder with a rename pending.
+            if (folderInfoRep.path === folderInfoRep.serverPath &&
+                (folderInfoRep.name !== box.name ||
+                 folderInfoRep.delim !== delim)) {
               folderInfoRep.name = box.name;
               folderInfoRep.delim = delim;
               modifiedFolders.set(folderInfoRep.id, folderInfoRep);
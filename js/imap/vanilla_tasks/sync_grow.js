@@ -177,6 +177,14 @@ return TaskDefiner.defineAtMostOnceTask([
         else if (mailboxInfo.exists && mailboxInfo.exists < 100) {
           syncState.lastHighUid = 1;
         }
+
+        // This is also the baseline for sync_refresh's CONDSTORE/QRESYNC
+        // logic.  Since we SELECTed before fetching the flags, any changes
+        // made since then will have a higher MODSEQ than this.
+        syncState.uidValidity = mailboxInfo.uidValidity || null;
+        if (mailboxInfo.highestModseq && !mailboxInfo.noModseq) {
+          syncState.modseq = mailboxInfo.highestModseq;
+        }
       }
 
       return {
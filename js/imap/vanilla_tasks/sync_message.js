@@ -30,7 +30,8 @@ const INITIAL_FETCH_PARAMS = [
   'flags',
   'BODY.PEEK[' +
     'HEADER.FIELDS ' +
-    '(FROM TO CC BCC SUBJECT REPLY-TO MESSAGE-ID REFERENCES IN-REPLY-TO)]'
+    '(FROM TO CC BCC SUBJECT REPLY-TO MESSAGE-ID REFERENCES IN-REPLY-TO ' +
+    'LIST-ID LIST-POST LIST-UNSUBSCRIBE LIST-UNSUBSCRIBE-POST LIST-ARCHIVE)]'
 ];
 
 /**
@@ -93,7 +94,8 @@ return TaskDefiner.defineSimpleTask([
       // -- Resolve the conversation this goes in.
       let { convId, existingConv, messageId, headerIdWrites, extraTasks } =
         yield* resolveConversationTaskHelper(
-          ctx, headers, req.accountId, req.umid);
+          ctx, headers, req.accountId, req.umid,
+          { threadBySubject: account.accountDef.threadBySubject });
 
       let messageInfo = chewMessageStructure(
         msg,
@@ -2,6 +2,7 @@ define(function(require) {
 'use strict';
 
 const co = require('co');
+const logic = require('logic');
 const { shallowClone } = require('../../util');
 
 const { NOW } = require('../../date');
@@ -13,11 +14,18 @@ const FolderSyncStateHelper = require('../vanilla/folder_sync_state_helper');
 const imapchew = require('../imapchew');
 const parseImapDateTime = imapchew.parseImapDateTime;
 
+const a64 = require('../../a64');
+
 const { syncNormalOverlay } =
   require('../../task_helpers/sync_overlay_helpers');
 
 /**
  * Steady state vanilla IMAP folder sync.
+ *
+ * If the server supports QRESYNC we find out about everything in a single
+ * CHANGEDSINCE/VANISHED round-trip.  Otherwise we fall back to SEARCHing for
+ * the UIDs we know about to infer deletion and fetching their flags, limited
+ * to changed messages via CHANGEDSINCE if the server at least has CONDSTORE.
  */
 return TaskDefiner.defineAtMostOnceTask([
   {
@@ -83,43 +91,94 @@ return TaskDefiner.defineAtMostOnceTask([
       };
     }),
 
-    helped_execute: co.wrap(function*(ctx, req) {
-      // -- Exclusively acquire the sync state for the folder
-      let fromDb = yield ctx.beginMutate({
-        syncStates: new Map([[req.folderId, null]])
-      });
-
+    /**
+     * Have store_flags compensate for any changes we haven't played against
+     * the server yet, then check whether the flags of each already-known
+     * message changed.
+     */
+    _processFlagFetches: function(ctx, req, syncState, messages) {
+      for (let msg of messages) {
+        let umid = syncState.getUmidForUid(msg.uid);
+        // Under QRESYNC we hear about new messages and messages we don't care
+        // about too.
+        if (!umid) {
+          continue;
+        }
+        // TODO: get smarter in the future to avoid redundantly triggering a
+        // sync_conv task that just re-asserts the already locally-applied
+        // changes.
+        ctx.synchronouslyConsultOtherTask(
+          { name: 'store_flags', accountId: req.accountId },
+          { uid: msg.uid, value: msg.flags });
+        syncState.checkFlagChanges(msg.uid, msg.flags);
+      }
+    },
 
-      let rawSyncState = fromDb.syncStates.get(req.folderId);
+    /**
+     * Start tracking any messages that are newer than our lastHighUid and meet
+     * our sync criteria.  Returns the new highest UID.
+     */
+    _processNewMessages: function(syncState, messages) {
+      let highestUid = syncState.lastHighUid;
+      for (let msg of messages) {
+        // We want to filter out already known UIDs.  As an edge case we can end
+        // up hearing about the highest message again.  But additionally it's
+        // possible we might have backfilled to find out about a message before
+        // we get around to sync_refresh.
+        if (msg.uid <= syncState.lastHighUid || syncState.isKnownUid(msg.uid)) {
+          continue;
+        }
 
-      // -- Check to see if we need to spin-off a sync_grow instead
-      // We need to do this if we don't have any sync state or if we do have
-      // sync state but we don't have a high uid.
-      if (!rawSyncState || !rawSyncState.lastHighUid) {
-        return {
-          // we ourselves are done
-          taskState: null,
-          newData: {
-            tasks: [
-              {
-                type: 'sync_grow',
-                accountId: req.accountId,
-                folderId: req.folderId
-              }
-            ]
-          }
-        };
+        let dateTS = parseImapDateTime(msg.internaldate);
+        highestUid = Math.max(highestUid, msg.uid);
+        if (syncState.messageMeetsSyncCriteria(dateTS)) {
+          syncState.yayMessageFoundByDate(msg.uid, dateTS, msg.flags);
+        }
       }
+      return highestUid;
+    },
 
-      let syncState = new FolderSyncStateHelper(
-        ctx, rawSyncState, req.accountId, req.folderId, 'refresh');
-
-      // -- Parallel 1/2: Issue find new messages
-      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
-      let folderInfo = account.getFolderById(req.folderId);
+    /**
+     * QRESYNC lets us find out about new messages, flag changes, and expunged
+     * messages all in a single UID FETCH 1:* (CHANGEDSINCE modseq VANISHED).
+     * Returns the MODSEQ we should use next time.
+     */
+    _refreshUsingQresync: function*(ctx, req, account, folderInfo, syncState,
+                                    highestModseq) {
+      let { result: { messages, vanishedUids } } =
+        yield account.pimap.listChangesSince(
+          ctx,
+          folderInfo,
+          '1:*',
+          [
+            'UID',
+            'INTERNALDATE',
+            'FLAGS'
+          ],
+          syncState.modseq
+        );
 
-      let syncDate = NOW();
+      syncState.applyVanishedUids(vanishedUids);
+      this._processFlagFetches(ctx, req, syncState, messages);
+      for (let msg of messages) {
+        if (msg.modseq) {
+          highestModseq = a64.maxDecimal64Strings(highestModseq, msg.modseq);
+        }
+      }
+      syncState.lastHighUid = this._processNewMessages(syncState, messages);
+      return highestModseq;
+    },
 
+    /**
+     * The non-QRESYNC refresh: fetch new messages, infer deletion by searching
+     * for all the UIDs we know about, and fetch the flags of the survivors.
+     * If we have CONDSTORE we can at least limit the flag fetch to messages
+     * that have changed since our last sync.  Returns the MODSEQ we should use
+     * next time.
+     */
+    _refreshUsingSearch: function*(ctx, req, account, folderInfo, syncState,
+                                   highestModseq, useCondstore) {
+      // -- Parallel 1/2: Issue find new messages
       // XXX fastpath out if UIDNEXT says there's nothing new.
       // For Yahoo at least, if there are no new messages, so we're asking
       // for a UID that doesn't exist, it ends up pretending like we said the
@@ -136,8 +195,7 @@ return TaskDefiner.defineAtMostOnceTask([
           'FLAGS'
         ],
         {
-          byUid: true,
-          changedSince: syncState.modseq
+          byUid: true
         }
       );
 
@@ -154,8 +212,9 @@ return TaskDefiner.defineAtMostOnceTask([
       // than we care about versus a search that over-reports.  And of course
       // we're saving even more bandwidth versus a FETCH of all flags which
       // would also allow deletion inference.  We're not particularly concerned
-      // about the server costs here; we plan to support QRESYNC ASAP and any
-      // server that doesn't implment QRESYNC really only has itself to blame.
+      // about the server costs here; servers that implement QRESYNC get the
+      // cheap path above and any server that doesn't implement it really only
+      // has itself to blame.
       let searchSpec = {
         not: { deleted: true },
         // NB: deletion-wise, one might ask whether we should be consulting the
@@ -173,53 +232,119 @@ return TaskDefiner.defineAtMostOnceTask([
 
       // - Do envelope fetches on the non-deleted messages
       // XXX use SEARCHRES here when possible!
-      let { result: currentFlagMessages } = yield account.pimap.listMessages(
-        ctx,
-        folderInfo,
-        searchedUids.join(','),
-        [
-          'UID',
-          'FLAGS'
-        ],
-        {
-          byUid: true,
+      if (searchedUids.length) {
+        let fetchOpts = { byUid: true };
+        // With CONDSTORE only the messages that changed get reported.
+        if (useCondstore) {
+          fetchOpts.changedSince = syncState.modseq;
         }
-      );
-      for (let msg of currentFlagMessages) {
-        let flags = msg.flags;
-        let umid = syncState.getUmidForUid(msg.uid);
-        // Have the flag-setting task fix-up the flags to compensate for any
-        // changes we haven't played against the server.
-        // TODO: get smarter in the future to avoid redundantly triggering a
-        // sync_conv task that just re-asserts the already locally-applied
-        // changes.
-        if (umid) {
-          ctx.synchronouslyConsultOtherTask(
-            { name: 'store_flags', accountId: req.accountId },
-            { uid: msg.uid, value: flags });
+        let { result: currentFlagMessages } = yield account.pimap.listMessages(
+          ctx,
+          folderInfo,
+          searchedUids.join(','),
+          [
+            'UID',
+            'FLAGS'
+          ],
+          fetchOpts
+        );
+        this._processFlagFetches(ctx, req, syncState, currentFlagMessages);
+        for (let msg of currentFlagMessages) {
+          if (msg.modseq) {
+            highestModseq = a64.maxDecimal64Strings(highestModseq, msg.modseq);
+          }
         }
-        syncState.checkFlagChanges(msg.uid, msg.flags);
       }
 
       // -- Parallel 1/2: Process new messsages
       // NB: This processing must occur after the inferDeletionFromExistingUids
       // calls because otherwise we would infer the deletion of all the new
       // messages we find!
-      let highestUid = syncState.lastHighUid;
       let { result: newMessages } = yield parallelNewMessages;
-      for (let msg of newMessages) {
-        // We want to filter out already known UIDs.  As an edge case we can end
-        // up hearing about the highest message again.  But additionally it's
-        // possible we might have backfilled to find out about a message before
-        // we get around to sync_refresh.
-        if (syncState.isKnownUid(msg.uid)) {
-          continue;
+      syncState.lastHighUid = this._processNewMessages(syncState, newMessages);
+      return highestModseq;
+    },
+
+    helped_execute: co.wrap(function*(ctx, req) {
+      // -- Exclusively acquire the sync state for the folder
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[req.folderId, null]])
+      });
+
+
+      let rawSyncState = fromDb.syncStates.get(req.folderId);
+
+      // -- Check to see if we need to spin-off a sync_grow instead
+      // We need to do this if we don't have any sync state or if we do have
+      // sync state but we don't have a high uid.
+      if (!rawSyncState || !rawSyncState.lastHighUid) {
+        return {
+          // we ourselves are done
+          taskState: null,
+          newData: {
+            tasks: [
+              {
+                type: 'sync_grow',
+                accountId: req.accountId,
+                folderId: req.folderId
+              }
+            ]
+          }
+        };
+      }
+
+      let syncState = new FolderSyncStateHelper(
+        ctx, rawSyncState, req.accountId, req.folderId, 'refresh');
+
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let folderInfo = account.getFolderById(req.folderId);
+
+      let syncDate = NOW();
+
+      // -- Enter the folder so we can check UIDVALIDITY and HIGHESTMODSEQ
+      let mailboxInfo = yield account.pimap.selectMailbox(ctx, folderInfo);
+      let hasModseq = !!mailboxInfo.highestModseq && !mailboxInfo.noModseq;
+      // Any change the server makes after this point will have a higher MODSEQ
+      // and so we will hear about it in this sync or the next one.
+      let highestModseq = syncState.modseq;
+      if (hasModseq) {
+        highestModseq =
+          a64.maxDecimal64Strings(mailboxInfo.highestModseq, highestModseq);
+      }
+
+      logic(ctx, 'syncStart', { modseq: syncState.modseq });
+      if (syncState.uidValidity && mailboxInfo.uidValidity &&
+          syncState.uidValidity !== mailboxInfo.uidValidity) {
+        // -- UIDVALIDITY changed; start over from scratch.
+        logic(ctx, 'uidValidityChanged',
+              { oldUidValidity: syncState.uidValidity,
+                newUidValidity: mailboxInfo.uidValidity });
+        syncState.uidValidityChanged(mailboxInfo.uidValidity);
+        syncState.tasksToSchedule.push({
+          type: 'sync_grow',
+          accountId: req.accountId,
+          folderId: req.folderId
+        });
+        highestModseq = '';
+      } else {
+        // Stamp the UIDVALIDITY for sync states that predate our tracking it.
+        if (!syncState.uidValidity && mailboxInfo.uidValidity) {
+          syncState.uidValidity = mailboxInfo.uidValidity;
         }
 
-        let dateTS = parseImapDateTime(msg.internaldate);
-        highestUid = Math.max(highestUid, msg.uid);
-        if (syncState.messageMeetsSyncCriteria(dateTS)) {
-          syncState.yayMessageFoundByDate(msg.uid, dateTS, msg.flags);
+        // We can only use CHANGEDSINCE if we have a baseline MODSEQ from a
+        // previous sync.  Otherwise the search path will establish one.
+        let useModseq = hasModseq && !!syncState.modseq;
+        if (useModseq &&
+            (yield account.pimap.hasEnabledExtension(ctx, 'QRESYNC'))) {
+          highestModseq = yield* this._refreshUsingQresync(
+            ctx, req, account, folderInfo, syncState, highestModseq);
+        } else {
+          let useCondstore = useModseq &&
+            (yield account.pimap.hasEnabledExtension(ctx, 'CONDSTORE'));
+          highestModseq = yield* this._refreshUsingSearch(
+            ctx, req, account, folderInfo, syncState, highestModseq,
+            useCondstore);
         }
       }
 
@@ -231,7 +356,8 @@ return TaskDefiner.defineAtMostOnceTask([
         syncState.generateSyncConvTasks();
       }
 
-      syncState.lastHighUid = highestUid;
+      syncState.modseq = highestModseq;
+      logic(ctx, 'syncEnd', { modseq: syncState.modseq });
 
       return {
         mutations: {
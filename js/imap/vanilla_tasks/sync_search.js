@@ -0,0 +1,138 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { shallowClone } = require('../../util');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const imapchew = require('../imapchew');
+const parseImapDateTime = imapchew.parseImapDateTime;
+
+const FolderSyncStateHelper = require('../vanilla/folder_sync_state_helper');
+
+const { imapSearchCriteria } = require('../../search/server_search_query');
+
+const { SERVER_SEARCH_MAX_RESULTS } = require('../../syncbase');
+
+const { syncNormalOverlay } =
+  require('../../task_helpers/sync_overlay_helpers');
+
+/**
+ * Ask the server to search the folder using UID SEARCH and synchronize the
+ * newest hits we don't already know about.  The hits are added just like
+ * sync_grow adds messages (sync_message tasks and all), except that we don't
+ * touch the sync date range.  The folder sync state is fine with messages
+ * outside of the range and keeps them up-to-date like any other message, so
+ * the hits stick around.
+ *
+ * A folder only has one server search outstanding at a time.  Searches issued
+ * while one is outstanding join it rather than running, so UIs should only ask
+ * for server searches once the user has finished typing their search.
+ *
+ * Our task group's lifetime defines the lifetime of the `sync_search` folder
+ * overlay, so it covers the sync_message tasks we spin off too.
+ */
+return TaskDefiner.defineAtMostOnceTask([
+  {
+    name: 'sync_search',
+    binByArg: 'folderId',
+
+    helped_overlay_folders: syncNormalOverlay,
+
+    helped_invalidate_overlays: function(folderId, dataOverlayManager) {
+      dataOverlayManager.announceUpdatedOverlayData('folders', folderId);
+    },
+
+    helped_already_planned: function(ctx, rawTask) {
+      return Promise.resolve({
+        result: ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId)
+      });
+    },
+
+    helped_plan: function(ctx, rawTask) {
+      let plannedTask = shallowClone(rawTask);
+      plannedTask.resources = [
+        'online',
+        `credentials!${rawTask.accountId}`,
+        `happy!${rawTask.accountId}`
+      ];
+      plannedTask.priorityTags = [
+        `view:folder:${rawTask.folderId}`
+      ];
+
+      let groupPromise =
+        ctx.trackMeInTaskGroup('sync_search:' + rawTask.folderId);
+      return Promise.resolve({
+        taskState: plannedTask,
+        remainInProgressUntil: groupPromise,
+        result: groupPromise
+      });
+    },
+
+    helped_execute: co.wrap(function*(ctx, req) {
+      let searchSpec = imapSearchCriteria(req.filter);
+      if (!searchSpec) {
+        logic(ctx, 'searchNotExpressible', { filter: req.filter });
+        return {};
+      }
+
+      // -- Exclusively acquire the sync state for the folder
+      let fromDb = yield ctx.beginMutate({
+        syncStates: new Map([[req.folderId, null]])
+      });
+
+      let syncState = new FolderSyncStateHelper(
+        ctx, fromDb.syncStates.get(req.folderId), req.accountId,
+        req.folderId, 'search');
+
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let folderInfo = account.getFolderById(req.folderId);
+
+      logic(ctx, 'searching', { searchSpec });
+      let { result: uids } = yield account.pimap.search(
+        ctx, folderInfo, searchSpec, { byUid: true });
+
+      // -- Fetch the flags and dates of the newest hits we don't know about
+      // Higher UIDs were added to the folder more recently, which is the best
+      // cheap approximation of newness we have.
+      let newUids = syncState.filterOutKnownUids(uids);
+      newUids.sort((a, b) => b - a);
+      newUids = newUids.slice(0, SERVER_SEARCH_MAX_RESULTS);
+      logic(ctx, 'searchResults',
+            { hitCount: uids.length, newCount: newUids.length });
+
+      if (newUids.length) {
+        let { result: messages } = yield account.pimap.listMessages(
+          ctx,
+          folderInfo,
+          newUids,
+          [
+            'UID',
+            'INTERNALDATE',
+            'FLAGS'
+          ],
+          { byUid: true }
+        );
+
+        for (let msg of messages) {
+          let dateTS = parseImapDateTime(msg.internaldate);
+          syncState.yayMessageFoundByDate(msg.uid, dateTS, msg.flags);
+        }
+      }
+
+      return {
+        mutations: {
+          syncStates: new Map([[req.folderId, syncState.rawSyncState]]),
+          umidLocations: syncState.umidLocationWrites
+        },
+        newData: {
+          tasks: syncState.tasksToSchedule
+        }
+      };
+    })
+  }
+]);
+});
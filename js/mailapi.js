@@ -538,6 +538,22 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
     });
   },
 
+  _unsubscribeFromList: function(messageId, messageDate) {
+    return this._sendPromisedRequest({
+      type: 'unsubscribeFromList',
+      messageId,
+      messageDate
+    });
+  },
+
+  _touchCachedParts: function(messageId, relIds) {
+    this.__bridgeSend({
+      type: 'touchCachedParts',
+      messageId,
+      relIds
+    });
+  },
+
   /**
    * Given a user's email address, try and see if we can autoconfigure the
    * account and what information we'll need to configure it, specifically
@@ -789,7 +805,7 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
       type: 'modifyAccount',
       accountId: account.id,
       mods
-    }).then(() => null);
+    });
   },
 
 
@@ -815,6 +831,53 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
     }).then(() => null);
   },
 
+  _addIdentity: function(account, fields) {
+    return this._sendPromisedRequest({
+      type: 'addIdentity',
+      accountId: account.id,
+      fields
+    });
+  },
+
+  _removeIdentity: function(identity) {
+    return this._sendPromisedRequest({
+      type: 'removeIdentity',
+      identityId: identity.id
+    });
+  },
+
+  _createFolder: function(account, name, parentFolder) {
+    return this._sendPromisedRequest({
+      type: 'createFolder',
+      accountId: account.id,
+      parentFolderId: parentFolder ? parentFolder.id : null,
+      name
+    });
+  },
+
+  _renameFolder: function(folder, name) {
+    return this._sendPromisedRequest({
+      type: 'renameFolder',
+      folderId: folder.id,
+      name
+    });
+  },
+
+  _moveFolder: function(folder, parentFolder) {
+    return this._sendPromisedRequest({
+      type: 'moveFolder',
+      folderId: folder.id,
+      parentFolderId: parentFolder ? parentFolder.id : null
+    });
+  },
+
+  _deleteFolder: function(folder) {
+    return this._sendPromisedRequest({
+      type: 'deleteFolder',
+      folderId: folder.id
+    });
+  },
+
   /**
    * Get the list of accounts.  This can be used for the list of accounts in
    * setttings or for a folder tree where only one account's folders are visible
@@ -908,6 +971,75 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
   *   Match against the authored message body.  Quoted blocks will be ignored.
   * @param {String} [spec.filter.bodyAndQuotes]
   *   Match against the authored message body and any included quoted blocks.
+  * @param {String} [spec.filter.listId]
+  *   Match conversations containing messages from the mailing list with this
+  *   `MailMessage.list.id`.  This is an exact match, not a substring match.
+  * @param {String} [spec.filter.label]
+  *   Match conversations containing messages in the folder/label with this
+  *   name or path.  This is an exact case-insensitive match.
+  * @param {FolderId|FolderId[]} [spec.filter.folder]
+  *   Match conversations containing messages in (any of) these folders/labels.
+  * @param {Boolean} [spec.filter.read]
+  *   Match conversations containing read messages.
+  * @param {Boolean} [spec.filter.unread]
+  *   Match conversations containing unread messages.
+  * @param {Boolean} [spec.filter.starred]
+  *   Match conversations containing starred messages.
+  * @param {Boolean} [spec.filter.draft]
+  *   Match conversations containing drafts.
+  *
+  *   For read, unread, starred and draft, false inverts the filter, so
+  *   `starred: false` matches conversations containing unstarred messages.
+  * @param {Boolean|Object} [spec.filter.hasAttachments]
+  *   Match conversations containing messages with attachments (true) or
+  *   without them (false).  Pass `{ mimetype, filename }` to only count
+  *   attachments of a MIME type (which can be a wildcard like "image/*") and/or
+  *   whose filename contains the given string.
+  * @param {Object} [spec.filter.size]
+  *   Match conversations containing messages of at least `min` and/or less than
+  *   `max` bytes.  Sizes are our estimates.
+  * @param {Object} [spec.filter.dateRange]
+  *   Match conversations containing messages dated at or after the `since`
+  *   timestamp and/or before the `until` timestamp.
+  * @param {Number} [spec.filter.before]
+  *   Shorthand for `dateRange: { until }`.
+  * @param {Number} [spec.filter.after]
+  *   Shorthand for `dateRange: { since }`.
+  * @param {String} [spec.filter.query]
+  *   A Gmail-style search query like `from:alice has:attachment "q3 report"`,
+  *   for when the user types into a search box.  Conversations match if any
+  *   one of their messages matches the whole query.  See
+  *   `search/parse_search_query.js` for the supported syntax.  Its match info
+  *   is an object keyed by the filter names above, for the filters that
+  *   matched.
+  * @param {Boolean} [spec.serverSearch=false]
+  *   Also ask the server to search the folder, synchronizing the newest
+  *   messages it finds that we don't already have.  They get indexed like any
+  *   other newly synchronized message and show up in the results if they
+  *   match the filter locally; the server's idea of a match is only used to
+  *   find candidates.  The view's tocMeta
+  *   `serverSearchStatus` and `serverSearchBlocked` track the server search
+  *   like `syncStatus` and `syncBlocked` track sync, and the view emits
+  *   `serverSearchComplete` when it's done.
+  *
+  *   Only the parts of the filter the server understands are sent to it (see
+  *   `search/server_search_query.js`), and if that's nothing, nothing is
+  *   searched.  POP3 accounts can't search on the server.  ActiveSync servers
+  *   only search the messages older than the folder's sync window and the
+  *   messages they find can't be changed on the server.  Only one server
+  *   search runs per folder at a time; if one is already underway, we don't
+  *   start another, so only ask once the user is done typing.
+  *
+  * Conversations match if any of the filters match.  Use `query` to require
+  * several conditions at once.
+  *
+  * Searches on author, recipients, subject, body and (non-negated) query text
+  * use the local search index to find candidates.  That doesn't change what
+  * matches, except that text more than 32 characters into a single word (a
+  * long URL or token) isn't indexed.  Searches that can't use the index, like
+  * ones with RegExp args or with a `read` filter alongside a text filter,
+  * check every conversation in the folder.  Messages are indexed shortly after
+  * they are synchronized and show up in live results when they are.
   */
   searchFolderConversations: function(spec) {
     var handle = this._nextHandle++,
@@ -920,7 +1052,8 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
       handle,
       spec: {
         folderId: view.folderId,
-        filter: spec.filter
+        filter: spec.filter,
+        serverSearch: !!spec.serverSearch
       }
     });
     return view;
@@ -960,6 +1093,23 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
    *   Match against the authored message body.  Quoted blocks will be ignored.
    * @param {String} [spec.filter.bodyAndQuotes]
    *   Match against the authored message body and any included quoted blocks.
+   * @param {String} [spec.filter.listId]
+   *   Match messages from the mailing list with this `MailMessage.list.id`.
+   * @param {String} [spec.filter.label]
+   *   Match messages in the folder/label with this name or path.
+   * @param {FolderId|FolderId[]} [spec.filter.folder]
+   * @param {Boolean} [spec.filter.read]
+   * @param {Boolean} [spec.filter.unread]
+   * @param {Boolean} [spec.filter.starred]
+   * @param {Boolean} [spec.filter.draft]
+   * @param {Boolean|Object} [spec.filter.hasAttachments]
+   * @param {Object} [spec.filter.size]
+   * @param {Object} [spec.filter.dateRange]
+   * @param {Number} [spec.filter.before]
+   * @param {Number} [spec.filter.after]
+   *   See `searchFolderConversations` for the details of these.
+   * @param {String} [spec.filter.query]
+   *   A Gmail-style search query; see `searchFolderConversations`.
    */
   searchConversationMessages: function(spec) {
     var handle = this._nextHandle++,
@@ -1050,6 +1200,11 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
    * @param {"last"|null} [opts.messageSelector]
    *   Allows filtering the set of affected messages in a conversation when
    *   conversations are provided.
+   * @param {MailFolder} [opts.sourceFolder]
+   *   The folder the stuff is being moved out of, usually the folder whose
+   *   list the user is looking at.  This only matters for gmail, where moving
+   *   means removing this folder's label and adding the target's.  Defaults
+   *   to the inbox.
    * @return {UndoableOperation}
    *   An undoable operation that roughly describes what was done (to
    *   facilitate describing the thing that can be undone) and a means of
@@ -1073,6 +1228,37 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
       {
         type: 'move',
         conversations: convSelectors,
+        targetFolderId: targetFolder.id,
+        sourceFolderId: (opts && opts.sourceFolder) ?
+                          opts.sourceFolder.id : null
+      });
+  },
+
+  /**
+   * Copy the given messages/conversations to the desired target folder.  The
+   * copies become part of the same conversations as the originals.  Undoing
+   * the operation deletes the copies.  For gmail accounts this amounts to
+   * adding the folder's label.
+   *
+   * @param {MailMessage[]|MailConversation[]} arrayOfStuff
+   * @param {MailFolder} targetFolder
+   *   The folder to copy the stuff to.  It must belong to the same account as
+   *   the stuff.
+   * @param {"last"|null} [opts.messageSelector]
+   * @return {UndoableOperation}
+   */
+  copyMessages: function(arrayOfStuff, targetFolder, opts) {
+    let { convSelectors, affectedType, affectedCount } =
+      this._normalizeConversationSelectorArgs(arrayOfStuff, opts);
+    return this._sendUndoableRequest(
+      {
+        operation: 'copy',
+        affectedType,
+        affectedCount,
+      },
+      {
+        type: 'copy',
+        conversations: convSelectors,
         targetFolderId: targetFolder.id
       });
   },
@@ -1245,6 +1431,24 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
     }); // (the bridge sends null for the data, which is what gets resolved)
   },
 
+  /**
+   * Cancel the pending send of a message that's waiting in the outbox, either
+   * because it was scheduled to be sent later or because its undo-send delay
+   * has not yet elapsed, and move it back to the drafts folder.
+   *
+   * @param {MailMessage} message
+   * @return {Promise<Boolean>}
+   *   Resolved with true if the message was returned to drafts, or false if it
+   *   was too late (the message is being or has been sent) or something went
+   *   wrong.
+   */
+  cancelSend: function(message) {
+    return this._sendPromisedRequest({
+      type: 'outboxAbortSend',
+      messageId: message.id
+    });
+  },
+
   /**
    * Parse a structured email address
    * into a display name and email address parts.
@@ -1293,8 +1497,9 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
    * @param {MailFolder} folder
    * @param {Object} options
    * @param {'blank'|'reply'|'forward'} options.command
-   * @param {'sender'|'all'} options.mode
-   *   The reply mode.  This will eventually indicate the forwarding mode too.
+   * @param {'sender'|'all'|'list'|'inline'|'attachment'} options.mode
+   *   The reply mode ('sender', 'all', 'list') or forward mode ('inline',
+   *   'attachment').
    * @param {Boolean} [options.noComposer=false]
    *   Don't actually want the MessageComposition instance created for you?
    *   Pass true for this.  You can always call resumeMessageComposition
@@ -1354,10 +1559,26 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
     });
   },
 
-  _composeDone: function(messageId, command, draftFields) {
+  _composeSetSignature: function(messageId, signatureId, textBody) {
+    return this._sendPromisedRequest({
+      type: 'setDraftSignature',
+      messageId, signatureId, textBody
+    });
+  },
+
+  _composeSetIdentity: function(messageId, identityId, textBody) {
+    return this._sendPromisedRequest({
+      type: 'setDraftIdentity',
+      messageId, identityId, textBody
+    });
+  },
+
+  _composeDone: function(messageId, command, draftFields, sendOpts) {
     return this._sendPromisedRequest({
       type: 'doneCompose',
-      messageId, command, draftFields
+      messageId, command, draftFields,
+      sendAt: (sendOpts && sendOpts.sendAt) || null,
+      undoSendDelay: sendOpts ? sendOpts.undoSendDelay : undefined
     });
   },
 
@@ -1365,6 +1586,8 @@ MailAPI.prototype = evt.mix(/** @lends module:mailapi.MailAPI.prototype */ {
   // mode setting for back end universe. Set interactive
   // if the user has been exposed to the UI and it is a
   // longer lived application, not just a cron sync.
+  // Accounts that support push only push while we are
+  // interactive (and online).
   setInteractive: function() {
     this.__bridgeSend({
       type: 'setInteractive'
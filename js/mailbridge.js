@@ -229,11 +229,19 @@ MailBridge.prototype = {
 
   _cmd_modifyAccount: function(msg) {
     this.universe.modifyAccount(msg.accountId, msg.mods, 'bridge')
-      .then(() => {
+      .then((result) => {
+        this.__sendMessage({
+          type: 'promisedResult',
+          handle: msg.handle,
+          data: result
+        });
+      })
+      .catch((err) => {
+        logic(this, 'modifyAccountError', { err });
         this.__sendMessage({
           type: 'promisedResult',
           handle: msg.handle,
-          data: null
+          data: { error: 'unknown', errorDetails: null }
         });
       });
   },
@@ -257,6 +265,74 @@ MailBridge.prototype = {
     });
   },
 
+  _cmd_addIdentity: function(msg) {
+    this.universe.addIdentity(msg.accountId, msg.fields, 'bridge')
+    .then((identityId) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: identityId
+      });
+    });
+  },
+
+  _cmd_removeIdentity: function(msg) {
+    this.universe.removeIdentity(msg.identityId, 'bridge')
+    .then((removed) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: removed
+      });
+    });
+  },
+
+  //////////////////////////////////////////////////////////////////////////////
+  // Folder Management
+
+  __replyWithFolderResult: function(sourceMsg, promise) {
+    promise.then((result) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: sourceMsg.handle,
+        data: result
+      });
+    })
+    .catch((err) => {
+      logic(this, 'folderOpError', { type: sourceMsg.type, err });
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: sourceMsg.handle,
+        data: { error: 'unknown' }
+      });
+    });
+  },
+
+  _cmd_createFolder: function(msg) {
+    this.__replyWithFolderResult(
+      msg,
+      this.universe.createFolder(
+        msg.accountId, msg.parentFolderId, msg.name, 'bridge'));
+  },
+
+  _cmd_renameFolder: function(msg) {
+    this.__replyWithFolderResult(
+      msg,
+      this.universe.renameFolder(msg.folderId, msg.name, 'bridge'));
+  },
+
+  _cmd_moveFolder: function(msg) {
+    this.__replyWithFolderResult(
+      msg,
+      this.universe.moveFolder(msg.folderId, msg.parentFolderId, 'bridge'));
+  },
+
+  _cmd_deleteFolder: function(msg) {
+    this.__replyWithFolderResult(
+      msg,
+      this.universe.deleteFolder(msg.folderId, 'bridge'));
+  },
+
   /**
    * Notify the frontend that login failed.
    *
@@ -323,11 +399,20 @@ MailBridge.prototype = {
       msg.handle, 'FolderConversationsSearchView');
     ctx.viewing = {
       type: 'folder',
-      folderId: msg.folderId
+      folderId: msg.spec.folderId
     };
     let toc = yield this.universe.acquireSearchConversationsTOC(ctx, msg.spec);
     ctx.proxy = new WindowedListProxy(toc, ctx);
     yield ctx.acquire(ctx.proxy);
+    if (msg.spec.serverSearch) {
+      // The local results stand on their own, so a failed server search just
+      // gets logged.
+      this.universe.searchFolderOnServer(
+        msg.spec.folderId, msg.spec.filter, 'searchFolderConversations')
+      .catch((err) => {
+        logic(this, 'searchFolderOnServerError', { err });
+      });
+    }
   }),
 
   _cmd_viewConversationMessages: co.wrap(function*(msg) {
@@ -522,6 +607,31 @@ MailBridge.prototype = {
     });
   },
 
+  _cmd_unsubscribeFromList: function(msg) {
+    this.universe.unsubscribeFromList({
+      messageId: msg.messageId,
+      messageDate: msg.messageDate
+    }, 'bridge').then((method) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: method
+      });
+    })
+    .catch((err) => {
+      logic(this, 'unsubscribeFromListError', { err });
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: null
+      });
+    });
+  },
+
+  _cmd_touchCachedParts: function(msg) {
+    this.universe.touchCachedParts(msg.messageId, msg.relIds, 'bridge');
+  },
+
   //////////////////////////////////////////////////////////////////////////////
   // Message Mutation
   //
@@ -576,6 +686,63 @@ MailBridge.prototype = {
       }));
   },
 
+  _cmd_trash: function(msg) {
+    this.__accumulateUndoTasksAndReply(
+      msg,
+      msg.conversations.map((convInfo) => {
+        return this.universe.trash(
+          convInfo.id,
+          convInfo.messageIds,
+          convInfo.messageSelector
+        );
+      }));
+  },
+
+  _cmd_move: function(msg) {
+    this.__accumulateUndoTasksAndReply(
+      msg,
+      msg.conversations.map((convInfo) => {
+        return this.universe.move(
+          convInfo.id,
+          convInfo.messageIds,
+          convInfo.messageSelector,
+          msg.targetFolderId,
+          msg.sourceFolderId
+        );
+      }));
+  },
+
+  _cmd_copy: function(msg) {
+    this.__accumulateUndoTasksAndReply(
+      msg,
+      msg.conversations.map((convInfo) => {
+        return this.universe.copy(
+          convInfo.id,
+          convInfo.messageIds,
+          convInfo.messageSelector,
+          msg.targetFolderId
+        );
+      }));
+  },
+
+  _cmd_outboxAbortSend: function(msg) {
+    this.universe.outboxAbortSend(msg.messageId).then((aborted) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: !!aborted
+      });
+    })
+    .catch((err) => {
+      logic(this, 'outboxAbortSendError', { err });
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: false
+      });
+    });
+  },
+
   _cmd_outboxSetPaused: function(msg) {
     this.universe.outboxSetPaused(
       msg.accountId,
@@ -629,6 +796,30 @@ MailBridge.prototype = {
     );
   },
 
+  _cmd_setDraftSignature: function(msg) {
+    this.universe.setDraftSignature(
+      msg.messageId, msg.signatureId, msg.textBody, 'bridge'
+    ).then((result) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: result
+      });
+    });
+  },
+
+  _cmd_setDraftIdentity: function(msg) {
+    this.universe.setDraftIdentity(
+      msg.messageId, msg.identityId, msg.textBody, 'bridge'
+    ).then((result) => {
+      this.__sendMessage({
+        type: 'promisedResult',
+        handle: msg.handle,
+        data: result
+      });
+    });
+  },
+
   /**
    * Save a draft, delete a draft, or try and send a message.
    *
@@ -646,7 +837,10 @@ MailBridge.prototype = {
     this.universe.saveDraft(msg.messageId, msg.draftFields);
     // Actually send if send.
     if (msg.command === 'send') {
-      this.universe.outboxSendDraft(msg.messageId).then((sendProblem) => {
+      this.universe.outboxSendDraft(
+        msg.messageId,
+        { sendAt: msg.sendAt, undoSendDelay: msg.undoSendDelay }
+      ).then((sendProblem) => {
         this.__sendMessage({
           type: 'promisedResult',
           handle: msg.handle,
@@ -25,7 +25,7 @@ const {
  * For convoy this gets bumped willy-nilly as I make minor changes to things.
  * We probably want to drop this way back down before merging anywhere official.
  */
-const CUR_VERSION = 120;
+const CUR_VERSION = 121;
 
 /**
  * What is the lowest database version that we are capable of performing a
@@ -198,6 +198,31 @@ const TBL_UMID_LOCATION = 'umidLocationMap';
  */
 const TBL_UMID_NAME = 'umidNameMap';
 
+/**
+ * The inverted full-text index used to find candidate messages for local
+ * searches.  There is one record per distinct term per message.  The terms come
+ * from `search_terms.extractIndexTerms` and are maintained by the per-account
+ * `search_index` task.
+ *
+ * key: [`AccountId`, term, `MessageId`]
+ * value: true
+ *
+ * Managed by: search_index
+ */
+const TBL_SEARCH_INDEX = 'searchIndex';
+
+/**
+ * The terms each message is currently indexed under so that the `search_index`
+ * task can figure out which TBL_SEARCH_INDEX records to add and remove when the
+ * message changes.
+ *
+ * key: `MessageId`
+ * value: { terms, fingerprint }
+ *
+ * Managed by: search_index
+ */
+const TBL_SEARCH_TERMS = 'searchTerms';
+
 /**
  * Log records for extremely significant events.  The first component of the
  * composite key is a timestamp so that we can easily reap logs older than a
@@ -249,6 +274,7 @@ const TASK_MUTATION_STORES = [
   TBL_CONV_INFO, TBL_CONV_IDS_BY_FOLDER,
   TBL_MESSAGES,
   TBL_HEADER_ID_MAP, TBL_UMID_LOCATION, TBL_UMID_NAME,
+  TBL_SEARCH_INDEX, TBL_SEARCH_TERMS,
   TBL_BOUNDED_LOGS
 ];
 
@@ -609,6 +635,8 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
     db.createObjectStore(TBL_HEADER_ID_MAP);
     db.createObjectStore(TBL_UMID_NAME);
     db.createObjectStore(TBL_UMID_LOCATION);
+    db.createObjectStore(TBL_SEARCH_INDEX);
+    db.createObjectStore(TBL_SEARCH_TERMS);
     db.createObjectStore(TBL_BOUNDED_LOGS);
   },
 
@@ -869,6 +897,13 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
    *   cache.  This is a little weird but it's assumed you have previously
    *   loaded the (now potentially stale) MessageInfo and so have the
    *   information at hand.
+   * @param {Map<FolderId, ConversationId[]>} requests.conversationIdsByFolder
+   *   Load the ids of all the conversations currently in the given folder.
+   *   This is a snapshot; use `loadFolderConversationIdsAndListen` if you need
+   *   to keep up-to-date.
+   * @param {Map<MessageId, Object>} requests.searchTerms
+   *   Load the { terms, fingerprint } the message is indexed under for search
+   *   purposes.
    * @param {Boolean} [requests.flushedMessageReads=false]
    *   Should this read bypass the cache when reading and when read, clobber
    *   the cache state?  This should only be done for Blob-memory-shenanigans
@@ -928,12 +963,39 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
           trans.objectStore(TBL_UMID_LOCATION),
           requests.umidLocations);
       }
+      if (requests.searchTerms) {
+        dbReqCount += genericUncachedLookups(
+          trans.objectStore(TBL_SEARCH_TERMS),
+          requests.searchTerms);
+      }
       if (requests.complexTaskStates) {
         dbReqCount += genericUncachedLookups(
           trans.objectStore(TBL_COMPLEX_TASKS),
           requests.complexTaskStates);
       }
 
+      if (requests.conversationIdsByFolder) {
+        let convIdsStore = trans.objectStore(TBL_CONV_IDS_BY_FOLDER);
+        let requestsMap = requests.conversationIdsByFolder;
+        for (let unlatchedFolderId of requestsMap.keys()) {
+          let folderId = unlatchedFolderId;
+          // See loadFolderConversationIdsAndListen for the key range idiom.
+          let folderRange = IDBKeyRange.bound([folderId], [folderId, []],
+                                              true, true);
+          dbReqCount++;
+          let req = convIdsStore.mozGetAll(folderRange);
+          let handler = (event) => {
+            if (req.error) {
+              analyzeAndLogErrorEvent(event);
+            } else {
+              requestsMap.set(folderId, req.result.map(tuple => tuple[2]));
+            }
+          };
+          req.onsuccess = handler;
+          req.onerror = handler;
+        }
+      }
+
       // -- Cached lookups
       if (requests.conversations) {
         dbReqCount += genericCachedLookups(
@@ -1169,6 +1231,72 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
     return wrapReq(store.mozGetAll(accountStringPrefix));
   },
 
+  /**
+   * Find the messages in an account that satisfy a search index query.  This
+   * is a snapshot; 'searchIndex!change' events are emitted for every message
+   * (re)indexed afterwards with the MessageId and its new terms (null if it was
+   * removed from the index).
+   *
+   * @param {AccountId} accountId
+   * @param {IndexQuery} indexQuery
+   *   See `search_terms`.
+   * @return {Promise<Set<MessageId>>}
+   */
+  searchIndexLookup: co.wrap(function*(accountId, indexQuery) {
+    let trans = this._db.transaction(TBL_SEARCH_INDEX, 'readonly');
+    let store = trans.objectStore(TBL_SEARCH_INDEX);
+
+    // Issue all the term lookups at once.
+    let termLookups = new Map();
+    let issueLookups = (node) => {
+      if (node.type !== 'prefix') {
+        node.terms.forEach(issueLookups);
+      } else if (!termLookups.has(node.term)) {
+        // [accountId, term] lower-bounds all of the [accountId, term, ...]
+        // keys and suffixing \ufff0 gets us everything with term as a prefix.
+        let range = IDBKeyRange.bound(
+          [accountId, node.term],
+          [accountId, node.term + '\ufff0'],
+          true, true);
+        termLookups.set(node.term, wrapReq(store.getAllKeys(range)));
+      }
+    };
+    issueLookups(indexQuery);
+
+    let termMatches = new Map();
+    for (let [term, promise] of termLookups) {
+      let keys = yield promise;
+      termMatches.set(term, new Set(keys.map(key => key[2])));
+    }
+
+    let evaluate = (node) => {
+      if (node.type === 'prefix') {
+        return termMatches.get(node.term);
+      }
+      let sets = node.terms.map(evaluate);
+      let result = new Set(sets[0]);
+      for (let set of sets.slice(1)) {
+        if (node.type === 'and') {
+          for (let messageId of result) {
+            if (!set.has(messageId)) {
+              result.delete(messageId);
+            }
+          }
+        } else {
+          for (let messageId of set) {
+            result.add(messageId);
+          }
+        }
+      }
+      return result;
+    };
+    let messageIds = evaluate(indexQuery);
+    logic(this, 'searchIndexLookup',
+          { accountId, termCount: termLookups.size,
+            matchCount: messageIds.size });
+    return messageIds;
+  }),
+
   /**
    * Load the ordered list of all of the known conversations.  Once loaded, the
    * caller is expected to keep up with events to maintain this ordering in
@@ -1238,8 +1366,14 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
   /**
    * Process changes to conversations.  This does not cover additions, but it
    * does cover deletion.
+   *
+   * @param {Map<ConversationId, ConversationId>} [mergedConversations]
+   *   For deleted conversations that were merged into another conversation,
+   *   the id of the conversation they were merged into.  This is included in
+   *   the deletion change notification so listeners can follow the merge.
    */
-  _processConvMutations: function(trans, preStates, convs) {
+  _processConvMutations: function(trans, preStates, convs,
+                                  mergedConversations) {
     let convStore = trans.objectStore(TBL_CONV_INFO);
     let convIdsStore = trans.objectStore(TBL_CONV_IDS_BY_FOLDER);
     for (let [convId, convInfo] of convs) {
@@ -1276,8 +1410,11 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
       }
 
       // Notify specific listeners, and yeah, deletion is just telling a null
-      // value.
-      this.emit('conv!' + convId + '!change', convId, convInfo);
+      // value.  (Plus where the conversation went if it was merged.)
+      let mergedIntoConvId = (convInfo === null && mergedConversations &&
+                              mergedConversations.get(convId)) || null;
+      this.emit('conv!' + convId + '!change', convId, convInfo,
+                mergedIntoConvId);
 
       let { added, kept, removed } =
         computeSetDelta(preInfo.folderIds, convFolderIds);
@@ -1621,6 +1758,9 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
     trans.objectStore(TBL_HEADER_ID_MAP).delete(accountFirstElementArray);
     trans.objectStore(TBL_UMID_LOCATION).delete(accountStringPrefix);
     trans.objectStore(TBL_UMID_NAME).delete(accountStringPrefix);
+
+    trans.objectStore(TBL_SEARCH_INDEX).delete(accountFirstElementArray);
+    trans.objectStore(TBL_SEARCH_TERMS).delete(accountStringPrefix);
   },
 
   _addRawTasks: function(trans, wrappedTasks) {
@@ -1642,6 +1782,20 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
     return wrapTrans(trans);
   },
 
+  /**
+   * Delete the given tasks from the database without them having run to
+   * completion.  Used by the TaskManager to reap the outstanding tasks of a
+   * deleted account.
+   */
+  removeTasks: function(taskIds) {
+    let trans = this._db.transaction([TBL_TASKS], 'readwrite');
+    let store = trans.objectStore(TBL_TASKS);
+    for (let taskId of taskIds) {
+      store.delete(taskId);
+    }
+    return wrapTrans(trans);
+  },
+
   /**
    * Dangerously perform a write in a write transaction that's not part of a
    * coherent/atomic change.  This is intended to be used *ONLY* for the
@@ -1712,10 +1866,19 @@ MailDB.prototype = evt.mix(/** @lends module:maildb.MailDB.prototype */ {
       genericUncachedWrites(trans, TBL_HEADER_ID_MAP, mutations.headerIdMaps);
       genericUncachedWrites(trans, TBL_UMID_NAME, mutations.umidNames);
       genericUncachedWrites(trans, TBL_UMID_LOCATION, mutations.umidLocations);
+      genericUncachedWrites(trans, TBL_SEARCH_INDEX, mutations.searchIndex);
+
+      if (mutations.searchTerms) {
+        genericUncachedWrites(trans, TBL_SEARCH_TERMS, mutations.searchTerms);
+        for (let [messageId, record] of mutations.searchTerms) {
+          this.emit('searchIndex!change', messageId, record && record.terms);
+        }
+      }
 
       if (mutations.conversations) {
         this._processConvMutations(
-          trans, ctx._preMutateStates.conversations, mutations.conversations);
+          trans, ctx._preMutateStates.conversations, mutations.conversations,
+          mutations.mergedConversations);
       }
 
       if (mutations.messages) {
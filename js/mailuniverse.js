@@ -17,6 +17,8 @@ const FolderConversationsTOC = require('./db/folder_convs_toc');
 const ConversationTOC = require('./db/conv_toc');
 
 const SyncLifecycleMetaHelper = require('./db/toc_meta/sync_lifecycle');
+const ServerSearchLifecycleMetaHelper =
+  require('./db/toc_meta/server_search_lifecycle');
 
 const TaskManager = require('./task_infra/task_manager');
 const TaskRegistry = require('./task_infra/task_registry');
@@ -277,6 +279,17 @@ MailUniverse.prototype = {
 
   setInteractive: function() {
     this._mode = 'interactive';
+    this._updatePushEnabled();
+  },
+
+  /**
+   * Push (ActiveSync Ping, IMAP IDLE) keeps connections open and so is only
+   * worth it while we are online and someone is around to see the new mail.
+   * Cronsync covers the rest of the time.
+   */
+  _updatePushEnabled: function() {
+    this.accountManager.setPushEnabled(
+      this.online && this._mode === 'interactive');
   },
 
   //////////////////////////////////////////////////////////////////////////////
@@ -299,6 +312,7 @@ MailUniverse.prototype = {
     } else {
       this.taskResources.resourcesNoLongerAvailable(['online']);
     }
+    this._updatePushEnabled();
   },
 
   registerBridge: function(mailBridge) {
@@ -412,6 +426,21 @@ MailUniverse.prototype = {
     return this.accountManager.acquireAccountFoldersTOC(ctx, accountId);
   },
 
+  /**
+   * Return the ids of the given account's folders that currently have a
+   * FolderConversationsTOC, which is to say that someone is looking at them.
+   * Push logic uses this to decide what folders to watch beyond the inbox.
+   */
+  getViewedFolderIds: function(accountId) {
+    let folderIds = [];
+    for (let folderId of this._folderConvsTOCs.keys()) {
+      if (accountIdFromFolderId(folderId) === accountId) {
+        folderIds.push(folderId);
+      }
+    }
+    return folderIds;
+  },
+
   acquireFolderConversationsTOC: function(ctx, folderId) {
     let toc;
     if (this._folderConvsTOCs.has(folderId)) {
@@ -442,9 +471,11 @@ MailUniverse.prototype = {
         ],
         onForgotten: () => {
           this._folderConvsTOCs.delete(folderId);
+          this.accountManager.viewedFoldersChanged(accountId);
         }
       });
       this._folderConvsTOCs.set(folderId, toc);
+      this.accountManager.viewedFoldersChanged(accountId);
     }
     return ctx.acquire(toc);
   },
@@ -463,17 +494,24 @@ MailUniverse.prototype = {
     } else {
       syncStampSource = this.accountManager.getFolderById(folderId);
     }
+    let metaHelpers = [
+      new SyncLifecycleMetaHelper({
+        folderId,
+        syncStampSource,
+        dataOverlayManager: this.dataOverlayManager
+      }),
+    ];
+    if (spec.serverSearch) {
+      metaHelpers.push(new ServerSearchLifecycleMetaHelper({
+        folderId,
+        dataOverlayManager: this.dataOverlayManager
+      }));
+    }
     let toc = new FolderConversationsTOC({
       db: this.db,
       query: this.queryManager.queryConversations(ctx, spec),
       dataOverlayManager: this.dataOverlayManager,
-      metaHelpers: [
-        new SyncLifecycleMetaHelper({
-          folderId,
-          syncStampSource,
-          dataOverlayManager: this.dataOverlayManager
-        }),
-      ],
+      metaHelpers,
       onForgotten: () => {
       }
     });
@@ -649,14 +687,55 @@ MailUniverse.prototype = {
   },
 
 
+  /**
+   * Return a Promise that gets resolved with null if the modifications were
+   * made or { error, errorDetails } if the new server settings didn't work
+   * out, in which case none of the modifications were made.
+   */
   modifyAccount: function(accountId, mods, why) {
-    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+    let serverMods = {};
+    let otherMods = {};
+    let haveServerMods = false;
+    for (let key in mods) {
+      if (key === 'receiveConnInfo' || key === 'sendConnInfo' ||
+          key === 'connInfo') {
+        serverMods[key] = mods[key];
+        haveServerMods = true;
+      } else {
+        otherMods[key] = mods[key];
+      }
+    }
+
+    let modifyOthers = () => {
+      return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+        {
+          type: 'account_modify',
+          accountId,
+          mods: otherMods
+        },
+        why).then(() => null);
+    };
+
+    if (!haveServerMods) {
+      return modifyOthers();
+    }
+    if (!this.online) {
+      return Promise.resolve({ error: 'offline', errorDetails: null });
+    }
+    return this.taskManager.scheduleNonPersistentTaskAndWaitForExecutedResult(
       {
-        type: 'account_modify',
+        type: 'account_modify_servers',
         accountId,
-        mods
+        mods: serverMods
       },
-      why);
+      why)
+    .then((result) => {
+      // (A task that throws reports a null result.)
+      if (!result || result.error) {
+        return result || { error: 'unknown', errorDetails: null };
+      }
+      return modifyOthers();
+    });
   },
 
   modifyIdentity: function(identityId, mods, why) {
@@ -665,11 +744,45 @@ MailUniverse.prototype = {
       {
         type: 'identity_modify',
         accountId,
+        identityId,
         mods
       },
       why);
   },
 
+  /**
+   * Add a sender identity to an account.
+   *
+   * @return {Promise<IdentityId>}
+   */
+  addIdentity: function(accountId, fields, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+      {
+        type: 'identity_add',
+        accountId,
+        fields
+      },
+      why);
+  },
+
+  /**
+   * Remove a sender identity from its account.
+   *
+   * @return {Promise<Boolean>}
+   *   False if the identity could not be removed because it was the account's
+   *   only identity.
+   */
+  removeIdentity: function(identityId, why) {
+    const accountId = accountIdFromIdentityId(identityId);
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+      {
+        type: 'identity_remove',
+        accountId,
+        identityId
+      },
+      why);
+  },
+
 
 
   //////////////////////////////////////////////////////////////////////////////
@@ -710,13 +823,17 @@ MailUniverse.prototype = {
     }
   },
 
+  /**
+   * Schedule a sync of the account's folder list, returning a promise that
+   * will be resolved once it has run (successfully or not).
+   */
   syncFolderList: function(accountId, why) {
-    return this.taskManager.scheduleTasks([
+    return this.taskManager.scheduleTaskAndWaitForExecutedResult(
       {
         type: 'sync_folder_list',
         accountId: accountId
-      }
-    ], why);
+      },
+      why);
   },
 
   /**
@@ -748,6 +865,30 @@ MailUniverse.prototype = {
       why);
   },
 
+  /**
+   * Schedule a server search of the given folder whose hits get synchronized
+   * (and so show up in local searches), returning a promise that will be
+   * resolved when the task group associated with the request completes.  See
+   * `searchFolderConversations` in mailapi.js.  Accounts that can't search on
+   * the server resolve immediately.
+   */
+  searchFolderOnServer: function(folderId, filter, why) {
+    let accountId = accountIdFromFolderId(folderId);
+    let engineFacts =
+      this.accountManager.getAccountEngineBackEndFacts(accountId);
+    if (!engineFacts.supportsServerSearch) {
+      return Promise.resolve();
+    }
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+      {
+        type: 'sync_search',
+        accountId,
+        folderId,
+        filter
+      },
+      why);
+  },
+
   fetchConversationSnippets: function(convIds, why) {
     let tasks = convIds.map((convId) => {
       return {
@@ -797,6 +938,45 @@ MailUniverse.prototype = {
     });
   },
 
+  /**
+   * Move the messages to the account's trash folder.  Messages that are
+   * already in the trash folder are permanently deleted.
+   */
+  trash: function(conversationId, messageIds, messageSelector) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedUndoTasks({
+      type: 'move',
+      accountId: accountIdFromConvId(conversationId),
+      convId: conversationId,
+      onlyMessages: messageIds || null,
+      messageSelector: messageSelector || null,
+      moveToTrash: true
+    });
+  },
+
+  move: function(conversationId, messageIds, messageSelector, targetFolderId,
+                 sourceFolderId) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedUndoTasks({
+      type: 'move',
+      accountId: accountIdFromConvId(conversationId),
+      convId: conversationId,
+      onlyMessages: messageIds || null,
+      messageSelector: messageSelector || null,
+      targetFolderId,
+      sourceFolderId: sourceFolderId || null
+    });
+  },
+
+  copy: function(conversationId, messageIds, messageSelector, targetFolderId) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedUndoTasks({
+      type: 'copy',
+      accountId: accountIdFromConvId(conversationId),
+      convId: conversationId,
+      onlyMessages: messageIds || null,
+      messageSelector: messageSelector || null,
+      targetFolderId
+    });
+  },
+
   /**
    * Schedule tasks previously returned as undoTasks for planning in order to
    * undo the effects of previosly planned tasks.
@@ -878,6 +1058,43 @@ MailUniverse.prototype = {
     }], why);
   },
 
+  /**
+   * Swap the signature in an existing draft, starting from the given
+   * (possibly unsaved) text of the draft.  Persisted for the same reasons as
+   * `saveDraft`.
+   *
+   * @return {Promise<{ textBody, htmlBlob }>}
+   */
+  setDraftSignature: function(messageId, signatureId, textBody, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+      {
+        type: 'draft_set_signature',
+        accountId: accountIdFromMessageId(messageId),
+        messageId,
+        signatureId,
+        textBody
+      },
+      why);
+  },
+
+  /**
+   * Change which identity an existing draft is from, which also swaps its
+   * signature.  Like `setDraftSignature`, we start from the given text.
+   *
+   * @return {Promise<{ textBody, htmlBlob, signatureId }>}
+   */
+  setDraftIdentity: function(messageId, identityId, textBody, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult(
+      {
+        type: 'draft_set_identity',
+        accountId: accountIdFromMessageId(messageId),
+        messageId,
+        identityId,
+        textBody
+      },
+      why);
+  },
+
   /**
    * Delete an existing (local) draft.  This eventually may end up just using
    * the normal message deletion logic under the hood, but right now this has
@@ -894,28 +1111,32 @@ MailUniverse.prototype = {
 
   /**
    * Move a message from being a draft to being in the outbox, potentially
-   * initiating the send if we're online.
+   * initiating the send if we're online.  If `sendAt` is provided or there's
+   * an undo-send delay, the send will wait until then.
    */
-  outboxSendDraft: function(messageId, why) {
+  outboxSendDraft: function(messageId, { sendAt, undoSendDelay } = {}, why) {
     return this.taskManager.scheduleTaskAndWaitForPlannedResult({
       type: 'outbox_send',
       command: 'send',
       accountId: accountIdFromMessageId(messageId),
-      messageId
+      messageId,
+      sendAt: sendAt || null,
+      undoSendDelay
     }, why);
   },
 
   /**
    * Abort the sending of a message draft (if reliably possible), moving it back
-   * to be a draft.
+   * to be a draft.  The returned Promise is resolved with true if we aborted
+   * the send.
    */
-  outboxAbortSend: function(messageId) {
-    return this.taskManager.scheduleTasks([{
+  outboxAbortSend: function(messageId, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
       type: 'outbox_send',
       command: 'abort',
       accountId: accountIdFromMessageId(messageId),
       messageId
-    }]);
+    }, why);
   },
 
   /**
@@ -959,6 +1180,33 @@ MailUniverse.prototype = {
     });
   },
 
+  /**
+   * Unsubscribe from the mailing list the given message came from.  The
+   * Promise is resolved with the method the `list_unsubscribe` task picked.
+   */
+  unsubscribeFromList: function({ messageId, messageDate }, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
+      type: 'list_unsubscribe',
+      messageId,
+      messageDate
+    }, why);
+  },
+
+  /**
+   * Tell cache_control that the given cached parts of a message were just used
+   * so that they're the last to be evicted.  This is non-persistent because
+   * losing a touch is no big deal.
+   */
+  touchCachedParts: function(messageId, relIds, why) {
+    return this.taskManager.scheduleNonPersistentTasks([{
+      type: 'cache_control',
+      accountId: accountIdFromMessageId(messageId),
+      op: 'touch',
+      messageId,
+      relIds
+    }], why);
+  },
+
   clearNewTrackingForAccount: function({ accountId, silent }) {
     this.taskManager.scheduleTasks([{
       type: 'new_tracking',
@@ -992,31 +1240,72 @@ MailUniverse.prototype = {
   },
 
   /**
-   * Schedule a task to create a folder that is the child/descendant of the
-   * given parent folder. If no parent folder id is provided, we attempt to
-   * create a root folder, but honoring the server's configured personal
-   * namespace if applicable.
+   * Create a folder that is the child of the given parent folder or at the
+   * top-level if no parent folder is provided.  The folder is created locally
+   * immediately; the server is updated when we're online.
    *
-   * @param [AccountId] accountId
-   * @param {String} [parentFolderId]
+   * @param {AccountId} accountId
+   * @param {FolderId} [parentFolderId]
    *   If null, place the folder at the top-level, otherwise place it under
    *   the given folder.
    * @param {String} folderName
    *   The (unencoded) name of the folder to be created.
-   * @param {String} folderType
-   *   The gelam folder type we should think of this folder as.  On servers
-   *   supporting SPECIAL-USE we will attempt to set the metadata server-side
-   *   as well.
-   * @param {Boolean} containOtherFolders
-   *   Should this folder only contain other folders (and no messages)?
-   *   On some servers/backends, mail-bearing folders may not be able to
-   *   create sub-folders, in which case one would have to pass this.
-   * ]
+   *
+   * @return {Promise<{ folderId, error }>}
+   */
+  createFolder: function(accountId, parentFolderId, folderName, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
+      type: 'manage_folder',
+      op: 'create',
+      accountId,
+      parentFolderId,
+      name: folderName
+    }, why);
+  },
+
+  /**
+   * Rename a folder, leaving it under the same parent.
+   *
+   * @return {Promise<{ error }>}
+   */
+  renameFolder: function(folderId, folderName, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
+      type: 'manage_folder',
+      op: 'rename',
+      accountId: accountIdFromFolderId(folderId),
+      folderId,
+      name: folderName
+    }, why);
+  },
+
+  /**
+   * Move a folder (and its sub-folders) under a different parent folder in the
+   * same account, or to the top-level if `parentFolderId` is null.
+   *
+   * @return {Promise<{ error }>}
+   */
+  moveFolder: function(folderId, parentFolderId, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
+      type: 'manage_folder',
+      op: 'move',
+      accountId: accountIdFromFolderId(folderId),
+      folderId,
+      parentFolderId
+    }, why);
+  },
+
+  /**
+   * Delete a folder, its sub-folders, and all the messages in them.
+   *
+   * @return {Promise<{ error }>}
    */
-  createFolder: function(accountId, parentFolderId, folderName, folderType,
-                         containOtherFolders) {
-    // XXX implement!
-    return;
+  deleteFolder: function(folderId, why) {
+    return this.taskManager.scheduleTaskAndWaitForPlannedResult({
+      type: 'manage_folder',
+      op: 'delete',
+      accountId: accountIdFromFolderId(folderId),
+      folderId
+    }, why);
   },
 
   //////////////////////////////////////////////////////////////////////////////
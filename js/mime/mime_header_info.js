@@ -5,55 +5,139 @@ const jsmime = require('jsmime');
 const dateMod = require('date');
 const util = require('util');
 const { generateMessageIdHeaderValue } = require('../bodies/mailchew');
+const parseMailtoUrl = require('./parse_mailto');
 
 /**
- * Given a message extract and normalize the references header into a list of
- * strings without arrows, etc.  If there is no references header but there is
- * an in-reply-to header, use that.
- *
- * Note that we currently require properly <> enclosed id's and ignore things
- * outside of them.
- *
- * @return {String[]}
- *   An array of references.  If there were no references, this will be an
- *   empty list.
- *
- * TODO: actually do the in-reply-to stuff; this has extra normalization sanity
- * checking required so not doing that right now.
+ * Extract the <> enclosed id's from a header value, ignoring things outside of
+ * them.
  */
-function extractReferences(referencesStr, messageId) {
-  if (!referencesStr) {
-    return [];
+function extractArrowedIds(headerStr) {
+  let ids = [];
+  if (!headerStr) {
+    return ids;
   }
 
   let idx = 0;
-  let len = referencesStr.length;
-  let references = [];
+  let len = headerStr.length;
 
   while (idx < len) {
-    idx = referencesStr.indexOf('<', idx);
+    idx = headerStr.indexOf('<', idx);
     if (idx === -1) {
       break;
     }
 
-    let closeArrow = referencesStr.indexOf('>', idx + 1);
+    let closeArrow = headerStr.indexOf('>', idx + 1);
     if (closeArrow === -1) {
       break;
     }
 
     // Okay, so now we have a <...> we can consume.
-    let deArrowed = referencesStr.substring(idx + 1, closeArrow);
-    // Don't let a message include itself in its references
-    if (deArrowed !== messageId) {
-      references.push(deArrowed);
-    }
+    ids.push(headerStr.substring(idx + 1, closeArrow));
 
     idx = closeArrow + 1;
   }
 
+  return ids;
+}
+
+/**
+ * Given a message extract and normalize the references header into a list of
+ * strings without arrows, etc.  The in-reply-to header is folded in too, since
+ * some clients only send in-reply-to and others send a truncated references
+ * header that omits the parent.
+ *
+ * Note that we currently require properly <> enclosed id's and ignore things
+ * outside of them.  In-reply-to gets extra sanity checking because some
+ * clients put free-form text in it like "<bob@example.com>'s message of
+ * Tuesday"; we only accept whitespace-free id's that look like "local@domain".
+ *
+ * @return {String[]}
+ *   An array of references, oldest first, with the in-reply-to id's appended
+ *   if they weren't already present.  If there were no references, this will be
+ *   an empty list.
+ */
+function extractReferences(referencesStr, inReplyToStr, messageId) {
+  // Don't let a message include itself in its references
+  let references = extractArrowedIds(referencesStr).filter(
+    id => id !== messageId);
+
+  for (let id of extractArrowedIds(inReplyToStr)) {
+    let atIdx = id.indexOf('@');
+    if (id === messageId || atIdx <= 0 || atIdx === id.length - 1 ||
+        /\s/.test(id) || references.indexOf(id) !== -1) {
+      continue;
+    }
+    references.push(id);
+  }
+
   return references;
 }
 
+/**
+ * Extract the mailing list meta-data from the RFC 2919 List-Id header and the
+ * RFC 2369 List-* headers.  The URL-bearing headers are comma-delimited lists
+ * of <> enclosed URLs in order of preference, which means extractArrowedIds
+ * does the heavy lifting for us.  Whitespace inside the arrows is supposed to
+ * be ignored (long URLs get folded), so we strip it.
+ *
+ * One-click unsubscribe (RFC 8058) is only possible when the List-Unsubscribe
+ * header has an https URL and List-Unsubscribe-Post says so.
+ *
+ * @return {ListInfo|null}
+ *   Null if the message has none of the list headers.
+ */
+function extractListInfo(headerInfo) {
+  let extractUrls = (headerName) => {
+    return extractArrowedIds(headerInfo.getStringHeader(headerName))
+      .map(url => url.replace(/\s+/g, ''));
+  };
+
+  let listIdStr = headerInfo.getStringHeader('list-id');
+  let postUrls = extractUrls('list-post');
+  let unsubscribeUrls = extractUrls('list-unsubscribe');
+  let archiveUrls = extractUrls('list-archive');
+  if (!listIdStr && !postUrls.length && !unsubscribeUrls.length &&
+      !archiveUrls.length) {
+    return null;
+  }
+
+  let id = null;
+  let name = null;
+  if (listIdStr) {
+    id = extractArrowedIds(listIdStr)[0] || null;
+    let phrase = listIdStr.split('<')[0].trim().replace(/^"(.*)"$/, '$1');
+    if (phrase) {
+      name = jsmime.headerparser.decodeRFC2047Words(phrase);
+    }
+  }
+
+  // List-Post can also be "NO" to indicate posting is not allowed, which
+  // conveniently gets us no URLs.
+  let post = null;
+  for (let url of postUrls) {
+    let mailto = parseMailtoUrl(url);
+    if (mailto) {
+      post = mailto.to[0];
+      break;
+    }
+  }
+
+  let unsubscribePostStr =
+    headerInfo.getStringHeader('list-unsubscribe-post', '');
+  let oneClickUnsubscribe =
+    /List-Unsubscribe\s*=\s*One-Click/i.test(unsubscribePostStr) &&
+    unsubscribeUrls.some(url => /^https:/i.test(url));
+
+  return {
+    id: id && id.toLowerCase(),
+    name,
+    post,
+    unsubscribe: unsubscribeUrls,
+    oneClickUnsubscribe,
+    archive: archiveUrls[0] || null
+  };
+}
+
 /**
  * MimeHeaderInfo transforms simple MIME header representations into parsed
  * header data.  MimeHeaderInfo also represents individual parts in a
@@ -98,8 +182,12 @@ function MimeHeaderInfo(rawHeaders, opts) {
     this.guid = generateMessageIdHeaderValue();
   }
 
-  this.references =
-    extractReferences(this.getStringHeader('references'), this.guid);
+  this.references = extractReferences(
+    this.getStringHeader('references'),
+    this.getStringHeader('in-reply-to'),
+    this.guid);
+  this.subject = this.getStringHeader('subject');
+  this.listInfo = extractListInfo(this);
 
   this.author = this.getAddressHeader('from', [])[0] ||
     { name: 'Missing Author', address: 'missing@example.com' };
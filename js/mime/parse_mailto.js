@@ -0,0 +1,71 @@
+define(function() {
+'use strict';
+
+/**
+ * Parse an RFC 6068 mailto: URL into its recipients and the handful of header
+ * fields we care about.  This is used for mailing list List-Post and
+ * List-Unsubscribe headers, so we only bother with to/cc/subject/body; other
+ * hfields (ex: "in-reply-to") are ignored.
+ *
+ * @return {Object|null}
+ *   An object of the form { to, cc, subject, body } where `to` and `cc` are
+ *   lists of bare address strings and `subject` and `body` are strings or
+ *   null.  Null is returned if this is not a mailto: URL or has no recipients.
+ */
+return function parseMailtoUrl(url) {
+  if (!url || !/^mailto:/i.test(url)) {
+    return null;
+  }
+
+  let decode = (str) => {
+    try {
+      return decodeURIComponent(str);
+    } catch (ex) {
+      // Bad percent-encoding; the raw value beats nothing.
+      return str;
+    }
+  };
+  let splitAddresses = (str) => {
+    return decode(str).split(',').map(s => s.trim()).filter(s => !!s);
+  };
+
+  let rest = url.substring('mailto:'.length);
+  let queryIdx = rest.indexOf('?');
+  let query = queryIdx === -1 ? '' : rest.substring(queryIdx + 1);
+
+  let result = {
+    to: splitAddresses(queryIdx === -1 ? rest : rest.substring(0, queryIdx)),
+    cc: [],
+    subject: null,
+    body: null
+  };
+
+  for (let hfield of query.split('&')) {
+    let eqIdx = hfield.indexOf('=');
+    if (eqIdx === -1) {
+      continue;
+    }
+    let name = hfield.substring(0, eqIdx).toLowerCase();
+    let value = hfield.substring(eqIdx + 1);
+    switch (name) {
+      case 'to':
+        result.to = result.to.concat(splitAddresses(value));
+        break;
+      case 'cc':
+        result.cc = result.cc.concat(splitAddresses(value));
+        break;
+      case 'subject':
+      case 'body':
+        result[name] = decode(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!result.to.length) {
+    return null;
+  }
+  return result;
+};
+});
@@ -102,8 +102,9 @@ var properties = {
    * We use withConnection which is mainly just concerned about life-cycle
    * management.  The right future mechanism for this is likely to make the
    * connection a RefedResource, possibly one that will only let itself be
-   * acquired by one thing at a time.  However, the exclusiveResources mechanism
-   * planned for the task maanger already potentially covers this, so maybe not.
+   * acquired by one thing at a time.  However, if the task manager starts
+   * executing tasks concurrently, having the tasks that use the connection
+   * declare a shared exclusive resource (see TaskResources) may be enough.
    *
    * TODO: address the connection life-cycle issues better.
    */
@@ -212,6 +213,22 @@ var properties = {
     callback && callback();
   },
 
+  /**
+   * The server settings changed; drop our connection so the next request
+   * makes a new one using the new settings.
+   */
+  resetConnections: function({ receive }) {
+    // (A pending connection, marked by `true`, reads the connInfo once the
+    // code loads, so we leave it be.)
+    if (!receive || !this._conn || this._conn === true) {
+      return;
+    }
+    if (this._conn.state !== 'disconnected') {
+      this._conn.close();
+    }
+    this._conn = null;
+  },
+
   /**
    * Attempt to create a new, authenticated connection using the
    * current credentials. If a current connection is already
@@ -703,6 +703,51 @@ define(function(require) {
     return ret;
   });
 
+  /**
+   * Retrieve a message in its entirety as a Blob of raw (un-dot-stuffed) MIME
+   * without parsing it, for when we need the original bytes, like to forward
+   * the message as an attachment.
+   *
+   * @param {string} uidl
+   * @return {Blob}
+   */
+  Pop3Client.prototype.downloadRawMessage = co.wrap(function*(uidl) {
+    yield this._loadMessageList();
+    var number = this.uidlToId[uidl];
+    if (!number) {
+      return null;
+    }
+
+    // The request resolves with the data lines, CRLFs intact.
+    var lines = yield this.beginRequest('RETR', [number], true);
+    return new Blob(lines, { type: 'message/rfc822' });
+  });
+
+  /**
+   * Retrieve a message in its entirety as a stream of the
+   * { partNum, headers, bodyStream } objects MimeNodeTransformStream produces,
+   * without building a MessageInfo out of them, for when we only want some of
+   * the parts.
+   *
+   * @param {string} uidl
+   * @param {object} opts
+   * @param {number} opts.saveChunkSize
+   *   How many bytes of each part to accumulate into each Blob.
+   * @return {ReadableStream}
+   *   Or null if the message is no longer in the maildrop.
+   */
+  Pop3Client.prototype.downloadMimeNodes = co.wrap(function*(uidl, opts) {
+    yield this._loadMessageList();
+    var number = this.uidlToId[uidl];
+    if (!number) {
+      return null;
+    }
+
+    var request = this.beginRequest('RETR', [number], true);
+    return request.dataLineStream.pipeThrough(
+      new MimeNodeTransformStream({ saveChunkSize: opts.saveChunkSize }));
+  });
+
   // via MimeParser
   function unfoldFormatFlowed(content, delsp) {
     var delSp = /^yes$/i.test(delsp);
@@ -6,23 +6,37 @@ define(function(require) {
  */
 return [
   require('./tasks/sync_folder_list'),
+  require('./tasks/manage_folder'),
 
   require('./tasks/sync_grow'),
   require('./tasks/sync_refresh'),
   require('./tasks/sync_message'),
   require('./tasks/sync_body'),
+  require('../tasks/merge_conversations'),
+
+  require('./tasks/download'),
 
   require('./tasks/store_flags'),
+  require('./tasks/move'),
+  require('./tasks/copy'),
 
   require('../tasks/draft_save'),
   require('../tasks/draft_attach'),
   require('../tasks/draft_detach'),
+  require('../tasks/draft_set_signature'),
+  require('../tasks/draft_set_identity'),
   require('../tasks/draft_delete'),
+  require('./tasks/draft_attach_original'),
   require('./tasks/outbox_send'),
 
   require('../tasks/account_modify'),
+  require('../tasks/account_modify_servers'),
+  require('../tasks/identity_add'),
   require('../tasks/identity_modify'),
+  require('../tasks/identity_remove'),
 
   require('../tasks/new_tracking'),
+  require('../tasks/cache_control'),
+  require('../tasks/search_index'),
 ];
 });
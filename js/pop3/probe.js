@@ -22,6 +22,7 @@ exports.probeAccount = function(credentials, connInfo) {
     host: connInfo.hostname,
     port: connInfo.port,
     crypto: connInfo.crypto,
+    preferredAuthMethod: connInfo.preferredAuthMethod,
     username: credentials.username,
     password: credentials.password,
     connTimeout: syncbase.CONNECT_TIMEOUT_MS
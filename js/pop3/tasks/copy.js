@@ -0,0 +1,20 @@
+define(function(require) {
+'use strict';
+
+let TaskDefiner = require('../../task_infra/task_definer');
+
+/**
+ * POP3 copies are local duplicates of the MessageInfo in the local target
+ * folder; there's no server side to them.
+ *
+ * @see MixCopyMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_copy'),
+  {
+    name: 'copy',
+
+    execute: null
+  }
+]);
+});
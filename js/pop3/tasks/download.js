@@ -0,0 +1,110 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { ReadableStream } = require('streams');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+const mimeMapper = require('../mime_mapper');
+
+const { BYTES_PER_BLOB_CHUNK } = require('../../syncbase');
+
+/**
+ * POP3 can't fetch parts of a message, so we RETR the whole message again and
+ * pick out the parts we were asked for as the MIME parser gets to them.  The
+ * part numbers are the same ones sync_message assigned when it parsed (the
+ * start of) the message, since it's the same message.
+ *
+ * We run the part's type by the MimeMapper so that a generic type like
+ * application/octet-stream becomes something the rest of the system can open
+ * if the filename's extension tells us what it is.
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_download'),
+  {
+    downloadParts: co.wrap(function*(ctx, account, messageInfo, parts) {
+      let uidl = yield ctx.readSingle('umidLocations', messageInfo.umid);
+      let conn = yield account.popAccount.ensureConnection();
+      let mimeStream = uidl && (yield conn.downloadMimeNodes(
+        uidl, { saveChunkSize: BYTES_PER_BLOB_CHUNK }));
+      if (!mimeStream) {
+        logic(ctx, 'messageNoLongerOnServer', { uidl });
+        throw 'unknown';
+      }
+      let mimeReader = mimeStream.getReader();
+
+      let partsByPartNum = new Map();
+      for (let part of parts) {
+        partsByPartNum.set(part.part, part);
+      }
+
+      return new ReadableStream({
+        start(out) {
+          co(function*() {
+            for (;;) {
+              let { value, done } = yield mimeReader.read();
+              if (done) {
+                break;
+              }
+              let { partNum, bodyStream } = value;
+              let part = partsByPartNum.get(partNum);
+              // (We don't read the parts we don't want; they get garbage
+              // collected along with the rest of the parser state.)
+              if (!part || !bodyStream) {
+                continue;
+              }
+              partsByPartNum.delete(partNum);
+
+              let type =
+                mimeMapper.guessTypeFromFileProperties(part.name, part.type) ||
+                part.type;
+              let bodyReader = bodyStream.getReader();
+              let blobCount = 0;
+              for (;;) {
+                let { value: blob, done: partDone } = yield bodyReader.read();
+                if (partDone) {
+                  break;
+                }
+                out.enqueue({
+                  relId: part.relId,
+                  blobCount: blobCount++,
+                  blob: new Blob([blob], { type }),
+                  done: false
+                });
+              }
+              // mix_download wants at least one Blob, even for empty parts.
+              if (!blobCount) {
+                out.enqueue({
+                  relId: part.relId,
+                  blobCount: blobCount++,
+                  blob: new Blob([], { type }),
+                  done: false
+                });
+              }
+              out.enqueue({
+                relId: part.relId,
+                blobCount,
+                blob: null,
+                done: true
+              });
+            }
+
+            // The message must have changed out from under us somehow.
+            if (partsByPartNum.size) {
+              logic(ctx, 'partsNotFound',
+                    { partNums: Array.from(partsByPartNum.keys()) });
+              throw 'unknown';
+            }
+            out.close();
+          }).catch((err) => {
+            out.error(err);
+          });
+        }
+      });
+    })
+  }
+]);
+});
@@ -0,0 +1,25 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+
+const TaskDefiner = require('../../task_infra/task_definer');
+
+/**
+ * POP3 RETRs the message again if it's still in the maildrop.  (We don't keep
+ * the raw message around after parsing it during sync.)
+ */
+return TaskDefiner.defineSimpleTask([
+  require('../../task_mixins/mix_draft_attach_original'),
+  {
+    fetchRawMessage: co.wrap(function*(ctx, account, messageInfo) {
+      let uidl = yield ctx.readSingle('umidLocations', messageInfo.umid);
+      if (!uidl) {
+        return null;
+      }
+      let conn = yield account.popAccount.ensureConnection();
+      return yield conn.downloadRawMessage(uidl);
+    })
+  }
+]);
+});
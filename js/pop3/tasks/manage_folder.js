@@ -0,0 +1,18 @@
+define(function(require) {
+'use strict';
+
+let TaskDefiner = require('../../task_infra/task_definer');
+
+/**
+ * POP3 only has an inbox on the server; all other folders are local-only, so
+ * folder management never needs to talk to the server.
+ *
+ * @see MixManageFolderMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_manage_folder'),
+  {
+    execute: null
+  }
+]);
+});
@@ -0,0 +1,21 @@
+define(function(require) {
+'use strict';
+
+let TaskDefiner = require('../../task_infra/task_definer');
+
+/**
+ * POP3 folders are purely local, so moving and trashing are purely local too.
+ * As with store_flags, the mix-in does not accumulate any state when there is
+ * no execute stage.
+ *
+ * @see MixMoveMixin
+ */
+return TaskDefiner.defineComplexTask([
+  require('../../task_mixins/mix_move'),
+  {
+    name: 'move',
+
+    execute: null
+  }
+]);
+});
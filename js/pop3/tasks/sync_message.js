@@ -72,7 +72,8 @@ return TaskDefiner.defineSimpleTask([
       // -- Resolve the conversation this goes in.
       let { convId, existingConv, messageId, headerIdWrites, extraTasks } =
         yield* resolveConversationTaskHelper(
-          ctx, messageInfo, req.accountId, req.umid);
+          ctx, messageInfo, req.accountId, req.umid,
+          { threadBySubject: account.accountDef.threadBySubject });
 
       // Perform fixups to make the messageInfo valid.
       let inboxInfo = account.getFirstFolderWithType('inbox');
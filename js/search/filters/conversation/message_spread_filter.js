@@ -19,6 +19,8 @@ function MessageSpreadFilter({ wrappedFilterDef }, args) {
   this.cost = this.wrappedFilter.cost * 20;
 
   this.alwaysRun = this.wrappedFilter.alwaysRun;
+  // Index lookups find messages which we map to their conversations anyways.
+  this.indexQuery = this.wrappedFilter.indexQuery || null;
 }
 MessageSpreadFilter.prototype = {
   test: function(gathered) {
@@ -2,6 +2,7 @@ define(function(require) {
 'use strict';
 
 const searchPatternFromArgs = require('../search_pattern_from_args');
+const { indexQueryFromArgs } = require('../../search_terms');
 const matchVerbatimHighlight = require('../../match_verbatim_highlight');
 
 /**
@@ -15,6 +16,7 @@ const matchVerbatimHighlight = require('../../match_verbatim_highlight');
  */
 function ParticipantsFilter(params, args) {
   this.searchPattern = searchPatternFromArgs(args);
+  this.indexQuery = indexQueryFromArgs(args);
 }
 ParticipantsFilter.prototype = {
   /**
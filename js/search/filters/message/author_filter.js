@@ -2,6 +2,7 @@ define(function(require) {
 'use strict';
 
 const searchPatternFromArgs = require('../search_pattern_from_args');
+const { indexQueryFromArgs } = require('../../search_terms');
 const matchVerbatimHighlight = require('../../match_verbatim_highlight');
 
 /**
@@ -11,6 +12,7 @@ const matchVerbatimHighlight = require('../../match_verbatim_highlight');
  */
 function AuthorFilter(params, args) {
   this.searchPattern = searchPatternFromArgs(args);
+  this.indexQuery = indexQueryFromArgs(args);
 }
 AuthorFilter.prototype = {
   /**
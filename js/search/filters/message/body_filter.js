@@ -3,6 +3,7 @@ define(function(require) {
 
 const matchExcerptHighlight = require('../../match_excerpt_highlight');
 const searchPatternFromArgs = require('../search_pattern_from_args');
+const { indexQueryFromArgs } = require('../../search_terms');
 
 const CT_AUTHORED_CONTENT = 0x1;
 
@@ -10,6 +11,8 @@ function BodyFilter(params, args) {
   this.includeQuotes = params.includeQuotes;
   this.excerptSettings = params.excerptSettings;
   this.searchPattern = searchPatternFromArgs(args);
+  // Quotes aren't indexed.
+  this.indexQuery = this.includeQuotes ? null : indexQueryFromArgs(args);
   this.gather = {
     // message is implicit
     bodyContents: { includeQuotes: this.includeQuotes }
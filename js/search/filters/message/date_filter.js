@@ -0,0 +1,52 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages whose date falls in a range.  The range includes its start
+ * (`since`) but not its end (`until`) so that adjacent ranges don't overlap.
+ *
+ * @param {Object} params
+ * @param {'since'|'until'} [params.bound]
+ *   If provided, the args are just the timestamp for this end of the range and
+ *   the other end is unbounded.  This is how we expose "after" and "before".
+ * @param {Number|Object} args
+ *   The timestamp (if we have a `bound`) or an object with the range.  Either
+ *   end may be omitted (or null) to leave that end unbounded.
+ * @param {DateMS} [args.since]
+ * @param {DateMS} [args.until]
+ */
+function DateFilter({ bound }, args) {
+  let range = bound ? { [bound]: args } : args;
+  if (!range || typeof(range) !== 'object') {
+    throw new Error('date range args must be an object like { since, until }');
+  }
+  this.since = range.since != null ? range.since : null;
+  this.until = range.until != null ? range.until : null;
+}
+DateFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight; the date is displayed anyways.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let date = gathered.message.date;
+    return (this.since === null || date >= this.since) &&
+           (this.until === null || date < this.until);
+  },
+
+};
+return DateFilter;
+});
@@ -0,0 +1,42 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches drafts, which are either our local drafts (which have `draftInfo`)
+ * or drafts that another client saved to the server (which have the \Draft
+ * flag).
+ *
+ * @param {Boolean} args
+ *   Pass false to instead match messages that are not drafts.
+ */
+function DraftFilter(params, args) {
+  this.want = args !== false;
+}
+DraftFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let message = gathered.message;
+    let isDraft =
+      !!message.draftInfo || message.flags.indexOf('\\Draft') !== -1;
+    return isDraft === this.want;
+  },
+
+};
+return DraftFilter;
+});
@@ -0,0 +1,46 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages based on whether they have a given IMAP-style flag.  The
+ * flag and whether we want it set or unset come from the params so that we
+ * can expose this as "read", "unread" and "starred" filters.
+ *
+ * @param {Object} params
+ * @param {String} params.flag
+ * @param {Boolean} params.present
+ *   Match messages with the flag if true, without the flag if false.
+ * @param {Boolean} args
+ *   Pass false to invert the filter, so `{ starred: false }` matches messages
+ *   that are not starred.
+ */
+function FlagFilter({ flag, present }, args) {
+  this.flag = flag;
+  this.present = args === false ? !present : present;
+}
+FlagFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let hasFlag = gathered.message.flags.indexOf(this.flag) !== -1;
+    return hasFlag === this.present;
+  },
+
+};
+return FlagFilter;
+});
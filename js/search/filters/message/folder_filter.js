@@ -0,0 +1,39 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages in any of the given folders (or labels, for gmail), by id.
+ * Use the label filter to go by name instead.
+ *
+ * @param {FolderId|FolderId[]} args
+ */
+function FolderFilter(params, args) {
+  this.folderIds = Array.isArray(args) ? args : [args];
+}
+FolderFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight; the caller knows what folders they asked
+   * about.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let folderIds = gathered.message.folderIds;
+    return this.folderIds.some(folderId => folderIds.has(folderId));
+  },
+
+};
+return FolderFilter;
+});
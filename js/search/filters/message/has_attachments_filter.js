@@ -0,0 +1,91 @@
+define(function(require) {
+'use strict';
+
+const searchPatternFromArgs = require('../search_pattern_from_args');
+const matchVerbatimHighlight = require('../../match_verbatim_highlight');
+
+/**
+ * Does the MIME type match the given type, which may be a wildcard like
+ * "image/*" or just "image" to match all subtypes?
+ */
+function mimeTypeMatches(type, wanted) {
+  type = type.toLowerCase();
+  if (/\/\*$/.test(wanted)) {
+    wanted = wanted.slice(0, -2);
+  }
+  if (wanted.indexOf('/') === -1) {
+    return type.split('/')[0] === wanted;
+  }
+  return type === wanted;
+}
+
+/**
+ * Matches messages with attachments, optionally only counting attachments of a
+ * given MIME type and/or whose filename matches.
+ *
+ * Without criteria we go by `MessageInfo.hasAttachments`, which may be true
+ * before we know what the attachments are.  With criteria we can only check
+ * the attachments we know about.
+ *
+ * @param {Boolean|Object} args
+ *   true to match messages with attachments, false to match messages without
+ *   attachments, or an object with the criteria:
+ * @param {String} [args.mimetype]
+ *   A MIME type like "application/pdf", or "image/*" or "image" to match any
+ *   image.
+ * @param {String|RegExp} [args.filename]
+ *   A filename search pattern; strings are case-insensitive substring matches.
+ *   If provided, the matching filename is highlighted.
+ */
+function HasAttachmentsFilter(params, args) {
+  this.want = args !== false;
+  this.mimetype = null;
+  this.filenamePattern = null;
+  if (args && typeof(args) === 'object') {
+    if (args.mimetype) {
+      this.mimetype = args.mimetype.toLowerCase();
+    }
+    if (args.filename) {
+      this.filenamePattern = searchPatternFromArgs(args.filename);
+    }
+  }
+  this.alwaysRun = !!this.filenamePattern;
+}
+HasAttachmentsFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 1,
+
+  test: function(gathered) {
+    let message = gathered.message;
+    if (!this.mimetype && !this.filenamePattern) {
+      return message.hasAttachments === this.want;
+    }
+
+    for (let attachment of message.attachments) {
+      if (this.mimetype && !mimeTypeMatches(attachment.type, this.mimetype)) {
+        continue;
+      }
+      if (!this.filenamePattern) {
+        return true;
+      }
+      let matchInfo =
+        matchVerbatimHighlight(this.filenamePattern, attachment.name);
+      if (matchInfo) {
+        return matchInfo;
+      }
+    }
+    return null;
+  },
+
+};
+return HasAttachmentsFilter;
+});
@@ -0,0 +1,47 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages in a folder/label with the given name or path.  Like the
+ * List-Id filter this is an exact (case-insensitive) match since the user is
+ * naming a specific label rather than searching for text.
+ */
+function LabelFilter(params, args) {
+  this.label = (typeof(args) === 'string' ? args : args.label).toLowerCase();
+}
+LabelFilter.prototype = {
+  gather: {
+    // message is implicit to the context
+    folders: true
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   */
+  cost: 10,
+
+  /**
+   * Matches are reported as the folder's name, which is all there is to
+   * highlight.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    for (let folder of gathered.folders) {
+      let name = folder.name || '';
+      if (name.toLowerCase() === this.label ||
+          (folder.path && folder.path.toLowerCase() === this.label)) {
+        return {
+          text: name,
+          offset: 0,
+          matchRuns: [{ start: 0, length: name.length }],
+          path: null
+        };
+      }
+    }
+    return null;
+  },
+
+};
+return LabelFilter;
+});
@@ -0,0 +1,46 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages from a specific mailing list by their List-Id.  Unlike the
+ * other filters this is an exact (case-insensitive) match since the point is
+ * to show "everything from this list" given a `MailMessage.list.id`.
+ */
+function ListIdFilter(params, args) {
+  this.listId = (typeof(args) === 'string' ? args : args.listId).toLowerCase();
+}
+ListIdFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   * This is a single string comparison, so it's practically a boolean.
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight; the caller already knows the list id.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let list = gathered.message.list;
+    if (!list || list.id !== this.listId) {
+      return null;
+    }
+    return {
+      text: list.id,
+      offset: 0,
+      matchRuns: [{ start: 0, length: list.id.length }],
+      path: null
+    };
+  },
+
+};
+return ListIdFilter;
+});
@@ -0,0 +1,171 @@
+define(function(require) {
+'use strict';
+
+const parseSearchQuery = require('../../parse_search_query');
+const { combineIndexQueries } = require('../../search_terms');
+
+/**
+ * Merge a filter's gather spec into the combined gather spec, copying rather
+ * than mutating the filter's (frequently prototype-shared) objects.
+ */
+function mergeGather(into, gather) {
+  for (let key of Object.keys(gather)) {
+    let value = gather[key];
+    if (value && typeof(value) === 'object') {
+      if (!into[key] || typeof(into[key]) !== 'object') {
+        into[key] = {};
+      }
+      mergeGather(into[key], value);
+    } else if (!into[key]) {
+      into[key] = value;
+    }
+  }
+  return into;
+}
+
+/**
+ * Matches messages against a search query string as understood by
+ * `parseSearchQuery`.  The query is compiled into a tree of the other message
+ * filters (instantiated using the filter definitions from our params) which
+ * we evaluate with the query's AND/OR/NOT logic.  Our gather spec is the union
+ * of those filters' gather specs.
+ *
+ * When used to search conversations we get wrapped by the MessageSpreadFilter
+ * like any other message filter, so a conversation matches if any single
+ * message in it matches the whole query.
+ *
+ * The match details we report are an object keyed by the underlying filter
+ * keys, like the matchInfo the FilterRunner produces for top-level filters.
+ * Only filters that matched on the way to the query matching are included, so
+ * nothing under a negation is, and the object can be empty.
+ *
+ * Our `indexQuery` is derived from those of the filters in the tree.  Negated
+ * terms can't be answered by the index, so they (and ORs involving filters
+ * that can't be answered by the index) don't narrow anything down.
+ *
+ * @param {Object} params
+ * @param {Object} params.filterDefs
+ *   The message filter definitions, keyed by filter key.
+ * @param {String|Object} args
+ *   The query string, or an object with the query string as `query`.
+ */
+function QueryFilter({ filterDefs }, args) {
+  let query = typeof(args) === 'string' ? args : args.query;
+  this.gather = {};
+  this.cost = 0;
+  this.rootNode = this._compile(parseSearchQuery(query), filterDefs);
+  this.indexQuery = this.rootNode.indexQuery;
+}
+QueryFilter.prototype = {
+  /**
+   * We run the highlighting filters in the query, so we want to run.
+   */
+  alwaysRun: true,
+
+  /**
+   * Convert a query node into an evaluation node which is the same thing but
+   * with instantiated filters and the `cost`, `alwaysRun` and `indexQuery` of
+   * the subtree.
+   * We also accumulate our gather spec and cost as we go.
+   */
+  _compile: function(node, filterDefs) {
+    switch (node.type) {
+      case 'filter': {
+        let filterDef = filterDefs[node.key];
+        let filter = new filterDef.constructor(filterDef.params, node.value);
+        mergeGather(this.gather, filter.gather);
+        this.cost += filter.cost;
+        return {
+          type: 'filter',
+          key: node.key,
+          filter,
+          cost: filter.cost,
+          alwaysRun: filter.alwaysRun,
+          indexQuery: filter.indexQuery || null
+        };
+      }
+      case 'not': {
+        let term = this._compile(node.term, filterDefs);
+        return {
+          type: 'not',
+          term,
+          cost: term.cost,
+          alwaysRun: false,
+          indexQuery: null
+        };
+      }
+      default: {
+        let terms = node.terms.map(term => this._compile(term, filterDefs));
+        // Try the cheap terms first so we can bail (AND) or skip the
+        // expensive ones that don't care about highlighting (OR) sooner.
+        terms.sort((a, b) => a.cost - b.cost);
+        return {
+          type: node.type,
+          terms,
+          cost: terms.reduce((sum, term) => sum + term.cost, 0),
+          alwaysRun: terms.some(term => term.alwaysRun),
+          indexQuery: combineIndexQueries(
+            node.type, terms.map(term => term.indexQuery))
+        };
+      }
+    }
+  },
+
+  /**
+   * Evaluate an evaluation node, returning null if it did not match or a list
+   * of [filter key, match details] pairs if it did.
+   */
+  _evaluate: function(node, gathered) {
+    switch (node.type) {
+      case 'filter': {
+        let matchDetails = node.filter.test(gathered);
+        return matchDetails ? [[node.key, matchDetails]] : null;
+      }
+      case 'not':
+        return this._evaluate(node.term, gathered) ? null : [];
+      case 'and': {
+        let results = [];
+        for (let term of node.terms) {
+          let termResults = this._evaluate(term, gathered);
+          if (!termResults) {
+            return null;
+          }
+          results = results.concat(termResults);
+        }
+        return results;
+      }
+      default: {
+        // An 'or'.  Like the FilterRunner, keep going after a match for
+        // highlights.
+        let results = null;
+        for (let term of node.terms) {
+          if (results && !term.alwaysRun) {
+            continue;
+          }
+          let termResults = this._evaluate(term, gathered);
+          if (termResults) {
+            results = (results || []).concat(termResults);
+          }
+        }
+        return results;
+      }
+    }
+  },
+
+  test: function(gathered) {
+    let results = this._evaluate(this.rootNode, gathered);
+    if (!results) {
+      return null;
+    }
+    let matchInfo = {};
+    for (let [key, matchDetails] of results) {
+      if (!matchInfo[key]) {
+        matchInfo[key] = matchDetails;
+      }
+    }
+    return matchInfo;
+  },
+
+};
+return QueryFilter;
+});
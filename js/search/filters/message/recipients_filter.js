@@ -2,10 +2,12 @@ define(function(require) {
 'use strict';
 
 const searchPatternFromArgs = require('../search_pattern_from_args');
+const { indexQueryFromArgs } = require('../../search_terms');
 const matchVerbatimHighlight = require('../../match_verbatim_highlight');
 
 function RecipientsFilter(params, args) {
   this.searchPattern = searchPatternFromArgs(args);
+  this.indexQuery = indexQueryFromArgs(args);
 }
 RecipientsFilter.prototype = {
   /**
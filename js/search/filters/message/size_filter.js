@@ -0,0 +1,64 @@
+define(function() {
+'use strict';
+
+/**
+ * Matches messages by their approximate size in bytes, which we take to be the
+ * sum of the size estimates of their body parts and attachments.  (We don't
+ * store the size of the message as the server reported it, and for POP3 and
+ * ActiveSync there isn't really such a thing anyways.)
+ *
+ * @param {Object} args
+ *   We insist on an object so that a bare number isn't silently taken to mean
+ *   one end of the range or the other.
+ * @param {Number} [args.min]
+ *   Match messages of at least this many bytes.
+ * @param {Number} [args.max]
+ *   Match messages of less than this many bytes.
+ */
+function SizeFilter(params, args) {
+  if (!args || typeof(args) !== 'object') {
+    throw new Error('size args must be an object like { min, max }');
+  }
+  this.min = args.min != null ? args.min : null;
+  this.max = args.max != null ? args.max : null;
+}
+SizeFilter.prototype = {
+  /**
+   * We don't need anything beyond the message.
+   */
+  gather: {
+    // message is implicit to the context
+  },
+
+  /**
+   * Orders of magnitude: boolean (1), string (10), honking big string (100).
+   * Summing a handful of numbers is practically a boolean.
+   */
+  cost: 1,
+
+  /**
+   * There's nothing to highlight.
+   */
+  alwaysRun: false,
+
+  test: function(gathered) {
+    let message = gathered.message;
+    let size = 0;
+    for (let part of message.bodyReps) {
+      size += part.sizeEstimate;
+    }
+    for (let part of message.attachments) {
+      size += part.sizeEstimate;
+    }
+    if (message.relatedParts) {
+      for (let part of message.relatedParts) {
+        size += part.sizeEstimate;
+      }
+    }
+    return (this.min === null || size >= this.min) &&
+           (this.max === null || size < this.max);
+  },
+
+};
+return SizeFilter;
+});
@@ -2,11 +2,13 @@ define(function(require) {
 'use strict';
 
 const searchPatternFromArgs = require('../search_pattern_from_args');
+const { indexQueryFromArgs } = require('../../search_terms');
 const matchExcerptHighlight = require('../../match_excerpt_highlight');
 
 function SubjectFilter(params, args) {
   this.excerptSettings = params.excerptSettings;
   this.searchPattern = searchPatternFromArgs(args);
+  this.indexQuery = indexQueryFromArgs(args);
 }
 SubjectFilter.prototype = {
   /**
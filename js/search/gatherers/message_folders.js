@@ -0,0 +1,30 @@
+define(function() {
+'use strict';
+
+/**
+ * Gather the FolderInfos for the folders (or labels) the message is in, for
+ * filters that care about folder names and types rather than their ids.
+ * Folders the message claims to be in that no longer exist are omitted.
+ */
+function GatherMessageFolders({ db, ctx }) {
+  this._db = db;
+  this._ctx = ctx;
+}
+GatherMessageFolders.prototype = {
+  gather: function(gathered) {
+    let folderReqs = new Map();
+    for (let folderId of gathered.message.folderIds) {
+      folderReqs.set(folderId, null);
+    }
+    return this._db.read(
+      this._ctx,
+      {
+        folders: folderReqs
+      })
+    .then(({ folders }) => {
+      return Array.from(folders.values()).filter(folder => !!folder);
+    });
+  }
+};
+return GatherMessageFolders;
+});
@@ -8,7 +8,7 @@ const { DEFAULT_SEARCH_EXCERPT_SETTINGS } = require('../syncbase');
  * MessageSpreadFilter for use by the conversation filters.
  **/
 
-return {
+const msgFilters = {
   author: {
     constructor: require('./filters/message/author_filter'),
     params: null
@@ -36,6 +36,62 @@ return {
       excerptSettings: DEFAULT_SEARCH_EXCERPT_SETTINGS,
       includeQuotes: true
     }
+  },
+  listId: {
+    constructor: require('./filters/message/list_id_filter'),
+    params: null
+  },
+  label: {
+    constructor: require('./filters/message/label_filter'),
+    params: null
+  },
+  folder: {
+    constructor: require('./filters/message/folder_filter'),
+    params: null
+  },
+  read: {
+    constructor: require('./filters/message/flag_filter'),
+    params: { flag: '\\Seen', present: true }
+  },
+  unread: {
+    constructor: require('./filters/message/flag_filter'),
+    params: { flag: '\\Seen', present: false }
+  },
+  starred: {
+    constructor: require('./filters/message/flag_filter'),
+    params: { flag: '\\Flagged', present: true }
+  },
+  draft: {
+    constructor: require('./filters/message/draft_filter'),
+    params: null
+  },
+  hasAttachments: {
+    constructor: require('./filters/message/has_attachments_filter'),
+    params: null
+  },
+  size: {
+    constructor: require('./filters/message/size_filter'),
+    params: null
+  },
+  dateRange: {
+    constructor: require('./filters/message/date_filter'),
+    params: { bound: null }
+  },
+  before: {
+    constructor: require('./filters/message/date_filter'),
+    params: { bound: 'until' }
+  },
+  after: {
+    constructor: require('./filters/message/date_filter'),
+    params: { bound: 'since' }
   }
 };
+
+// The query filter compiles search queries into the other filters.
+msgFilters.query = {
+  constructor: require('./filters/message/query_filter'),
+  params: { filterDefs: msgFilters }
+};
+
+return msgFilters;
 });
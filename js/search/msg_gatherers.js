@@ -26,6 +26,11 @@ return {
     constructor: require('./gatherers/message_bodies'),
     params: null,
     nested: null
+  },
+  folders: {
+    constructor: require('./gatherers/message_folders'),
+    params: null,
+    nested: null
   }
 };
 });
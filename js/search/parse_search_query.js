@@ -0,0 +1,298 @@
+define(function() {
+'use strict';
+
+/**
+ * The operators that map directly onto a message filter (see `msg_filters`)
+ * whose args are the (string) operator value.
+ */
+const STRING_OPERATORS = {
+  from: 'author',
+  to: 'recipients',
+  subject: 'subject',
+  label: 'label',
+  in: 'label',
+  list: 'listId'
+};
+
+/**
+ * The `is:` and `has:` operators, which take no args.
+ */
+const BOOLEAN_OPERATORS = {
+  'is:read': 'read',
+  'is:unread': 'unread',
+  'is:starred': 'starred',
+  'is:draft': 'draft',
+  'has:attachment': 'hasAttachments'
+};
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024 };
+
+/**
+ * Parse a YYYY/MM/DD or YYYY-MM-DD date into the timestamp of local midnight
+ * on that day, returning null if it's not such a date.
+ */
+function parseDate(str) {
+  let match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(str);
+  if (!match) {
+    return null;
+  }
+  let month = parseInt(match[2], 10) - 1;
+  let day = parseInt(match[3], 10);
+  let date = new Date(parseInt(match[1], 10), month, day);
+  // The Date constructor happily rolls "2015/13/45" over into 2016.
+  if (date.getMonth() !== month || date.getDate() !== day) {
+    return null;
+  }
+  return date.valueOf();
+}
+
+/**
+ * Parse a size like "500", "20K" or "10M" into bytes, returning null if it's
+ * not such a size.
+ */
+function parseSize(str) {
+  let match = /^(\d+(?:\.\d+)?)([km]?)b?$/i.exec(str);
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Break the query into tokens, each of which is one of:
+ * - { type: '(' } or { type: ')' }
+ * - { type: 'or' }
+ * - { type: 'not' } which negates the following word or group.
+ * - { type: 'word', key, value } where `key` is the lowercased operator name
+ *   for "key:value" words and null otherwise, and `value` has had its quotes
+ *   stripped.
+ */
+function tokenize(query) {
+  let tokens = [];
+  let i = 0;
+  let len = query.length;
+
+  // Read a possibly quoted value starting at i.  An unterminated quote runs to
+  // the end of the query; it's a search box, not a compiler.
+  let readValue = () => {
+    if (query[i] === '"') {
+      let end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        end = len;
+      }
+      let value = query.substring(i + 1, end);
+      i = end + 1;
+      return { value, quoted: true };
+    }
+    let start = i;
+    while (i < len && !/[\s()"]/.test(query[i])) {
+      i++;
+    }
+    return { value: query.substring(start, i), quoted: false };
+  };
+
+  while (i < len) {
+    let c = query[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '(' || c === ')') {
+      tokens.push({ type: c });
+      i++;
+      continue;
+    }
+
+    let negated = false;
+    if (c === '-' && i + 1 < len && !/[\s)]/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+    if (query[i] === '(') {
+      // "-(a b)" negates the group; leave the paren for the next iteration.
+      tokens.push({ type: 'not' });
+      continue;
+    }
+
+    let { value, quoted } = readValue();
+    let key = null;
+    if (!quoted) {
+      let colonIdx = value.indexOf(':');
+      if (colonIdx > 0) {
+        key = value.substring(0, colonIdx).toLowerCase();
+        value = value.substring(colonIdx + 1);
+        if (!value && query[i] === '"') {
+          value = readValue().value;
+        }
+      } else if (value === 'OR' && !negated) {
+        tokens.push({ type: 'or' });
+        continue;
+      }
+    }
+    if (negated) {
+      tokens.push({ type: 'not' });
+    }
+    tokens.push({ type: 'word', key, value });
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a word token into a query node.
+ */
+function wordToNode({ key, value }) {
+  if (key) {
+    let filterKey = STRING_OPERATORS[key];
+    if (filterKey && value) {
+      return { type: 'filter', key: filterKey, value };
+    }
+    filterKey = BOOLEAN_OPERATORS[key + ':' + value.toLowerCase()];
+    if (filterKey) {
+      return { type: 'filter', key: filterKey, value: true };
+    }
+    if (key === 'before' || key === 'after') {
+      let timestamp = parseDate(value);
+      if (timestamp !== null) {
+        return { type: 'filter', key, value: timestamp };
+      }
+    }
+    if (key === 'larger' || key === 'smaller') {
+      let size = parseSize(value);
+      if (size !== null) {
+        return {
+          type: 'filter',
+          key: 'size',
+          value: key === 'larger' ? { min: size } : { max: size }
+        };
+      }
+    }
+    if (key === 'filename' && value) {
+      return {
+        type: 'filter',
+        key: 'hasAttachments',
+        value: { filename: value }
+      };
+    }
+    // Not an operator we understand, so just search for it.  (People search
+    // for URLs and times too.)
+    value = key + ':' + value;
+  } else if (!value) {
+    // An empty "" phrase.
+    return null;
+  }
+
+  return {
+    type: 'or',
+    terms: ['author', 'recipients', 'subject', 'body'].map((filterKey) => {
+      return { type: 'filter', key: filterKey, value };
+    })
+  };
+}
+
+/**
+ * Parse a Gmail-style search query into a tree of query nodes for use by the
+ * `query` message filter.  We understand:
+ *
+ * - Bare words and "quoted phrases" which are matched against the author,
+ *   recipients, subject and body.
+ * - from:, to:, subject:, label: (or in:) and list: whose (possibly quoted)
+ *   values are passed to the `author`, `recipients`, `subject`, `label` and
+ *   `listId` filters.
+ * - is:read, is:unread, is:starred, is:draft and has:attachment.
+ * - filename: which matches attachment filenames.
+ * - before: and after: with YYYY/MM/DD or YYYY-MM-DD dates.  These are in
+ *   local time.  after: includes the given day, before: does not.
+ * - larger: and smaller: with sizes in bytes, or with a K or M suffix.
+ * - Implicit AND between terms, OR (which binds tighter than the implicit
+ *   AND, like Gmail), negation by prefixing a term or parenthesized group with
+ *   "-", and parentheses for grouping.
+ *
+ * We never fail; things we don't understand are searched for as text and
+ * unbalanced parentheses and quotes are closed for you.
+ *
+ * @return {QueryNode}
+ *   One of:
+ *   - { type: 'and', terms: QueryNode[] }: All the terms must match.  This is
+ *     what you get for an empty query, which therefore matches everything.
+ *   - { type: 'or', terms: QueryNode[] }: At least one term must match.
+ *   - { type: 'not', term: QueryNode }: The term must not match.
+ *   - { type: 'filter', key, value }: The message filter with the given key
+ *     must match when given the value as its args.
+ */
+return function parseSearchQuery(query) {
+  let tokens = tokenize(query || '');
+  let i = 0;
+
+  let parseUnary = () => {
+    let token = tokens[i++];
+    if (token.type === 'not') {
+      if (i >= tokens.length || tokens[i].type === ')') {
+        return null;
+      }
+      let term = parseUnary();
+      return term && { type: 'not', term };
+    }
+    if (token.type === '(') {
+      let node = parseAnd();
+      // Consume the close paren if it's there.
+      if (i < tokens.length) {
+        i++;
+      }
+      return node;
+    }
+    if (token.type === 'word') {
+      return wordToNode(token);
+    }
+    // A stray OR or close paren.
+    return null;
+  };
+
+  let parseOr = () => {
+    let terms = [];
+    let term = parseUnary();
+    if (term) {
+      terms.push(term);
+    }
+    while (i + 1 < tokens.length && tokens[i].type === 'or' &&
+           tokens[i + 1].type !== ')') {
+      i++;
+      term = parseUnary();
+      if (term) {
+        terms.push(term);
+      }
+    }
+    if (terms.length === 1) {
+      return terms[0];
+    }
+    return terms.length ? { type: 'or', terms } : null;
+  };
+
+  let parseAnd = () => {
+    let terms = [];
+    while (i < tokens.length && tokens[i].type !== ')') {
+      let term = parseOr();
+      if (term) {
+        terms.push(term);
+      }
+    }
+    if (terms.length === 1) {
+      return terms[0];
+    }
+    return { type: 'and', terms };
+  };
+
+  let root = { type: 'and', terms: [] };
+  while (i < tokens.length) {
+    let node = parseAnd();
+    if (node.type === 'and') {
+      root.terms = root.terms.concat(node.terms);
+    } else {
+      root.terms.push(node);
+    }
+    // Skip the unbalanced close paren that stopped us.
+    i++;
+  }
+  return root.terms.length === 1 ? root.terms[0] : root;
+};
+});
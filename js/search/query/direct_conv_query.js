@@ -47,6 +47,16 @@ DirectConversationQuery.prototype = {
     this._drainEvents = null;
   },
 
+  /**
+   * Stop listening to the current conversation and start querying the given
+   * conversation instead.  This is used when our conversation gets merged into
+   * another one.  The caller must `execute` and `bind` again.
+   */
+  retarget: function(conversationId) {
+    this.destroy();
+    this.conversationId = conversationId;
+  },
+
   /**
    * Tear down everything.  Query's over.
    */
@@ -100,6 +100,17 @@ FilteringConversationQuery.prototype = {
     this._filteringStream.consider(change);
   },
 
+  /**
+   * Stop listening to the current conversation and start querying the given
+   * conversation instead.  Unlike `destroy`, our filtering stream survives.
+   * The caller must `execute` and `bind` again.
+   */
+  retarget: function(conversationId) {
+    this._db.removeListener(this._tocEventId, this._bound_filteringTOCChange);
+    this._db.removeListener(this._convEventId, this._boundConvListener);
+    this.conversationId = conversationId;
+  },
+
   /**
    * Tear down everything.  Query's over.
    */
@@ -5,19 +5,41 @@ const co = require('co');
 
 const FilteringStream = require('../filtering_stream');
 
+const { accountIdFromFolderId, convIdFromMessageId } =
+  require('../../id_conversions');
+const { matchIndexQuery } = require('../search_terms');
+
 /**
- * Query that directly exposes the entirety of a conversation folder index.
- * Basically just normalizes the pre-query implementation so we don't need
- * multiple TOC variants, etc.
+ * Query that filters the conversations in a folder.
+ *
+ * If we're given an `indexQuery` (see `QueryManager.queryConversations`), we
+ * only filter the conversations with messages the search index says might
+ * match.  Because indexing happens after messages are synced, conversations
+ * also become candidates when their messages get indexed while we're live.
+ * Once a candidate, a conversation stays one; the filters decide whether it
+ * actually matches.
  */
 function FilteringFolderQuery({ ctx, db, folderId, filterRunner,
-                                rootGatherer }) {
+                                rootGatherer, indexQuery }) {
   this._db = db;
   this.folderId = folderId;
+  this._indexQuery = indexQuery || null;
   this._eventId = null;
   this._drainEvents = null;
   this._boundListener = null;
 
+  /**
+   * When using the index, the conversations it has told us about.
+   * @type {Set<ConversationId>}
+   */
+  this._candidateConvIds = null;
+  /**
+   * When using the index, the date and height of every conversation in the
+   * folder so we can consider conversations as they become candidates.
+   * @type {Map<ConversationId, { date, height }>}
+   */
+  this._folderConvs = null;
+
   this._filteringStream = new FilteringStream({
     ctx, filterRunner, rootGatherer,
     isDeletion: (change) => {
@@ -42,6 +64,7 @@ function FilteringFolderQuery({ ctx, db, folderId, filterRunner,
   });
 
   this._bound_filteringTOCChange = this._filteringTOCChange.bind(this);
+  this._bound_searchIndexChange = this._searchIndexChange.bind(this);
 }
 FilteringFolderQuery.prototype = {
   /**
@@ -52,13 +75,33 @@ FilteringFolderQuery.prototype = {
    * (This currently holds.)
    */
   execute: co.wrap(function*() {
+    if (this._indexQuery) {
+      this._candidateConvIds = new Set();
+      // Listen before we look so we don't miss anything indexed in between.
+      this._db.on('searchIndex!change', this._bound_searchIndexChange);
+      let messageIds = yield this._db.searchIndexLookup(
+        accountIdFromFolderId(this.folderId), this._indexQuery);
+      for (let messageId of messageIds) {
+        this._candidateConvIds.add(convIdFromMessageId(messageId));
+      }
+    }
+
     let idsWithDates;
     ({ idsWithDates,
       drainEvents: this._drainEvents,
       eventId: this._eventId } =
         yield this._db.loadFolderConversationIdsAndListen(this.folderId));
 
+    if (this._candidateConvIds) {
+      this._folderConvs = new Map(
+        idsWithDates.map(({ id, date, height }) => [id, { date, height }]));
+    }
+
     for (let idWithDate of idsWithDates) {
+      if (this._candidateConvIds &&
+          !this._candidateConvIds.has(idWithDate.id)) {
+        continue;
+      }
       this._filteringStream.consider({
         id: idWithDate.id,
         item: null,
@@ -90,14 +133,58 @@ FilteringFolderQuery.prototype = {
    * these into the filtering stream.
    */
   _filteringTOCChange: function(change) {
+    if (this._folderConvs) {
+      if (change.addDate) {
+        this._folderConvs.set(
+          change.id, { date: change.addDate, height: change.height });
+        if (!this._candidateConvIds.has(change.id)) {
+          return;
+        }
+      } else {
+        this._folderConvs.delete(change.id);
+      }
+    }
     this._filteringStream.consider(change);
   },
 
+  /**
+   * A message got (re)indexed.  If it makes its conversation a candidate for
+   * the first time, consider the conversation.  Conversations that already
+   * were candidates get considered by `_filteringTOCChange` when they change.
+   */
+  _searchIndexChange: function(messageId, terms) {
+    if (!terms || !matchIndexQuery(this._indexQuery, terms)) {
+      return;
+    }
+    let convId = convIdFromMessageId(messageId);
+    if (this._candidateConvIds.has(convId)) {
+      return;
+    }
+    this._candidateConvIds.add(convId);
+    // (If we haven't loaded the folder yet, execute will handle it.)
+    let folderConv = this._folderConvs && this._folderConvs.get(convId);
+    if (folderConv) {
+      this._filteringStream.consider({
+        id: convId,
+        item: null,
+        removeDate: null,
+        addDate: folderConv.date,
+        height: folderConv.height,
+        oldHeight: 0,
+        matchInfo: null
+      });
+    }
+  },
+
   /**
    * Tear down everything.  Query's over.
    */
   destroy: function() {
     this._db.removeListener(this._eventId, this._bound_filteringTOCChange);
+    if (this._indexQuery) {
+      this._db.removeListener(
+        'searchIndex!change', this._bound_searchIndexChange);
+    }
     this._filteringStream.destroy();
   }
 };
@@ -17,6 +17,8 @@ const conversationGatherers = require('./conv_gatherers');
 const messageFilters = require('./msg_filters');
 const messageGatherers = require('./msg_gatherers');
 
+const { combineIndexQueries } = require('./search_terms');
+
 /**
  * Abstraction for all persistent database queries.  Read "search.md" for the
  * deets.
@@ -111,6 +113,11 @@ QueryManager.prototype = {
 
   /**
    * Find conversations that match a filter spec.
+   *
+   * If every filter can be answered by the search index (the FilterRunner ORs
+   * the filters together, so one that can't means anything could match), the
+   * index provides the candidate conversations and the filters just verify
+   * them.  Otherwise we filter every conversation in the folder.
    */
   queryConversations: function(ctx, spec) {
     // -- Direct folder queries fast-path out.
@@ -133,12 +140,15 @@ QueryManager.prototype = {
       rootGatherDefs: conversationGatherers,
       dbCtx
     });
+    let indexQuery = combineIndexQueries(
+      'or', filters.map(filter => filter.indexQuery || null));
     return new FilteringFolderQuery({
       ctx,
       db: this._db,
       folderId: spec.folderId,
       filterRunner: new FilterRunner({ filters }),
-      rootGatherer
+      rootGatherer,
+      indexQuery
     });
   },
 
@@ -0,0 +1,198 @@
+define(function() {
+'use strict';
+
+/**
+ * Words longer than this are truncated.  Anything longer is almost certainly a
+ * URL, base64 or some other thing no one will type.  Query words are truncated
+ * the same way, so a search for the start of a long word still finds it, but
+ * text past this point in a word isn't indexed.
+ */
+const MAX_TERM_LENGTH = 32;
+
+/**
+ * The length of the n-grams we index.  Every position in a word starts one
+ * (the last few are shorter), so any substring of a word is found by looking
+ * up its n-grams.  Trigrams keep the number of distinct terms per message close
+ * to the number of distinct words while still being selective.
+ */
+const INDEX_GRAM_LENGTH = 3;
+
+/**
+ * Whitespace and punctuation: the ASCII ranges, the Latin-1 punctuation and
+ * symbols, the General Punctuation block and the CJK ideographic space, comma
+ * and full stop.
+ */
+const RE_TERM_SEPARATORS =
+  /[\s!-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u3003]+/;
+
+/**
+ * Kana and CJK ideographs, which are not written with spaces between words.
+ * We don't know where their words start, so each character is its own term
+ * and a query of several characters requires all of them.
+ */
+const RE_UNSPACED_CHARS = /([\u3040-\u30ff\u3400-\u9fff])/;
+
+/**
+ * Break text into lowercased words, untruncated and possibly repeated.
+ */
+function* splitWords(text) {
+  for (let chunk of text.toLowerCase().split(RE_TERM_SEPARATORS)) {
+    // (split with a capturing group keeps the separators, which are exactly
+    // the characters we want as their own terms)
+    for (let word of chunk.split(RE_UNSPACED_CHARS)) {
+      if (word) {
+        yield word;
+      }
+    }
+  }
+}
+
+/**
+ * Break a search phrase into the set of lowercased terms we look up in the
+ * index.  These are the words of the phrase.
+ *
+ * @param {String} text
+ * @return {String[]}
+ *   The unique terms in the order they first appeared.
+ */
+function extractTerms(text) {
+  let terms = new Set();
+  if (!text) {
+    return [];
+  }
+  for (let word of splitWords(text)) {
+    terms.add(word.substring(0, MAX_TERM_LENGTH));
+  }
+  return Array.from(terms);
+}
+
+/**
+ * Break a word into the n-grams starting at each of its positions.  The ones
+ * at the end of the word are shorter; "mail" is "mai", "ail", "il" and "l".
+ */
+function wordGrams(word) {
+  let grams = [];
+  for (let i = 0; i < word.length; i++) {
+    grams.push(word.substring(i, i + INDEX_GRAM_LENGTH));
+  }
+  return grams;
+}
+
+/**
+ * Break text into the set of terms we index it under: the n-grams of its
+ * (truncated) words.  The filters match substrings, and this is what lets the
+ * index find "ample" in "example" or a fragment of an email address.  A word
+ * contributes at most MAX_TERM_LENGTH terms.
+ *
+ * @param {String} text
+ * @return {String[]}
+ *   The unique terms in the order they first appeared.
+ */
+function extractIndexTerms(text) {
+  let terms = new Set();
+  if (!text) {
+    return [];
+  }
+  for (let word of splitWords(text)) {
+    for (let gram of wordGrams(word.substring(0, MAX_TERM_LENGTH))) {
+      terms.add(gram);
+    }
+  }
+  return Array.from(terms);
+}
+
+/**
+ * Given the args of a text filter (see `searchPatternFromArgs`), produce the
+ * index query that finds a superset of the messages the filter can match
+ * (short of matches past MAX_TERM_LENGTH in a word).  Every n-gram of every
+ * word in the search phrase must be in the index; words no longer than an
+ * n-gram are looked up as prefixes since they may be at the end of a word.
+ *
+ * @return {IndexQuery|null}
+ *   Null if the args can't be answered by the index; RegExps can match
+ *   anything, and a phrase of only punctuation has no terms to look up.
+ */
+function indexQueryFromArgs(args) {
+  let phrase = args;
+  if (args && typeof(args) === 'object' && !(args instanceof RegExp)) {
+    phrase = args.phrase;
+  }
+  if (typeof(phrase) !== 'string') {
+    return null;
+  }
+  let terms = extractTerms(phrase);
+  if (!terms.length) {
+    return null;
+  }
+  let lookups = new Set();
+  for (let term of terms) {
+    if (term.length <= INDEX_GRAM_LENGTH) {
+      lookups.add(term);
+      continue;
+    }
+    for (let i = 0; i + INDEX_GRAM_LENGTH <= term.length; i++) {
+      lookups.add(term.substring(i, i + INDEX_GRAM_LENGTH));
+    }
+  }
+  let nodes = Array.from(lookups, term => ({ type: 'prefix', term }));
+  return nodes.length === 1 ? nodes[0] : { type: 'and', terms: nodes };
+}
+
+/**
+ * Combine index queries, any of which may be null (meaning "could be
+ * anything").
+ *
+ * @param {'and'|'or'} type
+ * @param {Array<IndexQuery|null>} queries
+ * @return {IndexQuery|null}
+ */
+function combineIndexQueries(type, queries) {
+  if (type === 'and') {
+    // Any one query narrows things down, the others are just more narrowing.
+    queries = queries.filter(query => query);
+  } else if (queries.some(query => !query)) {
+    return null;
+  }
+  if (!queries.length) {
+    return null;
+  }
+  return queries.length === 1 ? queries[0] : { type, terms: queries };
+}
+
+/**
+ * Does a message indexed with the given terms (from `extractIndexTerms`)
+ * satisfy the index query?  This lets live queries check freshly indexed
+ * messages without hitting the database.
+ *
+ * @param {IndexQuery} query
+ * @param {String[]} terms
+ */
+function matchIndexQuery(query, terms) {
+  switch (query.type) {
+    case 'prefix':
+      return terms.some(term => term.startsWith(query.term));
+    case 'and':
+      return query.terms.every(sub => matchIndexQuery(sub, terms));
+    case 'or':
+      return query.terms.some(sub => matchIndexQuery(sub, terms));
+    default:
+      return false;
+  }
+}
+
+/**
+ * @typedef {Object} IndexQuery
+ *   A tree of nodes of the form:
+ *   - { type: 'prefix', term }: Messages with a term starting with `term`.
+ *   - { type: 'and', terms: IndexQuery[] }: The intersection.
+ *   - { type: 'or', terms: IndexQuery[] }: The union.
+ */
+return {
+  MAX_TERM_LENGTH,
+  extractTerms,
+  extractIndexTerms,
+  indexQueryFromArgs,
+  combineIndexQueries,
+  matchIndexQuery
+};
+});
@@ -0,0 +1,311 @@
+define(function(require) {
+'use strict';
+
+const parseSearchQuery = require('./parse_search_query');
+const { DAY_MILLIS } = require('../date');
+
+/**
+ * The filters whose args are the text to search for.
+ */
+const TEXT_FILTER_KEYS = new Set(
+  ['author', 'recipients', 'subject', 'body', 'bodyAndQuotes']);
+
+/**
+ * Get the string a text filter searches for from its args, returning null for
+ * RegExps, which no server is going to understand.
+ */
+function textFromArgs(args) {
+  let phrase = args;
+  if (args && typeof(args) === 'object' && !(args instanceof RegExp)) {
+    phrase = args.phrase;
+  }
+  return (typeof(phrase) === 'string' && phrase) ? phrase : null;
+}
+
+/**
+ * Normalize the `searchFolderConversations` filter spec into the query node
+ * tree `parseSearchQuery` produces.  The top-level filters are ORed together
+ * and `query` filters contribute their parsed tree.
+ */
+function filterSpecToNode(filterSpec) {
+  let terms = Object.keys(filterSpec).map((key) => {
+    if (key === 'query') {
+      let query = filterSpec.query;
+      return parseSearchQuery(typeof(query) === 'string' ? query : query.query);
+    }
+    return { type: 'filter', key, value: filterSpec[key] };
+  });
+  return terms.length === 1 ? terms[0] : { type: 'or', terms };
+}
+
+/**
+ * Normalize the various date filters into a { since, until } range.
+ */
+function dateRangeFromFilter(key, value) {
+  if (key === 'before') {
+    return { since: null, until: value };
+  } else if (key === 'after') {
+    return { since: value, until: null };
+  }
+  return { since: value.since || null, until: value.until || null };
+}
+
+/**
+ * Walk a query node tree, converting it to a server query with the provided
+ * converters.  Server search only ever adds messages to what we have locally,
+ * and the local filters still decide what matches, so the server query only
+ * needs to match a superset of what the local filters would.  This means the
+ * terms of an AND that the server can't express can just be dropped.  NOT
+ * can't be expressed at all since the negation of a superset is a subset, and
+ * neither can ORs involving terms that can't be expressed.
+ *
+ * @param {QueryNode} node
+ * @param {Object} converters
+ * @param {Function} converters.filter
+ *   Given the filter key and value, return the server query or null if it
+ *   can't be expressed.
+ * @param {Function} converters.and
+ *   Given a non-empty list of server queries, combine them.
+ * @param {Function} converters.or
+ *   Given a non-empty list of server queries, combine them.
+ * @return {*|null}
+ *   The server query, or null if the server can't narrow things down.
+ */
+function convertNode(node, converters) {
+  switch (node.type) {
+    case 'filter':
+      return converters.filter(node.key, node.value);
+    case 'and': {
+      let terms = node.terms.map(term => convertNode(term, converters))
+                            .filter(term => term !== null);
+      return terms.length ? converters.and(terms) : null;
+    }
+    case 'or': {
+      let terms = node.terms.map(term => convertNode(term, converters));
+      if (!terms.length || terms.some(term => term === null)) {
+        return null;
+      }
+      return converters.or(terms);
+    }
+    default: // 'not'
+      return null;
+  }
+}
+
+/**
+ * Browserbox search criteria are objects whose keys are the IMAP search keys.
+ * NOT and OR only apply to the single search key that follows them, so
+ * criteria with several keys need to be parenthesized when used with them.
+ * Browserbox flattens object values into the command but compiles nested
+ * arrays as parenthesized lists, so wrapping does that.
+ */
+function asSingleSearchKey(criteria) {
+  return Object.keys(criteria).length > 1 ? [criteria] : criteria;
+}
+
+/**
+ * OR browserbox search criteria.  IMAP's OR takes exactly two search keys.
+ */
+function orImapCriteria(terms) {
+  return terms.reduce((a, b) => {
+    return { or: [asSingleSearchKey(a), asSingleSearchKey(b)] };
+  });
+}
+
+/**
+ * AND two browserbox search criteria.  If both sides use the same search key
+ * we can't just merge the objects.  Instead we hang both of them, in
+ * parentheses, off of ALL, which matches everything.
+ */
+function andImapCriteria(a, b) {
+  if (!Object.keys(a).some(key => b.hasOwnProperty(key))) {
+    return Object.assign({}, a, b);
+  }
+  return { all: [[a, b]] };
+}
+
+const IMAP_FLAG_KEYS = {
+  read: ['seen', 'unseen'],
+  unread: ['unseen', 'seen'],
+  starred: ['flagged', 'unflagged'],
+  draft: ['draft', 'undraft']
+};
+
+const imapConverters = {
+  filter: function(key, value) {
+    if (TEXT_FILTER_KEYS.has(key) || key === 'listId') {
+      let text = textFromArgs(value);
+      if (!text) {
+        return null;
+      }
+      switch (key) {
+        case 'author':
+          return { from: text };
+        case 'recipients':
+          return orImapCriteria([{ to: text }, { cc: text }, { bcc: text }]);
+        case 'subject':
+          return { subject: text };
+        case 'listId':
+          return { header: ['List-Id', text] };
+        default:
+          // The server can't skip the quotes, but it's a superset.
+          return { body: text };
+      }
+    }
+    if (IMAP_FLAG_KEYS[key]) {
+      let [present, absent] = IMAP_FLAG_KEYS[key];
+      return { [value === false ? absent : present]: true };
+    }
+    if (key === 'before' || key === 'after' || key === 'dateRange') {
+      // IMAP dates are whole days in the server's idea of a timezone, so pad
+      // each end by a day.
+      let { since, until } = dateRangeFromFilter(key, value);
+      let criteria = {};
+      if (since) {
+        criteria.since = new Date(since - DAY_MILLIS);
+      }
+      if (until) {
+        criteria.before = new Date(until + DAY_MILLIS);
+      }
+      return Object.keys(criteria).length ? criteria : null;
+    }
+    // label, folder, hasAttachments, size and participants.  (Our sizes are
+    // estimates, so the server's idea of the size isn't a safe superset.)
+    return null;
+  },
+  and: function(terms) {
+    return terms.reduce(andImapCriteria);
+  },
+  or: orImapCriteria
+};
+
+/**
+ * Quote a Gmail search value.  Gmail has no escaping, so we drop quotes.
+ */
+function quoteGmail(text) {
+  return '"' + text.replace(/"/g, '') + '"';
+}
+
+/**
+ * Format a timestamp as the local YYYY/MM/DD date Gmail's before: and after:
+ * operators want.
+ */
+function formatGmailDate(timestamp) {
+  let date = new Date(timestamp);
+  return date.getFullYear() + '/' + (date.getMonth() + 1) + '/' +
+         date.getDate();
+}
+
+const gmailConverters = {
+  filter: function(key, value) {
+    if (TEXT_FILTER_KEYS.has(key) || key === 'listId' || key === 'label') {
+      let text = textFromArgs(value);
+      if (!text) {
+        return null;
+      }
+      let quoted = quoteGmail(text);
+      switch (key) {
+        case 'author':
+          return 'from:' + quoted;
+        case 'recipients':
+          return `(to:${quoted} OR cc:${quoted} OR bcc:${quoted})`;
+        case 'subject':
+          return 'subject:' + quoted;
+        case 'listId':
+          return 'list:' + quoted;
+        case 'label':
+          return 'label:' + quoted;
+        default:
+          return quoted;
+      }
+    }
+    switch (key) {
+      case 'read':
+        return value === false ? 'is:unread' : 'is:read';
+      case 'unread':
+        return value === false ? 'is:read' : 'is:unread';
+      case 'starred':
+        return value === false ? '-is:starred' : 'is:starred';
+      case 'draft':
+        return value === false ? '-in:drafts' : 'in:drafts';
+      case 'hasAttachments':
+        if (value === false) {
+          return '-has:attachment';
+        }
+        if (value && typeof(value) === 'object' && value.filename) {
+          return 'filename:' + quoteGmail(value.filename);
+        }
+        return 'has:attachment';
+      case 'before':
+      case 'after':
+      case 'dateRange': {
+        // Gmail interprets dates in its own timezone, so pad each end by a day.
+        let { since, until } = dateRangeFromFilter(key, value);
+        let terms = [];
+        if (since) {
+          terms.push('after:' + formatGmailDate(since - DAY_MILLIS));
+        }
+        if (until) {
+          terms.push('before:' + formatGmailDate(until + DAY_MILLIS));
+        }
+        return terms.length ? terms.join(' ') : null;
+      }
+      default:
+        return null;
+    }
+  },
+  and: function(terms) {
+    return terms.length === 1 ? terms[0] : '(' + terms.join(' ') + ')';
+  },
+  or: function(terms) {
+    return terms.length === 1 ? terms[0] : '(' + terms.join(' OR ') + ')';
+  }
+};
+
+const freeTextConverters = {
+  filter: function(key, value) {
+    return TEXT_FILTER_KEYS.has(key) ? textFromArgs(value) : null;
+  },
+  and: function(terms) {
+    return terms.join(' ');
+  },
+  // Free text searches are implicitly ANDed, so we can only express an OR if
+  // all its terms search for the same thing.  Happily this is the case for the
+  // bare words of a search query, which search all the text filters.
+  or: function(terms) {
+    return terms.every(term => term === terms[0]) ? terms[0] : null;
+  }
+};
+
+/**
+ * Helpers to convert a `searchFolderConversations` filter spec into the search
+ * queries the various servers understand, for use by the sync_search tasks.
+ * Each returns null if the filter can't be usefully expressed to the server,
+ * in which case there's no point searching.
+ */
+return {
+  /**
+   * Produce browserbox search criteria (which always exclude deleted
+   * messages).
+   */
+  imapSearchCriteria: function(filterSpec) {
+    let criteria = convertNode(filterSpecToNode(filterSpec), imapConverters);
+    return criteria && andImapCriteria(criteria, { not: { deleted: true } });
+  },
+
+  /**
+   * Produce a Gmail search query for use with X-GM-RAW.
+   */
+  gmailRawQuery: function(filterSpec) {
+    return convertNode(filterSpecToNode(filterSpec), gmailConverters);
+  },
+
+  /**
+   * Produce the free text to search for, for servers like ActiveSync that
+   * just take words.
+   */
+  freeTextQuery: function(filterSpec) {
+    return convertNode(filterSpecToNode(filterSpec), freeTextConverters);
+  }
+};
+});
@@ -31,6 +31,10 @@ SmtpAccount.prototype = {
     // Nothing to do.
   },
 
+  resetConnections: function() {
+    // Nothing to do; we make a new connection for each message we send.
+  },
+
   accountDeleted: function() {
     this.shutdown();
   },
@@ -251,6 +251,14 @@ exports.DEFAULT_SEARCH_EXCERPT_SETTINGS = {
   charsAfter: 40
 };
 
+/**
+ * The most messages a single server search will add to the local database.
+ * We take the newest ones.  Every hit means synchronizing the message (and for
+ * Gmail its whole conversation), and search terms like "the" will match most
+ * of the mailbox.
+ */
+exports.SERVER_SEARCH_MAX_RESULTS = 50;
+
 /**
  * How big a chunk of an attachment should we encode in a single read?  Because
  * we want our base64-encoded lines to be 76 bytes long (before newlines) and
@@ -279,6 +287,43 @@ exports.BLOB_BASE64_BATCH_CONVERT_SIZE = 9198 * 57;
  */
 exports.CRONSYNC_MAX_DURATION_MS = 60 * 1000;
 
+////////////////////////////////////////////////////////////////////////////////
+// Push
+
+/**
+ * The heartbeat interval we start out asking for when we issue an ActiveSync
+ * Ping.  The longer the heartbeat the less often we wake the radio, but if
+ * something on the network (NAT, proxies) drops idle connections sooner than
+ * this, we won't hear about anything until we time out.  So we start out
+ * somewhere conservative and adjust; see the other ACTIVESYNC_PING values.
+ */
+exports.ACTIVESYNC_PING_HEARTBEAT_INITIAL_SECS = 480;
+
+/**
+ * The shortest heartbeat we will shrink to when our Pings keep getting cut
+ * off.  Servers generally won't accept anything shorter than a minute anyways.
+ */
+exports.ACTIVESYNC_PING_HEARTBEAT_MIN_SECS = 60;
+
+/**
+ * The longest heartbeat we will grow to as our Pings keep expiring normally.
+ * This is Exchange's default maximum, and servers tell us if we exceed theirs.
+ */
+exports.ACTIVESYNC_PING_HEARTBEAT_MAX_SECS = 1680;
+
+/**
+ * How much to grow the heartbeat by each time a Ping expires normally.
+ */
+exports.ACTIVESYNC_PING_HEARTBEAT_STEP_SECS = 60;
+
+/**
+ * How long to stay in IMAP IDLE before re-issuing it.  RFC 2177 says servers
+ * may log out clients that have been IDLE for more than 30 minutes and that
+ * clients should re-issue IDLE at least every 29 minutes, so we stay a bit
+ * under that to allow for timer slop.
+ */
+exports.IMAP_IDLE_RENEW_MS = 28 * 60 * 1000;
+
 ////////////////////////////////////////////////////////////////////////////////
 // Unit test support
 
@@ -36,6 +36,10 @@ function TaskManager({ universe, db, taskRegistry, taskResources,
   this._db = db;
   this._registry = taskRegistry;
   this._resources = taskResources;
+  // Deferred tasks and resource timeouts become ready without us on the stack.
+  this._resources.onTimerPrioritized = () => {
+    this._triggerIfIdle();
+  };
   this._priorities = taskPriorities;
   this._accountManager = accountManager;
   this._accountsTOC = accountManager.accountsTOC;
@@ -136,9 +140,9 @@ TaskManager.prototype = evt.mix({
         this.__queueTasksOrMarkers(markers, 'restored:complex', true);
       });
     });
-    this._accountsTOC.on('remove', (accountInfo) => {
-      this._registry.accountRemoved(accountInfo.id);
-      // TODO: we need to reap the markers
+    this._accountsTOC.on('remove', (accountId) => {
+      this._registry.accountRemoved(accountId);
+      this._reapAccountTasks(accountId);
     });
 
     // -- Trigger processing when all initialization has completed.
@@ -442,7 +446,89 @@ TaskManager.prototype = evt.mix({
    */
   __removeTaskOrMarker: function(taskId) {
     logic(this, 'removing', { taskId });
-    this._resources.removeTaskThing(taskId);
+    if (this._resources.removeTaskThing(taskId)) {
+      this._triggerIfIdle();
+    }
+  },
+
+  /**
+   * Release the exclusive resources held by an executed task, regardless of
+   * whether it succeeded or failed.
+   */
+  _releaseTaskExclusiveResources: function(taskThing) {
+    if (this._resources.releaseExecutedTaskExclusiveResources(taskThing.id)) {
+      this._triggerIfIdle();
+    }
+  },
+
+  /**
+   * Moot all of the outstanding tasks and markers belonging to a deleted
+   * account: those awaiting planning, those blocked on resources, and those
+   * prioritized for execution.  Persistent tasks are removed from the database
+   * so they don't come back to haunt us on restart.  (The account's complex
+   * task state is deleted by the MailDB as part of the account deletion.)
+   *
+   * We emit the same events we would if the tasks had been found to be moot
+   * during planning/execution so that anyone waiting on them (including task
+   * groups) finds out.  The currently executing task, if any, is left alone;
+   * the registry will moot it if it tries to re-plan or re-execute.
+   */
+  _reapAccountTasks: function(accountId) {
+    let belongsToAccount = (taskThing) => {
+      if (taskThing.type) {
+        return taskThing.accountId === accountId;
+      }
+      let task = taskThing.plannedTask || taskThing.rawTask;
+      return task.accountId === accountId;
+    };
+
+    let unplanned = this._tasksToPlan.filter(belongsToAccount);
+    this._tasksToPlan = this._tasksToPlan.filter(
+      wrappedTask => !belongsToAccount(wrappedTask));
+    let unexecuted = this._resources.removeTasksUsingFilter(belongsToAccount);
+
+    logic(
+      this, 'reapAccountTasks',
+      {
+        accountId,
+        unplannedCount: unplanned.length,
+        unexecutedCount: unexecuted.length
+      });
+
+    let persistedIds = [];
+    for (let wrappedTask of unplanned) {
+      if (!wrappedTask.nonpersistent) {
+        persistedIds.push(wrappedTask.id);
+      }
+      this.emit('planned:' + wrappedTask.id, undefined);
+      this.emit('planned', wrappedTask.id, undefined);
+    }
+    for (let taskThing of unexecuted) {
+      if (!taskThing.type && !taskThing.nonpersistent) {
+        persistedIds.push(taskThing.id);
+      }
+      this.emit('executed:' + taskThing.id, undefined);
+      this.emit('executed', taskThing.id, undefined);
+    }
+    if (persistedIds.length) {
+      this._db.removeTasks(persistedIds);
+    }
+
+    // Removing tasks may have freed exclusive resources for other tasks, or
+    // left us with nothing to do, either of which merits a look.
+    this._triggerIfIdle();
+  },
+
+  /**
+   * If nothing is happening, call _maybeDoStuff soon.  (If something is
+   * happening, we'll call it when that completes.)
+   */
+  _triggerIfIdle: function() {
+    if (!this._activePromise) {
+      Promise.resolve().then(() => {
+        this._maybeDoStuff();
+      });
+    }
   },
 
   /**
@@ -528,6 +614,11 @@ TaskManager.prototype = evt.mix({
           this.emit('planned', wrappedTask.id, null);
         });
     } else {
+      // The registry only moots tasks whose account or implementation no
+      // longer exists, so they will never succeed; don't keep them around.
+      if (!wrappedTask.nonpersistent) {
+        this._db.removeTasks([wrappedTask.id]);
+      }
       logic(this, 'planning:end', { moot: true, task: wrappedTask });
       this.emit('planned:' + wrappedTask.id, undefined);
       this.emit('planned', wrappedTask.id, undefined);
@@ -544,12 +635,14 @@ TaskManager.prototype = evt.mix({
     if (execResult) {
       execResult.then(
         (maybeResult) => {
+          this._releaseTaskExclusiveResources(taskThing);
           let result = maybeResult && maybeResult.wrappedResult || undefined;
           logic(this, 'executing:end', { success: true, task: taskThing });
           this.emit('executed:' + taskThing.id, result);
           this.emit('executed', taskThing.id, result);
         },
         (err) => {
+          this._releaseTaskExclusiveResources(taskThing);
           logic(
             this, 'executing:end',
             { success: false, err, task: taskThing });
@@ -557,6 +650,11 @@ TaskManager.prototype = evt.mix({
           this.emit('executed', taskThing.id, null);
         });
     } else {
+      // (As in _planNextTask, a moot simple task's account is gone.)
+      if (!taskThing.type && !taskThing.nonpersistent) {
+        this._db.removeTasks([taskThing.id]);
+      }
+      this._releaseTaskExclusiveResources(taskThing);
       logic(this, 'executing:end', { moot: true, task: taskThing });
       this.emit('executed:' + taskThing.id, undefined);
       this.emit('executed', taskThing.id, undefined);
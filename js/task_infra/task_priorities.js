@@ -9,8 +9,10 @@ const FibonacciHeap = require('../ext/fibonacci-heap');
  * Helper class for use by TaskManager that is in charge of maintaining the
  * priority queue of tasks that are currently ready for execution.
  *
- *
- * TODO: Implement exclusive resource support or give up.
+ * Everything in our heap is runnable.  `TaskResources` holds back tasks that
+ * are waiting on regular or exclusive resources and only hands them to us once
+ * they have claimed all of their exclusive resources, so at most one task
+ * per exclusive resource is ever in our heap (or executing).
  */
 function TaskPriorities() {
   logic.defineScope(this, 'TaskPriorities');
@@ -280,6 +282,14 @@ TaskPriorities.prototype = {
     }
   },
 
+  /**
+   * Return the prioritized TaskThing with the given id, if there is one.
+   */
+  getTaskThing: function(taskId) {
+    let priorityNode = this._taskIdToHeapNode.get(taskId);
+    return priorityNode ? priorityNode.value : null;
+  },
+
   /**
    * Remove the TaskThing with the given id.
    *
@@ -310,15 +320,22 @@ TaskPriorities.prototype = {
    * additional data structures are merited for your use-case or not:
    * - TaskResources.resourceNoLongerAvailable moving tasks to be blocking when
    *   a resource is revoked.
-   * - TODO: Removing outstanding tasks by accountId when an account is deleted.
+   * - TaskResources.removeTasksUsingFilter removing outstanding tasks by
+   *   accountId when an account is deleted.
+   *
+   * @return {TaskThing[]}
+   *   The removed TaskThings.
    */
   removeTasksUsingFilter: function(shouldRemove) {
+    const removed = [];
     for (let priorityNode of this._taskIdToHeapNode.values()) {
       const taskThing = priorityNode.value;
       if (shouldRemove(taskThing)) {
         this.removeTaskThing(taskThing.id, priorityNode);
+        removed.push(taskThing);
       }
     }
+    return removed;
   }
 };
 return TaskPriorities;
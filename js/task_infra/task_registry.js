@@ -104,12 +104,13 @@ TaskRegistry.prototype = {
    * "trigger_EVENTNAME" and register them with the `DataOverlayManager` and
    * `TriggerManager`.
    *
-   * We currently do not support unregistering which is consistent with other
-   * simplifications we've made like this.  We would implement all of that at
-   * the same time.
+   * The bound functions are remembered in `meta.registrations` so that
+   * `_unregisterComplexTaskImplFromEventSources` can undo all of this when the
+   * account is removed.
    */
   _registerComplexTaskImplWithEventSources: function(accountId, meta) {
     let taskImpl = meta.impl;
+    let registrations = meta.registrations = [];
 
     let blockedTaskChecker =
       this._taskResources.whatIsTaskBlockedBy.bind(this._taskResources);
@@ -126,15 +127,15 @@ TaskRegistry.prototype = {
             taskName: taskImpl.name,
             overlayType: overlayMatch[1]
           });
+        let providerFunc = taskImpl[key].bind(
+          taskImpl,
+          meta.persistentState,
+          meta.memoryState,
+          blockedTaskChecker);
         this._dataOverlayManager.registerProvider(
-          overlayMatch[1],
-          taskImpl.name,
-          taskImpl[key].bind(
-            taskImpl,
-            meta.persistentState,
-            meta.memoryState,
-            blockedTaskChecker)
-        );
+          overlayMatch[1], taskImpl.name, providerFunc);
+        registrations.push(
+          { overlayType: overlayMatch[1], func: providerFunc });
       }
 
       let triggerMatch = /^trigger_(.+$)$/.exec(key);
@@ -146,7 +147,7 @@ TaskRegistry.prototype = {
             taskName: taskImpl.name,
             trigger: triggerMatch[1]
           });
-        this._triggerManager.registerTriggerFunc(
+        let boundHandler = this._triggerManager.registerTriggerFunc(
           triggerMatch[1],
           taskImpl.name,
           taskImpl[key].bind(
@@ -154,10 +155,30 @@ TaskRegistry.prototype = {
             meta.persistentState,
             meta.memoryState)
         );
+        registrations.push({ trigger: triggerMatch[1], func: boundHandler });
       }
     }
   },
 
+  _unregisterComplexTaskImplFromEventSources: function(accountId, meta) {
+    let taskName = meta.impl.name;
+    for (let { overlayType, trigger, func } of meta.registrations) {
+      if (overlayType) {
+        logic(
+          this, 'unregisterOverlayProvider',
+          { accountId, taskName, overlayType });
+        this._dataOverlayManager.unregisterProvider(
+          overlayType, taskName, func);
+      } else {
+        logic(
+          this, 'unregisterTriggerHandler',
+          { accountId, taskName, trigger });
+        this._triggerManager.unregisterTriggerFunc(trigger, taskName, func);
+      }
+    }
+    meta.registrations = [];
+  },
+
   /**
    * Initialize global tasks by reusing accountExistsInitTasks.  A simple
    * function to make it clear what's going on and keep the horror confined to
@@ -259,8 +280,28 @@ TaskRegistry.prototype = {
     });
   },
 
-  accountRemoved: function(/*accountId*/) {
-    // TODO: properly handle and propagate account removal
+  /**
+   * Forget about the per-account task instances for a deleted account.  The
+   * complex task instances stop providing overlays and handling triggers, and
+   * we discard their in-memory state.  (The persisted complex task state is
+   * deleted by the MailDB as part of the account deletion.)
+   *
+   * The TaskManager is responsible for dealing with any outstanding tasks and
+   * markers for the account.  Any that slip through will be treated as moot by
+   * `planTask` and `executeTask` because the account is no longer known to us.
+   */
+  accountRemoved: function(accountId) {
+    let taskMetas = this._perAccountIdTaskRegistry.get(accountId);
+    logic(this, 'accountRemoved', { accountId, known: !!taskMetas });
+    if (taskMetas) {
+      for (let meta of taskMetas.values()) {
+        if (meta.registrations) {
+          this._unregisterComplexTaskImplFromEventSources(accountId, meta);
+        }
+      }
+    }
+    this._perAccountIdTaskRegistry.delete(accountId);
+    this._dbDataByAccount.delete(accountId);
   },
 
   /**
@@ -335,7 +376,13 @@ TaskRegistry.prototype = {
     } else {
       let accountId = isMarker ? taskThing.accountId
                                : taskThing.plannedTask.accountId;
-      taskMeta = this._perAccountIdTaskRegistry.get(accountId).get(taskType);
+      let perAccountTasks = this._perAccountIdTaskRegistry.get(accountId);
+      if (!perAccountTasks) {
+        // The account was deleted out from under the task.
+        logic(this, 'noSuchAccount', { taskType, accountId });
+        return null;
+      }
+      taskMeta = perAccountTasks.get(taskType);
     }
 
     if (!taskMeta.impl.execute) {
@@ -3,12 +3,41 @@ define(function(require) {
 
 const logic = require('logic');
 
+const { NOW } = require('../date');
+
+/**
+ * setTimeout can't handle delays that don't fit in a signed 32-bit integer
+ * (about 24.8 days) and fires immediately instead.  Tasks deferred further
+ * than this just get re-deferred when the timer fires.
+ */
+const MAX_TIMEOUT_MS = 0x7fffffff;
+
 /**
  * Helper class for use by TaskManager that is in charge of tracking the
  * resource-related issues.  This code exists to try and avoid TaskManager
  * becoming horribly complicated, but there is inherently some coupling.
  *
- * TODO: Implement exclusive resource support or remove all traces of that.
+ * There are two kinds of resources:
+ * - Regular `resources` are things like being online that are either
+ *   available or not and that any number of tasks can depend on at once.  They
+ *   are explicitly made available/unavailable by calls to us.
+ * - `exclusiveResources` are mutex-like; they are implicitly available but only
+ *   one task at a time may hold a given exclusive resource.  A task claims its
+ *   exclusive resources when it is handed to TaskPriorities (all of them at
+ *   once or none of them, so there's no potential for deadlock) and keeps them
+ *   until it completes execution (successfully or not), is removed, or becomes
+ *   blocked on a regular resource.  Tasks that want an exclusive resource
+ *   that's already claimed wait in a per-resource FIFO queue, and when the
+ *   resource is released the waiters are re-considered in order, so the
+ *   longest-waiting task that can claim all its resources gets the resource.
+ *
+ * Exclusive resource ids are just strings that the tasks that want to be
+ * mutually exclusive agree on; ex: "sync:<FolderId>" or "conv:<ConvId>".
+ *
+ * Tasks can also be deferred until a point in time by specifying `deferUntil`.
+ * We hold onto them like blocked tasks and arm a timer that relays them once
+ * they come due.  Since nothing is persisted here, the planned task or marker
+ * must carry the `deferUntil` so that it will be re-deferred after a restart.
  */
 function TaskResources(priorities) {
   logic.defineScope(this, 'TaskResources');
@@ -38,7 +67,57 @@ function TaskResources(priorities) {
    * @type{Map<ResourceId, TimerId>}
    */
   this._resourceTimeouts = new Map();
+
+  /**
+   * @type {Map<ResourceId, TaskId>}
+   *
+   * The task currently claiming each exclusive resource.  Resources that are
+   * not claimed are not present.
+   */
+  this._exclusiveClaims = new Map();
+
+  /**
+   * @type {Map<ResourceId, TaskThing[]>}
+   *
+   * FIFO queues of the tasks waiting on each exclusive resource.  Tasks in
+   * these queues are also present in `_blockedTasksById`.
+   */
+  this._exclusiveWaiters = new Map();
+
+  /**
+   * @type {Map<TaskId, TimerId>}
+   *
+   * The timers for tasks deferred via `deferUntil`.  These tasks are also
+   * present in `_blockedTasksById`.
+   */
+  this._deferredTimeouts = new Map();
+
+  /**
+   * Invoked (if set) when one of our timers results in tasks being
+   * prioritized.  Since this doesn't happen because of a call from
+   * TaskManager, TaskManager provides this so it knows to look for work.
+   */
+  this.onTimerPrioritized = null;
+}
+
+/**
+ * Simple tasks keep their exclusive resources on their plannedTask while task
+ * markers are flat.  (Same deal as with priorityTags in TaskPriorities.)
+ */
+function getExclusiveResources(taskThing) {
+  let isMarker = !!taskThing.type;
+  return (isMarker ? taskThing.exclusiveResources
+                   : taskThing.plannedTask &&
+                     taskThing.plannedTask.exclusiveResources) || null;
 }
+
+function getDeferUntil(taskThing) {
+  let isMarker = !!taskThing.type;
+  return (isMarker ? taskThing.deferUntil
+                   : taskThing.plannedTask &&
+                     taskThing.plannedTask.deferUntil) || null;
+}
+
 TaskResources.prototype = {
   /**
    * Tells us that a resource is available, allowing us to potentially unblock
@@ -88,6 +167,94 @@ TaskResources.prototype = {
     return prioritized;
   },
 
+  /**
+   * Release all of the exclusive resources claimed by the given task and let
+   * the tasks waiting on them try and claim them.  This happens when a task
+   * blocks, is deferred, or completes execution (regardless of whether it
+   * succeeded or failed).
+   *
+   * As with `resourceAvailable`, our caller is responsible for calling
+   * _maybeDoStuff.
+   *
+   * @param {TaskId} taskId
+   * @param {ResourceId[]} [keepResourceIds]
+   *   Claims to leave alone.  See `releaseExecutedTaskExclusiveResources`.
+   * @return {Number}
+   *   The number of tasks prioritized as a result of the release.
+   */
+  releaseExclusiveResources: function(taskId, keepResourceIds) {
+    let released = [];
+    for (let [resourceId, claimantId] of this._exclusiveClaims) {
+      if (claimantId === taskId &&
+          !(keepResourceIds && keepResourceIds.indexOf(resourceId) !== -1)) {
+        released.push(resourceId);
+      }
+    }
+    if (!released.length) {
+      return 0;
+    }
+
+    let prioritized = 0;
+    for (let resourceId of released) {
+      this._exclusiveClaims.delete(resourceId);
+      logic(this, 'exclusiveResourceReleased', { resourceId, taskId });
+
+      let waiters = this._exclusiveWaiters.get(resourceId);
+      if (!waiters) {
+        continue;
+      }
+      this._exclusiveWaiters.delete(resourceId);
+      // Re-consider the waiters in FIFO order.  The first one that can claim
+      // everything it needs will do so and the rest will be re-queued in their
+      // existing order.
+      for (let taskThing of waiters) {
+        this._blockedTasksById.delete(taskThing.id);
+        if (this.ownOrRelayTaskThing(taskThing)) {
+          prioritized++;
+        }
+      }
+    }
+    return prioritized;
+  },
+
+  /**
+   * Release the exclusive resources of a task that just finished executing.
+   * If the task was re-queued under the same id while it was executing (a
+   * complex task re-asserting its marker) and got prioritized, the new
+   * incarnation took over the claims it wants, so it keeps those.
+   */
+  releaseExecutedTaskExclusiveResources: function(taskId) {
+    let requeued = this._priorities.getTaskThing(taskId);
+    return this.releaseExclusiveResources(
+      taskId, requeued && getExclusiveResources(requeued));
+  },
+
+  /**
+   * If the task can claim all of its exclusive resources, claim them and
+   * return null.  Otherwise return the id of the first resource claimed by
+   * some other task (or that some other task is already waiting for, so that
+   * we don't cut in line) without claiming anything.
+   */
+  _tryClaimExclusiveResources: function(taskThing, exclusiveResources) {
+    for (let resourceId of exclusiveResources) {
+      let claimantId = this._exclusiveClaims.get(resourceId);
+      if (claimantId !== undefined && claimantId !== taskThing.id) {
+        return resourceId;
+      }
+      if (claimantId === undefined && this._exclusiveWaiters.has(resourceId)) {
+        return resourceId;
+      }
+    }
+    for (let resourceId of exclusiveResources) {
+      if (this._exclusiveClaims.get(resourceId) !== taskThing.id) {
+        logic(this, 'exclusiveResourceClaimed',
+              { resourceId, taskId: taskThing.id });
+        this._exclusiveClaims.set(resourceId, taskThing.id);
+      }
+    }
+    return null;
+  },
+
   /**
    * Tells us that one or more resources are now gone, which means that we may
    * potentially need to block a ton of tasks.
@@ -160,18 +327,47 @@ TaskResources.prototype = {
    * timeout will automatically be cleared.
    */
   restoreResourceAfterTimeout: function(resourceId, timeoutMillis) {
-    this._clearResourceTimeouts();
+    this._clearResourceTimeouts(resourceId);
     let timeoutId = setTimeout(
-      () => { this.resourceAvailable(resourceId); }, timeoutMillis);
+      () => {
+        if (this.resourceAvailable(resourceId) && this.onTimerPrioritized) {
+          this.onTimerPrioritized();
+        }
+      },
+      timeoutMillis);
     this._resourceTimeouts.set(resourceId, timeoutId);
   },
 
+  /**
+   * Hold onto the task until its `deferUntil` time arrives, then relay it.
+   */
+  _deferTaskThing: function(taskThing, deferUntil) {
+    // (Like blocking on a resource, don't hog exclusive resources.)
+    this._priorities.removeTaskThing(taskThing.id);
+    this.releaseExclusiveResources(taskThing.id);
+
+    logic(this, 'taskDeferred', { taskId: taskThing.id, deferUntil });
+    this._blockedTasksById.set(taskThing.id, taskThing);
+    let timeoutId = setTimeout(
+      () => {
+        this._deferredTimeouts.delete(taskThing.id);
+        this._blockedTasksById.delete(taskThing.id);
+        if (this.ownOrRelayTaskThing(taskThing) && this.onTimerPrioritized) {
+          this.onTimerPrioritized();
+        }
+      },
+      Math.min(deferUntil - NOW(), MAX_TIMEOUT_MS));
+    this._deferredTimeouts.set(taskThing.id, timeoutId);
+  },
+
   /**
    * Given a task id, if it is blocked, return the list of resources it requires
    * that are not currently available, otherwise returns null.  The resources
    * are returned in the order that they are listed on the taskThing, so if the
    * task orders them with some meaning, it can leverage this to easily
-   * determine the most significant missing resource, etc.
+   * determine the most significant missing resource, etc.  Exclusive
+   * resources claimed by other tasks come after the regular resources.  A task
+   * that's deferred until a later time reports 'deferred'.
    */
   whatIsTaskBlockedBy: function(taskId) {
     const taskThing = this._blockedTasksById.get(taskId);
@@ -181,11 +377,20 @@ TaskResources.prototype = {
     // (we are blocked by something if we're here)
 
     const blockedBy = [];
-    for (let resource of taskThing.resources) {
+    if (this._deferredTimeouts.has(taskId)) {
+      blockedBy.push('deferred');
+    }
+    for (let resource of (taskThing.resources || [])) {
       if (!this._availableResources.has(resource)) {
         blockedBy.push(resource);
       }
     }
+    for (let resource of (getExclusiveResources(taskThing) || [])) {
+      if (this._exclusiveClaims.has(resource) ||
+          this._exclusiveWaiters.has(resource)) {
+        blockedBy.push(resource);
+      }
+    }
     return blockedBy;
   },
 
@@ -204,6 +409,12 @@ TaskResources.prototype = {
       this.removeTaskThing(taskThing.id);
     }
 
+    let deferUntil = getDeferUntil(taskThing);
+    if (deferUntil && deferUntil > NOW()) {
+      this._deferTaskThing(taskThing, deferUntil);
+      return false;
+    }
+
     if (taskThing.resources) {
       for (let resourceId of taskThing.resources) {
         if (!this._availableResources.has(resourceId)) {
@@ -217,6 +428,8 @@ TaskResources.prototype = {
 
           logic(this, 'taskBlockedOnResource',
                 { taskId: taskThing.id, resourceId });
+          // Don't hog exclusive resources while we can't run.
+          this.releaseExclusiveResources(taskThing.id);
           this._blockedTasksById.set(taskThing.id, taskThing);
           if (this._blockedTasksByResource.has(resourceId)) {
             this._blockedTasksByResource.get(resourceId).push(taskThing);
@@ -228,18 +441,53 @@ TaskResources.prototype = {
       }
     }
 
+    let exclusiveResources = getExclusiveResources(taskThing);
+    if (exclusiveResources) {
+      let resourceId =
+        this._tryClaimExclusiveResources(taskThing, exclusiveResources);
+      if (resourceId) {
+        this._priorities.removeTaskThing(taskThing.id);
+        // (A previous incarnation of a task marker may have had claims.)
+        this.releaseExclusiveResources(taskThing.id);
+
+        logic(this, 'taskBlockedOnExclusiveResource',
+              { taskId: taskThing.id, resourceId });
+        this._blockedTasksById.set(taskThing.id, taskThing);
+        if (this._exclusiveWaiters.has(resourceId)) {
+          this._exclusiveWaiters.get(resourceId).push(taskThing);
+        } else {
+          this._exclusiveWaiters.set(resourceId, [taskThing]);
+        }
+        return false;
+      }
+    }
+
     this._priorities.prioritizeTaskThing(taskThing);
     return true;
   },
 
+  /**
+   * Forget about the given task, releasing any exclusive resources it had
+   * claimed.
+   *
+   * @return {Number}
+   *   The number of tasks prioritized as a result of exclusive resources being
+   *   released.
+   */
   removeTaskThing: function(taskId) {
     if (!this._blockedTasksById.has(taskId)) {
       this._priorities.removeTaskThing(taskId);
-      return;
+      return this.releaseExclusiveResources(taskId);
     }
 
     let taskThing = this._blockedTasksById.get(taskId);
     this._blockedTasksById.delete(taskId);
+    if (this._deferredTimeouts.has(taskId)) {
+      clearTimeout(this._deferredTimeouts.get(taskId));
+      this._deferredTimeouts.delete(taskId);
+      return 0;
+    }
+    let removed = false;
     for (let [resourceId, blockedThings] of this._blockedTasksByResource) {
       let idx = blockedThings.indexOf(taskThing);
       if (idx === -1) {
@@ -251,11 +499,56 @@ TaskResources.prototype = {
         this._blockedTasksByResource.delete(resourceId);
       }
 
+      removed = true;
       break;
     }
-  },
+    if (!removed) {
+      for (let [resourceId, waiters] of this._exclusiveWaiters) {
+        let idx = waiters.indexOf(taskThing);
+        if (idx === -1) {
+          continue;
+        }
 
+        waiters.splice(idx, 1);
+        if (waiters.length === 0) {
+          this._exclusiveWaiters.delete(resourceId);
+        }
+
+        break;
+      }
+    }
+    // (Blocked tasks don't hold claims, so there's nothing to release.)
+    return 0;
+  },
 
+  /**
+   * Remove all blocked and prioritized TaskThings for which `shouldRemove`
+   * returns true, releasing any exclusive resources they had claimed.  Used to
+   * reap the tasks of a deleted account.
+   *
+   * Tasks waiting on the released exclusive resources may be prioritized as a
+   * result; our caller is responsible for calling _maybeDoStuff.
+   *
+   * @return {TaskThing[]}
+   *   The removed TaskThings.
+   */
+  removeTasksUsingFilter: function(shouldRemove) {
+    const removed = [];
+    // Blocked tasks go first so that releasing the claims of the prioritized
+    // tasks below can't hand the resources to tasks we're about to remove.
+    for (let taskThing of Array.from(this._blockedTasksById.values())) {
+      if (shouldRemove(taskThing)) {
+        this.removeTaskThing(taskThing.id);
+        removed.push(taskThing);
+      }
+    }
+    const unprioritized = this._priorities.removeTasksUsingFilter(shouldRemove);
+    for (let taskThing of unprioritized) {
+      this.releaseExclusiveResources(taskThing.id);
+      removed.push(taskThing);
+    }
+    return removed;
+  }
 };
 return TaskResources;
 });
@@ -4,11 +4,112 @@ define(function(require) {
 const { convIdFromMessageId, messageIdComponentFromUmid } =
   require('../id_conversions');
 
+/**
+ * How far apart in time two messages with the same normalized subject can be
+ * and still be threaded together by subject.  Subjects like "Lunch?" recur, so
+ * we don't want to glue this week's lunch to last year's.
+ */
+const SUBJECT_THREADING_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Matches a single reply/forward prefix, plus any mailing list tags in front of
+ * it.  In addition to "Re" and "Fwd" we cover the prefixes used by localized
+ * clients that are common enough to matter (ex: German "AW"/"WG", Scandinavian
+ * "SV"/"VS", Dutch "Antw", Italian "RIF", Spanish/Portuguese "RV"/"ENC",
+ * Polish "ODP"/"PD", Turkish "YNT"/"ILT", Greek, Russian, Chinese, Japanese and
+ * Korean).  Some clients count replies like "Re[2]:" or "Re(2):" and CJK
+ * clients may use a fullwidth colon.
+ */
+const REPLY_PREFIX_RE = new RegExp(
+  '^\\s*(?:\\[[^\\]]*\\]\\s*)*' +
+  '(?:re|fwd?|aw|wg|sv|vs|antw|doorst|rif|tr|enc|res|rv|odp|pd|ynt|ilt|' +
+  'vl|vb|atb|απ|σχετ|πρθ|ответ|отв|пересл|回复|回覆|答复|转发|轉寄|返信|転送|' +
+  '회신|전달)' +
+  '\\s*(?:\\[\\d+\\]|\\(\\d+\\))?\\s*[:\uff1a]\\s*',
+  'i');
+
+/**
+ * Normalize a subject for subject-based threading by stripping reply/forward
+ * prefixes and mailing list tags, collapsing whitespace and case-folding.
+ *
+ * @return {{ normalized: String, isReply: Boolean }}
+ *   `isReply` is true if we stripped at least one reply/forward prefix.  The
+ *   `normalized` subject may be the empty string.
+ */
+function normalizeSubjectForThreading(subject) {
+  let normalized = subject || '';
+  let isReply = false;
+  let match;
+  while ((match = REPLY_PREFIX_RE.exec(normalized))) {
+    normalized = normalized.substring(match[0].length);
+    isReply = true;
+  }
+  normalized = normalized.replace(/^(?:\s*\[[^\]]*\])+/, '')
+    .replace(/\s+/g, ' ').trim().toLowerCase();
+  return { normalized, isReply };
+}
+
+/**
+ * The headerIdMaps key for a normalized subject.  Message-id keys are
+ * [AccountId, HeaderId] so a 3-element key can't collide with them and is
+ * still cleaned up with the rest of the account's entries.  The values are
+ * `{ convId, date }` where `date` is that of the newest message we've threaded
+ * into the conversation by subject or otherwise.
+ */
+function makeSubjectKey(accountId, normalizedSubject) {
+  return [accountId, 'subject', normalizedSubject];
+}
+
+/**
+ * Decide whether a message should join a conversation based on the subject
+ * entry for its normalized subject.  Only replies/forwards are threaded this
+ * way; a fresh message reusing an old subject starts its own conversation.
+ *
+ * @return {ConversationId|null}
+ */
+function pickSubjectConversation(subjectEntry, subjectInfo, date) {
+  if (!subjectEntry || !subjectInfo.isReply) {
+    return null;
+  }
+  if (Math.abs(date - subjectEntry.date) > SUBJECT_THREADING_WINDOW_MS) {
+    return null;
+  }
+  return subjectEntry.convId;
+}
+
+/**
+ * Compute the new subject entry after a message with the given date lands in
+ * `convId`, or null if the existing entry should be left alone because it
+ * names a different, more recently active conversation.
+ */
+function updatedSubjectEntry(subjectEntry, convId, date) {
+  if (!subjectEntry) {
+    return { convId, date };
+  }
+  if (subjectEntry.convId === convId) {
+    return { convId, date: Math.max(subjectEntry.date, date) };
+  }
+  if (date >= subjectEntry.date) {
+    return { convId, date };
+  }
+  return null;
+}
+
 /**
  * Task helper to assist in establishing the conversation relationship for
  * a message given a BrowserBox-style raw message rep.
+ *
+ * Conversations are found via the message-id, references and in-reply-to
+ * headers (the latter two are folded into `references` by MimeHeaderInfo).  If
+ * none of those identify a conversation and `threadBySubject` is set, a reply
+ * whose normalized subject matches a recent conversation joins it.
+ *
+ * @param {Object} [opts]
+ * @param {Boolean} [opts.threadBySubject=false]
+ *   The account's `threadBySubject` preference.
  */
-function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
+function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid,
+                                        { threadBySubject } = {}) {
   // -- Perform message-id header lookups
   let msgIdHeader = msgOrHeaders.guid;
   let references = msgOrHeaders.references;
@@ -19,15 +120,31 @@ function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
   }
   headerIdLookupRequests.set([accountId, msgIdHeader], null);
 
+  let subjectInfo = null;
+  let subjectKey = null;
+  if (threadBySubject) {
+    subjectInfo = normalizeSubjectForThreading(msgOrHeaders.subject);
+    if (subjectInfo.normalized) {
+      subjectKey = makeSubjectKey(accountId, subjectInfo.normalized);
+      headerIdLookupRequests.set(subjectKey, null);
+    }
+  }
+
   let fromDb = yield ctx.read({
     headerIdMaps: headerIdLookupRequests
   });
 
+  // Pull the subject entry out so the loop below only sees message-id entries.
+  let subjectEntry = null;
+  if (subjectKey) {
+    subjectEntry = fromDb.headerIdMaps.get(subjectKey);
+    fromDb.headerIdMaps.delete(subjectKey);
+  }
+
   // -- Check our results
   // Iterate over the results:
   // * keeping track of the conversation ids we find.  Ideally we find zero or
   //   one.  If we find multiple, we need to queue up a merge job.
-  // TODO: implement the merge logic, etc.
   // * keeping track of the missing entries in the map.  We will issue writes to
   //   to these as part of this job,
   let conversationIds = new Set();
@@ -35,7 +152,7 @@ function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
   let existingMessageEntry = null;
   for (let [[, headerId], result] of fromDb.headerIdMaps) {
     if (headerId === msgIdHeader) {
-      existingMessageEntry = headerId;
+      existingMessageEntry = result;
     }
     if (!result) {
       if (headerId !== msgIdHeader) {
@@ -53,8 +170,18 @@ function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
     }
   }
 
+  // -- Fall back to the subject if the headers didn't get us anywhere.
+  if (conversationIds.size === 0 && subjectKey) {
+    let subjectConvId =
+      pickSubjectConversation(subjectEntry, subjectInfo, msgOrHeaders.date);
+    if (subjectConvId) {
+      conversationIds.add(subjectConvId);
+    }
+  }
+
   let convId;
   let existingConv;
+  let extraTasks = null;
 
   // If there isn't a conversation already, derive an id from our umid.
   if (conversationIds.size === 0) {
@@ -66,11 +193,18 @@ function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
     convId = Array.from(conversationIds)[0];
     existingConv = true;
   }
-  // Otherwise we just arbitarily pick one and schedule a merge.
+  // Otherwise we just arbitarily pick one and schedule a merge of the others
+  // into it.
   else {
-    convId = Array.from(conversationIds)[0];
+    let convIds = Array.from(conversationIds);
+    convId = convIds[0];
     existingConv = true;
-    // TODO: we want to merge it, merge it.  implement that.
+    extraTasks = [{
+      type: 'merge_conversations',
+      accountId,
+      targetConvId: convId,
+      sourceConvIds: convIds.slice(1)
+    }];
   }
 
   // -- Generate our headerIdMaps writes
@@ -88,15 +222,102 @@ function* resolveConversationTaskHelper(ctx, msgOrHeaders, accountId, umid) {
   } else {
     headerIdWrites.set([accountId, msgIdHeader], [messageId]);
   }
+  if (subjectKey) {
+    let newSubjectEntry =
+      updatedSubjectEntry(subjectEntry, convId, msgOrHeaders.date);
+    if (newSubjectEntry) {
+      headerIdWrites.set(subjectKey, newSubjectEntry);
+    }
+  }
 
   return {
     convId, existingConv, messageId, headerIdWrites,
-    // when merging happens, this may end up being a list with that task in it:
-    extraTasks: null
+    // If we found multiple conversations, this is the merge task.
+    extraTasks
   };
 }
 
+/**
+ * Subject threading for accounts where every new message starts out in its
+ * own conversation because we have no message-id headers to go on (currently
+ * ActiveSync).  Replies that match a recent conversation by normalized subject
+ * get their conversation merged into it via `merge_conversations` tasks.
+ * Messages are considered oldest first so that a thread that arrives in a
+ * single batch still ends up together.
+ *
+ * @param {MessageInfo[]} messages
+ *   Newly added messages, each of which should be the only message in its
+ *   conversation.
+ * @return {{ headerIdWrites: Map, mergeTasks: RawTask[] }}
+ */
+function* threadBySubjectTaskHelper(ctx, accountId, messages) {
+  let subjectInfos = new Map();
+  let subjectReads = new Map();
+  let keysBySubject = new Map();
+  for (let message of messages) {
+    let subjectInfo = normalizeSubjectForThreading(message.subject);
+    if (!subjectInfo.normalized) {
+      continue;
+    }
+    subjectInfos.set(message, subjectInfo);
+    if (!keysBySubject.has(subjectInfo.normalized)) {
+      let key = makeSubjectKey(accountId, subjectInfo.normalized);
+      keysBySubject.set(subjectInfo.normalized, key);
+      subjectReads.set(key, null);
+    }
+  }
+
+  let headerIdWrites = new Map();
+  let mergeTasks = [];
+  if (!subjectReads.size) {
+    return { headerIdWrites, mergeTasks };
+  }
+
+  let fromDb = yield ctx.read({ headerIdMaps: subjectReads });
+  let entries = new Map();
+  for (let [normalized, key] of keysBySubject) {
+    entries.set(normalized, fromDb.headerIdMaps.get(key) || null);
+  }
+
+  // Map from target ConversationId to the ConversationIds to merge into it.
+  let mergesByTarget = new Map();
+  let sortedMessages = Array.from(subjectInfos.keys());
+  sortedMessages.sort((a, b) => a.date - b.date);
+  for (let message of sortedMessages) {
+    let subjectInfo = subjectInfos.get(message);
+    let entry = entries.get(subjectInfo.normalized);
+    let ownConvId = convIdFromMessageId(message.id);
+    let convId =
+      pickSubjectConversation(entry, subjectInfo, message.date) || ownConvId;
+    if (convId !== ownConvId) {
+      if (!mergesByTarget.has(convId)) {
+        mergesByTarget.set(convId, []);
+      }
+      mergesByTarget.get(convId).push(ownConvId);
+    }
+    let newEntry = updatedSubjectEntry(entry, convId, message.date);
+    if (newEntry) {
+      entries.set(subjectInfo.normalized, newEntry);
+      headerIdWrites.set(keysBySubject.get(subjectInfo.normalized), newEntry);
+    }
+  }
+
+  for (let [targetConvId, sourceConvIds] of mergesByTarget) {
+    mergeTasks.push({
+      type: 'merge_conversations',
+      accountId,
+      targetConvId,
+      sourceConvIds
+    });
+  }
+
+  return { headerIdWrites, mergeTasks };
+}
+
 return {
-  resolveConversationTaskHelper
+  normalizeSubjectForThreading,
+  makeSubjectKey,
+  resolveConversationTaskHelper,
+  threadBySubjectTaskHelper
 };
 });
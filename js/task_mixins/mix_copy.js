@@ -0,0 +1,190 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { shallowClone } = require('../util');
+
+const { selectMessages } = require('../message_selector');
+const { messageIdComponentFromUmid } = require('../id_conversions');
+
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+/**
+ * @typedef {Object} CopyRequest
+ *
+ * @property {AccountId} accountId
+ * @property {ConversationId} convId
+ * @property {Array<MessageId>} [onlyMessages]
+ * @property {"last"|null} [messageSelector]
+ * @property {FolderId} targetFolderId
+ */
+
+/**
+ * @typedef {Object} CopyState
+ * @prop {Map<UniqueMessageId, PendingCopy>} umidCopies
+ *   Keyed by the umid of the (locally created) copy.
+ */
+/**
+ * @typedef {Object} PendingCopy
+ * @prop {UniqueMessageId} sourceUmid
+ * @prop {FolderId} targetFolderId
+ * @prop {String} guid
+ *   The message-id header so servers that don't tell us the name of the copy
+ *   can still have it found.
+ */
+
+/**
+ * Copy complex task for engines where a message lives in exactly one folder at
+ * a time.  (Gmail copies are just label additions and it has its own
+ * implementation.)
+ *
+ * Planning creates the copies locally right away, allocating their umids and
+ * MessageIds from our task id in the same way draft_create does.  The copies
+ * live in the same conversation as their source messages.  The execute stage
+ * then performs the copy on the server and tells the target folder's sync
+ * state about the copy's server name so that sync does not think it's a new
+ * message.  If we can't establish the server name of the copy, we remove our
+ * local copy and let sync find the server copy anew.
+ *
+ * Undo is a `move` task with `permanentlyDelete` set that deletes the copies.
+ * If the undo is planned before we execute, the copy's umidName will be gone
+ * and our execute stage knows to do nothing.
+ *
+ * Consumers need to provide `execute` (or explicitly null it for local-only
+ * engines like POP3).
+ */
+let MixCopyMixin = {
+  /**
+   * @return {CopyState}
+   */
+  initPersistentState: function() {
+    return {
+      umidCopies: new Map()
+    };
+  },
+
+  deriveMemoryStateFromPersistentState: function(persistentState, accountId) {
+    let markers = [];
+
+    for (let umid of persistentState.umidCopies.keys()) {
+      markers.push(this._makeMarker(accountId, umid));
+    }
+
+    return {
+      memoryState: {},
+      markers
+    };
+  },
+
+  _makeMarker: function(accountId, umid) {
+    return {
+      type: this.name,
+      id: this.name + ':' + umid,
+      accountId,
+      umid,
+      priorityTags: [],
+      exclusiveResources: []
+    };
+  },
+
+  plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+    let { umidCopies } = persistentState;
+    let { targetFolderId } = req;
+
+    let foldersTOC =
+      yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+    if (!foldersTOC.foldersById.has(targetFolderId)) {
+      logic(ctx, 'badTargetFolder', { targetFolderId });
+      yield ctx.finishTask({});
+      return;
+    }
+
+    let fromDb = yield ctx.beginMutate({
+      conversations: new Map([[req.convId, null]]),
+      messagesByConversation: new Map([[req.convId, null]])
+    });
+
+    let loadedMessages = fromDb.messagesByConversation.get(req.convId);
+    let newMessages = [];
+    let umidNameWrites = new Map();
+    let modifyTaskMarkers = new Map();
+    let copyMessageIds = [];
+
+    let filteredMessages = selectMessages(
+      loadedMessages, req.onlyMessages, req.messageSelector);
+
+    let copyCount = 0;
+    for (let message of filteredMessages) {
+      // Copying a message to the folder it's already in would just produce a
+      // confusing duplicate.
+      if (message.folderIds.has(targetFolderId)) {
+        continue;
+      }
+      // There's nothing on the server for execute to copy.
+      if (message.readOnly) {
+        logic(ctx, 'readOnlyMessage', { messageId: message.id });
+        continue;
+      }
+
+      // "~" is not part of our a64 encoding, so this can't collide with
+      // sync-allocated umids.
+      let umid = targetFolderId + '.~' + ctx.id + '_' + (copyCount++);
+      let messageId = req.convId + '.' + messageIdComponentFromUmid(umid);
+
+      let copy = shallowClone(message);
+      copy.id = messageId;
+      copy.umid = umid;
+      copy.folderIds = new Set([targetFolderId]);
+
+      newMessages.push(copy);
+      umidNameWrites.set(umid, messageId);
+      copyMessageIds.push(messageId);
+
+      if (this.execute) {
+        umidCopies.set(umid, {
+          sourceUmid: message.umid,
+          targetFolderId,
+          guid: message.guid
+        });
+        let marker = this._makeMarker(req.accountId, umid);
+        modifyTaskMarkers.set(marker.id, marker);
+      }
+    }
+
+    if (!newMessages.length) {
+      yield ctx.finishTask({});
+      return;
+    }
+
+    let oldConvInfo = fromDb.conversations.get(req.convId);
+    let convInfo = churnConversation(
+      req.convId, oldConvInfo, loadedMessages.concat(newMessages));
+
+    yield ctx.finishTask({
+      mutations: {
+        conversations: new Map([[req.convId, convInfo]]),
+        umidNames: umidNameWrites
+      },
+      newData: {
+        messages: newMessages
+      },
+      taskMarkers: modifyTaskMarkers,
+      complexTaskState: persistentState,
+      undoTasks: [{
+        type: 'move',
+        accountId: req.accountId,
+        convId: req.convId,
+        onlyMessages: copyMessageIds,
+        messageSelector: null,
+        permanentlyDelete: true
+      }]
+    });
+  }),
+
+  execute: null
+};
+
+return MixCopyMixin;
+});
@@ -54,9 +54,9 @@ const uniqueifyingSaveHelper = co.wrap(
 
 /**
  * The heart of the attachment/related-part download task, with each engine
- * providing their own download protocol stuff.  Note that POP3 does not do
- * downloading as such since it only does snippet-fetch or
- * entire-message-download (because POP3 is dumb).
+ * providing their own download protocol stuff.  Note that POP3 can't fetch
+ * individual parts (because POP3 is dumb), so it re-downloads the entire
+ * message and only keeps the parts we asked for.
  *
  * # Design #
  *
@@ -126,10 +126,20 @@ const uniqueifyingSaveHelper = co.wrap(
  *   backpressure to be conveyed.
  * - IMAP: We issue chunked requests that are pulled by the stream as needed
  *   in order to approximate flow control.
+ * - POP3: We stream the RETR response through the MIME parser.
  *
  * We use explicitly spawned sub-tasks to deal with the write-locking of our
  * complex task record.
  *
+ * ## Cache Reservations ##
+ *
+ * When planning parts that target the 'cache', we schedule a 'reserve'
+ * cache_control task with their estimated sizes so that it can make room for
+ * them before they arrive.  cache_control notices the downloaded Blobs by
+ * trigger, so we don't need to tell it when we're done.  If the download fails,
+ * we give up on the parts we didn't get and schedule another 'reserve' that
+ * revises their reservations down to zero.
+ *
  * ## Overlays / Progress Tracking ##
  *
  * We provide our overlay as a Map from attachment relId to a dictionary of
@@ -244,6 +254,8 @@ return {
       };
     }
     let newlyRequestedCount = 0;
+    // The sizes of parts headed to the cache, for cache_control to reserve.
+    let cacheReservations = new Map();
 
     const messageInfo =
       yield ctx.readSingle('messages', [messageId, messageDate], messageId);
@@ -265,6 +277,9 @@ return {
             target,
             blobs: null
           });
+        if (target === 'cache') {
+          cacheReservations.set(relId, part.sizeEstimate);
+        }
       }
     }
 
@@ -276,10 +291,23 @@ return {
       // lock so we are allowed to set it.)
       persistentState.set(messageId, messageReq);
       const marker = this._makeMarkerForMessage(ctx.accountId, messageId);
+      let newTasks = [];
+      if (cacheReservations.size) {
+        newTasks.push({
+          type: 'cache_control',
+          accountId: ctx.accountId,
+          op: 'reserve',
+          messageId,
+          parts: cacheReservations
+        });
+      }
       yield ctx.finishTask({
         mutations: {
           complexTaskStates: new Map([[messageTaskKey, messageReq]]),
         },
+        newData: {
+          tasks: newTasks
+        },
         taskMarkers: new Map([[marker.id, marker]])
       });
     }
@@ -343,141 +371,152 @@ return {
       }
     }
 
-    // --- Issue the batch request
-    const chunkedPartStream =
-      yield this.downloadParts(ctx, account, messageInfo, parts);
-    const chunkedPartReader = chunkedPartStream.getReader();
-
-    messageInfo = null;
-    parts = null;
-
-    // -- Consume the stream of part chunks.
     const messageTaskKey = [ctx.accountId, this.name, messageId];
-    for(;;) {
-      let { value, done: streamDone } = yield chunkedPartReader.read();
-      if (streamDone) {
-        break;
-      }
+    // We don't resume downloads, so if this one fails we give up on the parts
+    // we didn't get; the user can ask for them again.
+    let downloadFailed = false;
+    try {
+      // --- Issue the batch request
+      const chunkedPartStream =
+        yield this.downloadParts(ctx, account, messageInfo, parts);
+      const chunkedPartReader = chunkedPartStream.getReader();
+
+      messageInfo = null;
+      parts = null;
+
+      // -- Consume the stream of part chunks.
+      for(;;) {
+        let { value, done: streamDone } = yield chunkedPartReader.read();
+        if (streamDone) {
+          break;
+        }
 
-      let { relId, blobCount, blob, done } = value;
-      if (!done) {
-        // - Not done, do the append dance.
-        yield ctx.spawnSimpleMutationSubtask(
-          { namespace: 'complexTaskStates', id: messageTaskKey },
-          (messageReq) => {
-            // If this is the first blob for the download, clobber-initialize so
-            // that we clear out any partially completed downloads.  (We're not
-            // clever enough yet to resume.)
-            const partReq = messageReq.partDownloads.get(relId);
-            if (blobCount === 0) {
-              partReq.blobs = [];
-            }
-            partReq.blobs.push(blob);
-            // Write-back our mutated object, and also update our
-            // persistentState to reflect this.  This is okay because we have
-            // the write-lock inside this function.
-            persistentState.set(messageId, messageReq);
-            return messageReq;
-          }
-        );
-      } else {
-        // - Yes, done.  Consolidate into super-blob if needed.
-        // We only need to consolidate if there was more than one blob.
-        if (blobCount > 1) {
+        let { relId, blobCount, blob, done } = value;
+        if (!done) {
+          // - Not done, do the append dance.
           yield ctx.spawnSimpleMutationSubtask(
             { namespace: 'complexTaskStates', id: messageTaskKey },
             (messageReq) => {
+              // If this is the first blob for the download, clobber-initialize
+              // so that we clear out any partially completed downloads.  (We're
+              // not clever enough yet to resume.)
               const partReq = messageReq.partDownloads.get(relId);
-              // NB: We consolidate into a single element array for consistency
-              // with the single-element case.
-              const multiBlobs = partReq.blobs;
-              const singleBlob =
-                new Blob(multiBlobs, { type: multiBlobs[0].type });
-              partReq.blobs = [singleBlob];
+              if (blobCount === 0) {
+                partReq.blobs = [];
+              }
+              partReq.blobs.push(blob);
+              // Write-back our mutated object, and also update our
+              // persistentState to reflect this.  This is okay because we have
+              // the write-lock inside this function.
               persistentState.set(messageId, messageReq);
               return messageReq;
             }
           );
-        }
+        } else {
+          // - Yes, done.  Consolidate into super-blob if needed.
+          // We only need to consolidate if there was more than one blob.
+          if (blobCount > 1) {
+            yield ctx.spawnSimpleMutationSubtask(
+              { namespace: 'complexTaskStates', id: messageTaskKey },
+              (messageReq) => {
+                const partReq = messageReq.partDownloads.get(relId);
+                // NB: We consolidate into a single element array for
+                // consistency with the single-element case.
+                const multiBlobs = partReq.blobs;
+                const singleBlob =
+                  new Blob(multiBlobs, { type: multiBlobs[0].type });
+                partReq.blobs = [singleBlob];
+                persistentState.set(messageId, messageReq);
+                return messageReq;
+              }
+            );
+          }
 
-        // - Move the single Blob into the MessageInfo and update our messageReq
-        // This needs to be a full-blown subtask since we need to acquire two
-        // things: the MessageInfo and our fully-laundered messageReq.
-        yield ctx.spawnSubtask(co.wrap(function*(subctx) {
-          const fromDb = yield subctx.beginMutate({
-            messages: new Map([[[messageId, messageDate], null]]),
-            complexTaskStates: new Map([[messageTaskKey, null]])
-          });
-          const messageReq = fromDb.complexTaskStates.get(messageTaskKey);
-          const partReq = messageReq.partDownloads.get(relId);
-          const singleBlob = partReq.blobs[0];
-
-          const mutateMessageInfo = fromDb.messages.get(messageId);
-
-          // Update the part's state to be a cached download.
-          const part = pickPartFromMessageByRelId(mutateMessageInfo, relId);
-          if (partReq.target === 'cache') {
-            part.downloadState = 'cached';
-            part.file = singleBlob;
-          } else { // must be 'save'
-            // NB: We could have avoided the single blob consolidation above
-            // (if it occurred in this target case), but massively erring on the
-            // side of simpler control flow for now.
-            // Use our save helper to avoid name collisions.
-            let [saveSuccess, saveError, savedFilename, registered] =
-              yield uniqueifyingSaveHelper(ctx, singleBlob, part.name);
-            if (saveSuccess) {
-              part.downloadState = 'saved';
-              part.file = [DEVICE_STORAGE_NAME, savedFilename];
-              console.log(
-                'saved attachment to', savedFilename, 'type:', singleBlob.type,
-                'registered:', registered);
-              logic(
-                ctx, 'savedAttachment',
-                {
-                  savedFilename,
-                  type: singleBlob.type,
-                  size: singleBlob.size
-                });
-            } else {
-              // A save failure sucks, but there's not much we can do at this
-              // time other than complete the request without saving.  The only
-              // user actionable possibility is a "disk full" scenario, and
-              // that's something that's already up to the system to handle.
-              // TODO: Explicit UX consideration of "disk full" from an email
-              // perspective.
-              console.warn(
-                'failed to save attachment to', part.name, 'type:',
-                singleBlob.type);
-              logic(
-                ctx,
-                'saveFailure',
-                {
-                  type: singleBlob.type,
-                  size: singleBlob.size,
-                  saveError,
-                  filename: savedFilename
-                });
+          // - Move the single Blob into the MessageInfo and update our
+          // messageReq.  This needs to be a full-blown subtask since we need to
+          // acquire two things: the MessageInfo and our fully-laundered
+          // messageReq.
+          yield ctx.spawnSubtask(co.wrap(function*(subctx) {
+            const fromDb = yield subctx.beginMutate({
+              messages: new Map([[[messageId, messageDate], null]]),
+              complexTaskStates: new Map([[messageTaskKey, null]])
+            });
+            const messageReq = fromDb.complexTaskStates.get(messageTaskKey);
+            const partReq = messageReq.partDownloads.get(relId);
+            const singleBlob = partReq.blobs[0];
+
+            const mutateMessageInfo = fromDb.messages.get(messageId);
+
+            // Update the part's state to be a cached download.
+            const part = pickPartFromMessageByRelId(mutateMessageInfo, relId);
+            if (partReq.target === 'cache') {
+              part.downloadState = 'cached';
+              part.file = singleBlob;
+            } else { // must be 'save'
+              // NB: We could have avoided the single blob consolidation above
+              // (if it occurred in this target case), but massively erring on
+              // the side of simpler control flow for now.
+              // Use our save helper to avoid name collisions.
+              let [saveSuccess, saveError, savedFilename, registered] =
+                yield uniqueifyingSaveHelper(ctx, singleBlob, part.name);
+              if (saveSuccess) {
+                part.downloadState = 'saved';
+                part.file = [DEVICE_STORAGE_NAME, savedFilename];
+                console.log(
+                  'saved attachment to', savedFilename, 'type:',
+                  singleBlob.type, 'registered:', registered);
+                logic(
+                  ctx, 'savedAttachment',
+                  {
+                    savedFilename,
+                    type: singleBlob.type,
+                    size: singleBlob.size
+                  });
+              } else {
+                // A save failure sucks, but there's not much we can do at this
+                // time other than complete the request without saving.  The
+                // only user actionable possibility is a "disk full" scenario,
+                // and that's something that's already up to the system to
+                // handle.
+                // TODO: Explicit UX consideration of "disk full" from an email
+                // perspective.
+                console.warn(
+                  'failed to save attachment to', part.name, 'type:',
+                  singleBlob.type);
+                logic(
+                  ctx,
+                  'saveFailure',
+                  {
+                    type: singleBlob.type,
+                    size: singleBlob.size,
+                    saveError,
+                    filename: savedFilename
+                  });
+              }
             }
-          }
 
-          // Update our request to have finished downloading the given relId.
-          messageReq.partDownloads.delete(relId);
-          persistentState.set(messageId, messageReq);
+            // Update our request to have finished downloading the given relId.
+            messageReq.partDownloads.delete(relId);
+            persistentState.set(messageId, messageReq);
 
-          // Write them out and be done.  Note that we do not update/re-churn
-          // the conversation until the very end of the execute().
-          yield subctx.finishTask({
-            mutations: {
-              complexTaskStates: new Map([[messageTaskKey, messageReq]]),
-              messages: new Map([[messageId, mutateMessageInfo]])
-            }
-          });
-        }));
+            // Write them out and be done.  Note that we do not update/re-churn
+            // the conversation until the very end of the execute().
+            yield subctx.finishTask({
+              mutations: {
+                complexTaskStates: new Map([[messageTaskKey, messageReq]]),
+                messages: new Map([[messageId, mutateMessageInfo]])
+              }
+            });
+          }));
+        }
       }
+    } catch (ex) {
+      logic(ctx, 'downloadFailed',
+            { messageId, error: (ex && ex.message) || ex });
+      downloadFailed = true;
     }
 
-    // -- All downloads completed!
+    // -- All downloads completed (or failed)!
     const convId = convIdFromMessageId(messageId);
     const fromDb = yield ctx.beginMutate({
       conversations: new Map([[convId, null]]),
@@ -495,6 +534,33 @@ return {
     const messageReq = fromDb.complexTaskStates.get(messageTaskKey);
     let modifyComplexTaskStates;
     let modifyTaskMarkers;
+    let newTasks = [];
+    if (downloadFailed) {
+      // Forget the parts we were downloading (but not any that a plan() added
+      // since we started) and release their cache reservations, since
+      // cache_control would otherwise keep them reserved forever.
+      let releasedReservations = new Map();
+      for (let [relId, { target }] of messageReq.partDownloads) {
+        if (!activeRelIds.has(relId)) {
+          continue;
+        }
+        if (target === 'cache') {
+          releasedReservations.set(relId, 0);
+        }
+        messageReq.partDownloads.delete(relId);
+      }
+      persistentState.set(messageId, messageReq);
+      modifyComplexTaskStates = new Map([[messageTaskKey, messageReq]]);
+      if (releasedReservations.size) {
+        newTasks.push({
+          type: 'cache_control',
+          accountId: ctx.accountId,
+          op: 'reserve',
+          messageId,
+          parts: releasedReservations
+        });
+      }
+    }
     if (messageReq.partDownloads.size) {
       // We still have more to do because another plan() must have happened.
       // Reschedule our existing marker.
@@ -512,6 +578,9 @@ return {
         conversations: new Map([[convId, convInfo]]),
         complexTaskStates: modifyComplexTaskStates
       },
+      newData: {
+        tasks: newTasks
+      },
       taskMarkers: modifyTaskMarkers
     });
   })
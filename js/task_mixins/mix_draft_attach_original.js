@@ -0,0 +1,120 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+const { Composer } = require('../drafts/composer');
+
+const { makeAttachmentPart } = require('../db/mail_rep');
+
+const { convIdFromMessageId } = require('../id_conversions');
+
+/**
+ * The relId we use for the forwarded message attachment.  The front-end's
+ * attachment ids are a64-encoded counters that avoid existing relIds, so this
+ * won't collide with anything attached before or after us.
+ */
+const FORWARDED_MESSAGE_REL_ID = 'fwd';
+
+/**
+ * Attach the raw MIME of a message to a draft as a message/rfc822 part.  This
+ * is how forwarding a message as an attachment works; `draft_create` creates
+ * the draft and schedules us.
+ *
+ * We do the work in execute rather than plan (unlike the other draft tasks)
+ * because we usually need to talk to the server.  If the source message is
+ * itself one of our drafts (ex: something in the outbox or sent folder that
+ * we haven't heard back from the server about), there is no server copy, so we
+ * reuse the `Composer` to build its MIME locally just like we would to send
+ * it.
+ *
+ * The attachment is stored raw with an 8bit `encoding`, which tells the
+ * Composer not to treat it as pre-base64-encoded.  If we can't get the
+ * original message, we set `attachOriginalError` on the draft's DraftInfo so
+ * the user knows the attachment isn't coming.
+ *
+ * Users of this mix-in MUST provide implementations for:
+ * - fetchRawMessage(ctx, account, messageInfo): Return a Promise that resolves
+ *   to a Blob containing the complete MIME message as stored on the server, or
+ *   null if the server can't provide it.
+ */
+return {
+  name: 'draft_attach_original',
+
+  execute: co.wrap(function*(ctx, req) {
+    let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+
+    // -- Get the raw message
+    let sourceMessage = yield ctx.readSingle(
+      'messages', [req.refMessageId, req.refMessageDate], req.refMessageId);
+    let rawBlob = null;
+    let attachError = null;
+    if (!sourceMessage) {
+      logic(ctx, 'sourceMessageGone', { refMessageId: req.refMessageId });
+      attachError = 'source-gone';
+    } else if (sourceMessage.draftInfo) {
+      let composer = new Composer(sourceMessage, account);
+      yield composer.buildMessage({ includeBcc: false });
+      rawBlob = composer.superBlob;
+    } else {
+      try {
+        rawBlob = yield this.fetchRawMessage(ctx, account, sourceMessage);
+      } catch (ex) {
+        // Network trouble and the like.  The draft still needs to know.
+        logic(ctx, 'fetchRawMessageError',
+              { refMessageId: req.refMessageId, ex });
+      }
+      if (!rawBlob) {
+        logic(ctx, 'rawMessageUnavailable',
+              { refMessageId: req.refMessageId });
+        attachError = 'unavailable';
+      }
+    }
+
+    // -- Attach it to the draft
+    let { messageId } = req;
+    let convId = convIdFromMessageId(messageId);
+    let fromDb = yield ctx.beginMutate({
+      conversations: new Map([[convId, null]]),
+      messagesByConversation: new Map([[convId, null]])
+    });
+
+    let messages = fromDb.messagesByConversation.get(convId);
+    let messageInfo = messages && messages.find(msg => msg.id === messageId);
+    if (!messageInfo || !messageInfo.draftInfo) {
+      // The draft got deleted (or sent!) while we were fetching.
+      logic(ctx, 'draftGone', { messageId });
+      yield ctx.finishTask({});
+      return;
+    }
+
+    if (attachError) {
+      messageInfo.draftInfo.attachOriginalError = attachError;
+    } else {
+      messageInfo.attachments.push(makeAttachmentPart({
+        relId: FORWARDED_MESSAGE_REL_ID,
+        name: (sourceMessage.subject || 'message') + '.eml',
+        type: 'message/rfc822',
+        encoding: '8bit',
+        sizeEstimate: rawBlob.size,
+        downloadState: 'draft',
+        file: [rawBlob]
+      }));
+      messageInfo.hasAttachments = true;
+    }
+
+    let oldConvInfo = fromDb.conversations.get(convId);
+    let convInfo = churnConversation(convId, oldConvInfo, messages);
+
+    yield ctx.finishTask({
+      mutations: {
+        conversations: new Map([[convId, convInfo]]),
+        messages: new Map([[messageId, messageInfo]])
+      }
+    });
+  })
+};
+});
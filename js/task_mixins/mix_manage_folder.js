@@ -0,0 +1,483 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { makeFolderMeta, isTypeLocalOnly } = require('../db/folder_info_rep');
+
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+/**
+ * Folder types that the user can't rename, move or delete.
+ */
+const PROTECTED_FOLDER_TYPES = new Set(['inbox', 'outbox', 'localdrafts']);
+
+/**
+ * @typedef {Object} ManageFolderRequest
+ *
+ * @property {AccountId} accountId
+ * @property {'create'|'rename'|'move'|'delete'} op
+ * @property {FolderId} [folderId]
+ *   The folder to rename/move/delete.  Not used for 'create'.
+ * @property {FolderId} [parentFolderId]
+ *   For 'create' and 'move', the folder to put the folder under, or null for
+ *   the top-level.
+ * @property {String} [name]
+ *   For 'create' and 'rename', the (unencoded) name of the folder.
+ */
+
+/**
+ * @typedef {Object} ManageFolderState
+ * @prop {Map<FolderId, PendingFolderChange>} pendingFolders
+ */
+/**
+ * @typedef {Object} PendingFolderChange
+ * @prop {Boolean} deleted
+ *   If false, the execute stage should make the server match the folder's
+ *   current local state, creating it if it has no server presence.  If true,
+ *   the folder (and everything under it) should be deleted from the server.
+ * @prop {String} [serverPath]
+ *   For deleted folders, the serverPath the folder had, since the FolderInfo
+ *   is gone.
+ * @prop {String} [serverId]
+ *   For deleted folders, the serverId the folder had.
+ * @prop {String} [delim]
+ *   For deleted folders, the delimiter the folder used for its sub-folders.
+ */
+
+/**
+ * Folder creation/rename/move/delete complex task.  As with moves, all changes
+ * are applied locally during planning so that the FoldersTOC updates
+ * immediately, even when offline.  We track the affected folders by FolderId
+ * and the execute stage reconciles the server with whatever the local state is
+ * when it gets to run.  So if the user creates a folder and renames it twice
+ * while offline, the server only ever sees a create with the final name, and if
+ * they then delete it, the server sees nothing at all.
+ *
+ * Local-only folders are identified by having neither a `serverPath` nor a
+ * `serverId`.  A folder created locally stays local-only until the execute
+ * stage creates it on the server.  Until then, engines should use the
+ * `serverPath` rather than the `path` of a folder when talking to the server,
+ * since a renamed folder's `path` is its desired path.
+ *
+ * Deleting a folder deletes its sub-folders as well.  Messages in deleted
+ * folders are removed from those folders locally, which deletes them unless
+ * they are also in another folder or `deleteMessagesWithFolder` is false.
+ *
+ * Consumers must provide:
+ * - `execute`, or null if the account has no server-side folders (POP3), in
+ *   which case we accumulate no state.
+ *
+ * Consumers may provide:
+ * - `encodeFolderName(name)` to convert a human-readable folder name into the
+ *   path segment used on the server.  (IMAP uses modified UTF-7.)
+ * - `deleteMessagesWithFolder` set to false if messages that end up in no
+ *   folders when a folder is deleted should be kept anyways.  (Gmail, where
+ *   deleting a label doesn't delete any messages.)
+ */
+let MixManageFolderMixin = {
+  name: 'manage_folder',
+
+  deleteMessagesWithFolder: true,
+
+  encodeFolderName: function(name) {
+    return name;
+  },
+
+  /**
+   * @return {ManageFolderState}
+   *   The initial state of this task type for a newly created account.
+   */
+  initPersistentState: function() {
+    return {
+      pendingFolders: new Map()
+    };
+  },
+
+  deriveMemoryStateFromPersistentState: function(persistentState, accountId) {
+    let markers = [];
+
+    for (let folderId of persistentState.pendingFolders.keys()) {
+      markers.push(this._makeMarker(accountId, folderId));
+    }
+
+    return {
+      memoryState: {},
+      markers
+    };
+  },
+
+  _makeMarker: function(accountId, folderId) {
+    return {
+      type: this.name,
+      id: this.name + ':' + folderId,
+      accountId,
+      folderId,
+      priorityTags: [],
+      exclusiveResources: []
+    };
+  },
+
+  /**
+   * Compute the path-related fields for a folder with the given name that
+   * lives under `parentInfo` (null for the top-level).
+   */
+  _derivePathInfo: function(foldersTOC, parentInfo, name) {
+    let inboxInfo = foldersTOC.getCanonicalFolderByType('inbox');
+    let delim = (parentInfo && parentInfo.delim) ||
+                (inboxInfo && inboxInfo.delim) || '/';
+    let encodedName = this.encodeFolderName(name);
+    return {
+      delim,
+      path: parentInfo ? (parentInfo.path + delim + encodedName) : encodedName,
+      depth: parentInfo ? (parentInfo.depth + 1) : 0
+    };
+  },
+
+  /**
+   * Validate a name for a folder that would live under `parentId`, returning
+   * an error string or null if the name is fine.  `ignoreFolderId` is the
+   * folder being renamed/moved, which obviously doesn't collide with itself.
+   */
+  _checkName: function(foldersTOC, parentId, name, ignoreFolderId) {
+    if (!name) {
+      return 'bad-name';
+    }
+    let parentInfo = parentId ? foldersTOC.foldersById.get(parentId) : null;
+    let { delim } = this._derivePathInfo(foldersTOC, parentInfo, name);
+    if (name.indexOf(delim) !== -1) {
+      return 'bad-name';
+    }
+    for (let folderInfo of foldersTOC.getAllItems()) {
+      if (folderInfo.id !== ignoreFolderId &&
+          folderInfo.parentId === parentId &&
+          folderInfo.name === name) {
+        return 'already-exists';
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Is this folder a valid place to put a user-created folder?
+   */
+  _isValidParent: function(parentInfo) {
+    return !parentInfo || !isTypeLocalOnly(parentInfo.type);
+  },
+
+  /**
+   * Return the given folder and all of its descendants, parents before their
+   * children.
+   */
+  _gatherSubtree: function(foldersTOC, folderInfo) {
+    let subtree = [folderInfo];
+    for (let i = 0; i < subtree.length; i++) {
+      let parentId = subtree[i].id;
+      for (let candidate of foldersTOC.getAllItems()) {
+        if (candidate.parentId === parentId) {
+          subtree.push(candidate);
+        }
+      }
+    }
+    return subtree;
+  },
+
+  plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+    let foldersTOC =
+      yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+
+    let result;
+    switch (req.op) {
+      case 'create':
+        result = yield* this._planCreate(ctx, persistentState, foldersTOC, req);
+        break;
+      case 'rename':
+      case 'move':
+        result =
+          yield* this._planRelocate(ctx, persistentState, foldersTOC, req);
+        break;
+      case 'delete':
+        result = yield* this._planDelete(ctx, persistentState, foldersTOC, req);
+        break;
+      default:
+        logic(ctx, 'badOp', { op: req.op });
+        result = { error: 'bad-op' };
+        break;
+    }
+
+    if (result.error) {
+      logic(ctx, 'rejected', { op: req.op, error: result.error });
+      yield ctx.finishTask({});
+    }
+    return ctx.returnValue(result);
+  }),
+
+  _planCreate: function*(ctx, persistentState, foldersTOC, req) {
+    let name = (req.name || '').trim();
+    let parentId = req.parentFolderId || null;
+    let parentInfo = null;
+    if (parentId) {
+      parentInfo = foldersTOC.foldersById.get(parentId);
+      if (!parentInfo) {
+        return { error: 'no-such-folder' };
+      }
+    }
+    if (!this._isValidParent(parentInfo)) {
+      return { error: 'bad-target' };
+    }
+    let nameError = this._checkName(foldersTOC, parentId, name, null);
+    if (nameError) {
+      return { error: nameError };
+    }
+
+    let { delim, path, depth } =
+      this._derivePathInfo(foldersTOC, parentInfo, name);
+    let folderInfo = makeFolderMeta({
+      id: foldersTOC.issueFolderId(),
+      serverId: null,
+      name,
+      type: 'normal',
+      path,
+      serverPath: null,
+      parentId,
+      delim,
+      depth,
+      lastSyncedAt: 0
+    });
+
+    let taskMarkers = new Map();
+    if (this.execute) {
+      persistentState.pendingFolders.set(folderInfo.id, { deleted: false });
+      taskMarkers.set(
+        this.name + ':' + folderInfo.id,
+        this._makeMarker(req.accountId, folderInfo.id));
+    }
+
+    yield ctx.finishTask({
+      newData: {
+        folders: [folderInfo]
+      },
+      taskMarkers,
+      complexTaskState: persistentState
+    });
+
+    return { folderId: folderInfo.id, error: null };
+  },
+
+  /**
+   * Rename and/or move a folder.  Because paths include the paths of parents,
+   * we also update the paths and depths of all the folder's descendants.  Only
+   * the folder itself needs to be reconciled with the server; renaming or
+   * moving a folder on the server takes its sub-folders along with it.
+   */
+  _planRelocate: function*(ctx, persistentState, foldersTOC, req) {
+    let folderInfo = foldersTOC.foldersById.get(req.folderId);
+    if (!folderInfo) {
+      return { error: 'no-such-folder' };
+    }
+    if (PROTECTED_FOLDER_TYPES.has(folderInfo.type)) {
+      return { error: 'protected-folder' };
+    }
+
+    let name = folderInfo.name;
+    let parentId = folderInfo.parentId;
+    if (req.op === 'rename') {
+      name = (req.name || '').trim();
+    } else {
+      parentId = req.parentFolderId || null;
+    }
+
+    let subtree = this._gatherSubtree(foldersTOC, folderInfo);
+    let parentInfo = null;
+    if (parentId) {
+      parentInfo = foldersTOC.foldersById.get(parentId);
+      if (!parentInfo) {
+        return { error: 'no-such-folder' };
+      }
+      // You can't move a folder under itself.
+      if (subtree.indexOf(parentInfo) !== -1) {
+        return { error: 'bad-target' };
+      }
+    }
+    if (!this._isValidParent(parentInfo)) {
+      return { error: 'bad-target' };
+    }
+    let nameError = this._checkName(foldersTOC, parentId, name, folderInfo.id);
+    if (nameError) {
+      return { error: nameError };
+    }
+
+    // -- Update the folder and its descendants
+    let modifiedFolders = new Map();
+    folderInfo.name = name;
+    folderInfo.parentId = parentId;
+    for (let subInfo of subtree) {
+      let subParentInfo = subInfo.parentId ?
+        foldersTOC.foldersById.get(subInfo.parentId) : null;
+      let { path, depth } =
+        this._derivePathInfo(foldersTOC, subParentInfo, subInfo.name);
+      subInfo.path = path;
+      subInfo.depth = depth;
+      modifiedFolders.set(subInfo.id, subInfo);
+    }
+
+    let taskMarkers = new Map();
+    if (this.execute) {
+      persistentState.pendingFolders.set(folderInfo.id, { deleted: false });
+      taskMarkers.set(
+        this.name + ':' + folderInfo.id,
+        this._makeMarker(req.accountId, folderInfo.id));
+    }
+
+    yield ctx.finishTask({
+      mutations: {
+        folders: modifiedFolders
+      },
+      taskMarkers,
+      complexTaskState: persistentState
+    });
+
+    return { error: null };
+  },
+
+  /**
+   * Delete a folder and its descendants locally, removing their messages from
+   * them.  Only the root of the deleted subtree is tracked for the server;
+   * pending changes for descendants become moot.
+   */
+  _planDelete: function*(ctx, persistentState, foldersTOC, req) {
+    let { pendingFolders } = persistentState;
+    let folderInfo = foldersTOC.foldersById.get(req.folderId);
+    if (!folderInfo) {
+      return { error: 'no-such-folder' };
+    }
+    if (PROTECTED_FOLDER_TYPES.has(folderInfo.type)) {
+      return { error: 'protected-folder' };
+    }
+
+    let subtree = this._gatherSubtree(foldersTOC, folderInfo);
+    let doomedFolderIds = new Set(subtree.map(subInfo => subInfo.id));
+
+    // -- Find the affected conversations
+    let convIdsReq = new Map();
+    for (let folderId of doomedFolderIds) {
+      convIdsReq.set(folderId, null);
+    }
+    let convIdsFromDb =
+      yield ctx.read({ conversationIdsByFolder: convIdsReq });
+    let convIds = new Set();
+    for (let folderConvIds of convIdsFromDb.conversationIdsByFolder.values()) {
+      for (let convId of (folderConvIds || [])) {
+        convIds.add(convId);
+      }
+    }
+
+    let fromDb = yield ctx.beginMutate({
+      conversations: new Map(Array.from(convIds, id => [id, null])),
+      messagesByConversation: new Map(Array.from(convIds, id => [id, null])),
+      // Per-folder sync states go away with the folder.
+      syncStates: new Map(Array.from(doomedFolderIds, id => [id, null]))
+    });
+
+    // -- Remove the messages from the doomed folders
+    let modifiedConversations = new Map();
+    let modifiedMessages = new Map();
+    for (let convId of convIds) {
+      let oldConvInfo = fromDb.conversations.get(convId);
+      if (!oldConvInfo) {
+        continue;
+      }
+      let keptMessages = [];
+      for (let message of fromDb.messagesByConversation.get(convId)) {
+        let remainingFolderIds = new Set();
+        for (let folderId of message.folderIds) {
+          if (!doomedFolderIds.has(folderId)) {
+            remainingFolderIds.add(folderId);
+          }
+        }
+        if (!remainingFolderIds.size && this.deleteMessagesWithFolder) {
+          modifiedMessages.set(message.id, null);
+        } else {
+          if (remainingFolderIds.size !== message.folderIds.size) {
+            message.folderIds = remainingFolderIds;
+            modifiedMessages.set(message.id, message);
+          }
+          keptMessages.push(message);
+        }
+      }
+      if (keptMessages.length) {
+        modifiedConversations.set(
+          convId, churnConversation(convId, oldConvInfo, keptMessages));
+      } else {
+        modifiedConversations.set(convId, null);
+      }
+    }
+
+    let modifiedSyncStates = new Map();
+    let modifiedFolders = new Map();
+    for (let folderId of doomedFolderIds) {
+      if (fromDb.syncStates.get(folderId)) {
+        modifiedSyncStates.set(folderId, null);
+      }
+      modifiedFolders.set(folderId, null);
+    }
+
+    // -- Update our pending state
+    let taskMarkers = new Map();
+    for (let subInfo of subtree) {
+      if (pendingFolders.has(subInfo.id)) {
+        pendingFolders.delete(subInfo.id);
+        taskMarkers.set(this.name + ':' + subInfo.id, null);
+      }
+    }
+    if (this.execute && (folderInfo.serverPath || folderInfo.serverId)) {
+      pendingFolders.set(folderInfo.id, {
+        deleted: true,
+        serverPath: folderInfo.serverPath,
+        serverId: folderInfo.serverId,
+        delim: folderInfo.delim
+      });
+      taskMarkers.set(
+        this.name + ':' + folderInfo.id,
+        this._makeMarker(req.accountId, folderInfo.id));
+    }
+
+    logic(ctx, 'deletingFolders',
+          { folderCount: doomedFolderIds.size,
+            convCount: modifiedConversations.size });
+
+    yield ctx.finishTask({
+      mutations: {
+        conversations: modifiedConversations,
+        messages: modifiedMessages,
+        syncStates: modifiedSyncStates,
+        folders: modifiedFolders
+      },
+      taskMarkers,
+      complexTaskState: persistentState
+    });
+
+    return { error: null };
+  },
+
+  /**
+   * Helper for execute implementations: return the chain of folders from the
+   * top-most ancestor of `folderInfo` that lacks server presence down to
+   * `folderInfo` itself.  These need to be created on the server in order.  If
+   * `folderInfo` already has server presence, the list is empty.
+   */
+  _findFoldersToCreate: function(foldersTOC, folderInfo) {
+    let toCreate = [];
+    let curInfo = folderInfo;
+    while (curInfo && !curInfo.serverPath && !curInfo.serverId) {
+      toCreate.unshift(curInfo);
+      curInfo = curInfo.parentId ?
+        foldersTOC.foldersById.get(curInfo.parentId) : null;
+    }
+    return toCreate;
+  }
+};
+
+return MixManageFolderMixin;
+});
@@ -0,0 +1,222 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { selectMessages } = require('../message_selector');
+
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+/**
+ * @typedef {Object} MoveRequest
+ *
+ * @property {AccountId} accountId
+ * @property {ConversationId} convId
+ * @property {Array<MessageId>} [onlyMessages]
+ *   If this shouldn't be applied to the entire conversation, the list of
+ *   messages to move.  Null if no filtering is needed.
+ * @property {"last"|null} [messageSelector]
+ * @property {FolderId} [targetFolderId]
+ *   The folder to move the messages to.  Ignored if `moveToTrash` is true.
+ * @property {FolderId} [sourceFolderId]
+ *   The folder the messages are being moved out of.  Only gmail cares, since
+ *   for everyone else a message is only ever in one folder.
+ * @property {Boolean} [moveToTrash=false]
+ *   Move the messages to the account's trash folder.  Messages that are
+ *   already in the trash folder are deleted instead.
+ * @property {Boolean} [permanentlyDelete=false]
+ *   Delete the messages outright, wherever they are.  This is not exposed to
+ *   the front-end; it exists so that copies can be undone.
+ */
+
+/**
+ * @typedef {Object} MoveState
+ * @prop {Map<UniqueMessageId, PendingMove>} umidMoves
+ */
+/**
+ * @typedef {Object} PendingMove
+ * @prop {FolderId|null} targetFolderId
+ *   The folder the message should end up in, or null if the message should be
+ *   (permanently) deleted from the server.
+ * @prop {String} guid
+ *   The message-id header of the message so that the execute stage can find
+ *   the message in the target folder if the server doesn't tell us the new
+ *   name of the message.
+ */
+
+/**
+ * Move/trash complex task for engines where a message lives in exactly one
+ * folder at a time.  (That's everyone but gmail, which uses labels and so has
+ * its own implementation.)  See the "Moves" section of vanilla IMAP's
+ * `sync.md` for the rationale, but the short version is:
+ *
+ * - All requests are issued/planned at the conversation level, but we track
+ *   our state per umid/`UniqueMessageId`, which is also the basis for the
+ *   marker id.
+ * - We only track the intended final folder for each message.  If the user
+ *   moves a message around a bunch while offline, the execute stage only sees
+ *   the final destination.  The execute stage reads the umidLocation to know
+ *   where the message actually is on the server right now, which may already
+ *   be the destination, in which case there's nothing to do.
+ * - If `execute` is null (POP3), everything is local and we don't accumulate
+ *   any state.
+ *
+ * Undo is implemented by generating a move task per message that moves the
+ * message back to the folder it was in at planning time.  Permanent deletion
+ * cannot be undone.
+ */
+let MixMoveMixin = {
+  /**
+   * @return {MoveState}
+   *   The initial state of this task type for a newly created account.
+   */
+  initPersistentState: function() {
+    return {
+      umidMoves: new Map()
+    };
+  },
+
+  deriveMemoryStateFromPersistentState: function(persistentState, accountId) {
+    let markers = [];
+
+    for (let umid of persistentState.umidMoves.keys()) {
+      markers.push(this._makeMarker(accountId, umid));
+    }
+
+    return {
+      memoryState: {},
+      markers
+    };
+  },
+
+  _makeMarker: function(accountId, umid) {
+    return {
+      type: this.name,
+      id: this.name + ':' + umid,
+      accountId,
+      umid,
+      priorityTags: [],
+      exclusiveResources: []
+    };
+  },
+
+  plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+    let { umidMoves } = persistentState;
+
+    // -- Figure out the target folder
+    let foldersTOC =
+      yield ctx.universe.acquireAccountFoldersTOC(ctx, req.accountId);
+    let targetFolderId;
+    if (req.permanentlyDelete) {
+      targetFolderId = null;
+    } else if (req.moveToTrash) {
+      let trashFolder = foldersTOC.getCanonicalFolderByType('trash');
+      if (!trashFolder) {
+        logic(ctx, 'noTrashFolder');
+        yield ctx.finishTask({});
+        return;
+      }
+      targetFolderId = trashFolder.id;
+    } else {
+      targetFolderId = req.targetFolderId;
+      if (!foldersTOC.foldersById.has(targetFolderId)) {
+        logic(ctx, 'badTargetFolder', { targetFolderId });
+        yield ctx.finishTask({});
+        return;
+      }
+    }
+
+    // -- Load the conversation and messages
+    let fromDb = yield ctx.beginMutate({
+      conversations: new Map([[req.convId, null]]),
+      messagesByConversation: new Map([[req.convId, null]])
+    });
+
+    let loadedMessages = fromDb.messagesByConversation.get(req.convId);
+    let modifiedMessagesMap = new Map();
+    let umidNameWrites = new Map();
+    let modifyTaskMarkers = new Map();
+    let undoTasks = [];
+    let anyMessageChanged = false;
+
+    let filteredMessages = selectMessages(
+      loadedMessages, req.onlyMessages, req.messageSelector);
+
+    // -- Per message, update its location and issue/update markers
+    for (let message of filteredMessages) {
+      // We can't delete it on the server either, so it stays put.
+      if (message.readOnly) {
+        logic(ctx, 'readOnlyMessage', { messageId: message.id });
+        continue;
+      }
+      let pendingMove;
+      if (req.permanentlyDelete || message.folderIds.has(targetFolderId)) {
+        // Moving a message to where it already is is a no-op unless we're
+        // trashing it, in which case it means delete.
+        if (!req.moveToTrash && !req.permanentlyDelete) {
+          continue;
+        }
+        modifiedMessagesMap.set(message.id, null);
+        // (Kill the umid namer now so that sync doesn't try and do anything
+        // with the message while we wait to delete it from the server.)
+        umidNameWrites.set(message.umid, null);
+        pendingMove = { targetFolderId: null, guid: message.guid };
+      } else {
+        undoTasks.push({
+          type: this.name,
+          accountId: req.accountId,
+          convId: req.convId,
+          onlyMessages: [message.id],
+          messageSelector: null,
+          // (Messages only live in a single folder for our consumers.)
+          targetFolderId: Array.from(message.folderIds)[0]
+        });
+
+        message.folderIds = new Set([targetFolderId]);
+        modifiedMessagesMap.set(message.id, message);
+        pendingMove = { targetFolderId, guid: message.guid };
+      }
+      anyMessageChanged = true;
+
+      // Accumulate state iff there's an execute implementation.  This
+      // clobbers any outstanding move for the message, which is what we want.
+      if (this.execute) {
+        umidMoves.set(message.umid, pendingMove);
+        let marker = this._makeMarker(req.accountId, message.umid);
+        modifyTaskMarkers.set(marker.id, marker);
+      }
+    }
+
+    let conversationsMap = null;
+    if (anyMessageChanged) {
+      let keptMessages = loadedMessages.filter((message) => {
+        return modifiedMessagesMap.get(message.id) !== null;
+      });
+      let convInfo = null;
+      if (keptMessages.length) {
+        let oldConvInfo = fromDb.conversations.get(req.convId);
+        convInfo = churnConversation(req.convId, oldConvInfo, keptMessages);
+      }
+      conversationsMap = new Map([[req.convId, convInfo]]);
+    }
+
+    yield ctx.finishTask({
+      mutations: {
+        conversations: conversationsMap,
+        messages: modifiedMessagesMap,
+        umidNames: umidNameWrites
+      },
+      taskMarkers: modifyTaskMarkers,
+      complexTaskState: persistentState,
+      undoTasks
+    });
+  }),
+
+  // Must be implemented by the task proper (or explicitly null for local-only
+  // engines).
+  execute: null,
+};
+
+return MixMoveMixin;
+});
@@ -3,6 +3,9 @@ define(function(require) {
 
 const co = require('co');
 
+const { NOW } = require('../date');
+const defaultPrefs = require('../default_prefs');
+
 const churnConversation = require('../churn_drivers/conv_churn_driver');
 
 const { Composer }= require('../drafts/composer');
@@ -21,6 +24,14 @@ const { convIdFromMessageId } = require('../id_conversions');
  * out of the outbox by us.  We own the outbox.  But if some other code goes
  * rogue and puts a message in the outbox, nothing happens.
  *
+ * Sends can be delayed, either because the user scheduled the message to be
+ * sent at a specific time (`sendAt`) or to give them a chance to change their
+ * mind (the account's `undoSendDelay` preference).  We keep the time in our
+ * persistent state and put it on the marker as `deferUntil` so that the
+ * TaskManager won't execute the send until it's due, even across restarts.
+ * Until then the message sits in the outbox and `abort` can return it to the
+ * drafts folder.
+ *
  * We do this because:
  * - It's conceptually simpler and there are fewer moving parts by keeping
  *   everything in here.
@@ -48,6 +59,9 @@ const { convIdFromMessageId } = require('../id_conversions');
  * - saveSentMessage: Do whatever's required with the MessageInfo and/or list
  *   and follow-on processing tasks required.  See the call-site for more
  *   information.
+ * - sendsViaSmtp: Whether the composed message will be written directly to an
+ *   SMTP DATA stream and therefore needs to be dot-stuffed by the composer.
+ *   This is true for the default `sendMessage`.
  */
 return {
   name: 'outbox_send',
@@ -58,10 +72,12 @@ return {
   initPersistentState: function() {
     return {
       /**
-       * The messages to send, with their id as the key and their current date
-       * and send order stored as the value object.  Specifically, { date,
-       * order }.  The order is negated to be made into the relPriority so
-       * that messages queued for sending earlier will have a higher priority.
+       * The messages to send, with their id as the key and their current date,
+       * send order, and when to send them stored as the value object.
+       * Specifically, { date, order, sendAt }.  The order is negated to be made
+       * into the relPriority so that messages queued for sending earlier will
+       * have a higher priority.  `sendAt` is null (or missing for messages
+       * queued by older versions) if the message should be sent immediately.
        */
       messageIdsToSend: new Map(),
       /**
@@ -83,7 +99,7 @@ return {
     return this.name + ':' + messageId;
   },
 
-  _makeMarkerForMessage: function(accountId, messageId, order) {
+  _makeMarkerForMessage: function(accountId, messageId, { order, sendAt }) {
     return {
       type: this.name,
       id: this._markerIdForMessage(accountId, messageId),
@@ -93,6 +109,7 @@ return {
       // TODO: make us depend on the account's online resource
       resources: [],
       exclusiveResources: [],
+      deferUntil: sendAt || null,
       relPriority: -order,
       messageId
     };
@@ -103,10 +120,9 @@ return {
    */
   deriveMemoryStateFromPersistentState: function(persistentState, accountId) {
     let markers = [];
-    for (let [messageId, { order }] of
-         persistentState.messageIdsToSend) {
+    for (let [messageId, sendInfo] of persistentState.messageIdsToSend) {
       markers.push(
-        this._makeMarkerForMessage(accountId, messageId, order));
+        this._makeMarkerForMessage(accountId, messageId, sendInfo));
     }
 
     return {
@@ -129,12 +145,35 @@ return {
     };
   },
 
+  /**
+   * Figure out when the message should actually be sent.  An explicit `sendAt`
+   * wins; otherwise we apply the undo delay, if any.
+   *
+   * @return {DateMS|null}
+   *   Null if the message should be sent right away.
+   */
+  _computeSendAt: function(account, rawTask) {
+    if (rawTask.sendAt && rawTask.sendAt > NOW()) {
+      return rawTask.sendAt;
+    }
+    let undoSendDelay = rawTask.undoSendDelay;
+    if (undoSendDelay == null) {
+      undoSendDelay = account.accountDef.undoSendDelay;
+    }
+    if (undoSendDelay == null) {
+      undoSendDelay = defaultPrefs.undoSendDelay;
+    }
+    return undoSendDelay > 0 ? NOW() + undoSendDelay : null;
+  },
+
   /**
    * Move the message into the outbox and enqueue a marker if we're not
    * paused.
    */
   _planSend: co.wrap(function*(ctx, persistentState, memoryState, rawTask) {
     const { messageId } = rawTask;
+    const account = yield ctx.universe.acquireAccount(ctx, ctx.accountId);
+    const sendAt = this._computeSendAt(account, rawTask);
     // -- Load the conversation, put the message in the outbox, re-churn.
     let convId = convIdFromMessageId(messageId);
     let fromDb = yield ctx.beginMutate({
@@ -155,13 +194,15 @@ return {
       badAddresses: null,
       sendFailures: 0
     };
+    messageInfo.draftInfo.sendAt = sendAt;
 
     let convInfo = churnConversation(convId, oldConvInfo, messages);
 
     // -- Track that we want to send the message
     let sendInfo = {
       date: messageInfo.date,
-      order: persistentState.sendOrderingCounter++
+      order: persistentState.sendOrderingCounter++,
+      sendAt
     };
     persistentState.messageIdsToSend.set(messageId, sendInfo);
 
@@ -171,7 +212,7 @@ return {
     // issued when we unpause.
     if (!memoryState.paused) {
       let marker = this._makeMarkerForMessage(
-        rawTask.accountId, messageId, sendInfo.order);
+        rawTask.accountId, messageId, sendInfo);
       modifyTaskMarkers.set(marker.id, marker);
     }
 
@@ -181,8 +222,10 @@ return {
       reportProblem = 'outbox-paused';
     } else if (ctx.accountProblem) {
       reportProblem = 'account-problem';
-    } else if (!ctx.online) {
+    } else if (!ctx.deviceOnline) {
       reportProblem = 'offline';
+    } else if (sendAt) {
+      reportProblem = 'scheduled';
     } else {
       reportProblem = null;
     }
@@ -200,7 +243,9 @@ return {
 
 
   /**
-   * Move the message back into drafts and clear the marker.
+   * Move the message back into drafts and clear the marker.  This is how both
+   * undo send and the cancellation of a scheduled send work.  The planned
+   * result is true if we managed to abort the send.
    */
   _planAbort: co.wrap(function*(ctx, persistentState, memoryState, rawTask) {
     const { messageId } = rawTask;
@@ -235,6 +280,7 @@ return {
       yield ctx.universe.acquireAccountFoldersTOC(ctx, ctx.accountId);
     let draftsFolder = foldersToc.getCanonicalFolderByType('localdrafts');
     messageInfo.folderIds = new Set([draftsFolder.id]);
+    messageInfo.draftInfo.sendAt = null;
     // Note that we do not zero out the sendProblems because anything in there
     // is still going to be accurate.  Triggering the abort is just moving
     // the message back into the drafts folder so the user can edit the
@@ -244,7 +290,7 @@ return {
     let convInfo = churnConversation(convId, oldConvInfo, messages);
 
     // -- Clear the send marker
-    let markerId = this._markerIdForMessage(messageId);
+    let markerId = this._markerIdForMessage(ctx.accountId, messageId);
     persistentState.messageIdsToSend.delete(messageId);
 
     yield ctx.finishTask({
@@ -255,6 +301,7 @@ return {
       taskMarkers: new Map([[markerId, null]]),
       complexTaskState: persistentState
     });
+    return ctx.returnValue(true);
   }),
 
   _planSetPaused: co.wrap(function*(ctx, persistentState, memoryState,
@@ -279,14 +326,15 @@ return {
       // (Note: There's no harm in trying to clear a marker that's actively
       // being sent.)
       for (let messageId of persistentState.messageIdsToSend.keys()) {
-        modifyTaskMarkers.set(this._markerIdForMessage(messageId), null);
+        modifyTaskMarkers.set(
+          this._markerIdForMessage(ctx.accountId, messageId), null);
       }
     } else {
       // - Reissue markers for the to-sends from our persistent state.
       let accountId = ctx.accountId;
-      for (let [messageId, { order }] of
-           persistentState.messageIdsToSend) {
-        let marker = this._makeMarkerForMessage(accountId, messageId, order);
+      for (let [messageId, sendInfo] of persistentState.messageIdsToSend) {
+        let marker =
+          this._makeMarkerForMessage(accountId, messageId, sendInfo);
         modifyTaskMarkers.set(marker.id, marker);
       }
     }
@@ -360,7 +408,8 @@ return {
     // So we just get this out of the way here.  There is nothing clever about
     // this and revisiting is absolutely appropriate as needed.
     yield composer.buildMessage({
-      includeBcc: this.shouldIncludeBcc(account)
+      includeBcc: this.shouldIncludeBcc(account),
+      smtp: this.sendsViaSmtp
     });
 
     // -- Perform the send.
@@ -461,6 +510,12 @@ return {
     });
   }),
 
+  /**
+   * The account's sendMessage hands the composed Blob directly to the SMTP
+   * socket, bypassing the SMTP client's dot-stuffing.
+   */
+  sendsViaSmtp: true,
+
   /**
    * By default, use the sendMessage method on the account.  While I wouldn't
    * call this legacy, ActiveSync's new smotocol approach favors not involving
@@ -2,6 +2,7 @@ define(function(require) {
 'use strict';
 
 let co = require('co');
+let logic = require('logic');
 
 let { normalizeAndApplyChanges, applyChanges, mergeChanges } =
   require('../delta_algebra');
@@ -94,6 +95,10 @@ let MixStoreFlagsMixin = {
     // -- Per message, compute the changes required and issue/update markers
     let undoTasks = [];
     for (let message of filteredMessages) {
+      if (message.readOnly) {
+        logic(ctx, 'readOnlyMessage', { messageId: message.id });
+        continue;
+      }
       let actualChanges =
         normalizeAndApplyChanges(message.flags, req.add, req.remove);
       let { add: actuallyAdded, remove: actuallyRemoved } = actualChanges;
@@ -13,16 +13,18 @@ const TaskDefiner = require('../task_infra/task_definer');
  * - Remove all the stuff in the database and ensure that there's no in-memory
  *   state that could make things in the database come back into existence.  So
  *   this means:
- *   - deleting the ranges covering the conversations, headers, and bodies
- *   - ensuring all planned tasks associated with our account are killed/mooted
- *     by the time we complete.  TODO: have planning this task trigger a mooting
- *     of all related tasks.
- *   - ensuring that all queued unplanned/raw tasks will fail to plan in the
- *     future because the account no longer exists.  TODO: handle by having
- *     task planning depend on knowing all existing accounts and refusing to
- *     plan tasks that do not correspond to an existing account.  This should
- *     generally fine because we load accountDefs as part of our initial
- *     database load.
+ *   - deleting the ranges covering the conversations, headers, and bodies, as
+ *     well as the persisted complex task state.  (MailDB does this as part of
+ *     processing our `accounts` mutation.)
+ *   - ensuring all tasks associated with our account, whether awaiting
+ *     planning, blocked, or prioritized, are mooted and removed from the
+ *     database by the time we complete.  The AccountsTOC 'remove' event
+ *     triggered by our mutation causes the TaskManager to do this and the
+ *     TaskRegistry to tear down the account's complex task instances (and
+ *     their overlays and triggers).
+ *   - ensuring that any tasks that slip through (ex: scheduled after we ran)
+ *     will be mooted.  The TaskRegistry refuses to plan or execute tasks for
+ *     accounts it doesn't know about, and the TaskManager deletes such tasks.
  * - In the future when we support cross-account things like unified inbox
  *   views, we need to ensure that the conversations from the account are
  *   retracted.
@@ -35,10 +37,6 @@ const TaskDefiner = require('../task_infra/task_definer');
  *   direct ramifications, but if multiple UI's are present, then it gets
  *   more tricky.  (In the cross-account case with unified inbox, we do need
  *   propagating notifications about the retraction of the folder, etc.)
- *
- *
- * TODO: This should probably moot most of the tasks associated with the
- * account.
  */
 return TaskDefiner.defineSimpleTask([
   {
@@ -10,6 +10,9 @@ const { NOW } = require('../date');
 /**
  * Manipulate account settings.  This mainly entails mapping the request fields
  * onto the actual storage fields.
+ *
+ * Server settings need to be validated against the server before we accept
+ * them, so those are handled by `account_modify_servers` instead.
  */
 return TaskDefiner.defineSimpleTask([
   {
@@ -23,8 +26,9 @@ return TaskDefiner.defineSimpleTask([
       // prettier/more explicit logging and also have unit tests that more
       // directly ensure what we're doing in here is correct as it relates to
       // to our conditionalized username/password logic.
-      const accountDef = ctx.readSingle('accounts', rawTask.accountId);
+      const accountDef = yield ctx.readSingle('accounts', rawTask.accountId);
       const accountClobbers = new Map();
+      const newTasks = [];
       for (let key in rawTask.mods) {
         const val = rawTask.mods[key];
 
@@ -84,17 +88,22 @@ return TaskDefiner.defineSimpleTask([
               val.expireTimeMS);
             break;
 
-          case 'identities':
-            // TODO: support identity mutation
-            // we expect a list of identity mutation objects, namely an id and the
-            // rest are attributes to change
-            break;
-
-          case 'servers':
-            // TODO: support server mutation
-            // we expect a list of server mutation objects; namely, the type names
-            // the server and the rest are attributes to change
+          case 'defaultIdentityId': {
+            // The first identity is the default, so move it to the front.
+            // (Identities themselves are added, removed, and modified by the
+            // identity_add, identity_remove, and identity_modify tasks.)
+            const identity =
+              accountDef.identities.find(ident => ident.id === val);
+            if (!identity) {
+              logic(ctx, 'badIdentityId', { identityId: val });
+              break;
+            }
+            accountClobbers.set(
+              ['identities'],
+              [identity].concat(
+                accountDef.identities.filter(ident => ident !== identity)));
             break;
+          }
 
           case 'syncRange':
             accountClobbers.set(['syncRange'], val);
@@ -112,6 +121,31 @@ return TaskDefiner.defineSimpleTask([
             accountClobbers.set(['playSoundOnSend'], val);
             break;
 
+          case 'threadBySubject':
+            accountClobbers.set(['threadBySubject'], !!val);
+            break;
+
+          case 'downloadCacheQuota':
+            accountClobbers.set(
+              ['downloadCacheQuota'], Math.max(0, Number(val) || 0));
+            // Have the cache evict things now if we're over the new quota.
+            newTasks.push({
+              type: 'cache_control',
+              accountId: rawTask.accountId,
+              op: 'evict'
+            });
+            break;
+
+          case 'maxConnections':
+            accountClobbers.set(
+              ['maxConnections'], Math.max(1, Math.floor(Number(val)) || 1));
+            break;
+
+          case 'undoSendDelay':
+            accountClobbers.set(
+              ['undoSendDelay'], Math.max(0, Number(val) || 0));
+            break;
+
           case 'setAsDefault':
             // Weird things can happen if the device's clock goes back in time,
             // but this way, at least the user can change their default if they
@@ -128,6 +162,9 @@ return TaskDefiner.defineSimpleTask([
       }
 
       yield ctx.finishTask({
+        newData: {
+          tasks: newTasks
+        },
         atomicClobbers: {
           accounts: new Map([
             [
@@ -0,0 +1,141 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+const TaskDefiner = require('../task_infra/task_definer');
+
+const { validatorModules } = require('../engine_glue');
+
+/**
+ * The connection info fields the user can change for each server setting, by
+ * mod key.  `receiveConnInfo` and `sendConnInfo` are for IMAP/POP3 + SMTP
+ * accounts, `connInfo` is for ActiveSync accounts.  (POP3 lets you pick the
+ * preferred authentication mechanism; IMAP and SMTP pick theirs based on
+ * whether the account uses OAuth.)
+ */
+const EDITABLE_CONN_INFO_KEYS = new Map([
+  ['receiveConnInfo', ['hostname', 'port', 'crypto', 'preferredAuthMethod']],
+  ['sendConnInfo', ['hostname', 'port', 'crypto']],
+  ['connInfo', ['server']]
+]);
+
+/**
+ * Change the server settings of an existing account.  We run the new settings
+ * past the same validator `account_create` uses, and only if they check out do
+ * we commit them and have the account close the connections that were using
+ * the old settings.  Everything else about the account (folders, messages,
+ * etc.) is retained, so it's up to the user to not point the account at a
+ * completely different server.
+ *
+ * The connInfo and engineData objects are mutated in place (via per-field
+ * clobbers) rather than replaced because the account objects hold references
+ * to them.
+ *
+ * This is a non-persistent task because validation requires us to be online
+ * and the user is waiting on the result; if we die, the user can try again.
+ *
+ * The executed result is `{ error, errorDetails }` where both are null on
+ * success.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'account_modify_servers',
+
+    execute: co.wrap(function*(ctx, planned) {
+      let accountDef = yield ctx.readSingle('accounts', planned.accountId);
+
+      // -- Figure out the new settings
+      let accountClobbers = new Map();
+      let connInfoFields = {};
+      let changed = new Set();
+      for (let [connInfoKey, fieldNames] of EDITABLE_CONN_INFO_KEYS) {
+        let oldConnInfo = accountDef[connInfoKey];
+        if (!oldConnInfo) {
+          continue;
+        }
+        let newConnInfo = connInfoFields[connInfoKey] =
+          Object.assign({}, oldConnInfo);
+        let mods = planned.mods[connInfoKey];
+        if (!mods) {
+          continue;
+        }
+        for (let fieldName of fieldNames) {
+          if (mods[fieldName] !== undefined &&
+              mods[fieldName] !== oldConnInfo[fieldName]) {
+            newConnInfo[fieldName] = mods[fieldName];
+            accountClobbers.set([connInfoKey, fieldName], mods[fieldName]);
+            changed.add(connInfoKey);
+          }
+        }
+      }
+
+      if (!changed.size) {
+        yield ctx.finishTask({});
+        return ctx.returnValue({ error: null, errorDetails: null });
+      }
+
+      // -- Validate them
+      let validator = yield new Promise((resolve) => {
+        require([validatorModules.get(accountDef.type)], resolve);
+      });
+      let validationResult = yield validator({
+        // (OAuth credentials may be updated in-place, which is fine.)
+        credentials: accountDef.credentials,
+        typeFields: {
+          receiveType: accountDef.receiveType,
+          sendType: accountDef.sendType
+        },
+        connInfoFields
+      });
+      if (validationResult.error) {
+        logic(ctx, 'validationFailed', { error: validationResult.error });
+        yield ctx.finishTask({});
+        return ctx.returnValue({
+          error: validationResult.error,
+          errorDetails: validationResult.errorDetails
+        });
+      }
+      // The account will make its own connections as needed.
+      if (validationResult.receiveProtoConn &&
+          validationResult.receiveProtoConn.close) {
+        validationResult.receiveProtoConn.close();
+      }
+
+      // We can't switch sync engines out from under an account.
+      let { engine, engineData } = validationResult.engineFields;
+      if (engine !== accountDef.engine) {
+        logic(ctx, 'engineChanged', { from: accountDef.engine, to: engine });
+        yield ctx.finishTask({});
+        return ctx.returnValue({
+          error: 'server-type-changed',
+          errorDetails: { engine }
+        });
+      }
+      for (let key of Object.keys(engineData)) {
+        accountClobbers.set(['engineData', key], engineData[key]);
+      }
+
+      // -- Commit them and reset the affected connections
+      let account = yield ctx.universe.acquireAccount(ctx, planned.accountId);
+      yield ctx.finishTask({
+        atomicClobbers: {
+          accounts: new Map([
+            [
+              planned.accountId,
+              accountClobbers
+            ]
+          ])
+        }
+      });
+
+      account.resetConnections({
+        receive: changed.has('receiveConnInfo') || changed.has('connInfo'),
+        send: changed.has('sendConnInfo')
+      });
+
+      return ctx.returnValue({ error: null, errorDetails: null });
+    })
+  }
+]);
+});
@@ -1,15 +1,36 @@
 define(function(require) {
 'use strict';
 
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../task_infra/task_definer');
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+const { accountIdFromMessageId, convIdFromMessageId } =
+  require('../id_conversions');
+const { pickPartFromMessageByRelId } = require('../db/mail_rep');
+
+const defaultPrefs = require('../default_prefs');
+
 /**
- * This (global) complex task is responsible for tracking downloaded Blobs and
- * getting rid of them when appropriate, informed by usage hints.  Attachment
- * Blobs are tracked on a per-attachment basis, related parts are tracked as a
- * single entity.
+ * This (per-account) complex task is responsible for tracking downloaded Blobs
+ * and getting rid of them when appropriate, informed by usage hints.
+ * Attachment Blobs are tracked on a per-attachment basis, related parts are
+ * tracked as a single entity.
  *
  * Our persistent state is an LRU Map where we leverage Maps' inherent ordering
  * to provide "free" LRU semantics.
  *
+ * We were originally envisioned as a global task, but the quota is a
+ * per-account setting and our usage is reported as an overlay on the account,
+ * so it's much simpler for each account to have its own instance.  All engines
+ * register us for consistency, but POP3 has no `download` task, so its accounts
+ * never have anything for us to track.
+ *
+ * Note that this has nothing to do with MailDB's `_considerCachePressure` which
+ * is about the in-memory record caches and not about on-disk Blobs.
+ *
  * ## Operations ##
  *
  * ### Reserve ###
@@ -45,10 +66,24 @@ define(function(require) {
  * download (ex: thumbnailing of images or calendar integration or something
  * like that), so we want there to only be one code path for that.
  *
+ * Triggers can't mutate messages, so when a trigger changes our state it asks
+ * for an 'evict' task to be planned once its root task group completes.  That
+ * is where we actually evict things if we're over quota and announce our
+ * overlay change.
+ *
  * ### Deleted Messages ###
  * We use a database trigger to notice when a message is deleted and accordingly
  * remove any associated cache entries (and the associated disk usage) from our
- * tracking and to free up quota.
+ * tracking and to free up quota.  Because MessageIds change when conversations
+ * are merged, this also covers that case; the message is deleted and re-added
+ * under its new id, although it loses its place in the LRU ordering.
+ *
+ * ### Eviction ###
+ * Whenever our cached bytes plus our reservations exceed the account's
+ * `downloadCacheQuota`, we evict the least-recently-used entries until we fit.
+ * Entries for messages with outstanding reservations are skipped since that
+ * message is actively being downloaded.  Evicting a part just returns it to
+ * the not-downloaded state so that it can be downloaded again later.
  *
  * ## Interaction With Other Quota Mechanisms, ex: Header/Body overhead ##
  *
@@ -59,5 +94,429 @@ define(function(require) {
  * In the future, if we can get IndexedDB to tell us the overall quota we're
  * using, we can subtract off what we know about in here and assume the rest is
  * synced messages/conversations.
+ *
+ * ## Overlay ##
+ *
+ * We provide an 'accounts' overlay of the form { usedBytes, reservedBytes,
+ * quotaBytes, entryCount } which `MailAccount` exposes as
+ * `downloadCacheUsage`.
  */
+return TaskDefiner.defineComplexTask([
+  {
+    name: 'cache_control',
+
+    /**
+     * @typedef {Object} CacheControlState
+     * @prop {Map<MessageId, Map<AttachmentRelId, Number>>} reservations
+     *   The bytes reserved for parts that are being downloaded.
+     * @prop {Map<CacheEntryKey, CacheEntry>} entries
+     *   The cached parts, least-recently-used first.
+     *
+     * @typedef {Object} CacheEntry
+     * @prop {MessageId} messageId
+     * @prop {AttachmentRelId[]} relIds
+     *   The single attachment or all of the (cached) related parts.
+     * @prop {Number} size
+     *   The size in bytes of all the Blobs.
+     */
+    initPersistentState: function() {
+      return {
+        reservations: new Map(),
+        entries: new Map()
+      };
+    },
+
+    deriveMemoryStateFromPersistentState: function(persistentState, accountId,
+                                                   accountDef) {
+      let keysByMessage = new Map();
+      for (let [key, { messageId }] of persistentState.entries) {
+        let keys = keysByMessage.get(messageId);
+        if (!keys) {
+          keys = new Set();
+          keysByMessage.set(messageId, keys);
+        }
+        keys.add(key);
+      }
+
+      return {
+        memoryState: {
+          accountId,
+          // accountDefs are always in memory and updated in place, so we can
+          // just check the quota when we need it.
+          accountDef,
+          /**
+           * @type {Map<MessageId, Set<CacheEntryKey>>}
+           * Index over `entries` so our triggers can cheaply ignore the vast
+           * majority of messages, which have nothing cached.
+           */
+          keysByMessage,
+          // Same object-identity rationale as new_tracking.
+          complexStateMap: new Map([
+            [
+              [accountId, this.name],
+              persistentState
+            ]
+          ]),
+          evictTaskReq: {
+            type: this.name,
+            accountId,
+            op: 'evict'
+          }
+        },
+        markers: []
+      };
+    },
+
+    _makeEntryKey: function(messageId, relId) {
+      if (relId[0] === 'r') {
+        return messageId + '!related';
+      }
+      return messageId + '!' + relId;
+    },
+
+    _getQuota: function(memoryState) {
+      let quota = memoryState.accountDef.downloadCacheQuota;
+      if (typeof(quota) !== 'number') {
+        quota = defaultPrefs.downloadCacheQuota;
+      }
+      return quota;
+    },
+
+    _computeUsage: function(persistentState, memoryState) {
+      let usedBytes = 0;
+      for (let entry of persistentState.entries.values()) {
+        usedBytes += entry.size;
+      }
+      let reservedBytes = 0;
+      for (let messageReservations of persistentState.reservations.values()) {
+        for (let bytes of messageReservations.values()) {
+          reservedBytes += bytes;
+        }
+      }
+      return {
+        usedBytes,
+        reservedBytes,
+        quotaBytes: this._getQuota(memoryState),
+        entryCount: persistentState.entries.size
+      };
+    },
+
+    _addEntry: function(persistentState, memoryState, key, entry) {
+      persistentState.entries.set(key, entry);
+      let keys = memoryState.keysByMessage.get(entry.messageId);
+      if (!keys) {
+        keys = new Set();
+        memoryState.keysByMessage.set(entry.messageId, keys);
+      }
+      keys.add(key);
+    },
+
+    _removeEntry: function(persistentState, memoryState, key) {
+      let entry = persistentState.entries.get(key);
+      if (!entry) {
+        return;
+      }
+      persistentState.entries.delete(key);
+      let keys = memoryState.keysByMessage.get(entry.messageId);
+      keys.delete(key);
+      if (!keys.size) {
+        memoryState.keysByMessage.delete(entry.messageId);
+      }
+    },
+
+    /**
+     * Make our entries and reservations for the given message match what's
+     * actually cached on the message.  Pass a null message if it was deleted.
+     *
+     * @return {Boolean}
+     *   True if our state changed.
+     */
+    _reconcileMessage: function(persistentState, memoryState, messageId,
+                                message) {
+      let oldKeys = memoryState.keysByMessage.get(messageId);
+      let reservations = persistentState.reservations.get(messageId);
+
+      // - Figure out what's cached.
+      let cachedEntries = new Map();
+      if (message) {
+        let considerParts = (parts) => {
+          for (let part of (parts || [])) {
+            if (part.downloadState !== 'cached' || !part.file) {
+              continue;
+            }
+            let key = this._makeEntryKey(messageId, part.relId);
+            let entry = cachedEntries.get(key);
+            if (!entry) {
+              entry = { messageId, relIds: [], size: 0 };
+              cachedEntries.set(key, entry);
+            }
+            entry.relIds.push(part.relId);
+            entry.size += part.file.size;
+          }
+        };
+        considerParts(message.attachments);
+        considerParts(message.relatedParts);
+      }
+
+      // Fast-path the overwhelmingly common case.
+      if (!oldKeys && !reservations && !cachedEntries.size) {
+        return false;
+      }
+
+      let dirty = false;
+      // - Remove entries that are no longer cached.
+      if (oldKeys) {
+        for (let key of Array.from(oldKeys)) {
+          if (!cachedEntries.has(key)) {
+            this._removeEntry(persistentState, memoryState, key);
+            dirty = true;
+          }
+        }
+      }
+
+      // - Add/update entries, clearing their reservations.
+      for (let [key, entry] of cachedEntries) {
+        let oldEntry = persistentState.entries.get(key);
+        if (!oldEntry) {
+          // Newly cached things are the most recently used.
+          this._addEntry(persistentState, memoryState, key, entry);
+          dirty = true;
+        } else if (oldEntry.size !== entry.size ||
+                   oldEntry.relIds.length !== entry.relIds.length) {
+          // (more related parts showed up; keep our place in line)
+          oldEntry.relIds = entry.relIds;
+          oldEntry.size = entry.size;
+          dirty = true;
+        }
+        if (reservations) {
+          for (let relId of entry.relIds) {
+            if (reservations.delete(relId)) {
+              dirty = true;
+            }
+          }
+        }
+      }
+
+      if (reservations && (!message || !reservations.size)) {
+        persistentState.reservations.delete(messageId);
+        dirty = true;
+      }
+
+      return dirty;
+    },
+
+    _triggerReconcile: function(persistentState, memoryState, triggerCtx,
+                                messageId, message) {
+      if (accountIdFromMessageId(messageId) !== memoryState.accountId) {
+        return;
+      }
+      if (this._reconcileMessage(persistentState, memoryState, messageId,
+                                 message)) {
+        triggerCtx.modify({
+          complexTaskStates: memoryState.complexStateMap,
+          rootGroupDeferredTask: memoryState.evictTaskReq
+        });
+      }
+    },
+
+    'trigger_msg!*!add': function(persistentState, memoryState, triggerCtx,
+                                  message) {
+      this._triggerReconcile(
+        persistentState, memoryState, triggerCtx, message.id, message);
+    },
+
+    'trigger_msg!*!change': function(persistentState, memoryState, triggerCtx,
+                                     messageId, preInfo, message) {
+      this._triggerReconcile(
+        persistentState, memoryState, triggerCtx, messageId, message);
+    },
+
+    overlay_accounts: function(persistentState, memoryState,
+                               blockedTaskChecker, accountId) {
+      if (accountId !== memoryState.accountId) {
+        return null;
+      }
+      return this._computeUsage(persistentState, memoryState);
+    },
+
+    /**
+     * Pick the least-recently-used entries to evict so that we fit within our
+     * quota.
+     *
+     * @return {Map<CacheEntryKey, CacheEntry>}
+     */
+    _pickVictims: function(ctx, persistentState, memoryState) {
+      let { usedBytes, reservedBytes, quotaBytes } =
+        this._computeUsage(persistentState, memoryState);
+      let excessBytes = usedBytes + reservedBytes - quotaBytes;
+      let victims = new Map();
+      if (excessBytes <= 0) {
+        return victims;
+      }
+      for (let [key, entry] of persistentState.entries) {
+        if (excessBytes <= 0) {
+          break;
+        }
+        // Don't throw away parts of a message we're actively downloading.
+        if (persistentState.reservations.has(entry.messageId)) {
+          continue;
+        }
+        victims.set(key, entry);
+        excessBytes -= entry.size;
+      }
+      if (excessBytes > 0) {
+        logic(ctx, 'stillOverQuota', { excessBytes });
+      }
+      return victims;
+    },
+
+    /**
+     * Revert the victims' parts to not being downloaded and re-churn their
+     * conversations.
+     */
+    _evict: function*(ctx, persistentState, memoryState, victims) {
+      let victimsByConv = new Map();
+      for (let [key, entry] of victims) {
+        let convId = convIdFromMessageId(entry.messageId);
+        let convVictims = victimsByConv.get(convId);
+        if (!convVictims) {
+          convVictims = [];
+          victimsByConv.set(convId, convVictims);
+        }
+        convVictims.push(entry);
+        // The trigger for the message change would do this too, but the
+        // message might be gone already.
+        this._removeEntry(persistentState, memoryState, key);
+      }
+
+      let fromDb = yield ctx.beginMutate({
+        conversations: new Map(
+          Array.from(victimsByConv.keys(), convId => [convId, null])),
+        messagesByConversation: new Map(
+          Array.from(victimsByConv.keys(), convId => [convId, null]))
+      });
+
+      let convWrites = new Map();
+      let messageWrites = new Map();
+      let evictedBytes = 0;
+      for (let [convId, convVictims] of victimsByConv) {
+        let oldConvInfo = fromDb.conversations.get(convId);
+        let messages = fromDb.messagesByConversation.get(convId);
+        if (!oldConvInfo || !messages) {
+          continue;
+        }
+        for (let { messageId, relIds } of convVictims) {
+          let message = messages.find(msg => msg.id === messageId);
+          if (!message) {
+            continue;
+          }
+          for (let relId of relIds) {
+            let part = pickPartFromMessageByRelId(message, relId);
+            if (part && part.downloadState === 'cached') {
+              evictedBytes += part.file ? part.file.size : 0;
+              part.downloadState = null;
+              part.file = null;
+              messageWrites.set(messageId, message);
+            }
+          }
+        }
+        convWrites.set(
+          convId, churnConversation(convId, oldConvInfo, messages));
+      }
+
+      logic(ctx, 'evicted',
+            { entryCount: victims.size, messageCount: messageWrites.size,
+              evictedBytes });
+
+      return {
+        conversations: convWrites,
+        messages: messageWrites
+      };
+    },
+
+    /**
+     * @param {Object} req
+     * @param {'reserve'|'touch'|'evict'} req.op
+     * @param {MessageId} [req.messageId]
+     *   For 'reserve' and 'touch', the message whose parts we're talking about.
+     * @param {Map<AttachmentRelId, Number>} [req.parts]
+     *   For 'reserve', the number of bytes to reserve for each part.  Zero
+     *   clears the reservation.
+     * @param {AttachmentRelId[]} [req.relIds]
+     *   For 'touch', the parts that were used.
+     */
+    plan: co.wrap(function*(ctx, persistentState, memoryState, req) {
+      let usageChanged = false;
+      switch (req.op) {
+        case 'reserve': {
+          let { messageId } = req;
+          let reservations = persistentState.reservations.get(messageId);
+          if (!reservations) {
+            reservations = new Map();
+          }
+          for (let [relId, bytes] of req.parts) {
+            // The download may have already completed.
+            let entry = persistentState.entries.get(
+              this._makeEntryKey(messageId, relId));
+            if (entry && entry.relIds.indexOf(relId) !== -1) {
+              continue;
+            }
+            if (bytes > 0) {
+              reservations.set(relId, bytes);
+            } else {
+              reservations.delete(relId);
+            }
+            usageChanged = true;
+          }
+          if (reservations.size) {
+            persistentState.reservations.set(messageId, reservations);
+          } else {
+            persistentState.reservations.delete(messageId);
+          }
+          break;
+        }
+        case 'touch': {
+          for (let relId of req.relIds) {
+            let key = this._makeEntryKey(req.messageId, relId);
+            let entry = persistentState.entries.get(key);
+            if (entry) {
+              // Re-inserting moves it to the most-recently-used end.
+              persistentState.entries.delete(key);
+              persistentState.entries.set(key, entry);
+            }
+          }
+          break;
+        }
+        case 'evict':
+          // Our triggers (or a quota change) want us to check the quota and
+          // tell the front-end about our new usage.
+          usageChanged = true;
+          break;
+        default:
+          logic(ctx, 'badOp', { op: req.op });
+          yield ctx.finishTask({});
+          return;
+      }
+
+      let mutations = null;
+      let victims = this._pickVictims(ctx, persistentState, memoryState);
+      if (victims.size) {
+        mutations = yield* this._evict(
+          ctx, persistentState, memoryState, victims);
+        usageChanged = true;
+      }
+
+      if (usageChanged) {
+        ctx.announceUpdatedOverlayData('accounts', memoryState.accountId);
+      }
+
+      yield ctx.finishTask({
+        mutations,
+        complexTaskState: persistentState
+      });
+    }),
+
+    execute: null
+  }
+]);
 });
@@ -12,9 +12,13 @@ const { NOW } = require('../date');
 const { generateMessageIdHeaderValue } = require('../bodies/mailchew');
 
 const deriveBlankDraft = require('../drafts/derive_blank_draft');
+const deriveAttachmentForward =
+  require('../drafts/derive_attachment_forward');
 const deriveInlineForward = require('../drafts/derive_inline_forward');
 const deriveQuotedReply = require('../drafts/derive_quoted_reply');
 
+const { pickIdentityForMessage } = require('../drafts/address_helpers');
+
 const churnConversation = require('../churn_drivers/conv_churn_driver');
 
 /**
@@ -26,6 +30,18 @@ const churnConversation = require('../churn_drivers/conv_churn_driver');
  * be associated with is made during the process of constructing the draft.
  * (And we really don't want the front-end trying to figure the right answer out
  * on its own.)
+ *
+ * New messages use the account's default identity (which is the first one).
+ * Replies and forwards use the identity the source message was sent to; see
+ * `pickIdentityForMessage`.
+ *
+ * Forwards come in two modes:
+ * - 'inline': The body of the source message is quoted into the body of the
+ *   new message.  (The default.)
+ * - 'attachment': The source message is attached intact as a message/rfc822
+ *   part.  Getting the raw MIME may involve talking to the server, so we
+ *   schedule a per-account `draft_attach_original` task to do it and add the
+ *   attachment to the draft.
  */
 return TaskDefiner.defineSimpleTask([
   {
@@ -47,12 +63,6 @@ return TaskDefiner.defineSimpleTask([
       let account = yield ctx.universe.acquireAccount(ctx, accountId);
       let draftFolderInfo = account.getFirstFolderWithType('localdrafts');
 
-      // -- Determine identity
-      // This one is currently easy since we only support a single identity, but
-      // will get more complicated in the future when we support multiple
-      // identities per account.
-      let identity = account.identities[0];
-
       // -- Determine ConversationId and MessageId values
       let convId; // The conversation this message belongs to.
       let messageId; // The full messageId with conversationId baked in.
@@ -81,12 +91,13 @@ return TaskDefiner.defineSimpleTask([
       let allMessages;
       let oldConvInfo;
       let messageInfo;
+      let newTasks = [];
       let folderIds = new Set([draftFolderInfo.id]);
       // - Blank Compose
       if (req.draftType === 'blank') {
         // No need for a body, just generate it up.
         messageInfo = deriveBlankDraft({
-          identity,
+          identity: account.identities[0],
           messageId,
           umid,
           guid,
@@ -113,7 +124,7 @@ return TaskDefiner.defineSimpleTask([
         messageInfo = yield* deriveQuotedReply({
           sourceMessage,
           replyMode: req.mode,
-          identity,
+          identity: pickIdentityForMessage(account.identities, sourceMessage),
           messageId,
           umid,
           guid,
@@ -132,16 +143,37 @@ return TaskDefiner.defineSimpleTask([
           messages: new Map([[sourceMessageKey, null]])
         });
         let sourceMessage = fromDb.messages.get(req.refMessageId);
-
-        messageInfo = yield* deriveInlineForward({
-          sourceMessage,
-          identity,
-          messageId,
-          umid,
-          guid,
-          date,
-          folderIds
-        });
+        let identity =
+          pickIdentityForMessage(account.identities, sourceMessage);
+
+        if (req.mode === 'attachment') {
+          messageInfo = deriveAttachmentForward({
+            sourceMessage,
+            identity,
+            messageId,
+            umid,
+            guid,
+            date,
+            folderIds
+          });
+          newTasks.push({
+            type: 'draft_attach_original',
+            accountId,
+            messageId,
+            refMessageId: sourceMessage.id,
+            refMessageDate: sourceMessage.date
+          });
+        } else {
+          messageInfo = yield* deriveInlineForward({
+            sourceMessage,
+            identity,
+            messageId,
+            umid,
+            guid,
+            date,
+            folderIds
+          });
+        }
 
         allMessages = [messageInfo];
       }
@@ -154,14 +186,16 @@ return TaskDefiner.defineSimpleTask([
             conversations: new Map([[convId, convInfo]]),
           },
           newData: {
-            messages: [messageInfo]
+            messages: [messageInfo],
+            tasks: newTasks
           }
         });
       } else {
         yield ctx.finishTask({
           newData: {
             conversations: [convInfo],
-            messages: [messageInfo]
+            messages: [messageInfo],
+            tasks: newTasks
           }
         });
       }
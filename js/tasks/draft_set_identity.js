@@ -0,0 +1,82 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../task_infra/task_definer');
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+const { convIdFromMessageId } = require('../id_conversions');
+const { addressPairFromIdentity, replyToFromIdentity } =
+  require('../drafts/address_helpers');
+
+const { pickSignature } = require('../bodies/mailchew');
+
+const swapDraftSignature = require('../drafts/swap_draft_signature');
+
+/**
+ * Per-account task to change which of the account's identities a draft is
+ * from.  Besides the author and reply-to, this swaps the signature for the new
+ * identity's default signature for this type of draft, the same as if the
+ * draft had been created with the new identity.
+ *
+ * Like `draft_set_signature`, we are handed the composition's current text and
+ * the planned result is `{ textBody, htmlBlob, signatureId }`.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'draft_set_identity',
+
+    plan: co.wrap(function*(ctx, req) {
+      let { messageId, identityId } = req;
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+      let identity =
+        account.identities.find(ident => ident.id === identityId);
+      if (!identity) {
+        logic(ctx, 'badIdentityId', { identityId });
+        yield ctx.finishTask({});
+        return ctx.returnValue(null);
+      }
+
+      let convId = convIdFromMessageId(messageId);
+      let fromDb = yield ctx.beginMutate({
+        conversations: new Map([[convId, null]]),
+        messagesByConversation: new Map([[convId, null]])
+      });
+
+      let messages = fromDb.messagesByConversation.get(convId);
+      let messageInfo = messages && messages.find(msg => msg.id === messageId);
+      if (!messageInfo) {
+        logic(ctx, 'draftGone', { messageId });
+        yield ctx.finishTask({});
+        return ctx.returnValue(null);
+      }
+
+      let draftInfo = messageInfo.draftInfo;
+      draftInfo.identityId = identity.id;
+      messageInfo.author = addressPairFromIdentity(identity);
+      messageInfo.replyTo = replyToFromIdentity(identity);
+
+      let signature = pickSignature(identity, draftInfo.draftType);
+      let result =
+        yield* swapDraftSignature(messageInfo, req.textBody, signature);
+      result.signatureId = signature ? signature.id : null;
+
+      let oldConvInfo = fromDb.conversations.get(convId);
+      let convInfo = churnConversation(convId, oldConvInfo, messages);
+
+      yield ctx.finishTask({
+        mutations: {
+          conversations: new Map([[convId, convInfo]]),
+          messages: new Map([[messageId, messageInfo]])
+        }
+      });
+
+      return ctx.returnValue(result);
+    }),
+
+    execute: null
+  }
+]);
+});
@@ -0,0 +1,73 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../task_infra/task_definer');
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+const { convIdFromMessageId } = require('../id_conversions');
+const { findIdentityOrDefault } = require('../drafts/address_helpers');
+
+const { findSignature } = require('../bodies/mailchew');
+
+const swapDraftSignature = require('../drafts/swap_draft_signature');
+
+/**
+ * Per-account task to swap the signature in a draft for a different one of the
+ * identity's signatures (or no signature at all).  See `swapDraftSignature`
+ * for the details.
+ *
+ * The planned result is `{ textBody, htmlBlob }` so the `MessageComposition`
+ * can update itself.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'draft_set_signature',
+
+    plan: co.wrap(function*(ctx, req) {
+      let { messageId, signatureId } = req;
+      let account = yield ctx.universe.acquireAccount(ctx, req.accountId);
+
+      let convId = convIdFromMessageId(messageId);
+      let fromDb = yield ctx.beginMutate({
+        conversations: new Map([[convId, null]]),
+        messagesByConversation: new Map([[convId, null]])
+      });
+
+      let messages = fromDb.messagesByConversation.get(convId);
+      let messageInfo = messages && messages.find(msg => msg.id === messageId);
+      if (!messageInfo) {
+        logic(ctx, 'draftGone', { messageId });
+        yield ctx.finishTask({});
+        return ctx.returnValue(null);
+      }
+
+      let identity = findIdentityOrDefault(
+        account.identities, messageInfo.draftInfo.identityId);
+      let signature = findSignature(identity, signatureId);
+      if (signatureId && !signature) {
+        logic(ctx, 'badSignatureId', { signatureId });
+      }
+
+      let result =
+        yield* swapDraftSignature(messageInfo, req.textBody, signature);
+
+      let oldConvInfo = fromDb.conversations.get(convId);
+      let convInfo = churnConversation(convId, oldConvInfo, messages);
+
+      yield ctx.finishTask({
+        mutations: {
+          conversations: new Map([[convId, convInfo]]),
+          messages: new Map([[messageId, messageInfo]])
+        }
+      });
+
+      return ctx.returnValue(result);
+    }),
+
+    execute: null
+  }
+]);
+});
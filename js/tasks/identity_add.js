@@ -0,0 +1,68 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+const co = require('co');
+const TaskDefiner = require('../task_infra/task_definer');
+
+const { encodeInt } = require('../a64');
+const { decodeSpecificIdentityIdFromIdentityId } =
+  require('../id_conversions');
+const { makeIdentity } = require('../db/account_def_rep');
+
+/**
+ * Add a new sender identity to an account, like an alias that the user can
+ * also send from.  The identity gets appended to the account's identities, so
+ * it does not become the default identity; use the `defaultIdentityId`
+ * `account_modify` mod for that.
+ *
+ * Signatures can't be provided here; use `identity_modify` once the identity
+ * exists.
+ *
+ * The planned result is the new identity's id.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'identity_add',
+
+    plan: co.wrap(function*(ctx, rawTask) {
+      const accountDef = yield ctx.readSingle('accounts', rawTask.accountId);
+      const fields = rawTask.fields;
+
+      // Never reuse the id of an identity that still exists.  (We may reuse
+      // the id of the most recently added identity if it was removed, which is
+      // harmless; drafts fall back to the default identity either way.)
+      let maxNum = -1;
+      for (let identity of accountDef.identities) {
+        maxNum = Math.max(
+          maxNum, decodeSpecificIdentityIdFromIdentityId(identity.id));
+      }
+      const identityId = accountDef.id + '.' + encodeInt(maxNum + 1);
+
+      const identity = makeIdentity({
+        id: identityId,
+        name: fields.name || '',
+        address: fields.address,
+        replyTo: fields.replyTo || null,
+        signature: null,
+        signatureEnabled: false
+      });
+      logic(ctx, 'addingIdentity', { identityId });
+
+      yield ctx.finishTask({
+        atomicClobbers: {
+          accounts: new Map([
+            [
+              rawTask.accountId,
+              new Map([
+                [['identities'], accountDef.identities.concat([identity])]
+              ])
+            ]
+          ])
+        }
+      });
+      return ctx.returnValue(identityId);
+    })
+  }
+]);
+});
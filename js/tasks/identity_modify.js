@@ -5,9 +5,58 @@ const logic = require('logic');
 const co = require('co');
 const TaskDefiner = require('../task_infra/task_definer');
 
+const { encodeInt } = require('../a64');
+
+const { sanitizeComposedHtml, generateSearchableTextVersion } =
+  require('../bodies/htmlchew');
+const { getIdentitySignatures, LEGACY_SIGNATURE_ID } =
+  require('../bodies/mailchew');
+
+/**
+ * Normalize the front-end's list of signatures into `SignatureInfo`s,
+ * allocating ids for new signatures, sanitizing their HTML, and deriving a
+ * text version of HTML-only signatures.
+ *
+ * Signature HTML ends up in the messages we send, so it's sanitized with
+ * `sanitizeComposedHtml`, which keeps links working.  (The front-end hands
+ * back signatures from `MailSenderIdentity.signatures` that we already
+ * sanitized, but doing it again doesn't hurt.)
+ */
+function normalizeSignatures(rawSignatures) {
+  let usedIds = new Set();
+  for (let raw of rawSignatures) {
+    if (raw.id) {
+      usedIds.add(raw.id);
+    }
+  }
+  let nextId = 0;
+
+  return rawSignatures.map((raw) => {
+    let id = raw.id;
+    if (!id) {
+      do {
+        id = encodeInt(nextId++);
+      } while (usedIds.has(id));
+      usedIds.add(id);
+    }
+
+    let html = raw.html ? sanitizeComposedHtml(raw.html) : null;
+    let text = raw.text;
+    if (typeof text !== 'string') {
+      text = html ? generateSearchableTextVersion(html, true).trim() : '';
+    }
+    return { id, name: raw.name || '', text, html };
+  });
+}
+
 /**
- * Manipulate identity settings.  Right now we only support one identity per
- * account and we hard-code the path, though it wouldn't take much to
+ * Manipulate identity settings.  Identities are added and removed by
+ * `identity_add` and `identity_remove`.
+ *
+ * Signatures are always written as a whole: `signatures`, the default ids and
+ * the legacy `signature`/`signatureEnabled` fields, so that they stay
+ * consistent with each other.  The legacy fields map onto the signature with
+ * id `LEGACY_SIGNATURE_ID` being used for both new messages and replies.
  */
 return TaskDefiner.defineSimpleTask([
   {
@@ -21,11 +70,34 @@ return TaskDefiner.defineSimpleTask([
       // prettier/more explicit logging and also have unit tests that more
       // directly ensure what we're doing in here is correct as it relates to
       // to our conditionalized username/password logic.
+      const accountDef = yield ctx.readSingle('accounts', rawTask.accountId);
       const accountClobbers = new Map();
 
-      // for now there's still only one identity.
-      const identIndex = 0;
+      // (Tasks persisted before we supported multiple identities lack an
+      // identityId, but they were for the only identity.)
+      const identityId = rawTask.identityId;
+      const identIndex = identityId ?
+        accountDef.identities.findIndex(ident => ident.id === identityId) : 0;
+      if (identIndex === -1) {
+        logic(ctx, 'identityGone', { identityId });
+        yield ctx.finishTask({});
+        return;
+      }
       const identPath = ['identities', identIndex];
+      const identity = accountDef.identities[identIndex];
+
+      // The signature state we will write if any signature mods happen.
+      let signatures = getIdentitySignatures(identity);
+      let newMessageSignatureId;
+      if (identity.signatures) {
+        newMessageSignatureId = identity.newMessageSignatureId;
+      } else {
+        newMessageSignatureId =
+          identity.signatureEnabled ? LEGACY_SIGNATURE_ID : null;
+      }
+      let replySignatureId = identity.signatures ?
+        identity.replySignatureId : newMessageSignatureId;
+      let signaturesModified = false;
 
       for (let key in rawTask.mods) {
         const val = rawTask.mods[key];
@@ -43,12 +115,40 @@ return TaskDefiner.defineSimpleTask([
             accountClobbers.set(identPath.concat('replyTo'), val);
             break;
 
-          case 'signature':
-            accountClobbers.set(identPath.concat('signature'), val);
+          case 'signature': {
+            let legacy =
+              { id: LEGACY_SIGNATURE_ID, name: '', text: val, html: null };
+            let idx =
+              signatures.findIndex(sig => sig.id === LEGACY_SIGNATURE_ID);
+            signatures = signatures.slice();
+            if (idx === -1) {
+              signatures.push(legacy);
+            } else {
+              signatures[idx] = Object.assign({}, signatures[idx], legacy);
+            }
+            signaturesModified = true;
             break;
+          }
 
           case 'signatureEnabled':
-            accountClobbers.set(identPath.concat('signatureEnabled'), val);
+            newMessageSignatureId = replySignatureId =
+              val ? LEGACY_SIGNATURE_ID : null;
+            signaturesModified = true;
+            break;
+
+          case 'signatures':
+            signatures = val;
+            signaturesModified = true;
+            break;
+
+          case 'newMessageSignatureId':
+            newMessageSignatureId = val;
+            signaturesModified = true;
+            break;
+
+          case 'replySignatureId':
+            replySignatureId = val;
+            signaturesModified = true;
             break;
 
           default:
@@ -57,6 +157,33 @@ return TaskDefiner.defineSimpleTask([
         }
       }
 
+      if (signaturesModified) {
+        signatures = normalizeSignatures(signatures);
+        const validateId = (sigId) => {
+          if (sigId && !signatures.some(sig => sig.id === sigId)) {
+            logic(ctx, 'badSignatureId', { signatureId: sigId });
+            return null;
+          }
+          return sigId || null;
+        };
+        newMessageSignatureId = validateId(newMessageSignatureId);
+        replySignatureId = validateId(replySignatureId);
+        const legacy =
+          signatures.find(sig => sig.id === LEGACY_SIGNATURE_ID);
+
+        accountClobbers.set(identPath.concat('signatures'), signatures);
+        accountClobbers.set(identPath.concat('newMessageSignatureId'),
+                            newMessageSignatureId);
+        accountClobbers.set(identPath.concat('replySignatureId'),
+                            replySignatureId);
+        accountClobbers.set(identPath.concat('signature'),
+                            legacy ? legacy.text : null);
+        accountClobbers.set(
+          identPath.concat('signatureEnabled'),
+          !!legacy && (newMessageSignatureId === LEGACY_SIGNATURE_ID ||
+                       replySignatureId === LEGACY_SIGNATURE_ID));
+      }
+
       yield ctx.finishTask({
         atomicClobbers: {
           accounts: new Map([
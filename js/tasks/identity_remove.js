@@ -0,0 +1,50 @@
+define(function(require) {
+'use strict';
+
+const logic = require('logic');
+const co = require('co');
+const TaskDefiner = require('../task_infra/task_definer');
+
+/**
+ * Remove a sender identity from an account.  An account must always have at
+ * least one identity, so attempts to remove the last identity are ignored.
+ * If the default (first) identity is removed, the next one becomes the
+ * default.
+ *
+ * Drafts from the removed identity keep their author until they are sent, but
+ * otherwise behave as if they were from the default identity.
+ *
+ * The planned result is true if the identity was removed, false otherwise.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'identity_remove',
+
+    plan: co.wrap(function*(ctx, rawTask) {
+      const accountDef = yield ctx.readSingle('accounts', rawTask.accountId);
+      const { identityId } = rawTask;
+
+      const identities =
+        accountDef.identities.filter(identity => identity.id !== identityId);
+      if (identities.length === accountDef.identities.length ||
+          !identities.length) {
+        logic(ctx, 'cannotRemoveIdentity', { identityId });
+        yield ctx.finishTask({});
+        return ctx.returnValue(false);
+      }
+
+      yield ctx.finishTask({
+        atomicClobbers: {
+          accounts: new Map([
+            [
+              rawTask.accountId,
+              new Map([[['identities'], identities]])
+            ]
+          ])
+        }
+      });
+      return ctx.returnValue(true);
+    })
+  }
+]);
+});
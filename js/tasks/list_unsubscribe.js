@@ -0,0 +1,154 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+const TaskDefiner = require('../task_infra/task_definer');
+
+const { accountIdFromMessageId } = require('../id_conversions');
+const { shallowClone } = require('../util');
+
+const { NOW } = require('../date');
+const { CONNECT_TIMEOUT_MS } = require('../syncbase');
+
+const { generateMessageIdHeaderValue, makeBodyPartsFromTextAndHTML } =
+  require('../bodies/mailchew');
+
+const deriveBlankDraft = require('../drafts/derive_blank_draft');
+const { pickIdentityForMessage } = require('../drafts/address_helpers');
+const parseMailtoUrl = require('../mime/parse_mailto');
+
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+/**
+ * POST the RFC 8058 one-click unsubscribe request.  Resolves with whether the
+ * server accepted it.
+ */
+function postOneClickUnsubscribe(url) {
+  return new Promise(function(resolve) {
+    let xhr = logic.interceptable('list_unsubscribe:xhr', function() {
+      return new XMLHttpRequest({ mozSystem: true });
+    });
+    xhr.open('POST', url, true);
+    xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+    xhr.timeout = CONNECT_TIMEOUT_MS;
+    xhr.onload = function() {
+      resolve(xhr.status >= 200 && xhr.status < 300);
+    };
+    xhr.onerror = xhr.ontimeout = function() {
+      resolve(false);
+    };
+    xhr.send('List-Unsubscribe=One-Click');
+  });
+}
+
+/**
+ * Global task to unsubscribe from the mailing list a message was sent to,
+ * using the message's List-Unsubscribe info.  We prefer RFC 8058 one-click
+ * unsubscription because it happens without user-visible side-effects.  If
+ * that's not an option, we use the first mailto: URL to create a message and
+ * send it through the outbox like any other message, which means that it
+ * shows up in the outbox and then the sent folder.  We never try to visit
+ * plain http(s) URLs since those are web pages that want a human to interact
+ * with them; the front-end can show `MailMessage.list.unsubscribe` itself.
+ *
+ * This is a global task for the same reason `draft_create` is: the mailto case
+ * creates a new draft which needs the account's identity and drafts folder.
+ *
+ * The planned result is the method we used: 'post', 'mailto', or null if the
+ * message has no list info we can use.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'list_unsubscribe',
+
+    plan: co.wrap(function*(ctx, req) {
+      let { messageId, messageDate } = req;
+      let message = yield ctx.readSingle(
+        'messages', [messageId, messageDate], messageId);
+      let list = message && message.list;
+      let urls = (list && list.unsubscribe) || [];
+
+      // -- One-click POST (which happens in execute)
+      let postUrl =
+        list && list.oneClickUnsubscribe &&
+        urls.find(url => /^https:/i.test(url));
+      if (postUrl) {
+        let plannedTask = shallowClone(req);
+        plannedTask.url = postUrl;
+        yield ctx.finishTask({
+          taskState: plannedTask
+        });
+        return ctx.returnValue('post');
+      }
+
+      // -- mailto: via the outbox
+      let mailto = null;
+      for (let url of urls) {
+        mailto = parseMailtoUrl(url);
+        if (mailto) {
+          break;
+        }
+      }
+      if (!mailto) {
+        logic(ctx, 'noUnsubscribeMethod', { messageId });
+        yield ctx.finishTask({});
+        return ctx.returnValue(null);
+      }
+
+      let accountId = accountIdFromMessageId(messageId);
+      let account = yield ctx.universe.acquireAccount(ctx, accountId);
+      let draftFolderInfo = account.getFirstFolderWithType('localdrafts');
+      // Unsubscribe the address that's subscribed.
+      let identity = pickIdentityForMessage(account.identities, message);
+
+      // (See draft_create for the rationale for these identifiers.)
+      let messageIdPiece = '~' + ctx.id;
+      let convId = accountId + '.' + messageIdPiece;
+      let draftMessageId = convId + '.' + messageIdPiece;
+
+      let messageInfo = deriveBlankDraft({
+        identity,
+        messageId: draftMessageId,
+        umid: accountId + '.' + messageIdPiece,
+        guid: generateMessageIdHeaderValue(),
+        date: NOW(),
+        folderIds: new Set([draftFolderInfo.id])
+      });
+      messageInfo.to = mailto.to.map(address => ({ address }));
+      messageInfo.cc = mailto.cc.map(address => ({ address }));
+      messageInfo.subject = mailto.subject || 'unsubscribe';
+      // No signature; there's a robot on the other end.
+      messageInfo.bodyReps =
+        makeBodyPartsFromTextAndHTML(mailto.body || '', null);
+      messageInfo.draftInfo.signature = null;
+
+      let convInfo = churnConversation(convId, null, [messageInfo]);
+
+      yield ctx.finishTask({
+        newData: {
+          conversations: [convInfo],
+          messages: [messageInfo],
+          tasks: [{
+            type: 'outbox_send',
+            command: 'send',
+            accountId,
+            messageId: draftMessageId,
+            // The undo-send window is for the user's own messages.
+            undoSendDelay: 0
+          }]
+        }
+      });
+      return ctx.returnValue('mailto');
+    }),
+
+    execute: co.wrap(function*(ctx, planned) {
+      let success = yield postOneClickUnsubscribe(planned.url);
+      // There's no point in retrying; if the server didn't like it the first
+      // time it's unlikely to like it the second time.
+      logic(ctx, 'oneClickUnsubscribe', { url: planned.url, success });
+      yield ctx.finishTask({});
+    })
+  }
+]);
+});
@@ -0,0 +1,172 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const { shallowClone } = require('../util');
+
+const TaskDefiner = require('../task_infra/task_definer');
+const churnConversation = require('../churn_drivers/conv_churn_driver');
+
+const { conversationMessageComparator } = require('../db/comparators');
+
+const { messageSpecificIdFromMessageId } = require('../id_conversions');
+const { normalizeSubjectForThreading, makeSubjectKey } =
+  require('../task_mixins/conv_resolver');
+
+/**
+ * Planning-only task that merges one or more conversations into a target
+ * conversation.  This gets scheduled by the conversation resolver when a
+ * message's headers reference messages in more than one conversation, which is
+ * what happens when a parent message shows up after its replies were already
+ * threaded into separate conversations.  See the "Merges" section of vanilla
+ * IMAP's `sync.md`.
+ *
+ * Because the ConversationId is baked into the MessageId, merging means
+ * re-keying every message in the losing conversations.  We:
+ * - delete the losing conversations and their messages and add the messages
+ *   back under their new ids.
+ * - rewrite the umidNames entries so sync can still find the messages.
+ * - rewrite the headerIdMaps entries for the messages' message-id and
+ *   references headers and normalized subjects that named the losing
+ *   conversations or messages.
+ * - tell the database which conversation the losing conversations were merged
+ *   into so that any open ConversationTOC can follow along.
+ *
+ * Task state that references the old MessageIds (ex: an outbox send in
+ * progress) is not updated.  Drafts are not expected to be involved because
+ * they are not threaded by sync.
+ */
+return TaskDefiner.defineSimpleTask([
+  {
+    name: 'merge_conversations',
+
+    /**
+     * @param {Object} req
+     * @param {AccountId} req.accountId
+     * @param {ConversationId} req.targetConvId
+     *   The conversation that survives the merge.
+     * @param {ConversationId[]} req.sourceConvIds
+     *   The conversations to merge into the target conversation.
+     */
+    plan: co.wrap(function*(ctx, req) {
+      let { accountId, targetConvId } = req;
+      let sourceConvIds = req.sourceConvIds.filter(id => id !== targetConvId);
+      let allConvIds = [targetConvId].concat(sourceConvIds);
+
+      let fromDb = yield ctx.beginMutate({
+        conversations: new Map(allConvIds.map(id => [id, null])),
+        messagesByConversation: new Map(allConvIds.map(id => [id, null]))
+      });
+
+      let targetConvInfo = fromDb.conversations.get(targetConvId);
+      if (!targetConvInfo) {
+        logic(ctx, 'mergeTargetGone', { targetConvId });
+        yield ctx.finishTask({});
+        return;
+      }
+
+      let allMessages = fromDb.messagesByConversation.get(targetConvId);
+      let convWrites = new Map();
+      let mergedConversations = new Map();
+      let modifiedMessagesMap = new Map();
+      let newMessages = [];
+      let umidNameWrites = new Map();
+      // Map from old MessageId to new MessageId
+      let renamedMessageIds = new Map();
+
+      for (let sourceConvId of sourceConvIds) {
+        if (!fromDb.conversations.get(sourceConvId)) {
+          continue;
+        }
+        for (let message of fromDb.messagesByConversation.get(sourceConvId)) {
+          let newMessageId =
+            targetConvId + '.' + messageSpecificIdFromMessageId(message.id);
+          renamedMessageIds.set(message.id, newMessageId);
+          modifiedMessagesMap.set(message.id, null);
+
+          let newMessage = shallowClone(message);
+          newMessage.id = newMessageId;
+          newMessages.push(newMessage);
+          allMessages.push(newMessage);
+          if (message.umid) {
+            umidNameWrites.set(message.umid, newMessageId);
+          }
+        }
+        convWrites.set(sourceConvId, null);
+        mergedConversations.set(sourceConvId, targetConvId);
+      }
+
+      if (!mergedConversations.size) {
+        logic(ctx, 'mergeMoot', { targetConvId, sourceConvIds });
+        yield ctx.finishTask({});
+        return;
+      }
+
+      // -- Rewrite the headerIdMaps entries
+      let headerIdReads = new Map();
+      for (let message of newMessages) {
+        if (message.guid) {
+          headerIdReads.set([accountId, message.guid], null);
+        }
+        for (let ref of (message.references || [])) {
+          headerIdReads.set([accountId, ref], null);
+        }
+      }
+      let subjectsSeen = new Set();
+      for (let message of newMessages) {
+        let { normalized } = normalizeSubjectForThreading(message.subject);
+        if (normalized && !subjectsSeen.has(normalized)) {
+          subjectsSeen.add(normalized);
+          headerIdReads.set(makeSubjectKey(accountId, normalized), null);
+        }
+      }
+      let headerIdWrites = new Map();
+      if (headerIdReads.size) {
+        let headerFromDb = yield ctx.read({ headerIdMaps: headerIdReads });
+        for (let [key, value] of headerFromDb.headerIdMaps) {
+          if (Array.isArray(value)) {
+            // A list of MessageIds, some of which may have been renamed.
+            if (value.some(id => renamedMessageIds.has(id))) {
+              headerIdWrites.set(
+                key, value.map(id => renamedMessageIds.get(id) || id));
+            }
+          } else if (mergedConversations.has(value)) {
+            // A placeholder ConversationId for a message we haven't seen.
+            headerIdWrites.set(key, targetConvId);
+          } else if (value && mergedConversations.has(value.convId)) {
+            // A subject threading entry.
+            headerIdWrites.set(
+              key, { convId: targetConvId, date: value.date });
+          }
+        }
+      }
+
+      allMessages.sort(conversationMessageComparator);
+      convWrites.set(
+        targetConvId,
+        churnConversation(targetConvId, targetConvInfo, allMessages));
+
+      logic(ctx, 'merging',
+            { targetConvId, mergedCount: mergedConversations.size,
+              messageCount: newMessages.length });
+
+      yield ctx.finishTask({
+        mutations: {
+          conversations: convWrites,
+          messages: modifiedMessagesMap,
+          umidNames: umidNameWrites,
+          headerIdMaps: headerIdWrites,
+          mergedConversations
+        },
+        newData: {
+          messages: newMessages
+        }
+      });
+    }),
+
+    execute: null
+  }
+]);
+});
@@ -0,0 +1,257 @@
+define(function(require) {
+'use strict';
+
+const co = require('co');
+const logic = require('logic');
+
+const TaskDefiner = require('../task_infra/task_definer');
+const GatherMessageBodies = require('../search/gatherers/message_bodies');
+
+const { accountIdFromMessageId } = require('../id_conversions');
+const { extractIndexTerms } = require('../search/search_terms');
+
+const CT_AUTHORED_CONTENT = 0x1;
+
+/**
+ * How many messages to index per execution.  Each one involves reading its
+ * body Blobs, so we want to get out of the way of other tasks regularly.
+ */
+const INDEX_BATCH_SIZE = 50;
+
+/**
+ * A cheap summary of everything we index a message by, so that the flood of
+ * flag changes (marking read, starring) doesn't make us re-read body Blobs.
+ * Bodies are summarized by their size, so an edit to a draft that leaves its
+ * body exactly the same size goes unnoticed until the next edit.
+ */
+function computeFingerprint(message) {
+  return JSON.stringify([
+    message.subject,
+    message.author,
+    message.replyTo,
+    message.to,
+    message.cc,
+    message.bcc,
+    message.bodyReps.map((rep) => {
+      return rep.contentBlob ? rep.contentBlob.size : null;
+    })
+  ]);
+}
+
+/**
+ * Get the terms for a message's subject, participants and (non-quoted) body.
+ */
+function* extractMessageTerms(message) {
+  let texts = [message.subject];
+  let addressLists = [[message.author], message.replyTo, message.to,
+                      message.cc, message.bcc];
+  for (let addressPairs of addressLists) {
+    for (let addressPair of (addressPairs || [])) {
+      texts.push(addressPair.name, addressPair.address);
+    }
+  }
+
+  let bodyGatherer = new GatherMessageBodies(null, { includeQuotes: false });
+  let bodyContents = yield bodyGatherer.gather({ message });
+  for (let bodyContent of bodyContents) {
+    if (bodyContent.type === 'html') {
+      texts.push(bodyContent.textBody);
+    } else {
+      let bodyRep = bodyContent.rep;
+      for (let iRep = 0; iRep < bodyRep.length; iRep += 2) {
+        if ((bodyRep[iRep] & 0xf) === CT_AUTHORED_CONTENT) {
+          texts.push(bodyRep[iRep + 1]);
+        }
+      }
+    }
+  }
+
+  return extractIndexTerms(texts.filter(text => text).join('\n'));
+}
+
+/**
+ * Per-account maintenance of the full-text search index (see TBL_SEARCH_INDEX
+ * in MailDB) that `QueryManager` uses to find candidate messages without
+ * scanning every message and body in a folder.
+ *
+ * Our triggers notice messages being added, changed and deleted.  We can't
+ * index from the trigger because the body text lives in Blobs that have to be
+ * read asynchronously and triggers run synchronously inside the database
+ * transaction, so the triggers just record the MessageIds in our persistent
+ * state and ask for an 'index' plan once the root task group completes.
+ * Planning issues a task marker and execution does the actual indexing in
+ * batches, reissuing the marker until we've caught up.  Because the pending set
+ * is persisted, we pick up where we left off after a restart.
+ *
+ * Execution reads each message and the terms it was previously indexed under
+ * and writes the delta.  Messages that don't exist anymore (including the old
+ * ids of messages whose conversations were merged) are removed.
+ */
+return TaskDefiner.defineComplexTask([
+  {
+    name: 'search_index',
+
+    /**
+     * @typedef {Object} SearchIndexState
+     * @prop {Map<MessageId, DateMS|null>} pending
+     *   The messages that need to be (re)indexed, with the date needed to load
+     *   them, or null if they were deleted.
+     */
+    initPersistentState: function() {
+      return {
+        pending: new Map()
+      };
+    },
+
+    deriveMemoryStateFromPersistentState: function(persistentState,
+                                                   accountId) {
+      let marker = {
+        type: this.name,
+        id: this.name + ':' + accountId,
+        accountId,
+        priorityTags: [],
+        exclusiveResources: []
+      };
+      return {
+        memoryState: {
+          accountId,
+          marker,
+          // Same object-identity rationale as new_tracking.
+          complexStateMap: new Map([
+            [
+              [accountId, this.name],
+              persistentState
+            ]
+          ]),
+          indexTaskReq: {
+            type: this.name,
+            accountId
+          }
+        },
+        markers: persistentState.pending.size ? [marker] : []
+      };
+    },
+
+    _triggerPending: function(persistentState, memoryState, triggerCtx,
+                              messageId, message) {
+      if (accountIdFromMessageId(messageId) !== memoryState.accountId) {
+        return;
+      }
+      persistentState.pending.set(messageId, message ? message.date : null);
+      triggerCtx.modify({
+        complexTaskStates: memoryState.complexStateMap,
+        rootGroupDeferredTask: memoryState.indexTaskReq
+      });
+    },
+
+    'trigger_msg!*!add': function(persistentState, memoryState, triggerCtx,
+                                  message) {
+      this._triggerPending(
+        persistentState, memoryState, triggerCtx, message.id, message);
+    },
+
+    'trigger_msg!*!change': function(persistentState, memoryState, triggerCtx,
+                                     messageId, preInfo, message) {
+      this._triggerPending(
+        persistentState, memoryState, triggerCtx, messageId, message);
+    },
+
+    /**
+     * Our triggers have added to the pending set; make sure our marker is
+     * around to do something about it.
+     */
+    plan: co.wrap(function*(ctx, persistentState, memoryState) {
+      let taskMarkers = null;
+      if (persistentState.pending.size) {
+        let marker = memoryState.marker;
+        taskMarkers = new Map([[marker.id, marker]]);
+      }
+      yield ctx.finishTask({ taskMarkers });
+    }),
+
+    execute: co.wrap(function*(ctx, persistentState, memoryState, marker) {
+      let { accountId } = memoryState;
+      let { pending } = persistentState;
+
+      // - Claim a batch
+      // We take the messages out of the pending set now so that if our
+      // triggers put them back while we're working, they get indexed again.
+      let batch = new Map();
+      for (let [messageId, date] of pending) {
+        if (batch.size >= INDEX_BATCH_SIZE) {
+          break;
+        }
+        batch.set(messageId, date);
+      }
+      for (let messageId of batch.keys()) {
+        pending.delete(messageId);
+      }
+
+      let messageReqs = new Map();
+      let termsReqs = new Map();
+      for (let [messageId, date] of batch) {
+        if (date !== null) {
+          messageReqs.set([messageId, date], null);
+        }
+        termsReqs.set(messageId, null);
+      }
+      let fromDb = yield ctx.read({
+        messages: messageReqs,
+        searchTerms: termsReqs
+      });
+
+      // - Compute the deltas
+      let indexWrites = new Map();
+      let termsWrites = new Map();
+      let indexedCount = 0;
+      for (let messageId of batch.keys()) {
+        let message = fromDb.messages.get(messageId);
+        let oldRecord = fromDb.searchTerms.get(messageId);
+        let oldTerms = oldRecord ? oldRecord.terms : [];
+        let newRecord = null;
+        if (message) {
+          let fingerprint = computeFingerprint(message);
+          if (oldRecord && oldRecord.fingerprint === fingerprint) {
+            continue;
+          }
+          let terms = yield* extractMessageTerms(message);
+          newRecord = { terms, fingerprint };
+          indexedCount++;
+        } else if (!oldRecord) {
+          continue;
+        }
+
+        let newTerms = newRecord ? newRecord.terms : [];
+        let newTermSet = new Set(newTerms);
+        let oldTermSet = new Set(oldTerms);
+        for (let term of oldTerms) {
+          if (!newTermSet.has(term)) {
+            indexWrites.set([accountId, term, messageId], null);
+          }
+        }
+        for (let term of newTerms) {
+          if (!oldTermSet.has(term)) {
+            indexWrites.set([accountId, term, messageId], true);
+          }
+        }
+        termsWrites.set(messageId, newRecord);
+      }
+
+      logic(ctx, 'indexed',
+            { batchSize: batch.size, indexedCount,
+              removedCount: termsWrites.size - indexedCount,
+              remaining: pending.size });
+
+      yield ctx.finishTask({
+        mutations: {
+          searchIndex: indexWrites,
+          searchTerms: termsWrites
+        },
+        complexTaskState: persistentState,
+        // Come back for the rest.
+        taskMarkers: pending.size ? new Map([[marker.id, marker]]) : null
+      });
+    })
+  }
+]);
+});
@@ -89,6 +89,11 @@ function AccountManager({ db, universe, taskRegistry, taskResources }) {
    */
   this.accounts = new Map();
 
+  /**
+   * Should accounts that support push be pushing?  See `setPushEnabled`.
+   */
+  this._pushEnabled = false;
+
   this.db.on('accounts!tocChange', this._onTOCChange.bind(this));
 }
 AccountManager.prototype = {
@@ -169,6 +174,9 @@ AccountManager.prototype = {
           let account = new accountConstructor(
             this.universe, accountDef, foldersTOC, this.db, stashedConn);
           this.accounts.set(accountId, account);
+          if (this._pushEnabled && this._accountSupportsPush(accountDef)) {
+            account.setPushEnabled(true);
+          }
           // If we're online, issue a syncFolderList task.
           if (this.universe.online) {
             this.universe.syncFolderList(accountId, 'loadAccount');
@@ -221,6 +229,51 @@ AccountManager.prototype = {
     return engineBackEndFacts.get(accountDef.engine);
   },
 
+  _accountSupportsPush: function(accountDef) {
+    return engineBackEndFacts.get(accountDef.engine).supportsPush;
+  },
+
+  /**
+   * Enable or disable push for all accounts whose engines support it.  The
+   * MailUniverse calls this as its online/interactive state changes.
+   *
+   * Accounts are normally only loaded when something needs them, but accounts
+   * can't push if they don't exist, so enabling push loads them.  Accounts
+   * loaded later (including newly created ones) find out when they load.
+   */
+  setPushEnabled: function(enabled) {
+    if (enabled === this._pushEnabled) {
+      return;
+    }
+    logic(this, 'setPushEnabled', { enabled });
+    this._pushEnabled = enabled;
+    for (let accountDef of this._immediateAccountDefsById.values()) {
+      if (!this._accountSupportsPush(accountDef)) {
+        continue;
+      }
+      let account = this.accounts.get(accountDef.id);
+      if (account) {
+        account.setPushEnabled(enabled);
+      } else if (enabled) {
+        // (_ensureAccount applies _pushEnabled to the account when it's
+        // created.)
+        this._ensureAccount(accountDef.id);
+      }
+    }
+  },
+
+  /**
+   * The MailUniverse tells us when a folder's FolderConversationsTOC comes or
+   * goes since pushing accounts may want to watch the folders being viewed.
+   */
+  viewedFoldersChanged: function(accountId) {
+    let account = this.accounts.get(accountId);
+    if (account && this._pushEnabled &&
+        this._accountSupportsPush(account.accountDef)) {
+      account.viewedFoldersChanged();
+    }
+  },
+
   /**
    * Get all account currently known account definitions *even if we have not
    * completed all the load steps for the accounts*.  Use this if all you need
@@ -307,7 +360,10 @@ AccountManager.prototype = {
       // a more explicit "things to do for freshly created accounts" mechanism.
       // (Maybe a task "account_created" that's per account so the accounts can
       // hang everything they want to do off that.
-      if (this._stashedConnectionsByAccountId.has(accountDef.id)) {
+      //
+      // Similarly, accounts need to exist to push.
+      if (this._stashedConnectionsByAccountId.has(accountDef.id) ||
+          (this._pushEnabled && this._accountSupportsPush(accountDef))) {
         this._ensureAccount(accountDef.id);
       }
 
@@ -344,6 +400,8 @@ AccountManager.prototype = {
 
     // - Folder TOCs and Account TOC cleanup
     let doFolderCleanup = () => {
+      let foldersTOC = this.accountFoldersTOCs.get(accountId);
+      foldersTOC.__accountRemoved();
       this.accountFoldersTOCs.delete(accountId);
       this._accountFoldersTOCLoads.delete(accountId);
       // We don't announce the account to the TOC until the folder TOC loaded,
@@ -353,7 +411,7 @@ AccountManager.prototype = {
     if (this.accountFoldersTOCs.has(accountId)) {
       doFolderCleanup();
     } else if (this._accountFoldersTOCLoads.has(accountId)) {
-      this._accountFoldersTOCLoads.then(doFolderCleanup);
+      this._accountFoldersTOCLoads.get(accountId).then(doFolderCleanup);
     }
   },
 };
@@ -0,0 +1,109 @@
+/**
+ * A stand-in for TaskContext so that unit tests can run a task's plan/execute
+ * without a MailUniverse, TaskManager or database.
+ */
+define(function(require) {
+'use strict';
+
+var logic = require('logic');
+
+/**
+ * Reads are answered out of `data`, which maps a read namespace (ex:
+ * 'messages') to a Map keyed by the id the result is read back with.  (So for
+ * messages, the MessageId and not [MessageId, DateMS].)  complexTaskStates are
+ * read back by their [AccountId, TaskType, ...] key like with the real thing,
+ * so `data` keys them by that key joined with '/'.  Writes are not performed;
+ * whatever the task passes to `finishTask` is saved as `finishData` for the
+ * test to look at.
+ *
+ * @param {Object} [opts]
+ * @param {String} [opts.id]
+ * @param {AccountId} [opts.accountId]
+ * @param {Object} [opts.universe]
+ *   Whatever the task uses of `ctx.universe`.
+ * @param {Object} [opts.data]
+ */
+function FakeTaskContext(opts) {
+  opts = opts || {};
+  this.id = opts.id || 'fake-task';
+  this.accountId = opts.accountId || null;
+  this.universe = opts.universe || {};
+  this.data = opts.data || {};
+  this.deviceOnline = true;
+  this.finishData = null;
+  logic.defineScope(this, 'Task', { id: this.id });
+}
+FakeTaskContext.prototype = {
+  _readbackId: function(namespace, id) {
+    if (namespace === 'complexTaskStates' || !Array.isArray(id)) {
+      return id;
+    }
+    return id[0];
+  },
+
+  _lookup: function(namespace, id) {
+    var records = this.data[namespace];
+    var dataId = namespace === 'complexTaskStates' ? id.join('/') :
+                 this._readbackId(namespace, id);
+    return (records && records.get(dataId)) || null;
+  },
+
+  /**
+   * Like the real thing, results are put in the request Maps, except for those
+   * read back by a different id, which get a new Map.
+   */
+  read: function(what) {
+    for (var namespace in what) {
+      var requests = what[namespace];
+      if (!(requests instanceof Map)) {
+        continue;
+      }
+      var resultMap = requests;
+      for (var id of requests.keys()) {
+        if (this._readbackId(namespace, id) !== id) {
+          resultMap = new Map();
+          break;
+        }
+      }
+      for (var [reqId] of Array.from(requests)) {
+        resultMap.set(this._readbackId(namespace, reqId),
+                      this._lookup(namespace, reqId));
+      }
+      what[namespace] = resultMap;
+    }
+    return Promise.resolve(what);
+  },
+
+  readSingle: function(namespace, reqId) {
+    return Promise.resolve(this._lookup(namespace, reqId));
+  },
+
+  beginMutate: function(what) {
+    return this.read(what);
+  },
+
+  mutateSingle: function(namespace, reqId, readbackId) {
+    return this.readSingle(namespace, reqId, readbackId);
+  },
+
+  heartbeat: function() {
+  },
+
+  broadcastOverBridges: function() {
+  },
+
+  announceUpdatedOverlayData: function() {
+  },
+
+  finishTask: function(finishData) {
+    this.finishData = finishData;
+    return Promise.resolve();
+  },
+
+  returnValue: function(value) {
+    return { wrappedResult: value };
+  }
+};
+
+return FakeTaskContext;
+});
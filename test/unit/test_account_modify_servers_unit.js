@@ -0,0 +1,168 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var accountModifyServers = require('tasks/account_modify_servers');
+var $imapprobe = require('imap/probe');
+var $smtpprobe = require('smtp/probe');
+
+/**
+ * Check that account_modify_servers only commits new server settings that the
+ * composite validator is happy with, stubbing out the probes.
+ */
+return new LegacyGelamTest('account_modify_servers', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var gNextIncomingProbeResult = null;
+  var gNextSmtpProbeResult = null;
+
+  $imapprobe.probeAccount = function(credentials, connInfo) {
+    eCheck.log('imap probe', connInfo.hostname);
+    var result = gNextIncomingProbeResult;
+    gNextIncomingProbeResult = null;
+    return result.error ? Promise.reject(result.error) :
+                          Promise.resolve(result);
+  };
+  $smtpprobe.probeAccount = function(credentials, connInfo) {
+    eCheck.log('smtp probe', connInfo.hostname + ':' + connInfo.port);
+    var err = gNextSmtpProbeResult;
+    gNextSmtpProbeResult = null;
+    return err ? Promise.reject(err) : Promise.resolve({ conn: null });
+  };
+
+  function makeConn() {
+    return {
+      capability: ['IMAP4REV1', 'IDLE'],
+      close: function() {
+        eCheck.log('closed');
+      }
+    };
+  }
+
+  function modify(mods) {
+    var accountDef = {
+      id: 'a',
+      type: 'imap+smtp',
+      engine: 'vanillaImap',
+      receiveType: 'imap',
+      sendType: 'smtp',
+      credentials: { username: 'me', password: 'secret' },
+      receiveConnInfo: { hostname: 'imap.example.com', port: 993,
+                         crypto: 'ssl' },
+      sendConnInfo: { hostname: 'smtp.example.com', port: 587,
+                      crypto: 'starttls' },
+      engineData: { capability: ['IMAP4REV1'] }
+    };
+    var ctx = new FakeTaskContext({
+      accountId: 'a',
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve({
+            resetConnections: function(which) {
+              eCheck.log('resetConnections', which);
+            }
+          });
+        }
+      },
+      data: {
+        accounts: new Map([['a', accountDef]])
+      }
+    });
+    return accountModifyServers.execute(
+      ctx, { type: 'account_modify_servers', accountId: 'a', mods: mods })
+    .then(function(result) {
+      var clobbers = ctx.finishData.atomicClobbers;
+      return {
+        result: result.wrappedResult,
+        clobbers: clobbers ? Array.from(clobbers.accounts.get('a')) : null
+      };
+    });
+  }
+
+  T.action(eCheck, 'unchanged settings are not validated', function() {
+    eCheck.expect('modified', {
+      result: { error: null, errorDetails: null },
+      clobbers: null
+    });
+
+    modify({ receiveConnInfo: { hostname: 'imap.example.com' } })
+    .then(function(summary) {
+      eCheck.log('modified', summary);
+    });
+  });
+
+  T.action(eCheck, 'failed validation changes nothing', function() {
+    eCheck.expect('imap probe', 'imap.example.net');
+    eCheck.expect('smtp probe', 'smtp.example.com:587');
+    eCheck.expect('modified', {
+      result: { error: 'unresponsive-server',
+                errorDetails: { server: 'imap.example.net' } },
+      clobbers: null
+    });
+
+    gNextIncomingProbeResult = { error: 'unresponsive-server' };
+    modify({ receiveConnInfo: { hostname: 'imap.example.net' } })
+    .then(function(summary) {
+      eCheck.log('modified', summary);
+    });
+  });
+
+  T.action(eCheck, 'a failed SMTP probe closes the IMAP connection',
+           function() {
+    eCheck.expect('imap probe', 'imap.example.com');
+    eCheck.expect('smtp probe', 'smtp.example.com:465');
+    eCheck.expect('closed');
+    eCheck.expect('modified', {
+      result: { error: 'bad-security',
+                errorDetails: { server: 'smtp.example.com' } },
+      clobbers: null
+    });
+
+    gNextIncomingProbeResult = { conn: makeConn(), engine: 'vanillaImap' };
+    gNextSmtpProbeResult = 'bad-security';
+    modify({ sendConnInfo: { port: 465, crypto: 'ssl' } })
+    .then(function(summary) {
+      eCheck.log('modified', summary);
+    });
+  });
+
+  T.action(eCheck, 'switching engines is not allowed', function() {
+    eCheck.expect('imap probe', 'imap.gmail.com');
+    eCheck.expect('smtp probe', 'smtp.example.com:587');
+    eCheck.expect('closed');
+    eCheck.expect('modified', {
+      result: { error: 'server-type-changed',
+                errorDetails: { engine: 'gmailImap' } },
+      clobbers: null
+    });
+
+    gNextIncomingProbeResult = { conn: makeConn(), engine: 'gmailImap' };
+    modify({ receiveConnInfo: { hostname: 'imap.gmail.com' } })
+    .then(function(summary) {
+      eCheck.log('modified', summary);
+    });
+  });
+
+  T.action(eCheck, 'validated settings are committed', function() {
+    eCheck.expect('imap probe', 'imap.example.com');
+    eCheck.expect('smtp probe', 'smtp.example.com:465');
+    eCheck.expect('closed');
+    eCheck.expect('resetConnections', { receive: false, send: true });
+    eCheck.expect('modified', {
+      result: { error: null, errorDetails: null },
+      clobbers: [
+        [['sendConnInfo', 'port'], 465],
+        [['sendConnInfo', 'crypto'], 'ssl'],
+        [['engineData', 'capability'], ['IMAP4REV1', 'IDLE']]
+      ]
+    });
+
+    gNextIncomingProbeResult = { conn: makeConn(), engine: 'vanillaImap' };
+    modify({ sendConnInfo: { port: 465, crypto: 'ssl' } })
+    .then(function(summary) {
+      eCheck.log('modified', summary);
+    });
+  });
+});
+}); // end define
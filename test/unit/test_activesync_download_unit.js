@@ -0,0 +1,68 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var downloadAttachments =
+  require('activesync/smotocol/download_attachments');
+var asDownload = require('activesync/tasks/download');
+
+/**
+ * Check the error handling of ActiveSync's ItemOperations attachment
+ * downloads with a fake connection.
+ */
+return new LegacyGelamTest('ActiveSync attachment download', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var parts = [{ relId: 'a0', part: '5:1', type: 'image/png' }];
+
+  function makeConn(version, postCommand) {
+    return {
+      currentVersion: {
+        lt: function(other) {
+          return parseFloat(version) < parseFloat(other);
+        }
+      },
+      postCommand: postCommand
+    };
+  }
+
+  T.action(eCheck, 'a failed request errors the stream', function() {
+    eCheck.expect('postCommand', { 'MS-ASAcceptMultiPart': 'T' });
+    eCheck.expect('error', 'unknown');
+
+    var conn = makeConn('14.1', function(w, opts) {
+      eCheck.log('postCommand', opts.extraHeaders);
+      return Promise.reject('offline');
+    });
+    var reader = downloadAttachments(conn, { parts: parts,
+                                             saveChunkSize: 1024 })
+      .getReader();
+    reader.read().then(function(result) {
+      eCheck.log('read', result);
+    }, function(err) {
+      eCheck.log('error', err);
+    });
+  });
+
+  T.action(eCheck, 'servers without ItemOperations are not asked', function() {
+    eCheck.expect('error', 'unknown');
+
+    var conn = makeConn('2.5', function() {
+      eCheck.log('postCommand');
+      return Promise.reject('offline');
+    });
+    var account = {
+      ensureConnection: function() {
+        return Promise.resolve(conn);
+      }
+    };
+    asDownload.downloadParts(new FakeTaskContext(), account, {}, parts)
+    .then(function(stream) {
+      eCheck.log('stream', !!stream);
+    }, function(err) {
+      eCheck.log('error', err);
+    });
+  });
+});
+}); // end define
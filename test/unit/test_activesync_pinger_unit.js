@@ -0,0 +1,151 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var co = require('co');
+var ActiveSyncPinger = require('activesync/pinger');
+var ping = require('activesync/smotocol/ping');
+var syncbase = require('syncbase');
+
+/**
+ * Check how the ActiveSync pinger reacts to the Ping statuses and errors,
+ * with a fake account, universe and backoff endpoint.
+ */
+return new LegacyGelamTest('ActiveSync pinger status handling', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function makePinger() {
+    var account = {
+      id: 'a',
+      getFolderByServerId: function(serverId) {
+        return serverId === 'gone' ? null : { id: 'a.' + serverId };
+      },
+      _isBadUserOrPassError: function() {
+        return false;
+      }
+    };
+    var universe = {
+      syncRefreshFolder: function(folderId, why) {
+        eCheck.log('syncRefreshFolder', folderId + ' ' + why);
+        return Promise.resolve();
+      },
+      syncFolderList: function(accountId, why) {
+        eCheck.log('syncFolderList', accountId + ' ' + why);
+        return Promise.resolve();
+      }
+    };
+    var pinger = new ActiveSyncPinger({ account: account,
+                                        universe: universe });
+    pinger._backoffEndpoint = {
+      failures: [],
+      retries: 0,
+      noteConnectFailureMaybeRetry: function(reachable) {
+        this.failures.push(reachable);
+        return true;
+      },
+      scheduleConnectAttempt: function() {
+        this.retries++;
+      },
+      noteConnectSuccess: function() {
+      },
+      shutdown: function() {
+      }
+    };
+    pinger.enabled = true;
+    pinger._generation = 1;
+    return pinger;
+  }
+
+  function handle(pinger, result) {
+    return co(pinger._handleResult(1, result));
+  }
+
+  T.action(eCheck, 'expired grows the heartbeat', function() {
+    eCheck.expect('again', true);
+    eCheck.expect('heartbeatSecs',
+                  syncbase.ACTIVESYNC_PING_HEARTBEAT_INITIAL_SECS +
+                  syncbase.ACTIVESYNC_PING_HEARTBEAT_STEP_SECS);
+
+    var pinger = makePinger();
+    handle(pinger, { status: ping.Status.Expired }).then(function(again) {
+      eCheck.log('again', again);
+      eCheck.log('heartbeatSecs', pinger.heartbeatSecs);
+    });
+  });
+
+  T.action(eCheck, 'changes refresh the known folders', function() {
+    eCheck.useSetMatching();
+    eCheck.expect('syncRefreshFolder', 'a.f1 ping');
+    eCheck.expect('syncRefreshFolder', 'a.f2 ping');
+    eCheck.expect('again', true);
+
+    var pinger = makePinger();
+    handle(pinger, {
+      status: ping.Status.Changes,
+      changedFolderServerIds: ['f1', 'gone', 'f2']
+    }).then(function(again) {
+      eCheck.log('again', again);
+    });
+  });
+
+  T.action(eCheck, 'heartbeat out of bounds', function() {
+    eCheck.expect('with limit', { again: true, heartbeatSecs: 300 });
+    eCheck.expect('without limit', { again: false, failures: [true] });
+
+    var pinger = makePinger();
+    handle(pinger, {
+      status: ping.Status.HeartbeatOutOfBounds,
+      heartbeatSecs: 300
+    }).then(function(again) {
+      eCheck.log('with limit',
+                 { again: again, heartbeatSecs: pinger.heartbeatSecs });
+      return handle(pinger, { status: ping.Status.HeartbeatOutOfBounds });
+    }).then(function(again) {
+      eCheck.log('without limit',
+                 { again: again,
+                   failures: pinger._backoffEndpoint.failures });
+    });
+  });
+
+  T.action(eCheck, 'folder sync required', function() {
+    eCheck.expect('syncFolderList', 'a ping');
+    eCheck.expect('first', { again: true, failures: [], retries: 0 });
+    eCheck.expect('repeated', { again: false, failures: [true], retries: 1 });
+    eCheck.expect('syncFolderList', 'a ping');
+    eCheck.expect('after another status', true);
+
+    var pinger = makePinger();
+    var backoff = pinger._backoffEndpoint;
+    function summarize(again) {
+      return { again: again, failures: backoff.failures.concat(),
+               retries: backoff.retries };
+    }
+    var status7 = { status: ping.Status.FolderSyncRequired };
+    handle(pinger, status7).then(function(again) {
+      eCheck.log('first', summarize(again));
+      // The sync didn't help; this must not turn into a tight loop.
+      return handle(pinger, status7);
+    }).then(function(again) {
+      eCheck.log('repeated', summarize(again));
+      return handle(pinger, { status: ping.Status.Expired });
+    }).then(function() {
+      return handle(pinger, status7);
+    }).then(function(again) {
+      eCheck.log('after another status', again);
+    });
+  });
+
+  T.action(eCheck, 'network errors halve the heartbeat and retry', function() {
+    eCheck.expect('handled', { heartbeatSecs: 240, failures: [false],
+                               retries: 1 });
+
+    var pinger = makePinger();
+    pinger._handleError(1, new Error('timeout'));
+    eCheck.log('handled', {
+      heartbeatSecs: pinger.heartbeatSecs,
+      failures: pinger._backoffEndpoint.failures,
+      retries: pinger._backoffEndpoint.retries
+    });
+  });
+});
+}); // end define
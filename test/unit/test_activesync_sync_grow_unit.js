@@ -0,0 +1,113 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var $airsync = require('activesync/codepages/AirSync');
+var filterTypes = require('activesync/filter_types');
+var FolderSyncStateHelper = require('activesync/folder_sync_state_helper');
+var syncGrow = require('activesync/tasks/sync_grow');
+var $date = require('date');
+
+/**
+ * Check how ActiveSync's sync_grow widens the FilterType and what it does with
+ * folders it can't grow, without talking to a server.
+ */
+return new LegacyGelamTest('ActiveSync sync_grow', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var FilterType = $airsync.Enums.FilterType;
+  var folderId = 'a.0';
+
+  T.action(eCheck, 'FilterTypes widen one step at a time', function() {
+    eCheck.expect('steps', [FilterType.OneDayBack, FilterType.ThreeDaysBack,
+                            FilterType.OneWeekBack, FilterType.TwoWeeksBack,
+                            FilterType.OneMonthBack, FilterType.NoFilter]);
+    eCheck.expect('windows', [
+      { full: false, start: 1000 * $date.DAY_MILLIS },
+      { full: true, start: null }
+    ]);
+
+    var steps = [];
+    var filterType = null;
+    while ((filterType = filterTypes.widerFilterType(filterType))) {
+      steps.push(filterType);
+    }
+    eCheck.log('steps', steps);
+
+    $date.TEST_LetsDoTheTimewarpAgain(1030 * $date.DAY_MILLIS);
+    eCheck.log('windows', [FilterType.OneMonthBack, FilterType.NoFilter].map(
+      function(type) {
+        return { full: filterTypes.isFullFilterType(type),
+                 start: filterTypes.filterTypeWindowStart(type) };
+      }));
+    $date.TEST_LetsDoTheTimewarpAgain(null);
+  });
+
+  function execute(rawSyncState) {
+    var ctx = new FakeTaskContext({
+      data: {
+        syncStates: new Map([[folderId, rawSyncState]])
+      }
+    });
+    return syncGrow.helped_execute(
+      ctx, { type: 'sync_grow', accountId: 'a', folderId: folderId });
+  }
+
+  T.action(eCheck, 'folders that cannot grow', function() {
+    eCheck.expect('never synced', {
+      newData: {
+        tasks: [{ type: 'sync_refresh', accountId: 'a', folderId: folderId }]
+      }
+    });
+    eCheck.expect('fully synced', [[folderId, { fullySynced: true }]]);
+
+    execute(null).then(function(result) {
+      eCheck.log('never synced', result);
+      return execute({
+        nextUmidSuffix: 1,
+        syncKey: '5',
+        filterType: FilterType.NoFilter,
+        serverIdInfo: new Map()
+      });
+    }).then(function(result) {
+      eCheck.log('fully synced', Array.from(result.atomicClobbers.folders));
+    });
+  });
+
+  T.action(eCheck, 'search results are adopted rather than added again',
+           function() {
+    eCheck.expect('adopted', {
+      adopted: true,
+      again: false,
+      serverIdInfo: [['s1', 'a.0.1']],
+      umidLocations: [['a.0.1', [folderId, 's1']]],
+      flagChanges: [['a.0.1', { add: ['\\Seen'], remove: null }]]
+    });
+    eCheck.expect('unknown', false);
+
+    var syncState = new FolderSyncStateHelper(
+      new FakeTaskContext(), null, 'a', folderId);
+    var found = {
+      umid: 'a.0.1',
+      id: 'a.c1.m1',
+      date: 1000,
+      subject: 'Old news',
+      author: { address: 'them@example.com' },
+      flags: ['\\Seen']
+    };
+    syncState.newSearchResultMessage(found);
+    // The wider FilterType has the server tell us about the message too.
+    var synced = Object.assign({}, found, { umid: 'a.0.2', id: 'a.c2.m2' });
+    var adopted = syncState.adoptSearchResultMessage('s1', synced);
+    eCheck.log('adopted', {
+      adopted: adopted,
+      again: syncState.adoptSearchResultMessage('s2', synced),
+      serverIdInfo: Array.from(syncState.rawSyncState.serverIdInfo),
+      umidLocations: Array.from(syncState.umidLocationWrites),
+      flagChanges: Array.from(syncState.umidFlagChanges)
+    });
+    eCheck.log('unknown', syncState.isKnownSearchResult(found));
+  });
+});
+}); // end define
@@ -0,0 +1,141 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var imapCopy = require('imap/vanilla_tasks/copy');
+var mailRep = require('db/mail_rep');
+
+/**
+ * Check the copy task's planning (MixCopyMixin) and vanilla IMAP's execute
+ * stage, using fake TaskContexts and a fake account.
+ */
+return new LegacyGelamTest('copy task', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var inbox = { id: 'a.0', serverPath: 'INBOX', type: 'inbox' };
+  var archive = { id: 'a.1', serverPath: 'Archive', type: 'archive' };
+  var convId = 'a.c0';
+
+  function makeMessage(id, umid, folderId) {
+    return mailRep.makeMessageInfo({
+      id: convId + '.' + id,
+      umid: umid,
+      guid: id + '@example.com',
+      date: 1000,
+      author: { address: 'them@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set([folderId])
+    });
+  }
+
+  function plan(messages, targetFolderId) {
+    var ctx = new FakeTaskContext({
+      id: 't1',
+      universe: {
+        acquireAccountFoldersTOC: function() {
+          return Promise.resolve({
+            foldersById: new Map([[inbox.id, inbox], [archive.id, archive]])
+          });
+        }
+      },
+      data: {
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, messages]])
+      }
+    });
+    var persistentState = imapCopy.initPersistentState();
+    var req = { type: 'copy', accountId: 'a', convId: convId,
+                onlyMessages: null, messageSelector: null, targetFolderId };
+    return imapCopy.plan(ctx, persistentState, {}, req).then(function() {
+      return { finishData: ctx.finishData, persistentState: persistentState };
+    });
+  }
+
+  T.action(eCheck, 'copies are created locally and can be undone',
+           function() {
+    eCheck.expect('planned', {
+      copies: [{ umid: 'a.1.~t1_0', folderIds: ['a.1'], subject: 'm1' }],
+      umidNames: 1,
+      umidCopies: [{ sourceUmid: 'u1', targetFolderId: 'a.1',
+                     guid: 'm1@example.com' }],
+      undo: { type: 'move', permanentlyDelete: true, onlyMessages: 1 }
+    });
+
+    var messages = [makeMessage('m1', 'u1', 'a.0'),
+                    makeMessage('m2', 'u2', 'a.1')];
+    messages[0].subject = 'm1';
+    plan(messages, 'a.1').then(function({ finishData, persistentState }) {
+      var copies = finishData.newData.messages;
+      var undo = finishData.undoTasks[0];
+      eCheck.log('planned', {
+        copies: copies.map(copy => ({ umid: copy.umid,
+                                      folderIds: Array.from(copy.folderIds),
+                                      subject: copy.subject })),
+        umidNames: finishData.mutations.umidNames.size,
+        umidCopies: Array.from(persistentState.umidCopies.values()),
+        undo: { type: undo.type, permanentlyDelete: undo.permanentlyDelete,
+                onlyMessages: undo.onlyMessages.length }
+      });
+    });
+  });
+
+  T.action(eCheck, 'copies to the same or a missing folder are ignored',
+           function() {
+    eCheck.expect('same folder', {});
+    eCheck.expect('missing folder', {});
+
+    plan([makeMessage('m1', 'u1', 'a.1')], 'a.1')
+    .then(function({ finishData }) {
+      eCheck.log('same folder', finishData);
+      return plan([makeMessage('m1', 'u1', 'a.0')], 'a.9');
+    }).then(function({ finishData }) {
+      eCheck.log('missing folder', finishData);
+    });
+  });
+
+  T.action(eCheck, 'copies into a deleted folder are dropped', function() {
+    eCheck.expect('executed', {
+      tasks: [{ type: 'sync_conv', accountId: 'a', convId: convId,
+                modifiedUmids: null, removedUmids: ['a.1.~t1_0'] }],
+      umidCopies: 0
+    });
+
+    var persistentState = imapCopy.initPersistentState();
+    persistentState.umidCopies.set('a.1.~t1_0', {
+      sourceUmid: 'u1', targetFolderId: 'a.1', guid: 'm1@example.com'
+    });
+    var account = {
+      getFolderById: function(folderId) {
+        return folderId === inbox.id ? inbox : null;
+      },
+      pimap: {
+        copyMessages: function() {
+          throw new Error('should not copy');
+        }
+      }
+    };
+    var ctx = new FakeTaskContext({
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve(account);
+        }
+      },
+      data: {
+        umidNames: new Map([['a.1.~t1_0', 'a.c0.copy']]),
+        umidLocations: new Map([['u1', ['a.0', 7]]])
+      }
+    });
+    var marker = imapCopy._makeMarker('a', 'a.1.~t1_0');
+    imapCopy.execute(ctx, persistentState, {}, marker).then(function() {
+      var tasks = ctx.finishData.newData.tasks;
+      eCheck.log('executed', {
+        tasks: tasks.map(task => Object.assign(
+          {}, task, { removedUmids: Array.from(task.removedUmids) })),
+        umidCopies: persistentState.umidCopies.size
+      });
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,154 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var mixDownload = require('task_mixins/mix_download');
+var cacheControl = require('tasks/cache_control');
+var mailRep = require('db/mail_rep');
+
+/**
+ * Check that a failed download gives up on its parts and releases their
+ * cache_control reservations, using fake TaskContexts.
+ */
+return new LegacyGelamTest('download cache reservations', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var accountId = 'a';
+  var convId = 'a.c';
+  var messageId = 'a.c.m';
+  var messageTaskKey = [accountId, 'download', messageId];
+
+  function makeCacheControl() {
+    var persistentState = cacheControl.initPersistentState();
+    var memoryState = cacheControl.deriveMemoryStateFromPersistentState(
+      persistentState, accountId, { downloadCacheQuota: 1000 }).memoryState;
+    return {
+      plan: function(req) {
+        return cacheControl.plan(new FakeTaskContext(), persistentState,
+                                 memoryState, req);
+      },
+      get reservedBytes() {
+        return cacheControl.overlay_accounts(
+          persistentState, memoryState, null, accountId).reservedBytes;
+      }
+    };
+  }
+
+  function makeDownloadCtx(partDownloads) {
+    var message = mailRep.makeMessageInfo({
+      id: messageId,
+      date: 1000,
+      author: { address: 'them@example.com' },
+      attachments: ['a0', 'a1'].map(function(relId) {
+        return mailRep.makeAttachmentPart({ relId: relId, name: relId,
+                                            sizeEstimate: 300 });
+      }),
+      bodyReps: [],
+      folderIds: new Set(['a.inbox'])
+    });
+    return new FakeTaskContext({
+      accountId: accountId,
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve({});
+        }
+      },
+      data: {
+        messages: new Map([[messageId, message]]),
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, [message]]]),
+        complexTaskStates: new Map([
+          [messageTaskKey.join('/'),
+           { messageDate: 1000, partDownloads: partDownloads }]
+        ])
+      }
+    });
+  }
+
+  function failDownload(ctx, persistentState) {
+    var task = Object.assign({}, mixDownload, {
+      downloadParts: function() {
+        return Promise.reject('unresponsive-server');
+      }
+    });
+    var memoryState = task.deriveMemoryStateFromPersistentState(
+      persistentState, accountId).memoryState;
+    var marker = task._makeMarkerForMessage(accountId, messageId);
+    return task.execute(ctx, persistentState, memoryState, marker);
+  }
+
+  T.action(eCheck, 'a failed download releases its reservations', function() {
+    eCheck.expect('reserved', 600);
+    eCheck.expect('failed', {
+      tasks: [{ type: 'cache_control', accountId: 'a', op: 'reserve',
+                messageId: messageId, parts: [['a0', 0], ['a1', 0]] }],
+      partDownloads: [],
+      marker: null
+    });
+    eCheck.expect('released', 0);
+
+    var cache = makeCacheControl();
+    var parts = new Map([['a0', 300], ['a1', 300]]);
+    var partDownloads = new Map([
+      ['a0', { target: 'cache', blobs: null }],
+      ['a1', { target: 'cache', blobs: null }]
+    ]);
+    var persistentState = new Map([
+      [messageId, { messageDate: 1000, partDownloads: new Map(partDownloads) }]
+    ]);
+    var ctx = makeDownloadCtx(partDownloads);
+    cache.plan({ op: 'reserve', messageId: messageId, parts: parts })
+    .then(function() {
+      eCheck.log('reserved', cache.reservedBytes);
+      return failDownload(ctx, persistentState);
+    }).then(function() {
+      var finishData = ctx.finishData;
+      var reserveTask = finishData.newData.tasks[0];
+      eCheck.log('failed', {
+        tasks: [Object.assign({}, reserveTask,
+                              { parts: Array.from(reserveTask.parts) })],
+        partDownloads: Array.from(
+          finishData.mutations.complexTaskStates.values().next().value
+            .partDownloads.keys()),
+        marker: finishData.taskMarkers.values().next().value
+      });
+      return cache.plan(reserveTask);
+    }).then(function() {
+      eCheck.log('released', cache.reservedBytes);
+    });
+  });
+
+  T.action(eCheck, 'parts requested during the download are kept',
+           function() {
+    eCheck.expect('failed', {
+      released: [['a0', 0]],
+      partDownloads: ['a1'],
+      rescheduled: true
+    });
+
+    // a1 was requested after the download started, so it's only in the
+    // database and not our in-memory state.
+    var persistentState = new Map([
+      [messageId, {
+        messageDate: 1000,
+        partDownloads: new Map([['a0', { target: 'cache', blobs: null }]])
+      }]
+    ]);
+    var ctx = makeDownloadCtx(new Map([
+      ['a0', { target: 'cache', blobs: null }],
+      ['a1', { target: 'save', blobs: null }]
+    ]));
+    failDownload(ctx, persistentState).then(function() {
+      var finishData = ctx.finishData;
+      eCheck.log('failed', {
+        released: Array.from(finishData.newData.tasks[0].parts),
+        partDownloads: Array.from(
+          finishData.mutations.complexTaskStates.values().next().value
+            .partDownloads.keys()),
+        rescheduled: !!finishData.taskMarkers.values().next().value
+      });
+    });
+  });
+});
+}); // end define
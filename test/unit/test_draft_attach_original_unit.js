@@ -0,0 +1,135 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var mixDraftAttachOriginal =
+  require('task_mixins/mix_draft_attach_original');
+var asDraftAttachOriginal =
+  require('activesync/tasks/draft_attach_original');
+var mailRep = require('db/mail_rep');
+
+/**
+ * Check that forwarding as an attachment attaches the original when it can be
+ * had and flags the draft when it can't, using a fake TaskContext.
+ */
+return new LegacyGelamTest('draft_attach_original', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var convId = 'a.~t';
+  var draftId = 'a.~t.~t';
+  var sourceId = 'a.c.m';
+
+  function makeCtx() {
+    var draft = mailRep.makeMessageInfo({
+      id: draftId,
+      date: 2000,
+      author: { address: 'me@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set(['a.drafts']),
+      draftInfo: mailRep.makeDraftInfo({ draftType: 'forward' })
+    });
+    var source = mailRep.makeMessageInfo({
+      id: sourceId,
+      umid: 'a.u',
+      date: 1000,
+      subject: 'Hello',
+      author: { address: 'them@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set(['a.inbox'])
+    });
+    return new FakeTaskContext({
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve({});
+        }
+      },
+      data: {
+        messages: new Map([[sourceId, source]]),
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, [draft]]])
+      }
+    });
+  }
+
+  function execute(fetchRawMessage) {
+    var task = Object.assign({}, mixDraftAttachOriginal, { fetchRawMessage });
+    var ctx = makeCtx();
+    return task.execute(ctx, {
+      accountId: 'a',
+      messageId: draftId,
+      refMessageId: sourceId,
+      refMessageDate: 1000
+    }).then(function() {
+      return ctx.finishData.mutations.messages.get(draftId);
+    });
+  }
+
+  T.action(eCheck, 'attaches the raw message', function() {
+    eCheck.expect('attached', {
+      attachOriginalError: null,
+      hasAttachments: true,
+      attachments: [{ name: 'Hello.eml', type: 'message/rfc822' }]
+    });
+
+    execute(function() {
+      return Promise.resolve(new Blob(['raw'], { type: 'message/rfc822' }));
+    }).then(function(draft) {
+      eCheck.log('attached', {
+        attachOriginalError: draft.draftInfo.attachOriginalError || null,
+        hasAttachments: draft.hasAttachments,
+        attachments: draft.attachments.map(function(part) {
+          return { name: part.name, type: part.type };
+        })
+      });
+    });
+  });
+
+  T.action(eCheck, 'flags the draft when the fetch fails', function() {
+    eCheck.expect('unavailable', { error: 'unavailable', attachments: 0 });
+    eCheck.expect('rejected', { error: 'unavailable', attachments: 0 });
+
+    function summarize(draft) {
+      return { error: draft.draftInfo.attachOriginalError,
+               attachments: draft.attachments.length };
+    }
+    execute(function() {
+      return Promise.resolve(null);
+    }).then(function(draft) {
+      eCheck.log('unavailable', summarize(draft));
+      return execute(function() {
+        return Promise.reject('unresponsive-server');
+      });
+    }).then(function(draft) {
+      eCheck.log('rejected', summarize(draft));
+    });
+  });
+
+  T.action(eCheck, 'ActiveSync gives up on deleted messages and folders',
+           function() {
+    eCheck.expect('no location', null);
+    eCheck.expect('no folder', null);
+
+    var account = {
+      getFolderById: function() {
+        return null;
+      },
+      ensureConnection: function() {
+        throw new Error('should not need a connection');
+      }
+    };
+    var messageInfo = { umid: 'a.u' };
+    var ctx = new FakeTaskContext();
+    asDraftAttachOriginal.fetchRawMessage(ctx, account, messageInfo)
+    .then(function(blob) {
+      eCheck.log('no location', blob);
+      ctx.data.umidLocations = new Map([['a.u', ['a.gone', 'serverId']]]);
+      return asDraftAttachOriginal.fetchRawMessage(ctx, account, messageInfo);
+    }).then(function(blob) {
+      eCheck.log('no folder', blob);
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,72 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var BrowserBox = require('browserbox');
+var imapclient = require('imap/client');
+
+/**
+ * Check the QRESYNC/CONDSTORE setup done on new connections, feeding parsed
+ * server responses to a BrowserBox that never connects.
+ */
+return new LegacyGelamTest('IMAP client modseq extensions', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function makeConn(capability, enabled) {
+    var conn = new BrowserBox('localhost', 143, {});
+    conn.capability = capability;
+    conn.exec = function(request, acceptUntagged, callback) {
+      eCheck.log('exec', request.attributes[0].value);
+      callback(null, {
+        payload: {
+          ENABLED: [{ attributes: enabled.map(function(value) {
+            return { type: 'ATOM', value: value };
+          }) }]
+        }
+      }, function() {
+      });
+    };
+    conn.onupdate = function(type, value) {
+      eCheck.log('update', { type: type, value: value });
+    };
+    return conn;
+  }
+
+  function untagged(conn, command, attrs) {
+    conn.client._processServerResponse(
+      { tag: '*', command: command, attributes: attrs }, function() {
+      });
+  }
+
+  T.action(eCheck, 'QRESYNC reports VANISHED as expunge', function() {
+    eCheck.expect('exec', 'QRESYNC');
+    eCheck.expect('enabledExtensions', ['QRESYNC', 'CONDSTORE']);
+    eCheck.expect('update', { type: 'expunge', value: '41,43:45' });
+    eCheck.expect('update', { type: 'expunge', value: '7' });
+
+    var conn = makeConn(['IMAP4rev1', 'ENABLE', 'CONDSTORE', 'QRESYNC'],
+                        ['QRESYNC']);
+    imapclient.enableModseqExtensions(conn).then(function() {
+      eCheck.log('enabledExtensions', conn.enabledExtensions);
+      untagged(conn, 'VANISHED', [{ type: 'ATOM', value: '41,43:45' }]);
+      untagged(conn, 'VANISHED', [[{ type: 'ATOM', value: 'EARLIER' }],
+                                  { type: 'ATOM', value: '7' }]);
+    });
+  });
+
+  T.action(eCheck, 'CONDSTORE alone leaves VANISHED alone', function() {
+    eCheck.expect('exec', 'CONDSTORE');
+    eCheck.expect('enabledExtensions', ['CONDSTORE']);
+    eCheck.expect('update', { type: 'expunge', value: 3 });
+
+    var conn = makeConn(['IMAP4rev1', 'ENABLE', 'CONDSTORE'], ['CONDSTORE']);
+    imapclient.enableModseqExtensions(conn).then(function() {
+      eCheck.log('enabledExtensions', conn.enabledExtensions);
+      untagged(conn, 'VANISHED', [{ type: 'ATOM', value: '41' }]);
+      conn.client._processServerResponse(
+        { tag: '*', nr: 3, command: 'EXPUNGE' }, function() {
+        });
+    });
+  });
+});
+}); // end define
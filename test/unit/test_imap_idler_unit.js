@@ -0,0 +1,135 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var BrowserBox = require('browserbox');
+var imapclient = require('imap/client');
+var ImapIdler = require('imap/idler');
+
+/**
+ * Check that the ImapIdler turns the changes the server tells us about while
+ * IDLE-ing into sync_refresh requests.  The account and universe are fakes;
+ * the connection is a QRESYNC-enabled BrowserBox that never connects and is
+ * fed parsed server responses.
+ */
+return new LegacyGelamTest('ImapIdler refreshes', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var inbox = { id: 'a.inbox', serverPath: 'INBOX', type: 'inbox' };
+
+  function makeConn() {
+    var conn = new BrowserBox('localhost', 143, {});
+    conn.capability = ['IMAP4rev1', 'ENABLE', 'IDLE', 'QRESYNC'];
+    conn.exec = function(request, acceptUntagged, callback) {
+      callback(null, {
+        payload: {
+          ENABLED: [{ attributes: [{ type: 'ATOM', value: 'QRESYNC' }] }]
+        }
+      }, function() {
+      });
+    };
+    conn.selectMailbox = function(path) {
+      eCheck.log('selectMailbox', path);
+      return Promise.resolve({});
+    };
+    conn.enterIdle = function() {
+      eCheck.log('enterIdle');
+    };
+    return conn;
+  }
+
+  function makeIdler() {
+    var account = {
+      id: 'a',
+      capability: ['IMAP4rev1', 'IDLE'],
+      maxConnections: 2,
+      foldersTOC: { foldersById: new Map([[inbox.id, inbox]]) },
+      getFirstFolderWithType: function() {
+        return inbox;
+      },
+      pimap: {
+        shedExcessConnections: function() {
+        }
+      },
+      demands: [],
+      __folderDemandsConnection: function(folderId, label, callback) {
+        this.demands.push(callback);
+      }
+    };
+    var universe = {
+      getViewedFolderIds: function() {
+        return [];
+      },
+      syncRefreshFolder: function(folderId, why) {
+        eCheck.log('syncRefreshFolder', folderId + ' ' + why);
+        return Promise.resolve();
+      }
+    };
+    var idler = new ImapIdler({ account: account, universe: universe });
+    idler.setEnabled(true);
+    return { idler: idler, account: account };
+  }
+
+  function untagged(conn, response) {
+    response.tag = '*';
+    conn.client._processServerResponse(response, function() {
+    });
+  }
+
+  // Let promise callbacks run.
+  function settle() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve);
+    });
+  }
+
+  T.action(eCheck, 'remote expunges and new messages refresh the folder',
+           function() {
+    eCheck.expect('selectMailbox', 'INBOX');
+    eCheck.expect('enterIdle');
+    eCheck.expect('syncRefreshFolder', 'a.inbox idle');
+    eCheck.expect('expunged');
+    eCheck.expect('syncRefreshFolder', 'a.inbox idle');
+    eCheck.expect('exists');
+
+    var { account } = makeIdler();
+    var conn = makeConn();
+    imapclient.enableModseqExtensions(conn).then(function() {
+      account.demands[0](conn);
+      return settle();
+    }).then(function() {
+      // Another client deleted some messages.
+      untagged(conn, { command: 'VANISHED',
+                       attributes: [{ type: 'ATOM', value: '5:6' }] });
+      eCheck.log('expunged');
+      return settle();
+    }).then(function() {
+      untagged(conn, { command: 'EXISTS', nr: 12 });
+      eCheck.log('exists');
+    });
+  });
+
+  T.action(eCheck, 'flag changes do not refresh the folder', function() {
+    eCheck.expect('selectMailbox', 'INBOX');
+    eCheck.expect('enterIdle');
+    eCheck.expect('fetched');
+
+    var { account } = makeIdler();
+    var conn = makeConn();
+    imapclient.enableModseqExtensions(conn).then(function() {
+      account.demands[0](conn);
+      return settle();
+    }).then(function() {
+      untagged(conn, {
+        command: 'FETCH',
+        nr: 3,
+        attributes: [[{ type: 'ATOM', value: 'FLAGS' },
+                      [{ type: 'ATOM', value: '\\Seen' }]]]
+      });
+      return settle();
+    }).then(function() {
+      eCheck.log('fetched');
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,172 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var syncRefresh = require('imap/vanilla_tasks/sync_refresh');
+
+/**
+ * Check vanilla IMAP's sync_refresh against a fake ParallelIMAP: the QRESYNC
+ * and CONDSTORE refreshes and starting over when UIDVALIDITY changes.
+ */
+return new LegacyGelamTest('IMAP sync_refresh with MODSEQs', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var folderId = 'a.0';
+  var folderInfo = { id: folderId, serverPath: 'INBOX' };
+
+  /**
+   * We know about UIDs 5 and 6 as of MODSEQ 100; 5 is unread.
+   */
+  function makeSyncState() {
+    return {
+      nextUmidSuffix: 7,
+      sinceDate: 0,
+      lastHighUid: 6,
+      flagSets: ['[]'],
+      flagSetCounts: [2],
+      uidInfo: new Map([[5, { umid: 'u5', flagSlot: 0 }],
+                        [6, { umid: 'u6', flagSlot: 0 }]]),
+      uidValidity: '1',
+      modseq: '100'
+    };
+  }
+
+  function refresh(mailboxInfo, extensions, pimapOverrides) {
+    var pimap = Object.assign({
+      selectMailbox: function() {
+        return Promise.resolve(mailboxInfo);
+      },
+      hasEnabledExtension: function(ctx, name) {
+        return Promise.resolve(extensions.indexOf(name) !== -1);
+      }
+    }, pimapOverrides);
+    var account = {
+      pimap: pimap,
+      getFolderById: function() {
+        return folderInfo;
+      }
+    };
+    var ctx = new FakeTaskContext({
+      accountId: 'a',
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve(account);
+        }
+      },
+      data: {
+        syncStates: new Map([[folderId, makeSyncState()]]),
+        umidNames: new Map([['u5', 'a.c5.m5'], ['u6', 'a.c6.m6']])
+      }
+    });
+    ctx.synchronouslyConsultOtherTask = function() {
+    };
+    return syncRefresh.helped_execute(
+      ctx, { type: 'sync_refresh', accountId: 'a', folderId: folderId });
+  }
+
+  function summarize(result) {
+    var syncState = result.mutations.syncStates.get(folderId);
+    return {
+      modseq: syncState.modseq,
+      lastHighUid: syncState.lastHighUid,
+      uidValidity: syncState.uidValidity,
+      uids: Array.from(syncState.uidInfo.keys()),
+      tasks: result.newData.tasks.map(function(task) {
+        switch (task.type) {
+          case 'sync_conv':
+            return [task.type, task.convId,
+                    task.modifiedUmids && Array.from(task.modifiedUmids),
+                    task.removedUmids && Array.from(task.removedUmids)];
+          case 'sync_message':
+            return [task.type, task.uid, task.umid];
+          default:
+            return [task.type];
+        }
+      })
+    };
+  }
+
+  T.action(eCheck, 'QRESYNC', function() {
+    eCheck.expect('listChangesSince', { uids: '1:*', modseq: '100' });
+    eCheck.expect('refreshed', {
+      modseq: '120',
+      lastHighUid: 8,
+      uidValidity: '1',
+      uids: [5, 8],
+      tasks: [
+        ['sync_message', 8, 'a.0.7'],
+        ['sync_conv', 'a.c5', [['u5', ['\\Seen']]], null],
+        ['sync_conv', 'a.c6', null, ['u6']]
+      ]
+    });
+
+    refresh({ uidValidity: '1', highestModseq: '120' }, ['QRESYNC'], {
+      listChangesSince: function(ctx, folder, uids, query, modseq) {
+        eCheck.log('listChangesSince', { uids: uids, modseq: modseq });
+        return Promise.resolve({
+          result: {
+            messages: [
+              { uid: 5, flags: ['\\Seen'], modseq: '110' },
+              { uid: 8, flags: [], modseq: '115',
+                internaldate: '17-Jul-2016 02:44:25 -0700' }
+            ],
+            vanishedUids: [6, 7]
+          }
+        });
+      }
+    }).then(function(result) {
+      eCheck.log('refreshed', summarize(result));
+    });
+  });
+
+  T.action(eCheck, 'CONDSTORE only fetches changed flags', function() {
+    eCheck.expect('listMessages', { uids: '7:*', changedSince: null });
+    eCheck.expect('search', '5,6');
+    eCheck.expect('listMessages', { uids: '5', changedSince: '100' });
+    eCheck.expect('refreshed', {
+      modseq: '120',
+      lastHighUid: 6,
+      uidValidity: '1',
+      uids: [5],
+      tasks: [['sync_conv', 'a.c6', null, ['u6']]]
+    });
+
+    refresh({ uidValidity: '1', highestModseq: '120' }, ['CONDSTORE'], {
+      listMessages: function(ctx, folder, uids, query, opts) {
+        eCheck.log('listMessages',
+                   { uids: uids, changedSince: opts.changedSince || null });
+        return Promise.resolve({ result: [] });
+      },
+      search: function(ctx, folder, searchSpec) {
+        eCheck.log('search', searchSpec.uid);
+        return Promise.resolve({ result: [5] });
+      }
+    }).then(function(result) {
+      eCheck.log('refreshed', summarize(result));
+    });
+  });
+
+  T.action(eCheck, 'UIDVALIDITY change starts over', function() {
+    eCheck.expect('refreshed', {
+      modseq: '',
+      lastHighUid: 0,
+      uidValidity: '2',
+      uids: [],
+      tasks: [
+        ['sync_grow'],
+        ['sync_conv', 'a.c5', null, ['u5']],
+        ['sync_conv', 'a.c6', null, ['u6']]
+      ]
+    });
+
+    refresh({ uidValidity: '2', highestModseq: '5' }, ['QRESYNC'], {
+      listChangesSince: function() {
+        throw new Error('old MODSEQs mean nothing now');
+      }
+    }).then(function(result) {
+      eCheck.log('refreshed', summarize(result));
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,150 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var logic = require('logic');
+var listUnsubscribe = require('tasks/list_unsubscribe');
+
+/**
+ * Check the list_unsubscribe task's choice of unsubscribe method and what it
+ * does with it, using a fake TaskContext.
+ */
+return new LegacyGelamTest('list_unsubscribe task', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var messageId = 'a.c.m';
+  var identity = {
+    id: 'a.i0',
+    name: 'Me',
+    address: 'me@example.com',
+    signature: null,
+    signatureEnabled: false
+  };
+
+  function makeCtx(list) {
+    var message = {
+      id: messageId,
+      date: 1000,
+      to: [{ address: 'me@example.com' }],
+      list: list
+    };
+    var account = {
+      identities: [identity],
+      getFirstFolderWithType: function() {
+        return { id: 'a.drafts' };
+      }
+    };
+    return new FakeTaskContext({
+      id: 'a.t1',
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve(account);
+        }
+      },
+      data: {
+        messages: new Map([[messageId, message]])
+      }
+    });
+  }
+
+  function plan(ctx) {
+    return listUnsubscribe.plan(
+      ctx, { type: 'list_unsubscribe', messageId: messageId,
+             messageDate: 1000 });
+  }
+
+  T.action(eCheck, 'one-click POST', function() {
+    eCheck.expect('planned', { method: 'post',
+                               url: 'https://lists.example.com/unsub' });
+    eCheck.expect('request',
+                  { method: 'POST', url: 'https://lists.example.com/unsub',
+                    body: 'List-Unsubscribe=One-Click' });
+    eCheck.expect('finished', {});
+
+    var ctx = makeCtx({
+      oneClickUnsubscribe: true,
+      unsubscribe: ['mailto:leave@lists.example.com',
+                    'https://lists.example.com/unsub']
+    });
+    plan(ctx).then(function(result) {
+      var planned = ctx.finishData.taskState;
+      eCheck.log('planned', { method: result.wrappedResult,
+                              url: planned.url });
+
+      logic.interceptOnce('list_unsubscribe:xhr', function() {
+        var xhr = {
+          open: function(method, url) {
+            xhr.method = method;
+            xhr.url = url;
+          },
+          setRequestHeader: function() {
+          },
+          send: function(body) {
+            eCheck.log('request',
+                       { method: xhr.method, url: xhr.url, body: body });
+            xhr.status = 200;
+            setTimeout(function() {
+              xhr.onload();
+            });
+          }
+        };
+        return xhr;
+      });
+      var execCtx = makeCtx(null);
+      return listUnsubscribe.execute(execCtx, planned).then(function() {
+        eCheck.log('finished', execCtx.finishData);
+      });
+    });
+  });
+
+  T.action(eCheck, 'mailto via the outbox without the undo-send delay',
+           function() {
+    eCheck.expect('result', 'mailto');
+    eCheck.expect('message', {
+      to: [{ address: 'leave@lists.example.com' }],
+      subject: 'bye',
+      author: 'me@example.com'
+    });
+    eCheck.expect('task', {
+      type: 'outbox_send',
+      command: 'send',
+      accountId: 'a',
+      messageId: 'a.~a.t1.~a.t1',
+      undoSendDelay: 0
+    });
+
+    // No one-click since it's not https.
+    var ctx = makeCtx({
+      oneClickUnsubscribe: true,
+      unsubscribe: ['http://lists.example.com/unsub',
+                    'mailto:leave@lists.example.com?subject=bye']
+    });
+    plan(ctx).then(function(result) {
+      var newData = ctx.finishData.newData;
+      var message = newData.messages[0];
+      eCheck.log('result', result.wrappedResult);
+      eCheck.log('message', {
+        to: message.to,
+        subject: message.subject,
+        author: message.author.address
+      });
+      eCheck.log('task', newData.tasks[0]);
+    });
+  });
+
+  T.action(eCheck, 'no usable method', function() {
+    eCheck.expect('result', null);
+    eCheck.expect('finished', {});
+
+    var ctx = makeCtx({
+      oneClickUnsubscribe: false,
+      unsubscribe: ['https://lists.example.com/unsub']
+    });
+    plan(ctx).then(function(result) {
+      eCheck.log('result', result.wrappedResult);
+      eCheck.log('finished', ctx.finishData);
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,119 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var $mailchew = require('bodies/mailchew');
+
+/**
+ * Check adding, removing and swapping draft signatures with mailchew's
+ * addSignature/removeSignature.
+ */
+return new LegacyGelamTest('draft signatures', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var textSig = { id: 's1', text: 'Bob', html: null };
+  var htmlSig = { id: 's2', text: 'Robert', html: '<b>Robert</b>' };
+  var forwardText = 'FYI\n\n-------- Original Message --------\nHello';
+
+  T.action(eCheck, 'signatures go at the end of the message', function() {
+    eCheck.expect('text', {
+      textMsg: 'Hi\n\n-- \nBob',
+      htmlMsg: null,
+      draftSignature: { id: 's1', text: '\n\n-- \nBob', html: null }
+    });
+    eCheck.expect('html signature', {
+      textMsg: 'Hi',
+      htmlMsg: '<div class="moz-signature"><b>Robert</b></div>',
+      draftSignature: { id: 's2', text: null,
+                        html: '<div class="moz-signature"><b>Robert</b></div>' }
+    });
+    eCheck.expect('text signature in html', {
+      textMsg: 'Hi',
+      htmlMsg: '<p>quoted</p>' +
+               '<pre class="moz-signature" cols="72">Bob</pre>'
+    });
+    eCheck.expect('no signature',
+                  { textMsg: 'Hi', htmlMsg: null, draftSignature: null });
+
+    eCheck.log('text', $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: textSig }));
+    eCheck.log('html signature', $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: htmlSig }));
+    var added = $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: '<p>quoted</p>', signature: textSig });
+    eCheck.log('text signature in html',
+               { textMsg: added.textMsg, htmlMsg: added.htmlMsg });
+    eCheck.log('no signature', $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: null }));
+  });
+
+  T.action(eCheck, 'inline forwards put it before the forwarded message',
+           function() {
+    eCheck.expect('forward', {
+      textMsg: 'FYI\n\n-- \nRobert\n\n' +
+               '-------- Original Message --------\nHello',
+      htmlMsg: null
+    });
+
+    var added = $mailchew.addSignature({
+      textMsg: forwardText, htmlMsg: null, signature: htmlSig,
+      inlineForward: true
+    });
+    eCheck.log('forward', { textMsg: added.textMsg, htmlMsg: added.htmlMsg });
+  });
+
+  T.action(eCheck, 'removing a signature lets another take its place',
+           function() {
+    eCheck.expect('removed', { textMsg: forwardText, htmlMsg: null,
+                               textIndex: 5 });
+    eCheck.expect('swapped', 'FYI\n\n-- \nBob\n\n' +
+                             '-------- Original Message --------\nHello');
+    eCheck.expect('html removed',
+                  { textMsg: 'Hi', htmlMsg: null, textIndex: -1 });
+
+    var added = $mailchew.addSignature({
+      textMsg: forwardText, htmlMsg: null, signature: htmlSig,
+      inlineForward: true
+    });
+    var removed = $mailchew.removeSignature({
+      textMsg: added.textMsg, htmlMsg: added.htmlMsg,
+      draftSignature: added.draftSignature, inlineForward: true
+    });
+    eCheck.log('removed', removed);
+    eCheck.log('swapped', $mailchew.addSignature({
+      textMsg: removed.textMsg, htmlMsg: removed.htmlMsg, signature: textSig,
+      inlineForward: true, textIndex: removed.textIndex
+    }).textMsg);
+
+    added = $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: htmlSig });
+    eCheck.log('html removed', $mailchew.removeSignature({
+      textMsg: added.textMsg, htmlMsg: added.htmlMsg,
+      draftSignature: added.draftSignature
+    }));
+  });
+
+  T.action(eCheck, 'edited signatures are left alone', function() {
+    eCheck.expect('edited', { textMsg: 'Hi\n\n-- \nRob', htmlMsg: null,
+                              textIndex: -1 });
+    eCheck.expect('html edited', {
+      textMsg: 'Hi',
+      htmlMsg: '<div class="moz-signature"><b>Robert</b></div><p>PS</p>',
+      textIndex: -1
+    });
+
+    var added = $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: textSig });
+    eCheck.log('edited', $mailchew.removeSignature({
+      textMsg: added.textMsg.replace('Bob', 'Rob'), htmlMsg: added.htmlMsg,
+      draftSignature: added.draftSignature
+    }));
+    added = $mailchew.addSignature(
+      { textMsg: 'Hi', htmlMsg: null, signature: htmlSig });
+    eCheck.log('html edited', $mailchew.removeSignature({
+      textMsg: added.textMsg, htmlMsg: added.htmlMsg + '<p>PS</p>',
+      draftSignature: added.draftSignature
+    }));
+  });
+});
+}); // end define
@@ -0,0 +1,125 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var parseMailtoUrl = require('mime/parse_mailto');
+var MimeHeaderInfo = require('mime/mime_header_info');
+
+/**
+ * Check our parsing of mailto: URLs and of the RFC 2919/2369/8058 mailing list
+ * headers into the message's `listInfo`.
+ */
+return new LegacyGelamTest('mailing list headers', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var mailtoCases = [
+    {
+      name: 'not mailto',
+      url: 'https://example.com/unsubscribe',
+      expected: null
+    },
+    {
+      name: 'no recipients',
+      url: 'mailto:?subject=hi',
+      expected: null
+    },
+    {
+      name: 'bare address',
+      url: 'mailto:list@example.com',
+      expected: { to: ['list@example.com'], cc: [], subject: null, body: null }
+    },
+    {
+      name: 'hfields, case and percent-encoding',
+      url: 'MAILTO:a@example.com,%20b@example.com?Subject=un%20subscribe' +
+           '&cc=c@example.com&to=d@example.com&body=please&in-reply-to=x',
+      expected: {
+        to: ['a@example.com', 'b@example.com', 'd@example.com'],
+        cc: ['c@example.com'],
+        subject: 'un subscribe',
+        body: 'please'
+      }
+    },
+    {
+      name: 'bad percent-encoding is kept raw',
+      url: 'mailto:list@example.com?subject=100%',
+      expected: {
+        to: ['list@example.com'], cc: [], subject: '100%', body: null
+      }
+    }
+  ];
+
+  mailtoCases.forEach(function(info) {
+    T.action(eCheck, 'mailto: ' + info.name, function() {
+      eCheck.expect('parsed', info.expected);
+      eCheck.log('parsed', parseMailtoUrl(info.url));
+    });
+  });
+
+  var listCases = [
+    {
+      name: 'not a list message',
+      headers: {},
+      expected: null
+    },
+    {
+      name: 'all the headers',
+      headers: {
+        'list-id': ['"Dev Talk" <Dev.Lists.Example.COM>'],
+        'list-post': ['<mailto:dev@lists.example.com>'],
+        'list-unsubscribe': [
+          '<https://lists.example.com/unsub?id=1>, ' +
+          '<mailto:dev-leave@lists.example.com?subject=unsubscribe>'],
+        'list-unsubscribe-post': ['List-Unsubscribe=One-Click'],
+        'list-archive': ['<https://lists.example.com/archive/dev/>']
+      },
+      expected: {
+        id: 'dev.lists.example.com',
+        name: 'Dev Talk',
+        post: 'dev@lists.example.com',
+        unsubscribe: [
+          'https://lists.example.com/unsub?id=1',
+          'mailto:dev-leave@lists.example.com?subject=unsubscribe'],
+        oneClickUnsubscribe: true,
+        archive: 'https://lists.example.com/archive/dev/'
+      }
+    },
+    {
+      name: 'posting not allowed, folded URL, no one-click without https',
+      headers: {
+        'list-post': ['NO'],
+        'list-unsubscribe': ['<http://lists.example.com/\r\n unsub>'],
+        'list-unsubscribe-post': ['List-Unsubscribe=One-Click']
+      },
+      expected: {
+        id: null,
+        name: null,
+        post: null,
+        unsubscribe: ['http://lists.example.com/unsub'],
+        oneClickUnsubscribe: false,
+        archive: null
+      }
+    },
+    {
+      name: 'encoded list name',
+      headers: {
+        'list-id': ['=?UTF-8?Q?Caf=C3=A9_Club?= <cafe.example.com>']
+      },
+      expected: {
+        id: 'cafe.example.com',
+        name: 'Café Club',
+        post: null,
+        unsubscribe: [],
+        oneClickUnsubscribe: false,
+        archive: null
+      }
+    }
+  ];
+
+  listCases.forEach(function(info) {
+    T.action(eCheck, 'listInfo: ' + info.name, function() {
+      eCheck.expect('listInfo', info.expected);
+      eCheck.log('listInfo', new MimeHeaderInfo(info.headers).listInfo);
+    });
+  });
+});
+}); // end define
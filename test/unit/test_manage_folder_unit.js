@@ -0,0 +1,256 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var imapManageFolder = require('imap/vanilla_tasks/manage_folder');
+var gmailManageFolder = require('imap/gmail_tasks/manage_folder');
+var mailRep = require('db/mail_rep');
+
+/**
+ * Check folder creation/rename/move/delete planning (MixManageFolderMixin) and
+ * IMAP's execute stage, using fake TaskContexts, FoldersTOC and account.
+ */
+return new LegacyGelamTest('manage_folder task', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var convId = 'a.c0';
+
+  function makeFolder(id, name, type, parentId, path) {
+    return {
+      id: id,
+      name: name,
+      type: type,
+      path: path,
+      serverPath: type === 'outbox' ? null : path,
+      serverId: null,
+      parentId: parentId,
+      delim: '/',
+      depth: path.split('/').length - 1
+    };
+  }
+
+  function makeFoldersTOC() {
+    var folders = [
+      makeFolder('a.0', 'INBOX', 'inbox', null, 'INBOX'),
+      makeFolder('a.1', 'Work', 'normal', null, 'Work'),
+      makeFolder('a.2', 'Proj', 'normal', 'a.1', 'Work/Proj'),
+      makeFolder('a.3', 'outbox', 'outbox', null, 'outbox')
+    ];
+    return {
+      foldersById: new Map(folders.map(f => [f.id, f])),
+      getCanonicalFolderByType: function(type) {
+        return folders.find(f => f.type === type) || null;
+      },
+      getAllItems: function() {
+        return folders;
+      },
+      issueFolderId: function() {
+        return 'a.9';
+      }
+    };
+  }
+
+  function makeMessage(id, folderIds) {
+    return mailRep.makeMessageInfo({
+      id: convId + '.' + id,
+      umid: id,
+      date: 1000,
+      author: { address: 'them@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set(folderIds)
+    });
+  }
+
+  function plan(task, req, opts) {
+    opts = opts || {};
+    var foldersTOC = opts.foldersTOC || makeFoldersTOC();
+    var ctx = new FakeTaskContext({
+      universe: {
+        acquireAccountFoldersTOC: function() {
+          return Promise.resolve(foldersTOC);
+        }
+      },
+      data: opts.data
+    });
+    var persistentState = opts.persistentState || task.initPersistentState();
+    req = Object.assign({ type: 'manage_folder', accountId: 'a' }, req);
+    return task.plan(ctx, persistentState, {}, req).then(function(result) {
+      return { result: result.wrappedResult, finishData: ctx.finishData,
+               persistentState: persistentState };
+    });
+  }
+
+  function errorOf(task, req) {
+    return plan(task, req).then(function({ result }) {
+      return result.error;
+    });
+  }
+
+  T.action(eCheck, 'create', function() {
+    eCheck.expect('created', {
+      folderId: 'a.9',
+      folder: { name: 'Reports', path: 'Work/Reports', depth: 1,
+                parentId: 'a.1', serverPath: null },
+      pending: [['a.9', { deleted: false }]]
+    });
+    eCheck.expect('errors', ['already-exists', 'bad-name', 'bad-target',
+                             'no-such-folder']);
+
+    plan(imapManageFolder,
+         { op: 'create', parentFolderId: 'a.1', name: ' Reports ' })
+    .then(function({ result, finishData, persistentState }) {
+      var folder = finishData.newData.folders[0];
+      eCheck.log('created', {
+        folderId: result.folderId,
+        folder: { name: folder.name, path: folder.path, depth: folder.depth,
+                  parentId: folder.parentId, serverPath: folder.serverPath },
+        pending: Array.from(persistentState.pendingFolders)
+      });
+      return Promise.all([
+        errorOf(imapManageFolder,
+                { op: 'create', parentFolderId: 'a.1', name: 'Proj' }),
+        errorOf(imapManageFolder, { op: 'create', name: 'a/b' }),
+        errorOf(imapManageFolder,
+                { op: 'create', parentFolderId: 'a.3', name: 'x' }),
+        errorOf(imapManageFolder,
+                { op: 'create', parentFolderId: 'a.8', name: 'x' })
+      ]);
+    }).then(function(errors) {
+      eCheck.log('errors', errors);
+    });
+  });
+
+  T.action(eCheck, 'rename and move', function() {
+    eCheck.expect('renamed', [['a.1', 'Jobs'], ['a.2', 'Jobs/Proj']]);
+    eCheck.expect('errors', ['bad-target', 'protected-folder']);
+
+    plan(imapManageFolder, { op: 'rename', folderId: 'a.1', name: 'Jobs' })
+    .then(function({ finishData }) {
+      eCheck.log('renamed', Array.from(finishData.mutations.folders,
+                                       ([id, folder]) => [id, folder.path]));
+      return Promise.all([
+        errorOf(imapManageFolder,
+                { op: 'move', folderId: 'a.1', parentFolderId: 'a.2' }),
+        errorOf(imapManageFolder,
+                { op: 'rename', folderId: 'a.0', name: 'Mail' })
+      ]);
+    }).then(function(errors) {
+      eCheck.log('errors', errors);
+    });
+  });
+
+  function planDelete(task) {
+    var persistentState = task.initPersistentState();
+    // A pending change for a sub-folder becomes moot.
+    persistentState.pendingFolders.set('a.2', { deleted: false });
+    return plan(task, { op: 'delete', folderId: 'a.1' }, {
+      persistentState: persistentState,
+      data: {
+        conversationIdsByFolder: new Map([['a.1', []], ['a.2', [convId]]]),
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, [
+          makeMessage('m1', ['a.2']),
+          makeMessage('m2', ['a.0', 'a.2'])
+        ]]])
+      }
+    }).then(function({ finishData }) {
+      var mutations = finishData.mutations;
+      return {
+        folders: Array.from(mutations.folders.keys()),
+        messages: Array.from(mutations.messages, ([id, message]) => {
+          return [id, message && Array.from(message.folderIds)];
+        }),
+        pending: Array.from(persistentState.pendingFolders),
+        markers: Array.from(finishData.taskMarkers,
+                            ([id, marker]) => [id, !!marker])
+      };
+    });
+  }
+
+  T.action(eCheck, 'delete', function() {
+    var pending = [['a.1', { deleted: true, serverPath: 'Work',
+                             serverId: null, delim: '/' }]];
+    var markers = [['manage_folder:a.2', false], ['manage_folder:a.1', true]];
+    eCheck.expect('imap', {
+      folders: ['a.1', 'a.2'],
+      messages: [['a.c0.m1', null], ['a.c0.m2', ['a.0']]],
+      pending: pending,
+      markers: markers
+    });
+    // Deleting a gmail label doesn't delete the messages.
+    eCheck.expect('gmail', {
+      folders: ['a.1', 'a.2'],
+      messages: [['a.c0.m1', []], ['a.c0.m2', ['a.0']]],
+      pending: pending,
+      markers: markers
+    });
+
+    planDelete(imapManageFolder).then(function(summary) {
+      eCheck.log('imap', summary);
+      return planDelete(gmailManageFolder);
+    }).then(function(summary) {
+      eCheck.log('gmail', summary);
+    });
+  });
+
+  T.action(eCheck, 'execute creates and renames on the server', function() {
+    eCheck.expect('createMailbox', 'Work/Reports');
+    eCheck.expect('created', [['a.9', 'Work/Reports']]);
+    eCheck.expect('renameMailbox', 'Work -> Jobs');
+    eCheck.expect('renamed', [['a.1', 'Jobs'], ['a.2', 'Jobs/Proj']]);
+
+    var foldersTOC = makeFoldersTOC();
+    var account = {
+      foldersTOC: foldersTOC,
+      pimap: {
+        createMailbox: function(ctx, path) {
+          eCheck.log('createMailbox', path);
+          return Promise.resolve();
+        },
+        renameMailbox: function(ctx, oldPath, newPath) {
+          eCheck.log('renameMailbox', oldPath + ' -> ' + newPath);
+          return Promise.resolve();
+        }
+      }
+    };
+    function execute(persistentState, folderId) {
+      var ctx = new FakeTaskContext({
+        universe: {
+          acquireAccount: function() {
+            return Promise.resolve(account);
+          }
+        }
+      });
+      var marker = imapManageFolder._makeMarker('a', folderId);
+      return imapManageFolder.execute(ctx, persistentState, {}, marker)
+      .then(function() {
+        return Array.from(ctx.finishData.mutations.folders,
+                          ([id, folder]) => [id, folder.serverPath]);
+      });
+    }
+
+    var persistentState = imapManageFolder.initPersistentState();
+    plan(imapManageFolder,
+         { op: 'create', parentFolderId: 'a.1', name: 'Reports' },
+         { foldersTOC: foldersTOC, persistentState: persistentState })
+    .then(function({ finishData }) {
+      var folder = finishData.newData.folders[0];
+      foldersTOC.foldersById.set(folder.id, folder);
+      return execute(persistentState, 'a.9');
+    }).then(function(serverPaths) {
+      eCheck.log('created', serverPaths);
+      foldersTOC.foldersById.delete('a.9');
+      return plan(imapManageFolder,
+                  { op: 'rename', folderId: 'a.1', name: 'Jobs' },
+                  { foldersTOC: foldersTOC,
+                    persistentState: persistentState });
+    }).then(function() {
+      return execute(persistentState, 'a.1');
+    }).then(function(serverPaths) {
+      eCheck.log('renamed', serverPaths);
+    });
+  });
+});
+}); // end define
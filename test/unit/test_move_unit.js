@@ -0,0 +1,198 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var imapMove = require('imap/vanilla_tasks/move');
+var mailRep = require('db/mail_rep');
+
+/**
+ * Check the move task's planning (MixMoveMixin) and vanilla IMAP's execute
+ * stage, using fake TaskContexts and a fake account.
+ */
+return new LegacyGelamTest('move task', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var inbox = { id: 'a.0', serverPath: 'INBOX', type: 'inbox' };
+  var archive = { id: 'a.1', serverPath: 'Archive', type: 'archive' };
+  var trash = { id: 'a.2', serverPath: 'Trash', type: 'trash' };
+  var convId = 'a.c0';
+
+  function makeMessage(id, umid, folderId) {
+    return mailRep.makeMessageInfo({
+      id: convId + '.' + id,
+      umid: umid,
+      guid: id + '@example.com',
+      date: 1000,
+      author: { address: 'them@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set([folderId])
+    });
+  }
+
+  function plan(messages, req) {
+    var ctx = new FakeTaskContext({
+      universe: {
+        acquireAccountFoldersTOC: function() {
+          return Promise.resolve({
+            foldersById: new Map([inbox, archive, trash].map(function(f) {
+              return [f.id, f];
+            })),
+            getCanonicalFolderByType: function(type) {
+              return type === 'trash' ? trash : null;
+            }
+          });
+        }
+      },
+      data: {
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, messages]])
+      }
+    });
+    var persistentState = imapMove.initPersistentState();
+    req = Object.assign({ type: 'move', accountId: 'a', convId: convId,
+                          onlyMessages: null, messageSelector: null }, req);
+    return imapMove.plan(ctx, persistentState, {}, req).then(function() {
+      return { finishData: ctx.finishData, persistentState: persistentState };
+    });
+  }
+
+  T.action(eCheck, 'moving updates the messages and can be undone',
+           function() {
+    eCheck.expect('planned', {
+      messages: [['a.c0.m1', ['a.1']]],
+      umidMoves: [['u1', { targetFolderId: 'a.1', guid: 'm1@example.com' }]],
+      markers: ['move:u1'],
+      undoFolders: ['a.0']
+    });
+
+    var messages = [makeMessage('m1', 'u1', 'a.0'),
+                    makeMessage('m2', 'u2', 'a.0')];
+    plan(messages, { onlyMessages: ['a.c0.m1'], targetFolderId: 'a.1' })
+    .then(function({ finishData, persistentState }) {
+      eCheck.log('planned', {
+        messages: Array.from(finishData.mutations.messages,
+                             ([id, msg]) => [id, Array.from(msg.folderIds)]),
+        umidMoves: Array.from(persistentState.umidMoves),
+        markers: Array.from(finishData.taskMarkers.keys()),
+        undoFolders: finishData.undoTasks.map(task => task.targetFolderId)
+      });
+    });
+  });
+
+  T.action(eCheck, 'trashing messages in the trash deletes them', function() {
+    eCheck.expect('planned', {
+      messages: [['a.c0.m1', null]],
+      umidNames: [['u1', null]],
+      conversation: null,
+      umidMoves: [['u1', { targetFolderId: null, guid: 'm1@example.com' }]],
+      undoTasks: 0
+    });
+
+    plan([makeMessage('m1', 'u1', 'a.2')], { moveToTrash: true })
+    .then(function({ finishData, persistentState }) {
+      var mutations = finishData.mutations;
+      eCheck.log('planned', {
+        messages: Array.from(mutations.messages),
+        umidNames: Array.from(mutations.umidNames),
+        conversation: mutations.conversations.get(convId),
+        umidMoves: Array.from(persistentState.umidMoves),
+        undoTasks: finishData.undoTasks.length
+      });
+    });
+  });
+
+  T.action(eCheck, 'moves to folders that no longer exist are ignored',
+           function() {
+    eCheck.expect('planned', {});
+
+    plan([makeMessage('m1', 'u1', 'a.0')], { targetFolderId: 'a.9' })
+    .then(function({ finishData }) {
+      eCheck.log('planned', finishData);
+    });
+  });
+
+  function execute(targetFolderId, folders) {
+    var persistentState = imapMove.initPersistentState();
+    persistentState.umidMoves.set(
+      'u1', { targetFolderId: targetFolderId, guid: 'm1@example.com' });
+    var account = {
+      getFolderById: function(folderId) {
+        return folders.find(f => f.id === folderId) || null;
+      },
+      pimap: {
+        moveMessages: function(ctx, folderInfo, uids, targetPath) {
+          eCheck.log('moveMessages',
+                     { from: folderInfo.serverPath, uids, targetPath });
+          return Promise.resolve({ result: new Map([[7, 70]]) });
+        }
+      }
+    };
+    var ctx = new FakeTaskContext({
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve(account);
+        }
+      },
+      data: {
+        umidLocations: new Map([['u1', ['a.0', 7]]]),
+        umidNames: new Map([['u1', 'a.c0.m1']]),
+        syncStates: new Map([['a.0', {
+          nextUmidSuffix: 2,
+          sinceDate: 0,
+          lastHighUid: 7,
+          flagSets: ['["\\\\Seen"]'],
+          flagSetCounts: [1],
+          uidInfo: new Map([[7, { umid: 'u1', flagSlot: 0 }]]),
+          uidValidity: '1',
+          modseq: ''
+        }]])
+      }
+    });
+    var marker = imapMove._makeMarker('a', 'u1');
+    return imapMove.execute(ctx, persistentState, {}, marker).then(function() {
+      return { finishData: ctx.finishData, persistentState: persistentState };
+    });
+  }
+
+  T.action(eCheck, 'executing a move hands the message to the target folder',
+           function() {
+    eCheck.expect('moveMessages',
+                  { from: 'INBOX', uids: [7], targetPath: 'Archive' });
+    eCheck.expect('executed', {
+      sourceUids: [],
+      targetUids: [[70, 'u1']],
+      targetFlags: ['\\Seen'],
+      umidLocations: [['u1', ['a.1', 70]]],
+      umidMoves: 0
+    });
+
+    execute('a.1', [inbox, archive])
+    .then(function({ finishData, persistentState }) {
+      var syncStates = finishData.mutations.syncStates;
+      var target = syncStates.get('a.1');
+      var targetInfo = target.uidInfo.get(70);
+      eCheck.log('executed', {
+        sourceUids: Array.from(syncStates.get('a.0').uidInfo.keys()),
+        targetUids: [[70, targetInfo.umid]],
+        targetFlags: JSON.parse(target.flagSets[targetInfo.flagSlot]),
+        umidLocations: Array.from(finishData.mutations.umidLocations),
+        umidMoves: persistentState.umidMoves.size
+      });
+    });
+  });
+
+  T.action(eCheck, 'executing a move to a deleted folder does nothing',
+           function() {
+    eCheck.expect('executed', { mutations: null, umidMoves: 0 });
+
+    execute('a.1', [inbox]).then(function({ finishData, persistentState }) {
+      eCheck.log('executed', {
+        mutations: finishData.mutations || null,
+        umidMoves: persistentState.umidMoves.size
+      });
+    });
+  });
+});
+}); // end define
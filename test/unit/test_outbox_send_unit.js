@@ -0,0 +1,158 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var outboxSend = require('imap/vanilla_tasks/outbox_send');
+var mailRep = require('db/mail_rep');
+var $date = require('date');
+
+/**
+ * Check the outbox's planning of delayed sends (scheduled sends and the undo
+ * send delay) and aborting them, using fake TaskContexts.
+ */
+return new LegacyGelamTest('outbox_send delayed sends', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var NOW = 1000000;
+  var convId = 'a.c0';
+  var messageId = 'a.c0.m0';
+  var drafts = { id: 'a.4', type: 'localdrafts' };
+  var outbox = { id: 'a.3', type: 'outbox' };
+
+  function makeDraft() {
+    return mailRep.makeMessageInfo({
+      id: messageId,
+      date: 1000,
+      author: { address: 'me@example.com' },
+      attachments: [],
+      bodyReps: [],
+      folderIds: new Set([drafts.id]),
+      draftInfo: mailRep.makeDraftInfo({ draftType: 'blank' })
+    });
+  }
+
+  function makeCtx(message, accountDef) {
+    return new FakeTaskContext({
+      accountId: 'a',
+      universe: {
+        acquireAccount: function() {
+          return Promise.resolve({ accountDef: accountDef || {} });
+        },
+        acquireAccountFoldersTOC: function() {
+          return Promise.resolve({
+            getCanonicalFolderByType: function(type) {
+              return [drafts, outbox].find(f => f.type === type);
+            }
+          });
+        }
+      },
+      data: {
+        conversations: new Map([[convId, { id: convId }]]),
+        messagesByConversation: new Map([[convId, [message]]])
+      }
+    });
+  }
+
+  function plan(ctx, persistentState, memoryState, req) {
+    req = Object.assign({ type: 'outbox_send', accountId: 'a',
+                          messageId: messageId }, req);
+    return outboxSend.plan(ctx, persistentState, memoryState, req);
+  }
+
+  function freshState() {
+    var persistentState = outboxSend.initPersistentState();
+    var memoryState = outboxSend.deriveMemoryStateFromPersistentState(
+      persistentState, 'a').memoryState;
+    return { persistentState, memoryState };
+  }
+
+  function summarizeSend(ctx, result) {
+    var message = ctx.finishData.mutations.messages.get(messageId);
+    var marker = ctx.finishData.taskMarkers.values().next().value;
+    return {
+      result: result.wrappedResult,
+      folderIds: Array.from(message.folderIds),
+      sendAt: message.draftInfo.sendAt,
+      deferUntil: marker.deferUntil
+    };
+  }
+
+  T.action(eCheck, 'the undo delay and sendAt defer the send', function() {
+    eCheck.expect('immediate',
+                  { result: null, folderIds: ['a.3'], sendAt: null,
+                    deferUntil: null });
+    eCheck.expect('undo delay',
+                  { result: 'scheduled', folderIds: ['a.3'],
+                    sendAt: NOW + 5000, deferUntil: NOW + 5000 });
+    eCheck.expect('sendAt',
+                  { result: 'scheduled', folderIds: ['a.3'],
+                    sendAt: NOW + 60000, deferUntil: NOW + 60000 });
+    eCheck.expect('restored', [NOW + 60000]);
+
+    $date.TEST_LetsDoTheTimewarpAgain(NOW);
+    var { persistentState, memoryState } = freshState();
+    var ctx = makeCtx(makeDraft());
+    plan(ctx, persistentState, memoryState, { command: 'send' })
+    .then(function(result) {
+      eCheck.log('immediate', summarizeSend(ctx, result));
+      ctx = makeCtx(makeDraft(), { undoSendDelay: 5000 });
+      return plan(ctx, persistentState, memoryState, { command: 'send' });
+    }).then(function(result) {
+      eCheck.log('undo delay', summarizeSend(ctx, result));
+      // An explicit sendAt wins over the account's undo delay.
+      ctx = makeCtx(makeDraft(), { undoSendDelay: 5000 });
+      return plan(ctx, persistentState, memoryState,
+                  { command: 'send', sendAt: NOW + 60000 });
+    }).then(function(result) {
+      eCheck.log('sendAt', summarizeSend(ctx, result));
+      // After a restart the marker is still deferred.
+      var markers = outboxSend.deriveMemoryStateFromPersistentState(
+        persistentState, 'a').markers;
+      eCheck.log('restored', markers.map(marker => marker.deferUntil));
+      $date.TEST_LetsDoTheTimewarpAgain(null);
+    });
+  });
+
+  T.action(eCheck, 'aborting returns the message to drafts', function() {
+    eCheck.expect('aborted', {
+      result: true,
+      folderIds: ['a.4'],
+      sendAt: null,
+      markers: [['outbox_send:' + messageId, null]],
+      toSend: 0
+    });
+    eCheck.expect('abort again', 'moot');
+    eCheck.expect('abort while sending', 'moot');
+
+    var { persistentState, memoryState } = freshState();
+    var message = makeDraft();
+    var ctx = makeCtx(message, { undoSendDelay: 5000 });
+    plan(ctx, persistentState, memoryState, { command: 'send' })
+    .then(function() {
+      ctx = makeCtx(message);
+      return plan(ctx, persistentState, memoryState, { command: 'abort' });
+    }).then(function(result) {
+      eCheck.log('aborted', {
+        result: result.wrappedResult,
+        folderIds: Array.from(message.folderIds),
+        sendAt: message.draftInfo.sendAt,
+        markers: Array.from(ctx.finishData.taskMarkers),
+        toSend: persistentState.messageIdsToSend.size
+      });
+      return plan(makeCtx(message), persistentState, memoryState,
+                  { command: 'abort' });
+    }).catch(function(err) {
+      eCheck.log('abort again', err.message);
+      return plan(makeCtx(message), persistentState, memoryState,
+                  { command: 'send' });
+    }).then(function() {
+      memoryState.activelySending.set(messageId, { progress: 'building' });
+      return plan(makeCtx(message), persistentState, memoryState,
+                  { command: 'abort' });
+    }).catch(function(err) {
+      eCheck.log('abort while sending', err.message);
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,185 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var ParallelIMAP = require('imap/protocol/parallel_imap');
+
+/**
+ * Check ParallelIMAP's connection pool: retrying and failing ops when their
+ * connection dies, retiring connections when its limit goes down and failing
+ * ops when no connection can be had.  The account is a fake that lets the
+ * test decide when demanded connections show up, and the ops are run through
+ * `_runOp` with implementations the test resolves by hand.
+ */
+return new LegacyGelamTest('ParallelIMAP connection pool', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function makeAccount(limit) {
+    return {
+      id: 'a',
+      universe: { online: true },
+      maxParallelConnections: limit,
+      demands: [],
+      released: [],
+      __folderDemandsConnection: function(folderId, label, callback,
+                                          deathback, dieOnConnectFailure) {
+        this.demands.push({ callback: callback, deathback: deathback,
+                            dieOnConnectFailure: dieOnConnectFailure });
+      },
+      __folderDoneWithConnection: function(conn) {
+        this.released.push(conn.name);
+      }
+    };
+  }
+
+  function makeConn(name) {
+    return { name: name, selectedMailboxPath: null };
+  }
+
+  /**
+   * Issue an op that stays active until the test resolves it.  `runs` lists
+   * the connections it was run on.
+   */
+  function startOp(pimap, name, idempotent) {
+    var op = { runs: [], outcome: null };
+    pimap._runOp({ id: name }, name, null, idempotent, function(conn) {
+      op.runs.push(conn.name);
+      return new Promise(function(resolve) {
+        op.resolve = resolve;
+      });
+    }).then(
+      function(value) {
+        op.outcome = 'resolved: ' + value;
+      },
+      function(err) {
+        op.outcome = 'rejected: ' + err;
+      });
+    return op;
+  }
+
+  // Let promise callbacks run.
+  function settle() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve);
+    });
+  }
+
+  T.action(eCheck, 'ops on a dead connection are retried or failed',
+           function() {
+    eCheck.expect('died', { demands: 2, append: 'rejected: unresponsive-server',
+                            readRuns: ['c1'] });
+    eCheck.expect('reconnected', { read: 'resolved: ok',
+                                   readRuns: ['c1', 'c2'] });
+
+    var account = makeAccount(1);
+    var pimap = new ParallelIMAP(account);
+    var read = startOp(pimap, 'read', true);
+    var append = startOp(pimap, 'append', false);
+    account.demands[0].callback(makeConn('c1'));
+    account.demands[0].deathback();
+    settle().then(function() {
+      eCheck.log('died', { demands: account.demands.length,
+                           append: append.outcome,
+                           readRuns: read.runs.concat() });
+      account.demands[1].callback(makeConn('c2'));
+      read.resolve('ok');
+      return settle();
+    }).then(function() {
+      eCheck.log('reconnected', { read: read.outcome, readRuns: read.runs });
+    });
+  });
+
+  T.action(eCheck, 'idle connections are handed back when the limit drops',
+           function() {
+    eCheck.expect('released', ['c2']);
+    eCheck.expect('numConnections', 1);
+
+    var account = makeAccount(2);
+    var pimap = new ParallelIMAP(account);
+    startOp(pimap, 'x', true);
+    account.demands[0].callback(makeConn('c1'));
+    var y = startOp(pimap, 'y', true);
+    account.demands[1].callback(makeConn('c2'));
+    y.resolve('done');
+    settle().then(function() {
+      account.maxParallelConnections = 1;
+      pimap.shedExcessConnections();
+      eCheck.log('released', account.released);
+      eCheck.log('numConnections', pimap.numConnections);
+    });
+  });
+
+  T.action(eCheck, 'busy connections are handed back once their ops finish',
+           function() {
+    eCheck.expect('retired', { released: [], zRuns: ['c2'] });
+    eCheck.expect('finished', { released: ['c1'] });
+
+    var account = makeAccount(2);
+    var pimap = new ParallelIMAP(account);
+    var x = startOp(pimap, 'x', true);
+    account.demands[0].callback(makeConn('c1'));
+    startOp(pimap, 'y', true);
+    account.demands[1].callback(makeConn('c2'));
+    account.maxParallelConnections = 1;
+    pimap.shedExcessConnections();
+    // c1 is retiring, so new ops don't go there.
+    var z = startOp(pimap, 'z', true);
+    eCheck.log('retired', { released: account.released.concat(),
+                            zRuns: z.runs });
+    x.resolve('done');
+    settle().then(function() {
+      eCheck.log('finished', { released: account.released });
+    });
+  });
+
+  T.action(eCheck, 'ops waiting on a retiring connection get a new one',
+           function() {
+    eCheck.expect('waiting', { demands: 2, yRuns: ['c2'] });
+    eCheck.expect('released', { released: ['c1'], demands: 3 });
+    eCheck.expect('reconnected', { yRuns: ['c2', 'c3'] });
+
+    var account = makeAccount(2);
+    var pimap = new ParallelIMAP(account);
+    var x = startOp(pimap, 'x', true);
+    account.demands[0].callback(makeConn('c1'));
+    var y = startOp(pimap, 'y', true);
+    account.demands[1].callback(makeConn('c2'));
+    account.maxParallelConnections = 1;
+    pimap.shedExcessConnections();
+    // The one connection we're keeping dies, so y has to wait for a new one
+    // while c1 is still busy.
+    account.demands[1].deathback();
+    eCheck.log('waiting', { demands: account.demands.length,
+                            yRuns: y.runs.concat() });
+    x.resolve('done');
+    settle().then(function() {
+      eCheck.log('released', { released: account.released,
+                               demands: account.demands.length });
+      account.demands[2].callback(makeConn('c3'));
+      eCheck.log('reconnected', { yRuns: y.runs });
+    });
+  });
+
+  T.action(eCheck, 'waiting ops fail if the account cannot connect',
+           function() {
+    eCheck.expect('dieOnConnectFailure', true);
+    eCheck.expect('online', 'rejected: unresponsive-server');
+    eCheck.expect('offline', 'rejected: offline');
+
+    var account = makeAccount(1);
+    var pimap = new ParallelIMAP(account);
+    var online = startOp(pimap, 'online', true);
+    eCheck.log('dieOnConnectFailure', account.demands[0].dieOnConnectFailure);
+    account.demands[0].deathback();
+    settle().then(function() {
+      eCheck.log('online', online.outcome);
+      account.universe.online = false;
+      var offline = startOp(pimap, 'offline', true);
+      account.demands[1].deathback();
+      return settle().then(function() {
+        eCheck.log('offline', offline.outcome);
+      });
+    });
+  });
+});
+}); // end define
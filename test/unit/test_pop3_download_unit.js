@@ -0,0 +1,135 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var FakeTaskContext = require('./resources/fake_task_context');
+var MimeNodeTransformStream = require('streamy/mime_node_transform_stream');
+var mimefuncs = require('mimefuncs');
+var streams = require('streams');
+var pop3Download = require('pop3/tasks/download');
+
+/**
+ * Check that POP3's download task picks the requested parts out of the
+ * re-downloaded message, using a fake connection that feeds a canned message
+ * through the MIME parser like `Pop3Client.downloadMimeNodes` does.
+ */
+return new LegacyGelamTest('POP3 part download', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  var MESSAGE = [
+    'From: them@example.com',
+    'Subject: Pictures',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="XX"',
+    '',
+    '--XX',
+    'Content-Type: text/plain',
+    '',
+    'Have a look.',
+    '--XX',
+    'Content-Type: application/octet-stream; name="cat.png"',
+    'Content-Disposition: attachment; filename="cat.png"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    // "not really a png"
+    'bm90IHJlYWxseSBhIHBuZw==',
+    '--XX--',
+    ''
+  ];
+
+  function makeAccount(uidls) {
+    var conn = {
+      downloadMimeNodes: function(uidl, opts) {
+        if (uidls.indexOf(uidl) === -1) {
+          return Promise.resolve(null);
+        }
+        var lineStream = new streams.ReadableStream({
+          start(controller) {
+            for (var line of MESSAGE) {
+              controller.enqueue(mimefuncs.toTypedArray(line + '\r\n'));
+            }
+            controller.close();
+          }
+        });
+        return Promise.resolve(lineStream.pipeThrough(
+          new MimeNodeTransformStream({ saveChunkSize: opts.saveChunkSize })));
+      }
+    };
+    return {
+      popAccount: {
+        ensureConnection: function() {
+          return Promise.resolve(conn);
+        }
+      }
+    };
+  }
+
+  function download(parts, uidls) {
+    var ctx = new FakeTaskContext({
+      data: {
+        umidLocations: new Map([['u1', 'uidl1']])
+      }
+    });
+    return pop3Download.downloadParts(
+      ctx, makeAccount(uidls || ['uidl1']), { umid: 'u1' }, parts)
+    .then(function(stream) {
+      var reader = stream.getReader();
+      var chunks = [];
+      function next() {
+        return reader.read().then(function({ value, done }) {
+          if (done) {
+            return chunks;
+          }
+          chunks.push([value.relId, value.blobCount, value.done,
+                       value.blob && value.blob.type,
+                       value.blob && value.blob.size]);
+          return next();
+        });
+      }
+      return next().catch(function(err) {
+        chunks.push(err);
+        return chunks;
+      });
+    });
+  }
+
+  var attachment = { relId: 'a0', part: '1.2', name: 'cat.png',
+                     type: 'application/octet-stream' };
+
+  T.action(eCheck, 'only the requested parts are provided', function() {
+    eCheck.expect('downloaded', [
+      ['a0', 0, false, 'image/png', 16],
+      ['a0', 1, true, null, null]
+    ]);
+
+    download([attachment]).then(function(chunks) {
+      eCheck.log('downloaded', chunks);
+    });
+  });
+
+  T.action(eCheck, 'parts that are not in the message error the stream',
+           function() {
+    eCheck.expect('downloaded', [
+      ['a0', 0, false, 'image/png', 16],
+      ['a0', 1, true, null, null],
+      'unknown'
+    ]);
+
+    download([attachment,
+              { relId: 'a1', part: '1.3', name: 'dog.png', type: 'image/png' }])
+    .then(function(chunks) {
+      eCheck.log('downloaded', chunks);
+    });
+  });
+
+  T.action(eCheck, 'messages gone from the server fail', function() {
+    eCheck.expect('failed', 'unknown');
+
+    download([attachment], []).then(function(chunks) {
+      eCheck.log('downloaded', chunks);
+    }, function(err) {
+      eCheck.log('failed', err);
+    });
+  });
+});
+}); // end define
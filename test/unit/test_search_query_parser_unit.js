@@ -0,0 +1,121 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var parseSearchQuery = require('search/parse_search_query');
+
+/**
+ * Check that Gmail-style search queries parse into the query nodes we expect.
+ * Bare words expand into an OR of the text filters, so we abbreviate them.
+ */
+return new LegacyGelamTest('search query parser', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function text(value) {
+    return {
+      type: 'or',
+      terms: ['author', 'recipients', 'subject', 'body'].map(function(key) {
+        return { type: 'filter', key: key, value: value };
+      })
+    };
+  }
+  function filter(key, value) {
+    return { type: 'filter', key: key, value: value };
+  }
+
+  var cases = [
+    {
+      name: 'empty',
+      query: '',
+      expected: { type: 'and', terms: [] }
+    },
+    {
+      name: 'operators and phrases',
+      query: 'from:"John Smith" "q3 report" has:attachment is:unread',
+      expected: {
+        type: 'and',
+        terms: [
+          filter('author', 'John Smith'),
+          text('q3 report'),
+          filter('hasAttachments', true),
+          filter('unread', true)
+        ]
+      }
+    },
+    {
+      name: 'OR binds tighter than AND',
+      query: 'a OR b c',
+      expected: {
+        type: 'and',
+        terms: [{ type: 'or', terms: [text('a'), text('b')] }, text('c')]
+      }
+    },
+    {
+      name: 'negated group',
+      query: '-(is:starred OR label:Work) to:bob',
+      expected: {
+        type: 'and',
+        terms: [
+          {
+            type: 'not',
+            term: {
+              type: 'or',
+              terms: [filter('starred', true), filter('label', 'Work')]
+            }
+          },
+          filter('recipients', 'bob')
+        ]
+      }
+    },
+    {
+      name: 'dates',
+      query: 'after:2015/01/02 before:2015-02-03',
+      expected: {
+        type: 'and',
+        terms: [
+          filter('after', new Date(2015, 0, 2).valueOf()),
+          filter('before', new Date(2015, 1, 3).valueOf())
+        ]
+      }
+    },
+    {
+      name: 'sizes, folders and attachment names',
+      query: 'larger:2M smaller:500 in:Inbox filename:pdf is:draft',
+      expected: {
+        type: 'and',
+        terms: [
+          filter('size', { min: 2 * 1024 * 1024 }),
+          filter('size', { max: 500 }),
+          filter('label', 'Inbox'),
+          filter('hasAttachments', { filename: 'pdf' }),
+          filter('draft', true)
+        ]
+      }
+    },
+    {
+      name: 'unknown operators and bad dates are text',
+      query: 'http://example.com after:2015/13/45',
+      expected: {
+        type: 'and',
+        terms: [text('http://example.com'), text('after:2015/13/45')]
+      }
+    },
+    {
+      name: 'unbalanced parens and quotes',
+      query: '(a b) c) "d e',
+      expected: {
+        type: 'and',
+        terms: [{ type: 'and', terms: [text('a'), text('b')] }, text('c'),
+                text('d e')]
+      }
+    }
+  ];
+
+  cases.forEach(function(info) {
+    T.action(eCheck, info.name, function() {
+      eCheck.expect('parsed', info.expected);
+      eCheck.log('parsed', parseSearchQuery(info.query));
+    });
+  });
+});
+}); // end define
@@ -0,0 +1,108 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var searchTerms = require('search/search_terms');
+
+/**
+ * Check the term extraction and index query logic used by the full-text search
+ * index.  The important property is that the index finds a superset of what
+ * the substring-matching filters find.
+ */
+return new LegacyGelamTest('search index terms', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function prefix(term) {
+    return { type: 'prefix', term: term };
+  }
+
+  T.action(eCheck, 'extractTerms', function() {
+    eCheck.expect('words', ['hello', 'world', 'foo', 'example', 'com']);
+    eCheck.expect('unspaced', ['東', '京', 'tokyo']);
+    eCheck.expect('truncated', ['a'.repeat(searchTerms.MAX_TERM_LENGTH)]);
+    eCheck.expect('empty', []);
+
+    eCheck.log('words',
+               searchTerms.extractTerms('Hello, world! HELLO foo@example.com'));
+    eCheck.log('unspaced', searchTerms.extractTerms('東京tokyo'));
+    eCheck.log('truncated', searchTerms.extractTerms('a'.repeat(40)));
+    eCheck.log('empty', searchTerms.extractTerms(' -- '));
+  });
+
+  T.action(eCheck, 'extractIndexTerms', function() {
+    var longWord = 'b'.repeat(30) + 'tail' + 'c'.repeat(10);
+    eCheck.expect('trigrams',
+                  ['exa', 'xam', 'amp', 'mpl', 'ple', 'le', 'e', 'map', 'ap',
+                   'p']);
+    eCheck.expect('long word', ['bbb', 'bbt', 'bta', 'ta', 'a']);
+
+    eCheck.log('trigrams', searchTerms.extractIndexTerms('Example map'));
+    // Only the first MAX_TERM_LENGTH characters of a word are indexed, so a
+    // word can't contribute more terms than that.
+    eCheck.log('long word', searchTerms.extractIndexTerms(longWord));
+  });
+
+  T.action(eCheck, 'indexQueryFromArgs', function() {
+    eCheck.expect('single',
+                  { type: 'and',
+                    terms: [prefix('amp'), prefix('mpl'), prefix('ple')] });
+    eCheck.expect('phrase',
+                  { type: 'and',
+                    terms: [prefix('amp'), prefix('mpl'), prefix('ple'),
+                            prefix('co')] });
+    eCheck.expect('object args', prefix('bob'));
+    eCheck.expect('regexp', null);
+    eCheck.expect('punctuation', null);
+
+    eCheck.log('single', searchTerms.indexQueryFromArgs('Ample'));
+    eCheck.log('phrase', searchTerms.indexQueryFromArgs('ample.co'));
+    eCheck.log('object args',
+               searchTerms.indexQueryFromArgs({ phrase: 'bob' }));
+    eCheck.log('regexp', searchTerms.indexQueryFromArgs(/bob/));
+    eCheck.log('punctuation', searchTerms.indexQueryFromArgs('...'));
+  });
+
+  T.action(eCheck, 'combineIndexQueries', function() {
+    eCheck.expect('and skips nulls', prefix('a'));
+    eCheck.expect('and', { type: 'and', terms: [prefix('a'), prefix('b')] });
+    eCheck.expect('or with null', null);
+    eCheck.expect('or', { type: 'or', terms: [prefix('a'), prefix('b')] });
+    eCheck.expect('all null', null);
+
+    eCheck.log('and skips nulls',
+               searchTerms.combineIndexQueries('and', [null, prefix('a')]));
+    eCheck.log('and', searchTerms.combineIndexQueries(
+      'and', [prefix('a'), prefix('b')]));
+    eCheck.log('or with null',
+               searchTerms.combineIndexQueries('or', [null, prefix('a')]));
+    eCheck.log('or', searchTerms.combineIndexQueries(
+      'or', [prefix('a'), prefix('b')]));
+    eCheck.log('all null',
+               searchTerms.combineIndexQueries('and', [null, null]));
+  });
+
+  T.action(eCheck, 'matchIndexQuery finds substrings', function() {
+    var terms = searchTerms.extractIndexTerms(
+      'An example from someone@lists.example.com');
+    function matches(phrase) {
+      return searchTerms.matchIndexQuery(
+        searchTerms.indexQueryFromArgs(phrase), terms);
+    }
+    eCheck.expect('word prefix', true);
+    eCheck.expect('mid-word', true);
+    eCheck.expect('address fragment', true);
+    eCheck.expect('missing', false);
+    eCheck.expect('or', true);
+    eCheck.expect('and', false);
+
+    eCheck.log('word prefix', matches('exam'));
+    eCheck.log('mid-word', matches('ample'));
+    eCheck.log('address fragment', matches('eone@lists.exa'));
+    eCheck.log('missing', matches('xylophone'));
+    eCheck.log('or', searchTerms.matchIndexQuery(
+      { type: 'or', terms: [prefix('zzz'), prefix('meo')] }, terms));
+    eCheck.log('and', searchTerms.matchIndexQuery(
+      { type: 'and', terms: [prefix('zzz'), prefix('meo')] }, terms));
+  });
+});
+}); // end define
@@ -0,0 +1,161 @@
+define(function(require) {
+'use strict';
+
+var LegacyGelamTest = require('./resources/legacy_gelamtest');
+var TaskResources = require('task_infra/task_resources');
+
+/**
+ * Check the exclusive resource claiming and deferral of TaskResources in
+ * isolation, with a stand-in for TaskPriorities that just remembers what it
+ * was handed.
+ */
+return new LegacyGelamTest('task resources exclusive claims', function(T) {
+  var eCheck = T.lazyLogger('check');
+
+  function makeResources() {
+    var prioritized = new Map();
+    var priorities = {
+      prioritizeTaskThing: function(taskThing) {
+        prioritized.set(taskThing.id, taskThing);
+      },
+      removeTaskThing: function(taskId) {
+        prioritized.delete(taskId);
+      },
+      getTaskThing: function(taskId) {
+        return prioritized.get(taskId) || null;
+      },
+      removeTasksUsingFilter: function(shouldRemove) {
+        prioritized.forEach(function(taskThing, taskId) {
+          if (shouldRemove(taskThing)) {
+            prioritized.delete(taskId);
+          }
+        });
+      }
+    };
+    var resources = new TaskResources(priorities);
+    // Pretend to be TaskManager popping the task to execute it.
+    resources.popTask = function(taskId) {
+      prioritized.delete(taskId);
+    };
+    resources.prioritizedIds = function() {
+      return Array.from(prioritized.keys()).sort();
+    };
+    return resources;
+  }
+
+  function marker(id, exclusiveResources, deferUntil) {
+    return {
+      type: 'test',
+      id: id,
+      priorityTags: [],
+      exclusiveResources: exclusiveResources,
+      deferUntil: deferUntil || null
+    };
+  }
+
+  T.action(eCheck, 'contending tasks wait their turn', function() {
+    var resources = makeResources();
+    eCheck.expect('a', true);
+    eCheck.expect('b', false);
+    eCheck.expect('blocked', ['r']);
+    eCheck.expect('released', 1);
+    eCheck.expect('prioritized', ['b']);
+
+    eCheck.log('a', resources.ownOrRelayTaskThing(marker('a', ['r'])));
+    eCheck.log('b', resources.ownOrRelayTaskThing(marker('b', ['r'])));
+    eCheck.log('blocked', resources.whatIsTaskBlockedBy('b'));
+    resources.popTask('a');
+    eCheck.log('released',
+               resources.releaseExecutedTaskExclusiveResources('a'));
+    eCheck.log('prioritized', resources.prioritizedIds());
+  });
+
+  T.action(eCheck, 'waiters are served in FIFO order', function() {
+    var resources = makeResources();
+    eCheck.expect('after a', ['b']);
+    eCheck.expect('after b', ['c']);
+
+    resources.ownOrRelayTaskThing(marker('a', ['r']));
+    resources.ownOrRelayTaskThing(marker('b', ['r']));
+    resources.ownOrRelayTaskThing(marker('c', ['r']));
+    resources.popTask('a');
+    resources.releaseExecutedTaskExclusiveResources('a');
+    eCheck.log('after a', resources.prioritizedIds());
+    resources.popTask('b');
+    resources.releaseExecutedTaskExclusiveResources('b');
+    eCheck.log('after b', resources.prioritizedIds());
+  });
+
+  T.action(eCheck, 'all of the resources or none of them', function() {
+    var resources = makeResources();
+    eCheck.expect('both', false);
+    eCheck.expect('r1 free', true);
+    eCheck.expect('both after release', ['both']);
+
+    resources.ownOrRelayTaskThing(marker('r2 user', ['r2']));
+    eCheck.log('both',
+               resources.ownOrRelayTaskThing(marker('both', ['r1', 'r2'])));
+    // 'both' didn't claim r1 while it waited for r2.
+    eCheck.log('r1 free',
+               resources.ownOrRelayTaskThing(marker('r1 user', ['r1'])));
+    resources.popTask('r1 user');
+    resources.releaseExecutedTaskExclusiveResources('r1 user');
+    resources.popTask('r2 user');
+    resources.releaseExecutedTaskExclusiveResources('r2 user');
+    eCheck.log('both after release', resources.prioritizedIds());
+  });
+
+  T.action(eCheck, 'a marker re-queued during execution keeps its claims',
+           function() {
+    var resources = makeResources();
+    eCheck.expect('other', false);
+    eCheck.expect('released', 0);
+    eCheck.expect('still blocked', ['r']);
+
+    resources.ownOrRelayTaskThing(marker('a', ['r']));
+    resources.popTask('a');
+    // While executing, 'a' re-asserts its marker and someone else shows up.
+    resources.ownOrRelayTaskThing(marker('a', ['r']));
+    eCheck.log('other', resources.ownOrRelayTaskThing(marker('b', ['r'])));
+    // The execution completing must not release the new marker's claim.
+    eCheck.log('released',
+               resources.releaseExecutedTaskExclusiveResources('a'));
+    eCheck.log('still blocked', resources.whatIsTaskBlockedBy('b'));
+  });
+
+  T.action(eCheck, 'a re-queued marker releases claims it no longer wants',
+           function() {
+    var resources = makeResources();
+    eCheck.expect('released', 1);
+    eCheck.expect('prioritized', ['a', 'b']);
+
+    resources.ownOrRelayTaskThing(marker('a', ['r1', 'r2']));
+    resources.popTask('a');
+    resources.ownOrRelayTaskThing(marker('a', ['r1']));
+    resources.ownOrRelayTaskThing(marker('b', ['r2']));
+    eCheck.log('released',
+               resources.releaseExecutedTaskExclusiveResources('a'));
+    eCheck.log('prioritized', resources.prioritizedIds());
+  });
+
+  T.action(eCheck, 'deferred markers wait for their time', function() {
+    var resources = makeResources();
+    eCheck.expect('deferred', false);
+    eCheck.expect('blocked', ['deferred']);
+    eCheck.expect('r free', true);
+    eCheck.expect('timer', ['a', 'b']);
+
+    eCheck.log('deferred', resources.ownOrRelayTaskThing(
+      marker('a', ['r'], Date.now() + 50)));
+    eCheck.log('blocked', resources.whatIsTaskBlockedBy('a'));
+    // A deferred task doesn't hold onto its exclusive resources.
+    eCheck.log('r free', resources.ownOrRelayTaskThing(marker('b', ['r'])));
+    resources.popTask('b');
+    resources.releaseExecutedTaskExclusiveResources('b');
+    resources.ownOrRelayTaskThing(marker('b', []));
+    resources.onTimerPrioritized = function() {
+      eCheck.log('timer', resources.prioritizedIds());
+    };
+  });
+});
+}); // end define